@@ -1,51 +1,340 @@
 "use client";
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { jsPDF } from "jspdf"; // use core jsPDF only (no autotable)
-import { Plus, Trash2, Download, Upload, Clock, Eraser, Printer } from "lucide-react";
+import { Plus, Trash2, Download, Upload, Clock, Eraser, Printer, Archive, Copy, FolderOpen, ArrowLeft, BarChart3, Undo2, Redo2, PenLine, ShieldCheck, Users, Wrench, ClipboardList, Keyboard } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
+import { DEFAULT_FTL_RULES, FTL_RULE_KEYS, parseFtlRuleSet, checkFlightDutyLimits, runLimitSelfTests } from "./pilot_journey_log_limits";
+import { INSPECTIONS, HOURS_SOURCES, normalizeMaintenance, reconcileMeters, aircraftCounters, checkInspections, runMaintenanceSelfTests } from "./pilot_journey_log_maintenance";
+import { FOLLOWUP_CATEGORIES, FOLLOWUP_SEVERITIES, FOLLOWUP_STATUSES, FOLLOWUP_COLS, makeFollowUp, normalizeFollowUps, updateFollowUp, carriedFollowUps, openDefects, followUpsByRow, filterFollowUps, followUpRecords, runFollowUpSelfTests } from "./pilot_journey_log_followups";
+import { parseQuery, matchRow, queryToHash, queryFromHash, runQuerySelfTests } from "./pilot_journey_log_query";
+import { buildXlsx, buildSheetSchema, sheetsJSON, runExportSelfTests } from "./pilot_journey_log_export";
+import { CANONICAL_FUEL_UNIT, FUEL_UNITS, DEFAULT_FUEL_DENSITY, isFuelUnit, fuelUnitLabel, resolveFuelUnit, fromCanonicalFuel, fuelToDisplay, fuelFromDisplay, formatFuel, runUnitsSelfTests } from "./pilot_journey_log_units";
+import { LANGUAGES, isLanguage, detectLanguage, makeTranslator, runI18nSelfTests } from "./pilot_journey_log_i18n";
+import { validate, formatValidationError, runValidateSelfTests } from "./pilot_journey_log_validate";
+import { EMPTY_OUTBOX, normalizeOutbox, enqueueSheet, dueItems, recordPushResult, resolveConflict, flushOutbox, mergeReferenceList, createRestSyncAdapter, runSyncSelfTests } from "./pilot_journey_log_sync";
 
 // ========================
 // Pilot Journey Log — Simple V2 (JavaScript version)
 // ========================
-// Columns: Load , T/O , L/D , FLT/T (auto), BLK/T (manual), FOB (lbs), F/B (lbs), PAX, LDG, F/UP, REMARKS
+// Columns: Load , PIC , OFF-BLK , T/O , L/D , ON-BLK , FLT/T (auto), BLK/T (auto from OFF/ON-BLK, else manual), FOB, F/B, UPLIFT (stored in lbs), PAX, LDG, F/UP, REMARKS
 // Features:
 // - Ferry row is optional; use "Add Ferry Row" to insert one
 // - Start with no rows; add rows via buttons
 // - Add Load Row button always after last row
 // - Clear button per row; Delete available for all rows (including FERRY)
-// - "Now" buttons for T/O & L/D
+// - "Now" buttons for OFF-BLK, T/O, L/D & ON-BLK; order OFF ≤ T/O ≤ L/D ≤ ON and BLK/T ≥ FLT/T are checked
+// - Fast entry: Enter → next field, arrow keys between cells, Ctrl+N / Alt+A new load, Alt+O/T/L/B stamp now;
+//   narrow screens show one card per load with large touch targets instead of the table
+// - Time entry accepts 1230 / 12.30 / 9:05 (normalised to HH:MM on leaving the field) with inline errors;
+//   rows are checked for out-of-order times, overlapping flights and flights outside the duty window
 // - Header (PILOT, DZ, REG, DATE) above Totals & Duty
 // - Totals card shows Flights, PAX, LDG, FLT/T + FOB (Start)/(last)
+// - Fuel check: expected FOB per load (prev FOB − F/B + UPLIFT), discrepancy tolerance, min reserve per REG
+// - Aircraft registry drives the REG picker, per-row PAX/FOB limits and new-load defaults
+// - Fuel units (pilot_journey_log_units.js): fuel is stored in lbs; each aircraft (or a sheet, overriding it) shows
+//   and takes fuel in lbs, kg, litres or US gallons (volume through a density in kg/L) in the UI, print, PDF and
+//   charts; CSV columns are headed with their unit and other units are converted on import
+// - UI language (pilot_journey_log_i18n.js): English or German for the main screen, English for anything not yet
+//   translated
+// - DZ templates: default PILOT / REG / FOB Start / time zone, pre-created loads and standard REMARKS per drop
+//   zone; "New from template" starts a sheet dated today; shared between tablets as a JSON file
+// - Maintenance (pilot_journey_log_maintenance.js): Hobbs / tacho per sheet reconciled with BLK/T and FLT/T,
+//   airframe / engine hours and landings per aircraft against 50 h / 100 h / annual / TBO intervals (header
+//   warns when due)
+// - Follow-ups (pilot_journey_log_followups.js): F/UP raises items with category, severity, status and assignee;
+//   open items carry over to the next sheet for the same REG + DZ (defects follow the airframe anywhere);
+//   dashboard of open items across sheets with CSV export
+// - Jumper manifest per load (tandem / AFF pairings): PAX = manifest count, payload checked against the
+//   aircraft; printed as a PDF appendix and exported as its own CSV
 // - Duty fields independent (DUTY START/END → PILOT DUTY TIME)
-// - CSV import/export
-// - LocalStorage persistence
+// - Crew list per sheet: each pilot has their own duty start / end, each load its PIC; totals, duty,
+//   time checks and flight & duty limits are worked out per pilot; print / PDF add a per-pilot summary
+// - Per-sheet UTC / local time with the DZ's IANA zone: times resolve to full timestamps, durations stay exact
+//   across midnight and DST, the UI shows both zones and exports state the zone used
+// - CSV import/export (RFC 4180 quoting, sheet header block, preview with append / replace / merge by Load)
+// - Exports (pilot_journey_log_export.js): personal-logbook CSV and XLSX (loads + totals sheet) through editable
+//   column mappings over COLS and the header fields; JSON of whole sheets with a published JSON Schema
+// - IndexedDB persistence (migrates the old localStorage keys on first load)
+// - Validation (pilot_journey_log_validate.js): stored, synced and imported sheets and template files are checked
+//   against the sheet schema (types, allowed keys, lengths, PAX / LDG ranges); stored records that fail are set
+//   aside in a quarantine with their errors instead of loaded, and can be downloaded or discarded
+// - Print HTML escapes every user value; signature images must be inline PNG / JPEG / GIF / WebP
 // - Close Flight → locks sheet + shows banner; Print & Download PDF appear when closed
+// - Undo / redo (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y) + audit trail of every field change
+// - Amend a closed sheet: corrections need a reason, are logged as amendments against the original values and
+//   are re-sealed only with a new signature
+// - Close Flight seals the sheet: SHA-256 over canonical JSON + closing time + pilot signature (typed or drawn);
+//   print / PDF / CSV carry the digest, and sheet files or archived sheets can be verified against it
+// - PDF: paper journey-log layout (wrapped REMARKS, totals row, header + "Page X of Y" on every page,
+//   pilot / DZ signature lines), A4 or Letter, portrait or landscape
+// - Offline-first PWA: web app manifest + service worker (sw.js) caching the app shell and PDF code;
+//   "new version" prompt only while no open sheet is being worked on
+// - Logbook archive: every closed sheet is kept; reopen read-only, duplicate or delete
+// - Sync (pilot_journey_log_sync.js): closed sheets go to a self-hosted server through an offline outbox with
+//   retry and version conflicts; aircraft and pilot lists are pulled from it (server/ has a reference server)
+// - Flight & duty limits: operator rule set (pilot_journey_log_limits.js) → warning / blocking banners
+// - Reports: rolling 7/28/90-day and 12-month totals per pilot and per REG, lifetime hours per airframe
+// - Totals always cover the whole sheet (Flights = loads with a time); a search shows a filtered subtotal
+// - Search & filter (pilot_journey_log_query.js): text or terms such as PAX>=10, FLT/T>00:20, time=09:00-12:00,
+//   has:remarks, has:fup, is:fuel, DATE>=…; on this sheet (open or closed) or across all saved sheets, with
+//   saved presets and shareable #q= links
+// - Charts: loads per hour, FLT/T, FOB and PAX per load for this sheet or a date range of saved sheets
 
 /** @typedef {Object} SimpleLogEntry
  *  @property {string} id
  *  @property {string} Load
+ *  @property {string} [PIC] pilot in command of this load (blank = PILOT)
+ *  @property {string} ["OFF-BLK"] off-block time (optional)
  *  @property {string} ["T/O"]
  *  @property {string} ["L/D"]
+ *  @property {string} ["ON-BLK"] on-block time (optional)
  *  @property {string} ["FLT/T"]
- *  @property {string} ["BLK/T"]
+ *  @property {string} ["BLK/T"] from OFF-BLK → ON-BLK when both are set, otherwise manual
  *  @property {string} FOB
  *  @property {string} ["F/B"]
+ *  @property {string} [UPLIFT] fuel added before this load (lbs)
  *  @property {number|string} PAX
  *  @property {number|string} LDG
  *  @property {string} ["F/UP"]
  *  @property {string} REMARKS
+ *  @property {Object<string, string>} [stamps] TIME_COLS → full ISO (UTC) instant resolved from DATE + time zone
+ *  @property {ManifestJumper[]} [manifest] jumpers on this load; when present PAX is their count
+ */
+
+/** @typedef {Object} ManifestJumper
+ *  @property {string} id
+ *  @property {string} name
+ *  @property {string} licence   licence / membership number
+ *  @property {string} jumpType  one of JUMP_TYPES
+ *  @property {string} exitAlt   ft
+ *  @property {string} weight    lbs, including equipment
+ *  @property {string} pairWith  id of the tandem / AFF partner on the same load ("" when none)
+ */
+
+/** @typedef {Object} AircraftProfile
+ *  @property {string} reg
+ *  @property {string} type
+ *  @property {string} maxFuel     lbs
+ *  @property {string} maxPax      seats
+ *  @property {string} burnPerHour nominal lbs/hr
+ *  @property {string} minReserve  lbs
+ *  @property {string} maxPayload  lbs of jumpers (manifest weight total)
+ *  @property {string} fuelUnit    unit fuel is shown in for this aircraft (key of FUEL_UNITS, "" = lbs)
+ *  @property {string} fuelDensity kg/L for litres / US gallons ("" = DEFAULT_FUEL_DENSITY)
+ *  @property {Object} maintenance  counter baseline + inspection intervals (see pilot_journey_log_maintenance.js)
+ */
+
+/** @typedef {Object} SheetTemplate
+ *  @property {string} id
+ *  @property {string} name
+ *  @property {string} dz        drop zone the template is for (matched case-insensitively)
+ *  @property {string} pilot     blank keeps the current PILOT
+ *  @property {string} reg
+ *  @property {string} loads     load rows created with the sheet ("0"–"30")
+ *  @property {string} fobStart  lbs
+ *  @property {"local"|"utc"} timeMode
+ *  @property {string} timeZone  IANA zone
+ *  @property {string[]} remarks standard REMARKS snippets offered while this DZ is on the sheet
+ */
+
+/** @typedef {Object} ChartPoint
+ *  @property {string} label
+ *  @property {number} value
+ */
+
+/** @typedef {Object} QueryPreset
+ *  @property {string} name
+ *  @property {string} query  search text (see pilot_journey_log_query.js)
+ *  @property {"sheet"|"days"} scope
+ */
+
+/** @typedef {Object} ExportColumn
+ *  @property {string} header  column title in the exported file
+ *  @property {string} source  key of EXPORT_SOURCES
+ */
+
+/** @typedef {Object} PilotRef
+ *  @property {string} name
+ *  @property {string} licence
+ */
+
+/** @typedef {Object} SheetMeta
+ *  @property {string} pilot
+ *  @property {string} dz
+ *  @property {string} reg
+ *  @property {string} date
+ *  @property {string} fobStart
+ *  @property {string} dutyStart
+ *  @property {string} dutyEnd
+ *  @property {"local"|"utc"} timeMode  zone the HH:MM times are entered in
+ *  @property {string} timeZone          DZ's IANA zone (e.g. "Africa/Johannesburg"), used for local time
+ *  @property {string} hobbsStart        Hobbs / tacho readings for REG (decimal hours, may be blank)
+ *  @property {string} hobbsEnd
+ *  @property {string} tachoStart
+ *  @property {string} tachoEnd
+ *  @property {string} fuelUnit          unit fuel is shown in ("" = the aircraft's); stored values stay lbs
+ *  @property {string} fuelDensity       kg/L for volume units ("" = the aircraft's)
+ *  @property {CrewMember[]} crew        pilots besides PILOT (whose duty is DUTY START / END)
+ */
+
+/** @typedef {Object} CrewMember
+ *  @property {string} id
+ *  @property {string} name
+ *  @property {string} dutyStart HH:MM
+ *  @property {string} dutyEnd   HH:MM (may be before dutyStart when crossing midnight)
+ */
+
+/** @typedef {Object} SheetRecord
+ *  @property {string} id
+ *  @property {SheetMeta} meta
+ *  @property {SimpleLogEntry[]} rows
+ *  @property {boolean} isClosed
+ *  @property {string} [closedAt] ISO timestamp set by Close Flight
+ *  @property {AuditEntry[]} [audit]
+ *  @property {SheetSeal[]} [seals] oldest first; the last one covers the current content
+ */
+
+/** @typedef {Object} QuarantinedRecord
+ *  @property {string} id
+ *  @property {string} source         where it was read from ("Working sheet", "Archived sheet")
+ *  @property {string} quarantinedAt  ISO timestamp
+ *  @property {string[]} errors       why it was not loaded
+ *  @property {*} record              the record exactly as it was read, for download
+ */
+
+/** @typedef {Object} SheetSignature
+ *  @property {"typed"|"drawn"} type
+ *  @property {string} name     signer's name (typed, or written under a drawn signature)
+ *  @property {string} [image]  PNG data URL for drawn signatures
+ */
+
+/** @typedef {Object} SheetSeal
+ *  @property {string} algorithm  "SHA-256"
+ *  @property {string} digest     hex digest of canonicalJSON(sealPayload(...))
+ *  @property {string} closedAt   ISO timestamp of Close Flight
+ *  @property {string} sealedAt   ISO timestamp of this seal (later than closedAt after an amendment)
+ *  @property {string[]} cols     row columns covered, in order ("manifest" = the load's jumpers as manifestCells)
+ *  @property {string[]} metaKeys header fields covered
+ *  @property {SheetSignature} signature
+ *  @property {string} [reason]   amendment reason when re-sealed
+ */
+
+/** @typedef {Object} AuditEntry
+ *  @property {string} at      ISO timestamp
+ *  @property {"edit"|"amendment"} kind  amendment = changed after Close Flight
+ *  @property {string} target  row id, or "meta" for header fields
+ *  @property {string} load    Load label ("HEADER" for header fields)
+ *  @property {string} field   column / header label, "(row)" when a row is added or deleted
+ *  @property {string} from
+ *  @property {string} to
+ *  @property {string} [reason] amendments only
  */
 
 const COLS = [
-  "Load", "T/O", "L/D", "FLT/T", "BLK/T", "FOB", "F/B", "PAX", "LDG", "F/UP", "REMARKS",
+  "Load", "PIC", "OFF-BLK", "T/O", "L/D", "ON-BLK", "FLT/T", "BLK/T", "FOB", "F/B", "UPLIFT", "PAX", "LDG", "F/UP", "REMARKS",
+];
+const FUEL_COLS = ["FOB", "F/B", "UPLIFT"];
+const TIME_COLS = ["OFF-BLK", "T/O", "L/D", "ON-BLK"]; // clock times in the order they must occur, each with a "Now" button
+// Fast entry: arrow keys move over ENTRY_NAV_COLS, Enter follows FAST_ENTRY_COLS (FLT/T and BLK/T fill themselves)
+const ENTRY_NAV_COLS = COLS.filter(c => c !== "Load");
+const FAST_ENTRY_COLS = ENTRY_NAV_COLS.filter(c => c !== "FLT/T" && c !== "BLK/T");
+const FAST_STAMP_KEYS = { KeyO: "OFF-BLK", KeyT: "T/O", KeyL: "L/D", KeyB: "ON-BLK" }; // Alt+key → column stamped with now
+// Hobbs / tacho readings for REG: label → SheetMeta key
+const METER_FIELDS = [["HOBBS START", "hobbsStart"], ["HOBBS END", "hobbsEnd"], ["TACHO START", "tachoStart"], ["TACHO END", "tachoEnd"]];
+// Sheet header block written above the CSV table: label → SheetMeta key
+const CSV_META_FIELDS = [
+  ["PILOT", "pilot"], ["DZ", "dz"], ["REG", "reg"], ["DATE", "date"],
+  ["FOB Start", "fobStart"], ["DUTY START", "dutyStart"], ["DUTY END", "dutyEnd"],
+  ["TIME MODE", "timeMode"], ["TIME ZONE", "timeZone"], ...METER_FIELDS,
+  ["FUEL UNIT", "fuelUnit"], ["FUEL DENSITY", "fuelDensity"],
+];
+// Seal block written below the header block of a sealed sheet's CSV
+const CSV_SEAL_FIELDS = [
+  ["CLOSED AT", "closedAt"], ["SEALED AT", "sealedAt"], ["SHA-256", "digest"],
+  ["SIGNATURE TYPE", "signatureType"], ["SIGNED BY", "signatureName"], ["SIGNATURE IMAGE", "signatureImage"],
+];
+const IMPORT_MODES = ["append", "replace", "merge"]; // labels: "import.mode.<mode>" in MESSAGES
+const UNDO_LIMIT = 100;
+const EDIT_COALESCE_MS = 2000; // keystrokes in one field within this window form one undo step / audit entry
+const EMPTY_HISTORY = { past: [], future: [], lastKey: "", lastAt: 0 };
+const DEFAULT_FUEL_SETTINGS = { tolerance: "20" };
+// Labels and worded placeholders: "aircraft.field.<key>" / "aircraft.placeholder.<key>" in MESSAGES
+const AIRCRAFT_FIELDS = [
+  { key: "reg" },
+  { key: "type" },
+  { key: "maxFuel", fuel: true },
+  { key: "maxPax" },
+  { key: "burnPerHour", fuel: true },
+  { key: "minReserve", fuel: true },
+  { key: "maxPayload" },
+  { key: "fuelUnit" },
+  { key: "fuelDensity", placeholder: String(DEFAULT_FUEL_DENSITY) },
 ];
+// Labels and worded placeholders: "template.field.<key>" / "template.placeholder.<key>" in MESSAGES
+const TEMPLATE_FIELDS = [
+  { key: "name" },
+  { key: "dz" },
+  { key: "pilot" },
+  { key: "reg" },
+  { key: "loads", placeholder: "0" },
+  { key: "fobStart", placeholder: "lbs" },
+  { key: "timeZone" },
+];
+const MAX_TEMPLATE_LOADS = 30;
+const MAX_TEMPLATE_REMARKS = 50;
+// Limits checked whenever a record is read back or imported; the inputs stop at the same lengths
+const MAX_TEXT_LENGTH = 200;  // header fields, names, most cells
+const MAX_NOTE_LENGTH = 2000; // NOTE_COLS
+const MAX_COUNT = 999;        // PAX, LDG
+const NOTE_COLS = ["F/UP", "REMARKS"];
+const TEMPLATE_FILE_KIND = "pilot-journey-log-templates"; // "kind" of an exported template file
+// Labels and worded placeholders: "manifest.field.<key>" / "manifest.placeholder.<key>" in MESSAGES
+const MANIFEST_FIELDS = [
+  { key: "name" },
+  { key: "licence" },
+  { key: "exitAlt", placeholder: "ft" },
+  { key: "weight", placeholder: "lbs" },
+];
+const JUMP_TYPES = ["Fun", "Tandem instructor", "Tandem passenger", "AFF instructor", "AFF student", "Camera", "Coach", "Student", "Hop & pop"];
+// Jump types that must be paired, → the partner's type
+const PAIRED_JUMP_TYPES = { "Tandem passenger": "Tandem instructor", "Tandem instructor": "Tandem passenger", "AFF student": "AFF instructor" };
+const MANIFEST_COLS = ["Load", "#", "NAME", "LICENCE", "JUMP TYPE", "EXIT ALT ft", "WEIGHT lbs", "PAIRED WITH"];
+
+const FERRY_ID = "ferry-row-fixed"; // optional ferry row id
+const SHEET_META_KEYS = ["pilot", "dz", "reg", "date", "fobStart", "dutyStart", "dutyEnd", "timeMode", "timeZone", "hobbsStart", "hobbsEnd", "tachoStart", "tachoEnd", "fuelUnit", "fuelDensity"];
+const SEAL_META_KEYS = [...SHEET_META_KEYS, "crew"]; // header fields covered by new seals (crew as crewSummary)
+const SEAL_COLS = [...COLS, "manifest"]; // row columns covered by new seals (manifest as manifestCells)
+const CREW_SUMMARY_COLS = ["PILOT", "DUTY", "Flights", "PAX", "LDG", "FLT/T", "BLK/T"];
 
+// Legacy localStorage keys (read once for migration, then removed)
 const LS_KEY = "pilotJourneyLog.simple.v2";
 const LS_META_KEY = "pilotJourneyLog.simple.v2.meta";
-const FERRY_ID = "ferry-row-fixed"; // optional ferry row id
+
+const IDB_NAME = "pilotJourneyLog";
+const IDB_VERSION = 1;
+const IDB_STORE_SHEETS = "sheets"; // archived (closed) sheets, keyPath "id"
+const IDB_STORE_STATE = "state";   // working sheet under IDB_CURRENT_KEY, FTL rule set under IDB_RULES_KEY, fuel settings under IDB_FUEL_KEY, aircraft registry under IDB_AIRCRAFT_KEY, PDF layout under IDB_PDF_KEY, sync settings / outbox / pilot list under IDB_SYNC_*, follow-up items under IDB_FOLLOWUPS_KEY, fast-entry toggle under IDB_ENTRY_MODE_KEY, DZ templates under IDB_TEMPLATES_KEY, search presets under IDB_QUERY_PRESETS_KEY, export column mappings under IDB_EXPORT_MAPPINGS_KEY, UI language under IDB_LANGUAGE_KEY, records that failed validation under IDB_QUARANTINE_KEY
+const IDB_CURRENT_KEY = "current";
+const IDB_RULES_KEY = "ftlRules";
+const IDB_FUEL_KEY = "fuelSettings";
+const IDB_AIRCRAFT_KEY = "aircraft";
+const IDB_PDF_KEY = "pdfLayout";
+const IDB_SYNC_SETTINGS_KEY = "syncSettings";
+const IDB_SYNC_OUTBOX_KEY = "syncOutbox";
+const IDB_SYNC_PILOTS_KEY = "pilots";
+const IDB_FOLLOWUPS_KEY = "followUps";
+const IDB_ENTRY_MODE_KEY = "fastEntry";
+const IDB_TEMPLATES_KEY = "templates";
+const IDB_QUERY_PRESETS_KEY = "queryPresets";
+const IDB_EXPORT_MAPPINGS_KEY = "exportMappings";
+const IDB_LANGUAGE_KEY = "language";
+const IDB_QUARANTINE_KEY = "quarantine";
+const IDB_DEFECTS_KEY = "defects"; // airframe defects before follow-ups; read once and moved to IDB_FOLLOWUPS_KEY
+const DEFAULT_SYNC_SETTINGS = { url: "", token: "" };
+const SYNC_INTERVAL_MS = 60000; // how often queued sheets are retried while the app is open
 
 function uid() { return Math.random().toString(36).slice(2, 10); }
 
@@ -65,36 +354,228 @@ function minutesToHM(mins) {
   return h.toString().padStart(2, "0") + ":" + m.toString().padStart(2, "0");
 }
 
+// Typed clock time → { value: "HH:MM" (blank when empty or invalid), error }. Accepts "9:05", "09:05",
+// "12.30", "1230" and "905"; hours 00–23, minutes 00–59.
+function parseTimeInput(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return { value: "", error: "" };
+  const m = s.match(/^(\d{1,2})[:.](\d{2})$/) || s.match(/^(\d{1,2})(\d{2})$/);
+  if (!m) return { value: "", error: "\"" + s + "\" is not a time (HH:MM, HHMM or HH.MM)" };
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23) return { value: "", error: "Hour " + m[1] + " is out of range (00–23)" };
+  if (min > 59) return { value: "", error: "Minute " + m[2] + " is out of range (00–59)" };
+  return { value: String(h).padStart(2, "0") + ":" + m[2], error: "" };
+}
+
+// Minutes after midnight for a valid clock time, null otherwise (00:00 → 0)
+function clockMinutes(v) {
+  const { value } = parseTimeInput(v);
+  return value ? hmToMinutes(value) : null;
+}
+
 function calcBlock(to, ld) {
-  if (!to || !ld) return "";
-  const start = hmToMinutes(to);
-  let end = hmToMinutes(ld);
-  if (!start || !end) return "";
+  const start = clockMinutes(to);
+  let end = clockMinutes(ld);
+  if (start === null || end === null) return "";
   if (end < start) end += 24 * 60; // crossed midnight
   return minutesToHM(end - start);
 }
 
 function calcDuty(start, end) {
-  if (!start || !end) return "";
-  let s = hmToMinutes(start);
-  let e = hmToMinutes(end);
-  if (!s || !e) return "";
+  const s = clockMinutes(start);
+  let e = clockMinutes(end);
+  if (s === null || e === null) return "";
   if (e < s) e += 24 * 60;
   return minutesToHM(e - s);
 }
 
-function nowHHMM() {
+// Current HH:MM in the given IANA zone (device local time when omitted)
+function nowHHMM(zone) {
+  if (zone) return epochToZonedHM(Date.now(), zone);
   const d = new Date();
   const h = d.getHours().toString().padStart(2, "0");
   const m = d.getMinutes().toString().padStart(2, "0");
   return h + ":" + m;
 }
 
+// --- Time zones ---
+// Times are typed as HH:MM in the sheet's zone (UTC, or the DZ's IANA zone). Each time is also resolved to a
+// full instant from DATE: within a row every time is on or after the previous one (crossing midnight as in
+// calcBlock); across rows a step back of more than 12 h moves to the next day. FLT/T, BLK/T and duty are
+// differences between instants, so they stay exact across DST changes.
+const TIME_MODES = ["local", "utc"]; // labels: "timeMode.<mode>" in MESSAGES
+const DEFAULT_TIME_ZONE = (() => {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; } catch { return "UTC"; }
+})();
+
+function isValidTimeZone(zone) {
+  if (!zone) return false;
+  try { new Intl.DateTimeFormat("en-US", { timeZone: zone }); return true; } catch { return false; }
+}
+
+const zoneFormatters = {};
+function zoneParts(ms, zone) {
+  const f = zoneFormatters[zone] || (zoneFormatters[zone] = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }));
+  const p = {};
+  f.formatToParts(new Date(ms)).forEach(x => { p[x.type] = x.value; });
+  return { y: Number(p.year), mo: Number(p.month), d: Number(p.day), h: Number(p.hour) % 24, mi: Number(p.minute), s: Number(p.second) };
+}
+
+// Minutes the zone is ahead of UTC at that instant
+function zoneOffsetMinutes(ms, zone) {
+  const p = zoneParts(ms, zone);
+  return Math.round((Date.UTC(p.y, p.mo - 1, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// YYYY-MM-DD + HH:MM wall clock in a zone → epoch ms (null when either is invalid)
+function zonedEpoch(dateISO, hm, zone) {
+  const d = String(dateISO || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const t = clockMinutes(hm);
+  if (!d || t === null || !isValidTimeZone(zone)) return null;
+  const wall = Date.UTC(Number(d[1]), Number(d[2]) - 1, Number(d[3])) + t * 60000;
+  const guess = wall - zoneOffsetMinutes(wall, zone) * 60000;
+  return wall - zoneOffsetMinutes(guess, zone) * 60000; // second pass settles instants next to a DST change
+}
+
+function epochToZonedHM(ms, zone) {
+  const p = zoneParts(ms, zone);
+  return String(p.h).padStart(2, "0") + ":" + String(p.mi).padStart(2, "0");
+}
+
+function epochToZonedDate(ms, zone) {
+  const p = zoneParts(ms, zone);
+  return p.y + "-" + String(p.mo).padStart(2, "0") + "-" + String(p.d).padStart(2, "0");
+}
+
+function addDaysISO(dateISO, n) {
+  const [y, m, d] = dateISO.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+/** @param {SheetMeta} meta */
+function sheetClockZone(meta) {
+  return meta.timeMode === "utc" ? "UTC" : (meta.timeZone || DEFAULT_TIME_ZONE);
+}
+
+// Short label for exports and the UI: "UTC" or "Local (Africa/Johannesburg)"
+/** @param {SheetMeta} meta */
+function timeZoneLabel(meta) {
+  return meta.timeMode === "utc" ? "UTC" : "Local (" + (meta.timeZone || DEFAULT_TIME_ZONE) + ")";
+}
+
+// Instant for HH:MM on the day of `after` (DATE when there is none); moved a day on when it falls more than
+// `slackMins` before `after`
+function nextInstant(dateISO, hm, zone, after, slackMins) {
+  if (after === null) return zonedEpoch(dateISO, hm, zone);
+  const day = epochToZonedDate(after, zone);
+  const at = zonedEpoch(day, hm, zone);
+  if (at === null || at >= after - slackMins * 60000) return at;
+  return zonedEpoch(addDaysISO(day, 1), hm, zone);
+}
+
+function spanHM(fromMs, toMs) {
+  return fromMs == null || toMs == null ? null : minutesToHM(Math.round((toMs - fromMs) / 60000));
+}
+
+// Resolve every row's times to instants (row.stamps) and derive FLT/T and BLK/T from them
+/** @param {SimpleLogEntry[]} list @param {SheetMeta} meta @returns {SimpleLogEntry[]} */
+function stampSheet(list, meta) {
+  const zone = sheetClockZone(meta);
+  let last = null;
+  return list.map(r => {
+    const stamps = {};
+    const at = {};
+    let prev = null;
+    TIME_COLS.forEach(c => {
+      const t = nextInstant(meta.date, r[c], zone, prev ?? last, prev === null ? 12 * 60 : 0);
+      if (t === null) return;
+      stamps[c] = new Date(t).toISOString();
+      at[c] = t;
+      prev = t;
+    });
+    if (prev !== null) last = prev;
+    const n = { ...r, stamps };
+    const flt = spanHM(at["T/O"], at["L/D"]);
+    const blk = spanHM(at["OFF-BLK"], at["ON-BLK"]);
+    if (flt !== null) n["FLT/T"] = flt;
+    if (blk !== null) n["BLK/T"] = blk;
+    return n;
+  });
+}
+
+// Duty window as instants (the end rolls past midnight); null without a start
+/** @param {SheetMeta} meta @returns {{start: number, end: number|null}|null} */
+function dutySpan(meta, dutyStart, dutyEnd) {
+  const zone = sheetClockZone(meta);
+  const start = zonedEpoch(meta.date, dutyStart, zone);
+  return start === null ? null : { start, end: nextInstant(meta.date, dutyEnd, zone, start, 0) };
+}
+
+// Exact duty minutes from DATE + zone (null without a date or times; callers fall back to calcDuty)
+/** @param {SheetMeta} meta @param {CrewMember} [member] defaults to PILOT */
+function sheetDutyMinutes(meta, member) {
+  const who = member || meta;
+  const span = dutySpan(meta, who.dutyStart, who.dutyEnd);
+  return span === null || span.end === null ? null : Math.round((span.end - span.start) / 60000);
+}
+
+/** @param {SheetMeta} meta @param {CrewMember} [member] defaults to PILOT */
+function sheetDutyTime(meta, member) {
+  const who = member || meta;
+  const mins = sheetDutyMinutes(meta, who);
+  return mins === null ? calcDuty(who.dutyStart, who.dutyEnd) : minutesToHM(mins);
+}
+
+// Re-express all times (rows, duty, DATE) in another zone without moving the instants — used when the
+// sheet switches between UTC and local time
+/** @param {SimpleLogEntry[]} list @param {SheetMeta} meta @param {SheetMeta} nextMeta */
+function convertSheetTimes(list, meta, nextMeta) {
+  const from = sheetClockZone(meta);
+  const to = sheetClockZone(nextMeta);
+  const stamped = stampSheet(list, meta);
+  const dutyStartAt = zonedEpoch(meta.date, meta.dutyStart, from);
+  const dutyEndAt = dutyStartAt === null ? null : nextInstant(meta.date, meta.dutyEnd, from, dutyStartAt, 0);
+  const firstStamp = stamped.map(r => TIME_COLS.map(c => r.stamps[c]).find(Boolean)).find(Boolean);
+  const anchor = dutyStartAt ?? (firstStamp ? Date.parse(firstStamp) : null);
+  const out = { ...nextMeta };
+  if (anchor !== null) out.date = epochToZonedDate(anchor, to);
+  if (dutyStartAt !== null) out.dutyStart = epochToZonedHM(dutyStartAt, to);
+  if (dutyEndAt !== null) out.dutyEnd = epochToZonedHM(dutyEndAt, to);
+  out.crew = normalizeCrew(meta.crew).map(c => {
+    const span = dutySpan(meta, c.dutyStart, c.dutyEnd);
+    if (!span) return c;
+    return { ...c, dutyStart: epochToZonedHM(span.start, to), dutyEnd: span.end === null ? c.dutyEnd : epochToZonedHM(span.end, to) };
+  });
+  const rowsOut = stamped.map(r => {
+    const n = { ...r };
+    TIME_COLS.forEach(c => { if (r.stamps[c]) n[c] = epochToZonedHM(Date.parse(r.stamps[c]), to); });
+    return n;
+  });
+  return { rows: stampSheet(rowsOut, out), meta: out };
+}
+
+// The same instant in the sheet's other zone, for display under a time cell ("07:55Z" / "09:55 local")
+/** @param {string} stamp ISO instant @param {SheetMeta} meta */
+function otherZoneHM(stamp, meta) {
+  if (!stamp) return "";
+  const ms = Date.parse(stamp);
+  return meta.timeMode === "utc" ? epochToZonedHM(ms, meta.timeZone || DEFAULT_TIME_ZONE) + " local" : epochToZonedHM(ms, "UTC") + "Z";
+}
+
 function makeInitialRows() {
   // start empty; user can add Ferry or Load rows
   return [];
 }
 
+// PAX / LDG as typed → a whole number in 0..MAX_COUNT ("" and non-numbers stay blank)
+function countValue(v) {
+  const n = Math.floor(Number(v));
+  return String(v ?? "").trim() === "" || !Number.isFinite(n) ? "" : Math.min(Math.max(n, 0), MAX_COUNT);
+}
+
 // Compute next sequential load number (skips FERRY, ignores non-numeric Load values)
 /** @param {SimpleLogEntry[]} all */
 function nextLoadNumber(all) {
@@ -126,579 +607,4883 @@ function migrateSavedRows(rows) {
 
 /** @param {SimpleLogEntry} row */
 function clearEntry(row) {
-  return { ...row, "T/O": "", "L/D": "", "FLT/T": "", /* BLK/T manual */ "BLK/T": row["BLK/T"], FOB: "", "F/B": "", PAX: "", LDG: "", "F/UP": "", REMARKS: "" };
+  return { ...row, manifest: [], PIC: "", "OFF-BLK": "", "T/O": "", "L/D": "", "ON-BLK": "", "FLT/T": "", "BLK/T": "", FOB: "", "F/B": "", UPLIFT: "", PAX: "", LDG: "", "F/UP": "", REMARKS: "" };
 }
 
-// Build the printable HTML (pure string) so we can test it and print via iframe (no popups)
-function buildPrintHTML(meta, rowsForPrint) {
-  const style = [
-    '<style>',
-    'body{font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial; font-size:12px;}',
-    'h1{font-size:18px;margin:0 0 8px 0}',
-    'table{width:100%;border-collapse:collapse}',
-    'th,td{border:1px solid #000;padding:4px;text-align:left}',
-    '.meta{margin:8px 0 12px 0;display:flex;gap:12px;flex-wrap:wrap}',
-    '.meta div{padding:6px 8px;border:1px solid #ccc;border-radius:8px}',
-    '</style>'
-  ].join("");
-  const header = '<h1>Pilot Journey Log — Simple (V2)</h1>';
-  const metaBlock = [
-    '<div class="meta">',
-    '<div><strong>PILOT:</strong> ' + (meta.pilot || '') + '</div>',
-    '<div><strong>DZ:</strong> ' + (meta.dz || '') + '</div>',
-    '<div><strong>REG:</strong> ' + (meta.reg || '') + '</div>',
-    '<div><strong>DATE:</strong> ' + (meta.date || '') + '</div>',
-    '<div><strong>Flights:</strong> ' + meta.totals.flights + '</div>',
-    '<div><strong>PAX:</strong> ' + meta.totals.pax + '</div>',
-    '<div><strong>LDG:</strong> ' + meta.totals.ldg + '</div>',
-    '<div><strong>FLT/T:</strong> ' + meta.totals.flt + '</div>',
-    '<div><strong>FOB (Start):</strong> ' + (meta.fobStart || '') + ' lbs</div>',
-    '<div><strong>FOB (End):</strong> ' + (meta.lastFOB || '') + ' lbs</div>',
-    '</div>'
-  ].join("");
-  const headRow = '<thead><tr>' + COLS.map(function(c){ return '<th>' + c + '</th>'; }).join("") + '</tr></thead>';
-  const bodyRows = '<tbody>' + rowsForPrint.map(function(r){ return '<tr>' + COLS.map(function(c){ return '<td>' + ((r)[c] ?? '') + '</td>'; }).join("") + '</tr>'; }).join("") + '</tbody>';
-  return '<!doctype html><html><head><meta charset="utf-8"/>' + style + '</head><body>' + header + metaBlock + '<table>' + headRow + bodyRows + '</table></body></html>';
-}
-
-// Prepare matrix for PDF (no autotable plugin)
-function buildPdfMatrix(meta, rowsForPdf) {
-  const head = [COLS];
-  const body = rowsForPdf.map(r => COLS.map(c => String((r)[c] ?? "")));
-  const metaLines = [
-    'PILOT: ' + (meta.pilot || ''),
-    'DZ: ' + (meta.dz || ''),
-    'REG: ' + (meta.reg || ''),
-    'DATE: ' + (meta.date || ''),
-    'Flights: ' + meta.totals.flights,
-    'PAX: ' + meta.totals.pax,
-    'LDG: ' + meta.totals.ldg,
-    'FLT/T: ' + meta.totals.flt,
-    'FOB (Start): ' + (meta.fobStart || '') + ' lbs',
-    'FOB (End): ' + (meta.lastFOB || '') + ' lbs'
-  ];
-  return { head, body, metaLines };
-}
-
-function downloadPDF(meta, rowsForPdf) {
-  const { head, body, metaLines } = buildPdfMatrix(meta, rowsForPdf);
-  const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
-  const marginX = 40;
-  const marginY = 40;
-  const pageW = doc.internal.pageSize.getWidth();
-  const pageH = doc.internal.pageSize.getHeight();
-  const usableW = pageW - marginX * 2;
-  const rowH = 18; // table row height
-  let y = marginY;
-
-  // Title
-  doc.setFontSize(16);
-  doc.text("Pilot Journey Log — Simple (V2)", marginX, y);
-  y += 18;
-
-  // Meta block
-  doc.setFontSize(10);
-  const lineH = 14;
-  metaLines.forEach(line => { doc.text(line, marginX, y); y += lineH; });
-  y += 6;
-
-  // Compute column widths based on text widths
-  doc.setFontSize(8);
-  const pad = 6; // horizontal padding per cell
-  const widths = new Array(COLS.length).fill(0);
-  const measure = (txt) => doc.getTextWidth(String(txt));
-  head[0].forEach((h, i) => { widths[i] = Math.max(widths[i], measure(h) + pad); });
-  body.forEach(row => row.forEach((cell, i) => { widths[i] = Math.max(widths[i], measure(cell) + pad); }));
-  const totalW = widths.reduce((a, b) => a + b, 0);
-  const scale = totalW > usableW ? (usableW / totalW) : 1;
-  const colW = widths.map(w => w * scale);
-
-  // Draw header row
-  let x = marginX;
-  doc.setDrawColor(0);
-  doc.setLineWidth(0.5);
-  head[0].forEach((text, i) => {
-    doc.rect(x, y, colW[i], rowH);
-    doc.text(String(text), x + 3, y + 12);
-    x += colW[i];
-  });
-  y += rowH;
+// --- Fast entry (keyboard navigation between entry cells) ---
+// Entry inputs carry data-cell="<row id>|<column>"
+function cellId(rowId, col) { return rowId + "|" + col; }
 
-  // Draw body rows with pagination
-  body.forEach(row => {
-    if (y + rowH > pageH - marginY) {
-      doc.addPage();
-      y = marginY;
-      // redraw header on new page
-      let xh = marginX;
-      head[0].forEach((text, i) => {
-        doc.rect(xh, y, colW[i], rowH);
-        doc.text(String(text), xh + 3, y + 12);
-        xh += colW[i];
+function parseCellId(id) {
+  const s = String(id || "");
+  const i = s.indexOf("|");
+  return i < 0 ? null : { rowId: s.slice(0, i), col: s.slice(i + 1) };
+}
+
+// Cell reached from (rowId, col) in the visible row order: "next" = Enter (next FAST_ENTRY_COLS field, then the
+// next row's first), "up" / "down" same column, "left" / "right" neighbouring column. null at the edges.
+/** @param {string[]} rowIds @returns {{rowId: string, col: string}|null} */
+function nextEntryCell(rowIds, rowId, col, move) {
+  const r = rowIds.indexOf(rowId);
+  const at = ENTRY_NAV_COLS.indexOf(col);
+  if (r < 0 || at < 0) return null;
+  if (move === "up" || move === "down") {
+    const t = r + (move === "down" ? 1 : -1);
+    return t >= 0 && t < rowIds.length ? { rowId: rowIds[t], col } : null;
+  }
+  if (move === "left" || move === "right") {
+    const c = ENTRY_NAV_COLS[at + (move === "right" ? 1 : -1)];
+    return c ? { rowId, col: c } : null;
+  }
+  const after = FAST_ENTRY_COLS.find(c => ENTRY_NAV_COLS.indexOf(c) > at);
+  if (after) return { rowId, col: after };
+  return r + 1 < rowIds.length ? { rowId: rowIds[r + 1], col: FAST_ENTRY_COLS[0] } : null;
+}
+
+// Block-time sanity for one row: OFF-BLK ≤ T/O ≤ L/D ≤ ON-BLK and BLK/T ≥ FLT/T. Consecutive times may cross
+// midnight as in calcBlock; a step back of less than 12 h is read as out of order. Returns messages ([] when fine).
+/** @param {SimpleLogEntry} row */
+function checkBlockTimes(row) {
+  const issues = [];
+  const isHM = (v) => /^\d{1,2}:\d{2}$/.test(String(v ?? ""));
+  const given = TIME_COLS.filter(c => clockMinutes(row[c]) !== null);
+  for (let i = 1; i < given.length; i++) {
+    const step = (clockMinutes(row[given[i]]) - clockMinutes(row[given[i - 1]]) + 24 * 60) % (24 * 60);
+    if (step > 12 * 60) issues.push(given[i - 1] + " " + row[given[i - 1]] + " is after " + given[i] + " " + row[given[i]]);
+  }
+  if (isHM(row["BLK/T"]) && isHM(row["FLT/T"]) && hmToMinutes(row["BLK/T"]) < hmToMinutes(row["FLT/T"])) {
+    issues.push("BLK/T " + row["BLK/T"] + " is less than FLT/T " + row["FLT/T"]);
+  }
+  return issues;
+}
+
+// Time problems per row id: checkBlockTimes, invalid entries, flights (T/O → L/D) overlapping another row's,
+// and block times outside DUTY START → DUTY END (rows whose own times are out of order are left out of the
+// last two). Needs no DATE: without one the chronology is worked out on a placeholder day in UTC.
+/** @param {SimpleLogEntry[]} list @param {SheetMeta} meta @returns {Object<string, string[]>} */
+function checkSheetTimes(list, meta) {
+  const dated = /^\d{4}-\d{2}-\d{2}$/.test(meta.date || "") && isValidTimeZone(sheetClockZone(meta));
+  const m = dated ? meta : { ...meta, date: "2000-01-01", timeMode: "utc" };
+  const stamped = stampSheet(list, m);
+  const ms = (r, c) => (r.stamps[c] ? Date.parse(r.stamps[c]) : null);
+  const crew = sheetCrew(m);
+  const rowIssues = stamped.map(checkBlockTimes);
+  const ordered = (i) => !rowIssues[i].some(x => / is after /.test(x));
+  const out = {};
+  stamped.forEach((r, i) => {
+    const issues = [];
+    TIME_COLS.forEach(c => { const e = parseTimeInput(r[c]).error; if (e) issues.push(c + ": " + e); });
+    issues.push(...rowIssues[i]);
+    out[r.id] = issues;
+    if (!ordered(i)) return;
+    const from = ms(r, "T/O");
+    const to = ms(r, "L/D");
+    if (from !== null && to !== null) {
+      stamped.forEach((o, j) => {
+        const oFrom = ms(o, "T/O");
+        const oTo = ms(o, "L/D");
+        if (j !== i && ordered(j) && oFrom !== null && oTo !== null && from < oTo && oFrom < to) issues.push("Flight overlaps Load " + o.Load + " (" + o["T/O"] + "–" + o["L/D"] + ")");
       });
-      y += rowH;
     }
-    let xc = marginX;
-    row.forEach((cell, i) => {
-      doc.rect(xc, y, colW[i], rowH);
-      const txt = String(cell);
-      // simple clip: truncate long text
-      let shown = txt;
-      const maxW = colW[i] - 6;
-      while (doc.getTextWidth(shown) > maxW && shown.length > 0) {
-        shown = shown.slice(0, -1);
-      }
-      doc.text(shown, xc + 3, y + 12);
-      xc += colW[i];
-    });
-    y += rowH;
+    // Against the PIC's duty window (PILOT's unless the load names another crew member)
+    const pic = crew.find(c => crewKey(c.name) === crewKey(rowPIC(r, m)));
+    const span = pic ? dutySpan(m, pic.dutyStart, pic.dutyEnd) : null;
+    const who = pic && pic.id ? " (" + pic.name.trim() + ")" : "";
+    const times = TIME_COLS.map(c => ms(r, c)).filter(t => t !== null);
+    if (times.length && span && Math.min(...times) < span.start) issues.push("Starts before DUTY START " + pic.dutyStart + who);
+    if (times.length && span && span.end !== null && Math.max(...times) > span.end) issues.push("Ends after DUTY END " + pic.dutyEnd + who);
   });
+  return out;
+}
 
-  const nameBits = [meta.date || "", meta.reg || "", meta.pilot || ""].filter(Boolean).join("_").split(' ').join('-');
-  const filename = nameBits ? ('pilot_journey_log_' + nameBits + '.pdf') : 'pilot_journey_log.pdf';
-  doc.save(filename);
+// Numeric cell value (FOB, F/B, UPLIFT, settings); null when blank or not a number
+function fuelNum(v) {
+  const s = String(v ?? "").trim();
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
 }
 
-// --- Self-tests (console) ---
-function runSelfTests() {
-  const tests = []; // { name, got, expected, pass }
-  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
-  push("hmToMinutes 01:30", hmToMinutes("01:30"), 90);
-  push("hmToMinutes bad", hmToMinutes("xx"), 0);
-  push("minutesToHM 90", minutesToHM(90), "01:30");
-  push("calcBlock 10:10→11:40", calcBlock("10:10", "11:40"), "01:30");
-  push("calcBlock midnight", calcBlock("23:30", "00:10"), "00:40");
-  push("calcDuty 07:15→18:05", calcDuty("07:15", "18:05"), "10:50");
-  push("calcDuty midnight", calcDuty("22:00", "06:00"), "08:00");
-  const span = calcBlock("09:00", "09:45");
-  push("T/O→L/D → FLT/T", span, "00:45");
-  // extra tests
-  push("calcBlock missing input", calcBlock("", "09:45"), "");
-  // nextLoadNumber tests
-  const tmp = [ { id: "a", Load: "1" }, { id: "b", Load: "2" } ];
-  push("nextLoadNumber [1,2] → 3", nextLoadNumber(tmp), 3);
-  push("nextLoadNumber [] → 1", nextLoadNumber([]), 1);
-  // new edge cases
-  push("nextLoadNumber ignores FERRY", nextLoadNumber([{ id: FERRY_ID, Load: "FERRY" }]), 1);
-  push("nextLoadNumber skips non-numeric", nextLoadNumber([{ id: "x", Load: "FERRY" }, { id: "y", Load: "7" }]), 8);
-  const htmlTest = buildPrintHTML({ pilot: '', dz: '', reg: '', date: '', totals: { flights: 0, pax: 0, ldg: 0, flt: '00:00' }, fobStart: '', lastFOB: '' }, []);
-  push("buildPrintHTML basic", htmlTest.indexOf('<table>') >= 0, true);
-  push("buildPrintHTML columns", COLS.every(function(c){ return htmlTest.indexOf('<th>' + c + '</th>') >= 0; }), true);
-  const pdfMat = buildPdfMatrix({ pilot: 'P', dz: 'DZ', reg: 'A6-XXX', date: '2025-01-01', totals: { flights: 2, pax: 10, ldg: 2, flt: '01:20' }, fobStart: '500', lastFOB: '300' }, [{ Load: '1' }, { Load: '2' }]);
-  push("buildPdfMatrix head size", pdfMat.head[0].length, COLS.length);
-  push("buildPdfMatrix body rows", pdfMat.body.length, 2);
-  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
-  // eslint-disable-next-line no-console
-  console.log("[Simple V2]", result, tests);
+// A row counts as a flight once any of its times is filled in; blank and pre-created loads do not
+/** @param {SimpleLogEntry} r */
+function isFlownRow(r) {
+  return [...TIME_COLS, "FLT/T", "BLK/T"].some(c => String(r[c] ?? "").trim() !== "");
 }
 
-export default function PilotJourneyLogSimpleV2() {
-  /** @type {SimpleLogEntry[]} */
-  const [rows, setRows] = useState([]);
-  const [search, setSearch] = useState("");
-  const [dutyStart, setDutyStart] = useState("");
-  const [dutyEnd, setDutyEnd] = useState("");
+// Flights / PAX / LDG / FLT/T / BLK/T over the given rows, plus fuel burned (lbs) and average burn per flight hour.
+// PAX and LDG count flown rows only, like Flights.
+/** @param {SimpleLogEntry[]} list */
+function sheetTotals(list) {
+  const flown = list.filter(isFlownRow);
+  const pax = flown.reduce((a, r) => a + (typeof r.PAX === "number" ? r.PAX : 0), 0);
+  const ldg = flown.reduce((a, r) => a + (typeof r.LDG === "number" ? r.LDG : 0), 0);
+  const totalMins = list.reduce((a, r) => a + hmToMinutes(String(r["FLT/T"] ?? "")), 0);
+  const blockMins = list.reduce((a, r) => a + hmToMinutes(String(r["BLK/T"] ?? "")), 0);
+  const fuelBurned = list.reduce((a, r) => a + (fuelNum(r["F/B"]) ?? 0), 0);
+  const burnPerHour = totalMins > 0 && fuelBurned > 0 ? Math.round(fuelBurned / (totalMins / 60)) : "";
+  return { pax, ldg, flt: minutesToHM(totalMins), blk: minutesToHM(blockMins), flights: flown.length, fuelBurned, burnPerHour };
+}
 
-  // Header
-  const [pilot, setPilot] = useState("");
-  const [dz, setDz] = useState("");
-  const [reg, setReg] = useState("");
-  const [date, setDate] = useState("");
-  const [fobStart, setFobStart] = useState(""); // manual FOB (Start) for the day
-  
-  // Lifecycle
-  const [isClosed, setIsClosed] = useState(false);
+// Expected FOB per row (sheet order): the previous row's FOB − its F/B, plus this row's UPLIFT.
+// The first row starts from FOB (Start); a blank FOB carries its expected value forward.
+// Flags |FOB − expected| > tolerance, and FOB or landing fuel (FOB − F/B) below the reserve.
+/** @param {SimpleLogEntry[]} list @returns {Object<string, {expected: number|null, diff: number|null, discrepancy: boolean, belowReserve: boolean}>} */
+function checkFuel(list, fobStart, tolerance, reserve) {
+  const tol = fuelNum(tolerance) ?? 0;
+  const min = fuelNum(reserve);
+  const out = {};
+  let carry = fuelNum(fobStart);
+  list.forEach(r => {
+    const fob = fuelNum(r.FOB);
+    const burn = fuelNum(r["F/B"]);
+    const expected = carry === null ? null : carry + (fuelNum(r.UPLIFT) ?? 0);
+    const diff = expected !== null && fob !== null ? fob - expected : null;
+    const base = fob ?? expected;
+    const landing = base !== null && burn !== null ? base - burn : null;
+    out[r.id] = {
+      expected,
+      diff,
+      discrepancy: diff !== null && Math.abs(diff) > tol,
+      belowReserve: min !== null && [fob, landing].some(v => v !== null && v < min),
+    };
+    carry = base === null ? null : base - (burn ?? 0);
+  });
+  return out;
+}
 
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem(LS_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        const migrated = migrateSavedRows(parsed);
-        setRows(migrated);
-        if (JSON.stringify(parsed) !== JSON.stringify(migrated)) {
-          localStorage.setItem(LS_KEY, JSON.stringify(migrated));
-        }
-      }
-      else {
-        const seeded = makeInitialRows();
-        setRows(seeded);
-        localStorage.setItem(LS_KEY, JSON.stringify(seeded));
-      }
-    } catch {
-      const seeded = makeInitialRows();
-      setRows(seeded);
-      localStorage.setItem(LS_KEY, JSON.stringify(seeded));
-    }
-    try {
-      const metaRaw = localStorage.getItem(LS_META_KEY);
-      if (metaRaw) {
-        const meta = JSON.parse(metaRaw);
-        setPilot(meta.pilot || "");
-        setDz(meta.dz || "");
-        setReg(meta.reg || "");
-        setDate(meta.date || "");
-        setFobStart(meta.fobStart || "");
-        setIsClosed(!!meta.isClosed);
-      }
-    } catch {}
-    runSelfTests();
-  }, []);
+// FOB of the last non-ferry load row (by sheet order)
+/** @param {SimpleLogEntry[]} list */
+function sheetLastFOB(list) {
+  const loads = list.filter(r => r.id !== FERRY_ID);
+  if (loads.length === 0) return "";
+  return String((loads[loads.length - 1])["FOB"] ?? "").trim();
+}
 
-  useEffect(() => { localStorage.setItem(LS_KEY, JSON.stringify(rows)); }, [rows]);
-  useEffect(() => { localStorage.setItem(LS_META_KEY, JSON.stringify({ pilot, dz, reg, date, isClosed, fobStart })); }, [pilot, dz, reg, date, isClosed, fobStart]);
+// FOB (Start) copied into the first flight's FOB: the first load, else FERRY. Only a blank FOB, or one that
+// still holds the previous FOB (Start) while it is being typed, is overwritten.
+/** @param {SimpleLogEntry[]} list */
+function seedFirstFOB(list, prevFobStart, fobStart) {
+  const loads = list.filter(r => r.id !== FERRY_ID);
+  const target = loads.length ? loads[0] : list.find(r => r.id === FERRY_ID);
+  if (!target || !fobStart) return list;
+  const cur = String(target.FOB ?? "");
+  if (cur !== "" && cur !== String(prevFobStart ?? "")) return list;
+  return list.map(r => (r.id === target.id ? { ...r, FOB: fobStart } : r));
+}
 
-  const pilotDuty = useMemo(() => calcDuty(dutyStart, dutyEnd), [dutyStart, dutyEnd]);
+/** @returns {SheetMeta} */
+function normalizeMeta(meta) {
+  const out = {};
+  SHEET_META_KEYS.forEach(k => { out[k] = meta && meta[k] != null ? String(meta[k]) : ""; });
+  if (out.timeMode !== "utc") out.timeMode = "local";
+  if (!out.timeZone) out.timeZone = DEFAULT_TIME_ZONE;
+  if (!isFuelUnit(out.fuelUnit)) out.fuelUnit = "";
+  out.crew = normalizeCrew(meta && meta.crew);
+  return /** @type {SheetMeta} */(out);
+}
 
-  const filtered = useMemo(() => {
-    const q = search.trim().toLowerCase();
-    if (!q) return rows;
-    return rows.filter((r) => COLS.some((c) => String((r)[c] ?? "").toLowerCase().includes(q)));
-  }, [rows, search]);
+// Build a working sheet from the legacy localStorage values (raw JSON strings or null)
+/** @returns {SheetRecord} */
+function sheetFromLegacy(rowsRaw, metaRaw) {
+  let rows = makeInitialRows();
+  let meta = {};
+  try { if (rowsRaw) rows = migrateSavedRows(JSON.parse(rowsRaw)); } catch {}
+  try { if (metaRaw) meta = JSON.parse(metaRaw) || {}; } catch {}
+  return { id: uid(), meta: normalizeMeta(meta), rows, isClosed: !!meta.isClosed };
+}
 
-  // When FOB (Start) is set, copy it into the first flight row FOB if it's empty
-  // Priority: first load row; if no loads exist yet, seed Ferry's FOB
-  useEffect(() => {
-    if (!fobStart) return;
-    setRows((prev) => {
-      const loads = prev.filter(r => r.id !== FERRY_ID);
-      const hasLoads = loads.length > 0;
-      const ferry = prev.find(r => r.id === FERRY_ID);
-      let changed = false;
-      const targetId = hasLoads ? loads[0].id : (ferry ? ferry.id : null);
-      if (!targetId) return prev;
-      const next = prev.map(r => {
-        if (r.id === targetId) {
-          const cur = String(r.FOB ?? "");
-          if (cur === "") { changed = true; return { ...r, FOB: fobStart }; }
-        }
-        return r;
-      });
-      return changed ? next : prev;
-    });
-  }, [fobStart]);
+// Open (unlocked) copy of a sheet with fresh ids; FERRY keeps its fixed id
+/** @param {SheetRecord} src @returns {SheetRecord} */
+function copySheet(src) {
+  const rows = (src.rows || []).map(r => ({ ...r, id: r.id === FERRY_ID ? FERRY_ID : uid() }));
+  return { id: uid(), meta: normalizeMeta(src.meta), rows, isClosed: false };
+}
 
-  const ferryRow = filtered.find(r => r.id === FERRY_ID); // may be undefined
-  const otherRows = filtered.filter(r => r.id !== FERRY_ID);
+// Newest day first; same day → most recently closed first
+/** @param {SheetRecord[]} list */
+function sortArchive(list) {
+  return [...list].sort((a, b) => (
+    String(b.meta.date).localeCompare(String(a.meta.date)) || String(b.closedAt || "").localeCompare(String(a.closedAt || ""))
+  ));
+}
 
-  const totals = useMemo(() => {
-    const pax = otherRows.reduce((a, r) => a + (typeof r.PAX === "number" ? r.PAX : 0), 0) + (ferryRow && typeof ferryRow.PAX === "number" ? ferryRow.PAX : 0);
-    const ldg = otherRows.reduce((a, r) => a + (typeof r.LDG === "number" ? r.LDG : 0), 0) + (ferryRow && typeof ferryRow.LDG === "number" ? ferryRow.LDG : 0);
-    const totalMins = (ferryRow ? hmToMinutes(String(ferryRow["FLT/T"])) : 0) + otherRows.reduce((a, r) => a + hmToMinutes(String(r["FLT/T"])) , 0);
-    return { pax, ldg, flt: minutesToHM(totalMins), flights: filtered.length };
-  }, [filtered, ferryRow, otherRows]);
+// --- Crew ---
+// PILOT (with DUTY START / END) is always the first crew member; meta.crew holds the others.
+// A load's PIC names its pilot; a blank PIC means PILOT.
 
-  // Mirror single FOB value from the last non-ferry load row (by current sheet order)
-  const lastFOB = useMemo(() => {
-    const loads = rows.filter(r => r.id !== FERRY_ID);
-    if (loads.length === 0) return "";
-    const v = String((loads[loads.length - 1])["FOB"] ?? "").trim();
-    return v;
-  }, [rows]);
+/** @returns {CrewMember} */
+function makeCrewMember(fields) {
+  return { id: (fields && fields.id) || uid(), name: String((fields && fields.name) ?? ""), dutyStart: String((fields && fields.dutyStart) ?? ""), dutyEnd: String((fields && fields.dutyEnd) ?? "") };
+}
 
-  function addRow() {
-    if (isClosed) return;
-    setRows((r) => {
-      const idxFerry = r.findIndex(x => x.id === FERRY_ID);
-      const hasLoads = r.some(x => x.id !== FERRY_ID);
-      const newRow = { id: uid(), Load: String(nextLoadNumber(r)), "T/O": "", "L/D": "", "FLT/T": "", "BLK/T": "", FOB: hasLoads ? "" : (fobStart || ""), "F/B": "", PAX: "", LDG: "", "F/UP": "", REMARKS: "" };
-      if (idxFerry >= 0) { const copy = [...r]; copy.splice(idxFerry + 1, 0, newRow); return copy; }
-      return [...r, newRow];
-    });
-  }
+/** @returns {CrewMember[]} */
+function normalizeCrew(list) {
+  return (Array.isArray(list) ? list : []).filter(c => c && typeof c === "object").map(makeCrewMember);
+}
 
-  function addFerryRow() {
-    if (isClosed) return;
-    setRows((r) => {
-      if (r.some(x => x.id === FERRY_ID)) return r; // already present
-      // Seed ferry FOB with FOB (Start) if provided
-      const ferry = { id: FERRY_ID, Load: "FERRY", "T/O": "", "L/D": "", "FLT/T": "", "BLK/T": "", FOB: (fobStart || ""), "F/B": "", PAX: "", LDG: "", "F/UP": "", REMARKS: "" };
-      return [ferry, ...r];
-    });
-  }
+function crewKey(name) { return String(name ?? "").trim().toLowerCase(); }
 
-  function updateRow(id, key, value) {
-    if (isClosed) return;
-    setRows((prev) => prev.map((row) => {
-      if (row.id !== id) return row;
-      const next = { ...row, [key]: key === "PAX" || key === "LDG" ? (value === "" ? "" : Number(value)) : value };
-      if ((key === "T/O" || key === "L/D") && (next["T/O"] || next["L/D"])) {
-        const span = calcBlock(String(next["T/O"] || ""), String(next["L/D"] || ""));
-        next["FLT/T"] = span || ""; // BLK/T stays manual
-      }
-      return next;
-    }));
-  }
+/** @param {SheetMeta} meta @returns {CrewMember[]} PILOT first (id "") */
+function sheetCrew(meta) {
+  return [{ id: "", name: String(meta.pilot ?? ""), dutyStart: String(meta.dutyStart ?? ""), dutyEnd: String(meta.dutyEnd ?? "") }, ...normalizeCrew(meta.crew)];
+}
 
-  function setNow(id, key) { if (isClosed) return; updateRow(id, key, nowHHMM()); }
-  function deleteRow(id) { if (isClosed) return; setRows((r) => r.filter((x) => x.id !== id)); }
-  function clearRow(id) { if (isClosed) return; setRows((prev) => prev.map((row) => (row.id === id ? clearEntry(row) : row))); }
+/** @param {SheetMeta} meta @returns {CrewMember|null} */
+function findCrewMember(meta, name) {
+  return sheetCrew(meta).find(c => crewKey(c.name) === crewKey(name)) || null;
+}
 
-  function exportCSV() {
-    const header = COLS.join(",");
-    const body = rows.map((row) => COLS.map((c) => (row)[c] ?? "").toString()).join("\n");
-    const csv = header + "\n" + body;
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a"); a.href = url; a.download = "pilot_journey_log_simple_v2.csv"; a.click(); URL.revokeObjectURL(url);
-  }
+/** @param {SimpleLogEntry} row @param {SheetMeta} meta */
+function rowPIC(row, meta) {
+  return String(row.PIC ?? "").trim() || String(meta.pilot ?? "").trim();
+}
 
-  function importCSV(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      const text = String(reader.result || "");
-      const lines = text.split(/\r?\n/).filter(Boolean);
-      if (lines.length < 2) return;
-      const header = lines[0].split(",");
-      const ok = COLS.every((c, i) => (header[i] ? header[i].trim() : "") === c);
-      if (!ok) { alert("CSV header mismatch. Expected: " + COLS.join(", ")); return; }
-      /** @type {SimpleLogEntry[]} */
-      const imported = lines.slice(1).map((line) => {
-        const cells = line.split(",");
-        const obj = { id: uid() };
-        COLS.forEach((c, i) => {
-          const v = cells[i] ?? "";
-          if (c === "PAX" || c === "LDG") obj[c] = v === "" ? "" : Number(v); else obj[c] = v;
-        });
-        const span = calcBlock(obj["T/O"], obj["L/D"]);
-        if (!obj["FLT/T"]) obj["FLT/T"] = span; // BLK/T remains as-is
-        if (obj.Load === "FERRY") obj.id = FERRY_ID;
-        return /** @type {SimpleLogEntry} */(obj);
-      });
-      setRows(() => imported); // replace whole sheet
-    };
-    reader.readAsText(file);
-  }
+// Crew as one line (audit trail, seals): "Name 08:00–16:00; …"
+/** @param {CrewMember[]} [list] */
+function crewSummary(list) {
+  return normalizeCrew(list).map(c => (c.name.trim() || "(unnamed)") + " " + (c.dutyStart || "--:--") + "–" + (c.dutyEnd || "--:--")).join("; ");
+}
 
-  function closeFlight() { setIsClosed(true); localStorage.setItem(LS_META_KEY, JSON.stringify({ pilot, dz, reg, date, isClosed: true, fobStart })); }
+// Per-pilot totals and duty: every crew member (even without loads), then any PIC who is not on the crew
+/** @param {SimpleLogEntry[]} list @param {SheetMeta} meta */
+function crewBreakdown(list, meta) {
+  const groups = sheetCrew(meta).filter((c, i) => i === 0 || c.name.trim()).map(c => ({ key: crewKey(c.name), name: c.name.trim(), onCrew: true, duty: sheetDutyTime(meta, c), rows: [] }));
+  list.forEach(r => {
+    const name = rowPIC(r, meta);
+    let g = groups.find(x => x.key === crewKey(name));
+    if (!g) { g = { key: crewKey(name), name, onCrew: false, duty: "", rows: [] }; groups.push(g); }
+    g.rows.push(r);
+  });
+  return groups.map(g => {
+    const t = sheetTotals(g.rows);
+    return { name: g.name, onCrew: g.onCrew, duty: g.duty, flights: t.flights, pax: t.pax, ldg: t.ldg, flt: t.flt, blk: t.blk };
+  });
+}
 
-  function printPDF() {
-    // Prefer iframe-based print to avoid popup blockers
-    const html = buildPrintHTML({ pilot, dz, reg, date, totals, fobStart, lastFOB }, rows);
-    const iframe = document.createElement('iframe');
-    iframe.style.position = 'fixed';
-    iframe.style.right = '0';
-    iframe.style.bottom = '0';
-    iframe.style.width = '0';
-    iframe.style.height = '0';
-    iframe.style.border = '0';
-    document.body.appendChild(iframe);
-    const doc = iframe.contentWindow && iframe.contentWindow.document;
-    if (!doc) {
-      // Fallback to popup if iframe not accessible
-      const win = window.open("", "_blank");
-      if (win) {
-        win.document.write(html);
-        win.document.close();
-        win.focus();
-        try { win.print(); } catch {}
-        try { win.close(); } catch {}
-      } else {
-        alert('Unable to open print preview. Please allow popups and try again.');
-      }
-      return;
-    }
-    doc.open();
-    doc.write(html);
-    doc.close();
-    const w = iframe.contentWindow;
-    setTimeout(() => {
-      try { w.focus(); w.print(); } catch {}
-      setTimeout(() => { try { document.body.removeChild(iframe); } catch {} }, 500);
-    }, 250);
-  }
+// Cells for the per-pilot summary table (CREW_SUMMARY_COLS) in print / PDF
+function crewSummaryRecords(breakdown) {
+  return (breakdown || []).map(p => [p.name || "--", p.duty || "", String(p.flights), String(p.pax), String(p.ldg), p.flt, p.blk]);
+}
 
-  function newFlight() {
-    // Start a fresh, unlocked sheet. Keep header fields; reset rows; clear isClosed.
-    const fresh = makeInitialRows();
-    setRows(fresh);
-    setIsClosed(false);
-    try {
-      localStorage.setItem(LS_KEY, JSON.stringify(fresh));
-      localStorage.setItem(LS_META_KEY, JSON.stringify({ pilot, dz, reg, date, isClosed: false, fobStart }));
-    } catch {}
-  }
+// --- Aircraft registry ---
+/** @returns {AircraftProfile} */
+function makeAircraft(fields) {
+  const out = {};
+  AIRCRAFT_FIELDS.forEach(f => { out[f.key] = fields && fields[f.key] != null ? String(fields[f.key]) : ""; });
+  out.reg = out.reg.trim().toUpperCase();
+  out.maintenance = normalizeMaintenance(fields && fields.maintenance);
+  return /** @type {AircraftProfile} */(out);
+}
 
-  return (
-    <div className="p-6 max-w-6xl mx-auto space-y-4">
-      <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
-        <div>
-          <h1 className="text-2xl font-semibold">Pilot Journey Log — Simple (V2)</h1>
-          <p className="text-sm text-muted-foreground">Ferry optional • Add Ferry Row • Add Load Row • FOB/F/B in lbs • Now buttons • CSV • Local storage</p>
-        </div>
-        <div className="flex gap-2">
-          {isClosed && (
-            <Button onClick={newFlight}>
-              <Plus className="h-4 w-4 mr-1" /> New Flight
+/** @returns {PilotRef} */
+function makePilotRef(fields) {
+  return { name: String((fields && fields.name) ?? "").trim(), licence: String((fields && fields.licence) ?? "").trim() };
+}
+
+/** @param {AircraftProfile[]} registry @returns {AircraftProfile|null} */
+function findAircraft(registry, reg) {
+  const key = String(reg || "").trim().toUpperCase();
+  if (!key) return null;
+  return (registry || []).find(a => a.reg === key) || null;
+}
+
+// Row PAX / FOB / manifest weight against the aircraft's seats, fuel capacity and payload ("" when fine);
+// the fuel message is worded in the sheet's fuel unit
+/** @param {SimpleLogEntry} row @param {AircraftProfile|null} aircraft @param {import("./pilot_journey_log_units").FuelUnit} [fuel] */
+function checkRowAgainstAircraft(row, aircraft, fuel = resolveFuelUnit(null, null)) {
+  const out = { pax: "", fob: "", payload: "" };
+  if (!aircraft) return out;
+  const maxPax = fuelNum(aircraft.maxPax);
+  const maxFuel = fuelNum(aircraft.maxFuel);
+  const maxPayload = fuelNum(aircraft.maxPayload);
+  const pax = fuelNum(row.PAX);
+  const fob = fuelNum(row.FOB);
+  const payload = manifestWeight(row.manifest);
+  if (maxPax !== null && pax !== null && pax > maxPax) out.pax = "max " + maxPax + " seats";
+  if (maxFuel !== null && fob !== null && fob > maxFuel) out.fob = "max " + formatFuel(maxFuel, fuel) + " " + fuelUnitLabel(fuel.unit);
+  if (maxPayload !== null && payload > maxPayload) out.payload = "payload " + payload + " lbs over max " + maxPayload + " lbs";
+  return out;
+}
+
+// --- DZ templates ---
+// A template pre-fills a new sheet for one drop zone; ops share them between tablets as a JSON file.
+
+/** @returns {SheetTemplate} */
+function makeTemplate(fields) {
+  const out = { id: String((fields && fields.id) || uid()) };
+  TEMPLATE_FIELDS.forEach(f => { out[f.key] = fields && fields[f.key] != null ? String(fields[f.key]).trim() : ""; });
+  out.reg = out.reg.toUpperCase();
+  const loads = Math.floor(Number(out.loads));
+  out.loads = out.loads === "" || !Number.isFinite(loads) ? "" : String(Math.min(Math.max(loads, 0), MAX_TEMPLATE_LOADS));
+  out.timeMode = fields && fields.timeMode === "utc" ? "utc" : "local";
+  const remarks = fields && fields.remarks;
+  out.remarks = (Array.isArray(remarks) ? remarks : String(remarks ?? "").split("\n")).map(x => String(x ?? "").trim()).filter(Boolean);
+  return /** @type {SheetTemplate} */(out);
+}
+
+/** @param {SheetTemplate[]} list @returns {SheetTemplate|null} */
+function findTemplate(list, dz) {
+  const key = String(dz || "").trim().toLowerCase();
+  if (!key) return null;
+  return (list || []).find(t => t.dz.toLowerCase() === key) || null;
+}
+
+// New open sheet from a template on DATE. prev (the sheet being replaced) supplies PILOT when the template has
+// none, the crew names and — for the same REG — the Hobbs / tacho readings to carry on from, as New Flight does.
+/** @param {SheetTemplate} tpl @param {AircraftProfile[]} registry @param {SheetMeta} [prev] @returns {SheetRecord} */
+function sheetFromTemplate(tpl, date, registry, prev) {
+  const last = prev ? normalizeMeta(prev) : null;
+  const sameReg = !!last && !!tpl.reg && last.reg.trim().toUpperCase() === tpl.reg;
+  const meta = normalizeMeta({
+    pilot: tpl.pilot || (last ? last.pilot : ""), dz: tpl.dz, reg: tpl.reg, date, fobStart: tpl.fobStart,
+    timeMode: tpl.timeMode, timeZone: tpl.timeZone,
+    hobbsStart: sameReg ? last.hobbsEnd : "", tachoStart: sameReg ? last.tachoEnd : "",
+    crew: last ? last.crew.map(c => ({ ...c, dutyStart: "", dutyEnd: "" })) : [],
+  });
+  const aircraft = findAircraft(registry, tpl.reg);
+  const rows = [];
+  for (let i = 0; i < Number(tpl.loads || 0); i++) {
+    const d = newLoadDefaults(rows, meta.fobStart, aircraft);
+    rows.push({ id: uid(), Load: String(i + 1), PIC: "", "OFF-BLK": "", "T/O": "", "L/D": "", "ON-BLK": "", "FLT/T": "", "BLK/T": "", FOB: d.FOB, "F/B": "", UPLIFT: "", PAX: d.PAX, LDG: d.LDG, "F/UP": "", REMARKS: "" });
+  }
+  return { id: uid(), meta, rows, isClosed: false };
+}
+
+/** @param {SheetTemplate[]} list */
+function templateFileJSON(list) {
+  return JSON.stringify({ kind: TEMPLATE_FILE_KIND, version: 1, templates: list }, null, 2);
+}
+
+// One template as read from a file, before makeTemplate fills the defaults
+const TEMPLATE_SCHEMA = {
+  type: "object", additionalProperties: false,
+  properties: {
+    ...Object.fromEntries(TEMPLATE_FIELDS.map(f => [f.key, { type: "string", maxLength: MAX_TEXT_LENGTH }])),
+    id: { type: "string", maxLength: MAX_TEXT_LENGTH },
+    loads: { type: ["integer", "string"], minimum: 0, maximum: MAX_TEMPLATE_LOADS, maxLength: 2 },
+    timeMode: { enum: ["local", "utc"] },
+    remarks: { type: "array", maxItems: MAX_TEMPLATE_REMARKS, items: { type: "string", maxLength: MAX_TEXT_LENGTH } },
+  },
+};
+
+// Templates from an exported file (or a bare array of them); throws with a readable message
+/** @returns {SheetTemplate[]} */
+function parseTemplateFile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a JSON file"); }
+  const list = Array.isArray(data) ? data : data && data.kind === TEMPLATE_FILE_KIND ? data.templates : null;
+  if (!Array.isArray(list)) throw new Error("Expected a template file exported from this app");
+  return list.map((t, i) => {
+    const errors = validate(TEMPLATE_SCHEMA, t).map(formatValidationError);
+    if (errors.length) throw new Error("Template " + (i + 1) + ": " + errors.join("; "));
+    if (!String(t.dz ?? "").trim()) throw new Error("Template " + (i + 1) + " has no DZ");
+    return makeTemplate(t);
+  });
+}
+
+// Templates are the same when they share DZ and name
+/** @param {SheetTemplate} t */
+function templateKey(t) { return t.dz.toLowerCase() + "|" + t.name.toLowerCase(); }
+
+// --- Maintenance: meter readings, airframe counters ---
+// Counters and inspection intervals are worked out by pilot_journey_log_maintenance.js from one AirframeDay per sheet.
+
+/** @param {SheetRecord} sheet @returns {AirframeDay} */
+function sheetAirframeDay(sheet) {
+  const meta = normalizeMeta(sheet.meta);
+  const t = sheetTotals(sheet.rows || []);
+  return { date: meta.date, fltMins: hmToMinutes(t.flt), blkMins: hmToMinutes(t.blk), landings: t.ldg, hobbsStart: meta.hobbsStart, hobbsEnd: meta.hobbsEnd, tachoStart: meta.tachoStart, tachoEnd: meta.tachoEnd };
+}
+
+// Counters and due / overdue inspections for one aircraft over the sheets flown on it (pass each sheet once)
+/** @param {AircraftProfile} aircraft @param {SheetRecord[]} sheets @param {string} asOf YYYY-MM-DD */
+function aircraftMaintenance(aircraft, sheets, asOf) {
+  const days = sheets.filter(s => String(s.meta.reg || "").trim().toUpperCase() === aircraft.reg).map(sheetAirframeDay);
+  const counters = aircraftCounters(aircraft.maintenance, days);
+  return { counters, findings: checkInspections(aircraft.maintenance, counters, asOf) };
+}
+
+// --- Jumper manifest ---
+/** @returns {ManifestJumper} */
+function makeJumper(fields) {
+  const out = { id: (fields && fields.id) || uid(), jumpType: JUMP_TYPES[0], pairWith: "" };
+  MANIFEST_FIELDS.forEach(f => { out[f.key] = fields && fields[f.key] != null ? String(fields[f.key]) : ""; });
+  if (fields && JUMP_TYPES.includes(fields.jumpType)) out.jumpType = fields.jumpType;
+  if (fields && fields.pairWith) out.pairWith = String(fields.pairWith);
+  return /** @type {ManifestJumper} */(out);
+}
+
+/** @param {ManifestJumper[]} [list] */
+function manifestWeight(list) {
+  return (list || []).reduce((a, j) => a + (fuelNum(j.weight) ?? 0), 0);
+}
+
+// Pair two jumpers (and unpair whoever they were with); pairWith "" unpairs
+/** @param {ManifestJumper[]} list @returns {ManifestJumper[]} */
+function setJumperPair(list, id, pairWith) {
+  const old = list.find(j => j.id === id);
+  const drop = new Set([id, pairWith, old && old.pairWith].filter(Boolean));
+  return list.map(j => {
+    if (j.id === id) return { ...j, pairWith };
+    if (pairWith && j.id === pairWith) return { ...j, pairWith: id };
+    if (drop.has(j.pairWith)) return { ...j, pairWith: "" };
+    return j;
+  });
+}
+
+// "an AFF instructor", "a Tandem passenger"
+function withArticle(word) {
+  return (/^[aeiou]/i.test(word) ? "an " : "a ") + word;
+}
+
+// Manifest problems: missing names, unpaired tandem / AFF jumpers, pairing the wrong types.
+// Returns { [jumperId]: message } (only jumpers with a problem).
+/** @param {ManifestJumper[]} [list] */
+function checkManifest(list) {
+  const out = {};
+  const byId = {};
+  (list || []).forEach(j => { byId[j.id] = j; });
+  (list || []).forEach(j => {
+    const partner = j.pairWith ? byId[j.pairWith] : null;
+    const needs = PAIRED_JUMP_TYPES[j.jumpType];
+    if (!j.name.trim()) out[j.id] = "Name is required";
+    else if (j.pairWith && !partner) out[j.id] = "Paired jumper is not on this load";
+    else if (needs && !partner) out[j.id] = j.jumpType + " needs " + withArticle(needs);
+    else if (partner && needs && partner.jumpType !== needs) out[j.id] = j.jumpType + " must be paired with " + withArticle(needs);
+  });
+  return out;
+}
+
+// A load's jumpers without their ids (seal payload, sheet CSV): name, licence, jump type, exit alt, weight
+// and the partner's 1-based position on the load ("" when unpaired)
+/** @param {ManifestJumper[]} [jumpers] @returns {string[][]} */
+function manifestCells(jumpers) {
+  const list = jumpers || [];
+  return list.map(j => {
+    const partnerIdx = j.pairWith ? list.findIndex(x => x.id === j.pairWith) : -1;
+    return [j.name, j.licence, j.jumpType, j.exitAlt, j.weight, partnerIdx >= 0 ? String(partnerIdx + 1) : ""].map(v => String(v ?? ""));
+  });
+}
+
+// One record per jumper (sheet order), columns as MANIFEST_COLS
+/** @param {SimpleLogEntry[]} list */
+function manifestRecords(list) {
+  const out = [];
+  list.forEach(r => {
+    const jumpers = r.manifest || [];
+    jumpers.forEach((j, i) => {
+      const partnerIdx = jumpers.findIndex(x => x.id === j.pairWith);
+      const partner = partnerIdx >= 0 ? "#" + (partnerIdx + 1) + " " + jumpers[partnerIdx].name : "";
+      out.push([String(r.Load), String(i + 1), j.name, j.licence, j.jumpType, j.exitAlt, j.weight, partner]);
+    });
+  });
+  return out;
+}
+
+// Print / PDF appendix: the jumper records plus a bold total line (jumpers, weight) after each load
+/** @param {SimpleLogEntry[]} list @returns {Array<{cells: string[], total: boolean}>} */
+function manifestAppendixRecords(list) {
+  const out = [];
+  list.forEach(r => {
+    if (!r.manifest || r.manifest.length === 0) return;
+    manifestRecords([r]).forEach(cells => out.push({ cells, total: false }));
+    out.push({ cells: ["", "", "Load " + r.Load + " total: " + r.manifest.length + " jumper(s)", "", "", "", String(manifestWeight(r.manifest)), ""], total: true });
+  });
+  return out;
+}
+
+// Manifest as its own CSV: sheet header block, blank row, then one line per jumper
+/** @param {SheetMeta} meta @param {SimpleLogEntry[]} list */
+function buildManifestCSV(meta, list) {
+  const records = CSV_META_FIELDS.map(([label, k]) => [label, meta[k] ?? ""]);
+  records.push([]);
+  records.push(MANIFEST_COLS);
+  manifestRecords(list).forEach(r => records.push(r));
+  return toCSV(records);
+}
+
+// Defaults for a new load row: FOB carried over from the previous row's landing fuel (FOB Start for the
+// first load). PAX and LDG stay blank until the load lands (landedDefaults), so unflown loads count nothing.
+/** @param {SimpleLogEntry[]} list @param {AircraftProfile|null} aircraft */
+function newLoadDefaults(list, fobStart, aircraft) {
+  const loads = list.filter(r => r.id !== FERRY_ID);
+  let FOB = "";
+  if (loads.length === 0) {
+    FOB = fobStart || "";
+  } else {
+    const last = list[list.length - 1];
+    const check = checkFuel(list, fobStart, "", "")[last.id];
+    const base = fuelNum(last.FOB) ?? check.expected;
+    const burn = fuelNum(last["F/B"]);
+    if (base !== null && burn !== null) FOB = String(base - burn);
+  }
+  const maxFuel = aircraft ? fuelNum(aircraft.maxFuel) : null;
+  if (FOB !== "" && maxFuel !== null && Number(FOB) > maxFuel) FOB = String(maxFuel);
+  return { FOB, PAX: "", LDG: "" };
+}
+
+// A row given its first L/D: with a registry profile, blank LDG becomes 1 and a load's blank PAX full seats
+// (unless a manifest counts them)
+/** @param {SimpleLogEntry} row @param {AircraftProfile|null} aircraft */
+function landedDefaults(row, aircraft) {
+  if (!aircraft) return row;
+  const maxPax = fuelNum(aircraft.maxPax);
+  const n = { ...row };
+  if (n.id !== FERRY_ID && n.PAX === "" && maxPax !== null && !(n.manifest && n.manifest.length)) n.PAX = countValue(maxPax);
+  if (n.LDG === "") n.LDG = 1;
+  return n;
+}
+
+// One pilot's day on a sheet: their duty window and the loads they flew as PIC
+/** @param {SheetRecord} sheet @param {string} [name] crew member (default PILOT) @returns {FtlDay} */
+function sheetFtlDay(sheet, name) {
+  const meta = normalizeMeta(sheet.meta);
+  const member = (name === undefined ? null : findCrewMember(meta, name)) || sheetCrew(meta)[0];
+  const flown = (sheet.rows || []).filter(r => crewKey(rowPIC(r, meta)) === crewKey(member.name));
+  const dutyMins = sheetDutyMinutes(meta, member);
+  return { date: meta.date, dutyStart: member.dutyStart, dutyEnd: member.dutyEnd, flightMins: hmToMinutes(sheetTotals(flown).flt), ...(dutyMins === null ? {} : { dutyMins }) };
+}
+
+// Meta object expected by buildPrintHTML / buildPdfMatrix
+/** @param {SheetRecord} sheet @param {AircraftProfile[]} [registry] aircraft the fuel unit may come from */
+function sheetPrintMeta(sheet, registry = []) {
+  const { pilot, dz, reg, date, fobStart } = sheet.meta;
+  const meta = normalizeMeta(sheet.meta);
+  return { pilot, dz, reg, date, fobStart, fuel: resolveFuelUnit(meta, findAircraft(registry, meta.reg)), times: timeZoneLabel(meta), totals: sheetTotals(sheet.rows), lastFOB: sheetLastFOB(sheet.rows), seal: latestSeal(sheet), crew: crewBreakdown(sheet.rows, meta) };
+}
+
+// --- CSV (RFC 4180) ---
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) || s !== s.trim() ? '"' + s.split('"').join('""') + '"' : s;
+}
+
+// Table header for a column: fuel columns carry their unit, "FOB (lbs)"
+function csvColumnHeader(c) {
+  return FUEL_COLS.includes(c) ? c + " (" + CANONICAL_FUEL_UNIT + ")" : c;
+}
+
+/** @param {Array<Array<string|number>>} records */
+function toCSV(records) {
+  return records.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Records (arrays of strings); quoted fields may hold commas, quotes ("") and line breaks
+function parseCSV(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i += 2; }
+      else if (ch === '"') { quoted = false; i++; }
+      else { field += ch; i++; }
+    } else if (ch === '"' && field === "") { quoted = true; i++; }
+    else if (ch === ",") { record.push(field); field = ""; i++; }
+    else if (ch === "\r" || ch === "\n") {
+      record.push(field); records.push(record); record = []; field = "";
+      i += ch === "\r" && s[i + 1] === "\n" ? 2 : 1;
+    } else { field += ch; i++; }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || record.length) { record.push(field); records.push(record); }
+  return records;
+}
+
+/** @param {SheetMeta} meta @param {SimpleLogEntry[]} list @param {SheetSeal|null} [seal] */
+function buildSheetCSV(meta, list, seal) {
+  const records = CSV_META_FIELDS.map(([label, key]) => [label, meta[key] ?? ""]);
+  normalizeCrew(meta.crew).forEach(c => records.push(["CREW", c.name, c.dutyStart, c.dutyEnd]));
+  list.forEach(r => manifestCells(r.manifest).forEach((cells, i) => records.push(["JUMPER", r.Load ?? "", String(i + 1), ...cells])));
+  if (seal) {
+    const flat = { closedAt: seal.closedAt, sealedAt: seal.sealedAt, digest: seal.digest, signatureType: seal.signature.type, signatureName: seal.signature.name, signatureImage: seal.signature.image || "" };
+    CSV_SEAL_FIELDS.forEach(([label, key]) => records.push([label, flat[key]]));
+    records.push(["SEAL COLUMNS", ...seal.cols]);
+    records.push(["SEAL HEADER", ...seal.metaKeys]);
+  }
+  records.push([]);
+  records.push(COLS.map(csvColumnHeader));
+  list.forEach(r => records.push(COLS.map(c => (r)[c] ?? "")));
+  return toCSV(records);
+}
+
+// Row-level checks for imported rows (empty list when fine)
+/** @param {SimpleLogEntry} r */
+function validateImportedRow(r) {
+  const errors = [];
+  if (!String(r.Load).trim()) errors.push("Load is empty");
+  TIME_COLS.forEach(c => { const e = parseTimeInput(r[c]).error; if (e) errors.push(c + ": " + e); });
+  ["FLT/T", "BLK/T"].forEach(c => { if (r[c] && !/^\d{1,2}:[0-5]\d$/.test(r[c])) errors.push(c + " \"" + r[c] + "\" is not HH:MM"); });
+  FUEL_COLS.forEach(c => { if (String(r[c] ?? "") !== "" && fuelNum(r[c]) === null) errors.push(c + " \"" + r[c] + "\" is not a number"); });
+  ["PAX", "LDG"].forEach(c => { if (r[c] !== "" && !(Number.isInteger(r[c]) && r[c] >= 0)) errors.push(c + " must be a whole number ≥ 0"); });
+  // Lengths and ranges of the stored sheet, for the columns that passed the checks above
+  COLS.forEach(c => {
+    if (errors.some(e => e.startsWith(c + " ") || e.startsWith(c + ":"))) return;
+    const e = validate(STORED_ROW_SCHEMA.properties[c], r[c] ?? "")[0];
+    if (e) errors.push(c + " " + e.message);
+  });
+  const jumperError = r.manifest ? validate(STORED_ROW_SCHEMA.properties.manifest, r.manifest)[0] : null;
+  if (jumperError) errors.push("Manifest " + formatValidationError(jumperError));
+  return errors;
+}
+
+// Jumpers back from manifestCells records (new ids, pairs by position). exact keeps an unknown jump type as
+// written so a tampered file does not verify.
+/** @param {string[][]} cells @returns {ManifestJumper[]} */
+function manifestFromCells(cells, exact) {
+  const list = cells.map(([name, licence, jumpType, exitAlt, weight]) => {
+    const j = makeJumper({ name, licence, jumpType, exitAlt, weight });
+    return exact ? { ...j, jumpType: String(jumpType ?? "") } : j;
+  });
+  return list.map((j, i) => {
+    const partner = list[Number(cells[i][5]) - 1];
+    return partner && partner !== j ? { ...j, pairWith: partner.id } : j;
+  });
+}
+
+// Parse an exported (or hand-made) sheet CSV: optional header block (meta, CREW, JUMPER lines per load, seal),
+// then a table whose columns are matched to COLS by name in any order. Missing columns are left blank. A fuel column headed with another
+// unit ("UPLIFT (L)") is converted to lbs, volumes through the file's FUEL DENSITY.
+// exact (Verify File): header values and cells are kept as written, with no trimming, number or time
+// normalisation or derived FLT/T / BLK/T, so they hash as they were sealed; rows are not checked.
+/** @param {{exact?: boolean}} [options] */
+function parseSheetCSV(text, options) {
+  const exact = !!(options && options.exact);
+  const keep = (v) => (exact ? String(v ?? "") : String(v ?? "").trim());
+  const result = { meta: {}, hasMeta: false, seal: null, rows: [], warnings: [], error: "" };
+  let records;
+  try { records = parseCSV(text); } catch (err) { result.error = String((err && err.message) || err); return result; }
+  const norm = (v) => String(v ?? "").trim().toLowerCase();
+  const blockLabels = [...CSV_META_FIELDS, ...CSV_SEAL_FIELDS].map(([label]) => norm(label)).concat(["seal columns", "seal header", "crew", "jumper"]);
+  const headerIdx = records.findIndex(r => !blockLabels.includes(norm(r[0])) && r.some(c => norm(c) === "load"));
+  if (headerIdx < 0) { result.error = "No table header with a Load column found. Expected columns: " + COLS.join(", "); return result; }
+  const sealFlat = {};
+  const jumperCells = {}; // Load (upper case) → [name, licence, jump type, exit alt, weight, partner #] per jumper
+  records.slice(0, headerIdx).forEach(r => {
+    const f = CSV_META_FIELDS.find(([label]) => norm(label) === norm(r[0]));
+    if (f) { result.meta[f[1]] = keep(r[1]); result.hasMeta = true; }
+    const sf = CSV_SEAL_FIELDS.find(([label]) => norm(label) === norm(r[0]));
+    if (sf) sealFlat[sf[1]] = String(r[1] ?? "");
+    if (norm(r[0]) === "seal columns") sealFlat.cols = r.slice(1);
+    if (norm(r[0]) === "seal header") sealFlat.metaKeys = r.slice(1);
+    if (norm(r[0]) === "crew") {
+      result.meta.crew = [...(result.meta.crew || []), makeCrewMember({ name: keep(r[1]), dutyStart: keep(r[2]), dutyEnd: keep(r[3]) })];
+      result.hasMeta = true;
+    }
+    if (norm(r[0]) === "jumper") {
+      const load = String(r[1] ?? "").trim().toUpperCase();
+      jumperCells[load] = [...(jumperCells[load] || []), r.slice(3, 9).map(keep)];
+    }
+  });
+  const metaErrors = exact ? [] : validate(STORED_SHEET_SCHEMA.$defs.meta, normalizeMeta(result.meta), STORED_SHEET_SCHEMA).map(formatValidationError);
+  if (metaErrors.length) { result.error = "Header block: " + metaErrors.join("; "); return result; }
+  if (sealFlat.digest) {
+    result.seal = {
+      algorithm: "SHA-256", digest: sealFlat.digest.trim(), closedAt: sealFlat.closedAt || "", sealedAt: sealFlat.sealedAt || "",
+      cols: sealFlat.cols || COLS, metaKeys: sealFlat.metaKeys || SHEET_META_KEYS,
+      signature: { type: sealFlat.signatureType === "drawn" ? "drawn" : "typed", name: sealFlat.signatureName || "", image: sealFlat.signatureImage || "" },
+    };
+  }
+  const colIndex = {};
+  const colUnit = {};
+  records[headerIdx].forEach((h, i) => {
+    const unitMatch = /^(.*?)\s*\(([^)]*)\)\s*$/.exec(String(h));
+    const unit = unitMatch && FUEL_UNITS.find(u => [norm(u.key), norm(u.label)].includes(norm(unitMatch[2])));
+    const c = COLS.find(x => norm(x) === norm(h)) || (unit ? FUEL_COLS.find(x => norm(x) === norm(unitMatch[1])) : undefined);
+    if (c) { colIndex[c] = i; if (unit && FUEL_COLS.includes(c)) colUnit[c] = unit.key; }
+    else if (String(h).trim()) result.warnings.push("Unknown column \"" + String(h).trim() + "\" ignored");
+  });
+  const missing = COLS.filter(c => colIndex[c] === undefined && c !== "PIC"); // files from before crew support: blank PIC = PILOT
+  if (missing.length) result.warnings.push("Missing column(s) left blank: " + missing.join(", "));
+  const seen = {};
+  records.slice(headerIdx + 1).forEach((cells, i) => {
+    if (cells.every(c => String(c).trim() === "")) return;
+    const obj = { id: uid() };
+    COLS.forEach(c => {
+      const raw = colIndex[c] === undefined ? "" : String(cells[colIndex[c]] ?? "");
+      const v = raw.trim();
+      if (exact) obj[c] = raw;
+      else if (c === "PAX" || c === "LDG") obj[c] = v === "" ? "" : Number(v); else obj[c] = NOTE_COLS.includes(c) ? raw : v;
+      if (colUnit[c] && !(exact && colUnit[c] === CANONICAL_FUEL_UNIT)) obj[c] = fuelFromDisplay(v, resolveFuelUnit({ fuelUnit: colUnit[c], fuelDensity: result.meta.fuelDensity }, null));
+    });
+    if (!exact) {
+      TIME_COLS.forEach(c => { const t = parseTimeInput(obj[c]); if (t.value) obj[c] = t.value; });
+      if (!obj["FLT/T"]) obj["FLT/T"] = calcBlock(obj["T/O"], obj["L/D"]);
+      if (!obj["BLK/T"]) obj["BLK/T"] = calcBlock(obj["OFF-BLK"], obj["ON-BLK"]);
+    }
+    if (String(obj.Load).trim().toUpperCase() === "FERRY") { if (!exact) obj.Load = "FERRY"; obj.id = FERRY_ID; }
+    const key = String(obj.Load).trim().toUpperCase();
+    if (jumperCells[key] && !seen[key]) obj.manifest = manifestFromCells(jumperCells[key], exact);
+    const errors = exact ? [] : validateImportedRow(/** @type {SimpleLogEntry} */(obj));
+    if (key && seen[key]) errors.push("Duplicate Load " + obj.Load + " (row " + seen[key] + ")");
+    if (key && !seen[key]) seen[key] = i + 1;
+    result.rows.push({ index: i + 1, row: /** @type {SimpleLogEntry} */(obj), errors });
+  });
+  return result;
+}
+
+// Combine valid imported rows with the sheet:
+// replace → imported rows only; append → added at the end (clashing Load numbers renumbered);
+// merge → rows with the same Load are overwritten in place, the rest appended. FERRY stays first.
+/** @param {SimpleLogEntry[]} existing @param {SimpleLogEntry[]} incoming @param {"append"|"replace"|"merge"} mode */
+function mergeImportedRows(existing, incoming, mode) {
+  const ferryFirst = (list) => [...list.filter(r => r.id === FERRY_ID), ...list.filter(r => r.id !== FERRY_ID)];
+  if (mode === "replace") return ferryFirst(incoming);
+  const key = (r) => String(r.Load).trim().toUpperCase();
+  let out = [...existing];
+  incoming.forEach(r => {
+    const idx = mode === "merge" ? out.findIndex(x => key(x) === key(r)) : -1;
+    if (idx >= 0) { out[idx] = { ...r, id: out[idx].id }; return; }
+    if (r.id === FERRY_ID) {
+      if (!out.some(x => x.id === FERRY_ID)) out = [r, ...out];
+      return;
+    }
+    const clash = out.some(x => key(x) === key(r));
+    out.push(clash ? { ...r, Load: String(nextLoadNumber(out)) } : r);
+  });
+  return ferryFirst(out);
+}
+
+// --- Sealing (tamper evidence) ---
+// Key-sorted, whitespace-free JSON so the same content always hashes the same
+function canonicalJSON(v) {
+  if (Array.isArray(v)) return "[" + v.map(canonicalJSON).join(",") + "]";
+  if (v && typeof v === "object") {
+    return "{" + Object.keys(v).filter(k => v[k] !== undefined).sort().map(k => JSON.stringify(k) + ":" + canonicalJSON(v[k])).join(",") + "}";
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+// What the digest covers. Values are compared as strings (PAX 5 and "5" seal the same, as after a CSV round trip).
+/** @param {SheetSeal|{cols: string[], metaKeys: string[], closedAt: string, sealedAt: string, signature: SheetSignature}} seal */
+function sealPayload(meta, list, seal) {
+  const m = {};
+  seal.metaKeys.forEach(k => { m[k] = k === "crew" ? crewSummary((meta || {}).crew) : String((meta || {})[k] ?? ""); });
+  return {
+    meta: m,
+    rows: list.map(r => { const o = {}; seal.cols.forEach(c => { o[c] = c === "manifest" ? manifestCells(r.manifest) : String(r[c] ?? ""); }); return o; }),
+    closedAt: seal.closedAt,
+    sealedAt: seal.sealedAt,
+    signature: { type: seal.signature.type, name: String(seal.signature.name || ""), image: String(seal.signature.image || "") },
+  };
+}
+
+async function sha256Hex(text) {
+  if (typeof crypto === "undefined" || !crypto.subtle) throw new Error("Web Crypto is not available (the app must be served over HTTPS)");
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** @param {SheetSignature} signature @returns {Promise<SheetSeal>} */
+async function sealSheet(meta, list, closedAt, signature, reason) {
+  const seal = { algorithm: "SHA-256", digest: "", closedAt, sealedAt: new Date().toISOString(), cols: [...SEAL_COLS], metaKeys: [...SEAL_META_KEYS], signature };
+  if (reason) seal.reason = reason;
+  seal.digest = await sha256Hex(canonicalJSON(sealPayload(meta, list, seal)));
+  return seal;
+}
+
+/** @param {SheetSeal} seal @returns {Promise<{ok: boolean, actual: string}>} */
+async function verifySeal(meta, list, seal) {
+  const actual = await sha256Hex(canonicalJSON(sealPayload(meta, list, seal)));
+  return { ok: actual === seal.digest, actual };
+}
+
+/** @param {SheetRecord} sheet @returns {SheetSeal|null} */
+function latestSeal(sheet) {
+  const seals = (sheet && sheet.seals) || [];
+  return seals.length ? seals[seals.length - 1] : null;
+}
+
+// Archive "Sync" column: where a sheet stands with the server
+/** @param {SyncOutbox} outbox */
+function syncLabel(outbox, id) {
+  const item = outbox.items.find((x) => x.id === id);
+  if (item) return item.status === "conflict" ? "conflict" : "queued";
+  return id in outbox.synced ? "v" + outbox.synced[id] : "";
+}
+
+// Sync version of a closed sheet: one per seal (Close Flight, then each amendment that changed it)
+/** @param {SheetRecord} sheet */
+function sheetVersion(sheet) {
+  return Math.max(1, ((sheet && sheet.seals) || []).length);
+}
+
+// --- Audit trail ---
+/** @param {SimpleLogEntry} r */
+function rowSummary(r) {
+  return COLS.filter(c => c !== "Load" && String(r[c] ?? "") !== "").map(c => c + " " + r[c]).join("; ");
+}
+
+// Field-level changes between two states of a sheet (header fields, rows added / deleted, cells)
+/** @returns {Array<{target: string, load: string, field: string, from: string, to: string}>} */
+function diffSheet(prevRows, prevMeta, nextRows, nextMeta) {
+  const out = [];
+  CSV_META_FIELDS.forEach(([label, k]) => {
+    const from = String(prevMeta[k] ?? "");
+    const to = String(nextMeta[k] ?? "");
+    if (from !== to) out.push({ target: "meta", load: "HEADER", field: label, from, to });
+  });
+  const crewFrom = crewSummary(prevMeta.crew);
+  const crewTo = crewSummary(nextMeta.crew);
+  if (crewFrom !== crewTo) out.push({ target: "meta", load: "HEADER", field: "CREW", from: crewFrom, to: crewTo });
+  const prevById = {};
+  prevRows.forEach(r => { prevById[r.id] = r; });
+  const nextIds = {};
+  nextRows.forEach(r => { nextIds[r.id] = true; });
+  prevRows.forEach(r => { if (!nextIds[r.id]) out.push({ target: r.id, load: String(r.Load), field: "(row)", from: rowSummary(r) || "(blank)", to: "deleted" }); });
+  nextRows.forEach(r => {
+    const p = prevById[r.id];
+    if (!p) { out.push({ target: r.id, load: String(r.Load), field: "(row)", from: "", to: "added" }); return; }
+    COLS.forEach(c => {
+      const from = String(p[c] ?? "");
+      const to = String(r[c] ?? "");
+      if (from !== to) out.push({ target: r.id, load: String(r.Load), field: c, from, to });
+    });
+    const manifestFrom = manifestSummary(p.manifest);
+    const manifestTo = manifestSummary(r.manifest);
+    if (manifestFrom !== manifestTo) out.push({ target: r.id, load: String(r.Load), field: "MANIFEST", from: manifestFrom, to: manifestTo });
+  });
+  return out;
+}
+
+/** @param {ManifestJumper[]} [list] */
+function manifestSummary(list) {
+  return (list || []).map(j => [j.name, j.licence, j.jumpType, j.exitAlt && j.exitAlt + " ft", j.weight && j.weight + " lbs"].filter(Boolean).join(" ")).join("; ");
+}
+
+// Append one change; a follow-up edit of the same field within EDIT_COALESCE_MS updates the last entry
+// (and drops it when the field is back at its old value).
+/** @param {AuditEntry[]} log @returns {AuditEntry[]} */
+function appendAudit(log, entry, nowMs) {
+  const at = new Date(nowMs).toISOString();
+  const last = log[log.length - 1];
+  const same = last && last.kind === entry.kind && last.target === entry.target && last.field === entry.field
+    && (last.reason || "") === (entry.reason || "") && nowMs - Date.parse(last.at) < EDIT_COALESCE_MS;
+  if (same && entry.field !== "(row)") {
+    if (last.from === entry.to) return log.slice(0, -1);
+    return [...log.slice(0, -1), { ...last, to: entry.to, at }];
+  }
+  return [...log, { ...entry, at }];
+}
+
+// Original (pre-amendment) value per "target|field"
+/** @param {AuditEntry[]} log */
+function amendedOriginals(log) {
+  const out = {};
+  (log || []).forEach(e => {
+    const k = e.target + "|" + e.field;
+    if (e.kind === "amendment" && !(k in out)) out[k] = e.from;
+  });
+  return out;
+}
+
+// --- Reports: rolling pilot / airframe totals over archived sheets ---
+// labels: "reports.window.<key>" in MESSAGES
+const REPORT_WINDOWS = [
+  { key: "d7", days: 7 },
+  { key: "d28", days: 28 },
+  { key: "d90", days: 90 },
+  { key: "m12", months: 12 },
+];
+
+function todayISO() {
+  const d = new Date();
+  return d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+}
+
+// "YYYY-MM-DD" → whole days since epoch (NaN when not a date)
+function dateToDayNumber(ymd) {
+  const m = String(ymd || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return NaN;
+  return Math.round(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 86400000);
+}
+
+// First day (exclusive) of a window ending on asOf: a sheet counts when start < day <= asOf
+function windowStartDay(asOf, win) {
+  const end = dateToDayNumber(asOf);
+  if (win.days) return end - win.days;
+  const m = String(asOf).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const back = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1 - win.months, Number(m[3])));
+  return Math.round(back.getTime() / 86400000);
+}
+
+function emptyWindowTotals() {
+  const out = {};
+  REPORT_WINDOWS.forEach(w => { out[w.key] = { mins: 0, ldg: 0, pax: 0 }; });
+  return out;
+}
+
+// Rolling FLT/T, LDG and PAX per pilot (from each load's PIC) and per REG, plus lifetime hours per airframe.
+// Sheets without a DATE only count towards the lifetime figures.
+/** @param {SheetRecord[]} sheets @param {string} asOf YYYY-MM-DD */
+function buildRollingReport(sheets, asOf) {
+  const asOfDay = dateToDayNumber(asOf);
+  const starts = {};
+  REPORT_WINDOWS.forEach(w => { starts[w.key] = Number.isFinite(asOfDay) ? windowStartDay(asOf, w) : NaN; });
+  const pilots = {};
+  const aircraft = {};
+  (sheets || []).forEach(s => {
+    const t = sheetTotals(s.rows || []);
+    const mins = hmToMinutes(t.flt);
+    const day = dateToDayNumber(s.meta.date);
+    const regName = String(s.meta.reg || "").trim().toUpperCase() || "(no REG)";
+    const a = aircraft[regName] || (aircraft[regName] = { reg: regName, windows: emptyWindowTotals(), lifetimeMins: 0, lifetimeLdg: 0 });
+    a.lifetimeMins += mins;
+    a.lifetimeLdg += t.ldg;
+    const inWindow = (w) => day > starts[w.key] && day <= asOfDay;
+    REPORT_WINDOWS.forEach(w => {
+      if (inWindow(w)) { a.windows[w.key].mins += mins; a.windows[w.key].ldg += t.ldg; a.windows[w.key].pax += t.pax; }
+    });
+    crewBreakdown(s.rows || [], normalizeMeta(s.meta)).forEach(c => {
+      const pilotName = c.name || "(no pilot)";
+      const p = pilots[pilotName] || (pilots[pilotName] = { name: pilotName, windows: emptyWindowTotals() });
+      REPORT_WINDOWS.forEach(w => {
+        if (inWindow(w)) { p.windows[w.key].mins += hmToMinutes(c.flt); p.windows[w.key].ldg += c.ldg; p.windows[w.key].pax += c.pax; }
+      });
+    });
+  });
+  const byKey = (k) => (x, y) => x[k].localeCompare(y[k]);
+  return {
+    pilots: Object.values(pilots).sort(byKey("name")),
+    aircraft: Object.values(aircraft).sort(byKey("reg")),
+  };
+}
+
+// --- Charts: loads per hour, FLT/T, FOB and PAX per load ---
+const CHART_SOURCES = ["sheet", "range"]; // labels: "source.<source>" in MESSAGES
+
+// Sheets dated from..to (inclusive; a blank bound is open), oldest first; live stands in for its archived copy
+/** @param {SheetRecord[]} archive @param {SheetRecord|null} live */
+function sheetsInRange(archive, live, from, to) {
+  const list = [...(archive || []).filter(s => !live || s.id !== live.id), ...(live ? [live] : [])];
+  return list
+    .filter(s => { const d = String(s.meta.date || ""); return d !== "" && (!from || d >= from) && (!to || d <= to); })
+    .sort((a, b) => String(a.meta.date).localeCompare(String(b.meta.date)) || String(a.closedAt || "").localeCompare(String(b.closedAt || "")));
+}
+
+// Chart points over one or more sheets (oldest first). Loads per hour buckets flown loads by the hour of T/O
+// (OFF-BLK without a T/O) as entered; FLT/T and PAX take flown loads, the FOB curve every row with a FOB.
+// Across several sheets a load is labelled with its date ("06-01 3").
+/** @param {SheetRecord[]} sheets @returns {{loadsPerHour: ChartPoint[], fltPerLoad: ChartPoint[], fob: ChartPoint[], pax: ChartPoint[]}} */
+function buildChartSeries(sheets) {
+  const multi = sheets.length > 1;
+  const hours = {};
+  const out = { loadsPerHour: [], fltPerLoad: [], fob: [], pax: [] };
+  sheets.forEach(s => {
+    const prefix = multi ? String(s.meta.date || "").slice(5) + " " : "";
+    (s.rows || []).forEach(r => {
+      const label = prefix + (r.id === FERRY_ID ? "FERRY" : String(r.Load ?? ""));
+      const fob = fuelNum(r.FOB);
+      if (fob !== null) out.fob.push({ label, value: fob });
+      if (!isFlownRow(r)) return;
+      out.fltPerLoad.push({ label, value: hmToMinutes(String(r["FLT/T"] ?? "")) });
+      out.pax.push({ label, value: typeof r.PAX === "number" ? r.PAX : 0 });
+      const start = clockMinutes(String(r["T/O"] || r["OFF-BLK"] || ""));
+      if (start !== null) { const h = Math.floor(start / 60); hours[h] = (hours[h] || 0) + 1; }
+    });
+  });
+  const used = Object.keys(hours).map(Number);
+  if (used.length) {
+    for (let h = Math.min(...used); h <= Math.max(...used); h++) out.loadsPerHour.push({ label: String(h).padStart(2, "0"), value: hours[h] || 0 });
+  }
+  return out;
+}
+
+// --- Exports: column mappings over COLS + header fields (file formats in pilot_journey_log_export.js) ---
+const EXPORT_SOURCES = [
+  ...COLS.map(c => ({ key: c, label: csvColumnHeader(c) })),
+  { key: "date", label: "DATE" },
+  { key: "pilot", label: "PILOT" },
+  { key: "dz", label: "DZ" },
+  { key: "reg", label: "REG" },
+  // worded sources are labelled by "export.source.<key>" in MESSAGES
+  { key: "aircraftType" },
+  { key: "pic" },
+  { key: "depTime" },
+  { key: "arrTime" },
+  { key: "totalHours" },
+  { key: "flightHours" },
+  { key: "times" },
+];
+const EXPORT_NUMBER_SOURCES = ["FOB", "F/B", "UPLIFT", "PAX", "LDG", "totalHours", "flightHours"];
+const EXPORT_KINDS = ["logbook", "xlsx"]; // labels: "export.kind.<kind>" and "export.kind.<kind>.hint" in MESSAGES
+/** @type {Object<string, ExportColumn[]>} */
+const DEFAULT_EXPORT_MAPPINGS = {
+  logbook: [
+    { header: "DATE", source: "date" }, { header: "AIRCRAFT TYPE", source: "aircraftType" }, { header: "REGISTRATION", source: "reg" },
+    { header: "PIC", source: "pic" }, { header: "DEPARTURE", source: "dz" }, { header: "DEP TIME", source: "depTime" },
+    { header: "ARRIVAL", source: "dz" }, { header: "ARR TIME", source: "arrTime" }, { header: "TOTAL TIME", source: "totalHours" },
+    { header: "LANDINGS", source: "LDG" }, { header: "TIMES IN", source: "times" }, { header: "REMARKS", source: "REMARKS" },
+  ],
+  xlsx: [
+    { header: "DATE", source: "date" }, { header: "REG", source: "reg" }, { header: "PILOT", source: "pilot" }, { header: "DZ", source: "dz" },
+    ...COLS.map(c => ({ header: csvColumnHeader(c), source: c })),
+  ],
+};
+const SHEET_SCHEMA_SPEC = {
+  cols: COLS, timeCols: TIME_COLS, durationCols: ["FLT/T", "BLK/T"], numberCols: ["PAX", "LDG"], noteCols: NOTE_COLS, metaKeys: SHEET_META_KEYS,
+  maxText: MAX_TEXT_LENGTH, maxNote: MAX_NOTE_LENGTH, maxCount: MAX_COUNT,
+};
+// JSON Schema of the sheets JSON export, from the same definitions the app stores
+const SHEETS_SCHEMA = buildSheetSchema(SHEET_SCHEMA_SPEC);
+// What a stored, synced or imported sheet is checked against. A working sheet may hold half-typed times ("093"),
+// so formats are left to the entry checks.
+const STORED_SHEET_SCHEMA = buildSheetSchema({ ...SHEET_SCHEMA_SPEC, formats: false });
+const STORED_ROW_SCHEMA = STORED_SHEET_SCHEMA.$defs.row;
+
+// Problems that keep a sheet from being loaded ([] when it is fine)
+/** @returns {string[]} */
+function sheetRecordErrors(record) {
+  return validate(STORED_SHEET_SCHEMA.$defs.sheet, record, STORED_SHEET_SCHEMA).map(formatValidationError);
+}
+
+/** @param {string} source @param {string[]} errors @returns {QuarantinedRecord} */
+function quarantineRecord(source, record, errors) {
+  return { id: uid(), source, quarantinedAt: new Date().toISOString(), errors, record };
+}
+
+// Saved mappings with unknown sources dropped; an empty or missing mapping falls back to the default
+/** @returns {Object<string, ExportColumn[]>} */
+function normalizeExportMappings(saved) {
+  const out = {};
+  EXPORT_KINDS.forEach((key) => {
+    const list = saved && Array.isArray(saved[key]) ? saved[key] : [];
+    const cols = list.filter(c => c && EXPORT_SOURCES.some(x => x.key === c.source)).map(c => ({ header: String(c.header ?? ""), source: c.source }));
+    out[key] = cols.length ? cols : DEFAULT_EXPORT_MAPPINGS[key];
+  });
+  return out;
+}
+
+function decimalHours(mins) { return Math.round((mins / 60) * 100) / 100; }
+
+// One exported cell; numbers come back as numbers ("" when blank) so spreadsheets can sum them
+/** @param {SimpleLogEntry} row @param {SheetMeta} meta @param {AircraftProfile|null} aircraft */
+function exportCellValue(source, row, meta, aircraft) {
+  let v;
+  switch (source) {
+    case "date": case "pilot": case "dz": case "reg": v = meta[source]; break;
+    case "aircraftType": v = aircraft ? aircraft.type : ""; break;
+    case "pic": v = rowPIC(row, meta); break;
+    case "depTime": v = row["OFF-BLK"] || row["T/O"]; break;
+    case "arrTime": v = row["ON-BLK"] || row["L/D"]; break;
+    case "totalHours": v = String(row["BLK/T"] || row["FLT/T"] || "") ? decimalHours(hmToMinutes(String(row["BLK/T"] || row["FLT/T"]))) : ""; break;
+    case "flightHours": v = row["FLT/T"] ? decimalHours(hmToMinutes(String(row["FLT/T"]))) : ""; break;
+    case "times": v = meta.timeMode === "utc" ? "UTC" : meta.timeZone; break;
+    case "Load": v = row.id === FERRY_ID ? "FERRY" : row.Load; break;
+    default: v = row[source];
+  }
+  if (EXPORT_NUMBER_SOURCES.includes(source)) return fuelNum(v) ?? "";
+  return String(v ?? "");
+}
+
+// Header + one record per row over the sheets; flownOnly leaves out loads without a time (logbook)
+/** @param {ExportColumn[]} mapping @param {SheetRecord[]} sheets @param {AircraftProfile[]} registry */
+function exportRecords(mapping, sheets, registry, flownOnly) {
+  const records = [mapping.map(c => c.header)];
+  sheets.forEach(s => {
+    const meta = normalizeMeta(s.meta);
+    const aircraft = findAircraft(registry, meta.reg);
+    (s.rows || []).filter(r => !flownOnly || isFlownRow(r)).forEach(r => {
+      records.push(mapping.map(c => exportCellValue(c.source, r, meta, aircraft)));
+    });
+  });
+  return records;
+}
+
+// Totals worksheet: one line per sheet and a TOTAL line; hours as decimals so they add up in the spreadsheet
+/** @param {SheetRecord[]} sheets */
+function exportTotalsRecords(sheets) {
+  const records = [["DATE", "REG", "PILOT", "DZ", "Flights", "PAX", "LDG", "FLT/T h", "BLK/T h", "Fuel burned lbs"]];
+  const sum = { flights: 0, pax: 0, ldg: 0, flt: 0, blk: 0, fuel: 0 };
+  sheets.forEach(s => {
+    const t = sheetTotals(s.rows || []);
+    const flt = hmToMinutes(t.flt);
+    const blk = hmToMinutes(t.blk);
+    records.push([s.meta.date || "", s.meta.reg || "", s.meta.pilot || "", s.meta.dz || "", t.flights, t.pax, t.ldg, decimalHours(flt), decimalHours(blk), t.fuelBurned]);
+    sum.flights += t.flights; sum.pax += t.pax; sum.ldg += t.ldg; sum.flt += flt; sum.blk += blk; sum.fuel += t.fuelBurned;
+  });
+  records.push(["TOTAL", "", "", sheets.length + " sheet(s)", sum.flights, sum.pax, sum.ldg, decimalHours(sum.flt), decimalHours(sum.blk), sum.fuel]);
+  return records;
+}
+
+function downloadBlob(data, type, fileName) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a"); a.href = url; a.download = fileName; a.click(); URL.revokeObjectURL(url);
+}
+
+// --- Search & filter: query terms are read and matched by pilot_journey_log_query.js ---
+const SEARCH_SCOPES = ["sheet", "days"]; // labels: "search.scope.<scope>" in MESSAGES
+const MAX_SEARCH_RESULTS = 200;
+
+// Rows of the sheets matching the query; each row is matched with its sheet's header, fuel check, follow-ups
+// and fuel unit (fuel terms are in the unit the sheet is shown in)
+/** @param {ParsedQuery} query @param {SheetRecord[]} sheets @param {FollowUpItem[]} items @param {AircraftProfile[]} registry */
+function searchSheets(query, sheets, items, registry, tolerance) {
+  const out = [];
+  sheets.forEach(s => {
+    const meta = normalizeMeta(s.meta);
+    const ac = findAircraft(registry, meta.reg);
+    const fuel = checkFuel(s.rows || [], meta.fobStart, tolerance, ac ? ac.minReserve : "");
+    const byRow = followUpsByRow(items, s.id);
+    const shown = resolveFuelUnit(meta, ac);
+    const fuelShown = (v) => fuelToDisplay(v, shown);
+    (s.rows || []).forEach(r => {
+      if (matchRow(query, r, { meta, fuel: fuel[r.id], followUps: byRow[r.id] || [], fuelShown })) out.push({ sheet: s, row: r });
+    });
+  });
+  return out;
+}
+
+// Text (any value) as HTML: every user value in the printout goes through this, so a REMARKS of "<script>" prints as typed
+function escapeHTML(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+// Only inline raster images may be a signature src ("" otherwise), so a stored value cannot load or run anything
+function safeImageSrc(src) {
+  return /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/.test(String(src ?? "")) ? String(src) : "";
+}
+
+// Build the printable HTML (pure string) so we can test it and print via iframe (no popups)
+function buildPrintHTML(meta, rowsForPrint) {
+  const fuel = meta.fuel || resolveFuelUnit(null, null);
+  const unit = fuelUnitLabel(fuel.unit);
+  const style = [
+    '<style>',
+    'body{font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial; font-size:12px;}',
+    'h1{font-size:18px;margin:0 0 8px 0}',
+    'table{width:100%;border-collapse:collapse}',
+    'th,td{border:1px solid #000;padding:4px;text-align:left}',
+    '.meta{margin:8px 0 12px 0;display:flex;gap:12px;flex-wrap:wrap}',
+    '.meta div{padding:6px 8px;border:1px solid #ccc;border-radius:8px}',
+    '.seal{margin-top:12px;border-top:1px solid #000;padding-top:8px}',
+    '.seal img{height:48px;vertical-align:middle}',
+    '.appendix{page-break-before:always;font-size:16px;margin:0 0 8px 0}',
+    '.total td{font-weight:bold}',
+    '.crew{font-size:14px;margin:12px 0 4px 0}',
+    '</style>'
+  ].join("");
+  const header = '<h1>Pilot Journey Log — Simple (V2)</h1>';
+  const metaBlock = [
+    '<div class="meta">',
+    '<div><strong>PILOT:</strong> ' + escapeHTML(meta.pilot) + '</div>',
+    '<div><strong>DZ:</strong> ' + escapeHTML(meta.dz) + '</div>',
+    '<div><strong>REG:</strong> ' + escapeHTML(meta.reg) + '</div>',
+    '<div><strong>DATE:</strong> ' + escapeHTML(meta.date) + '</div>',
+    '<div><strong>Times:</strong> ' + escapeHTML(meta.times) + '</div>',
+    '<div><strong>Flights:</strong> ' + escapeHTML(meta.totals.flights) + '</div>',
+    '<div><strong>PAX:</strong> ' + escapeHTML(meta.totals.pax) + '</div>',
+    '<div><strong>LDG:</strong> ' + escapeHTML(meta.totals.ldg) + '</div>',
+    '<div><strong>FLT/T:</strong> ' + escapeHTML(meta.totals.flt) + '</div>',
+    '<div><strong>BLK/T:</strong> ' + escapeHTML(meta.totals.blk) + '</div>',
+    '<div><strong>FOB (Start):</strong> ' + escapeHTML(fuelToDisplay(meta.fobStart, fuel) + ' ' + unit) + '</div>',
+    '<div><strong>FOB (End):</strong> ' + escapeHTML(fuelToDisplay(meta.lastFOB, fuel) + ' ' + unit) + '</div>',
+    '<div><strong>Fuel burned:</strong> ' + escapeHTML(formatFuel(meta.totals.fuelBurned, fuel) + ' ' + unit) + '</div>',
+    '<div><strong>Avg burn:</strong> ' + escapeHTML(formatFuel(meta.totals.burnPerHour, fuel) + ' ' + unit + '/hr') + '</div>',
+    '</div>'
+  ].join("");
+  const seal = meta.seal;
+  const signatureSrc = seal ? safeImageSrc(seal.signature.image) : '';
+  const sealBlock = seal ? [
+    '<div class="seal">',
+    '<div><strong>Closed:</strong> ' + escapeHTML(seal.closedAt) + (seal.sealedAt && seal.sealedAt !== seal.closedAt ? ' (amended, re-sealed ' + escapeHTML(seal.sealedAt) + ')' : '') + '</div>',
+    '<div><strong>SHA-256:</strong> <code>' + escapeHTML(seal.digest) + '</code></div>',
+    '<div><strong>Pilot signature:</strong> ' + (signatureSrc ? '<img src="' + escapeHTML(signatureSrc) + '" alt="signature"/> ' : '') + escapeHTML(seal.signature.name) + '</div>',
+    '</div>'
+  ].join("") : '';
+  const headRow = '<thead><tr>' + COLS.map(function(c){ return '<th>' + escapeHTML(c + (FUEL_COLS.includes(c) ? ' (' + unit + ')' : '')) + '</th>'; }).join("") + '</tr></thead>';
+  const bodyRows = '<tbody>' + rowsForPrint.map(function(r){ return '<tr>' + COLS.map(function(c){ return '<td>' + escapeHTML(c === "PIC" ? rowPIC(r, meta) : FUEL_COLS.includes(c) ? fuelToDisplay(r[c], fuel) : r[c]) + '</td>'; }).join("") + '</tr>'; }).join("") + '</tbody>';
+  const crewRecords = crewSummaryRecords(meta.crew);
+  const crewBlock = crewRecords.length ? [
+    '<h2 class="crew">Per pilot</h2>',
+    '<table><thead><tr>' + CREW_SUMMARY_COLS.map(function(c){ return '<th>' + escapeHTML(c) + '</th>'; }).join("") + '</tr></thead>',
+    '<tbody>' + crewRecords.map(function(cells){ return '<tr>' + cells.map(function(v){ return '<td>' + escapeHTML(v) + '</td>'; }).join("") + '</tr>'; }).join("") + '</tbody></table>'
+  ].join("") : '';
+  const appendix = manifestAppendixRecords(rowsForPrint);
+  const manifestBlock = appendix.length ? [
+    '<h2 class="appendix">Appendix — Jumper Manifest</h2>',
+    '<table><thead><tr>' + MANIFEST_COLS.map(function(c){ return '<th>' + escapeHTML(c) + '</th>'; }).join("") + '</tr></thead>',
+    '<tbody>' + appendix.map(function(a){ return '<tr' + (a.total ? ' class="total"' : '') + '>' + a.cells.map(function(v){ return '<td>' + escapeHTML(v) + '</td>'; }).join("") + '</tr>'; }).join("") + '</tbody></table>'
+  ].join("") : '';
+  return '<!doctype html><html><head><meta charset="utf-8"/>' + style + '</head><body>' + header + metaBlock + '<table>' + headRow + bodyRows + '</table>' + crewBlock + sealBlock + manifestBlock + '</body></html>';
+}
+
+function printHTML(html) {
+  // Prefer iframe-based print to avoid popup blockers
+  const iframe = document.createElement('iframe');
+  iframe.style.position = 'fixed';
+  iframe.style.right = '0';
+  iframe.style.bottom = '0';
+  iframe.style.width = '0';
+  iframe.style.height = '0';
+  iframe.style.border = '0';
+  document.body.appendChild(iframe);
+  const doc = iframe.contentWindow && iframe.contentWindow.document;
+  if (!doc) {
+    // Fallback to popup if iframe not accessible
+    const win = window.open("", "_blank");
+    if (win) {
+      win.document.write(html);
+      win.document.close();
+      win.focus();
+      try { win.print(); } catch {}
+      try { win.close(); } catch {}
+    } else {
+      alert('Unable to open print preview. Please allow popups and try again.');
+    }
+    return;
+  }
+  doc.open();
+  doc.write(html);
+  doc.close();
+  const w = iframe.contentWindow;
+  setTimeout(() => {
+    try { w.focus(); w.print(); } catch {}
+    setTimeout(() => { try { document.body.removeChild(iframe); } catch {} }, 500);
+  }, 250);
+}
+
+// PDF page geometry (points). Layout = { size: key of PDF_PAGE_SIZES, orientation: "portrait"|"landscape" }
+const PDF_PAGE_SIZES = { a4: { label: "A4", w: 595.28, h: 841.89 }, letter: { label: "Letter", w: 612, h: 792 } };
+const PDF_ORIENTATIONS = ["landscape", "portrait"];
+const DEFAULT_PDF_LAYOUT = { size: "a4", orientation: "landscape" };
+const PDF = {
+  margin: 40,
+  titleSize: 16,
+  metaSize: 9,
+  metaCols: 4,      // meta block laid out in this many columns on page 1
+  metaLineH: 13,
+  cellSize: 8,
+  cellLineH: 10,
+  cellPadX: 3,
+  cellPadY: 4,
+  minRowH: 18,
+  minRemarksW: 90,
+  footerH: 16,      // reserved at the bottom of every page for "Page X of Y"
+  sealLineH: 12,
+  signatureImageH: 40,
+  signatureBlockH: 56, // pilot + DZ signature lines
+};
+
+/** @param {{size?: string, orientation?: string}} layout */
+function pdfPageSize(layout) {
+  const size = PDF_PAGE_SIZES[layout && layout.size] ? layout.size : DEFAULT_PDF_LAYOUT.size;
+  const orientation = PDF_ORIENTATIONS.includes(layout && layout.orientation) ? layout.orientation : DEFAULT_PDF_LAYOUT.orientation;
+  const { w, h } = PDF_PAGE_SIZES[size];
+  return orientation === "landscape" ? { size, orientation, w: h, h: w } : { size, orientation, w, h };
+}
+
+// Rough Helvetica width so the layout can be computed without jsPDF (downloadPDF passes the real metric)
+function approxTextWidth(text, fontSize) {
+  return String(text).length * fontSize * 0.5;
+}
+
+// Word-wrap to a width; words longer than a line are broken by character
+function wrapText(text, width, measure) {
+  const out = [];
+  String(text ?? "").split(/\r?\n/).forEach(para => {
+    let line = "";
+    para.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? line + " " + word : word;
+      if (measure(candidate) <= width) { line = candidate; return; }
+      if (line) out.push(line);
+      line = "";
+      let rest = word;
+      while (measure(rest) > width && rest.length > 1) {
+        let n = rest.length - 1;
+        while (n > 1 && measure(rest.slice(0, n)) > width) n--;
+        out.push(rest.slice(0, n));
+        rest = rest.slice(n);
+      }
+      line = rest;
+    });
+    out.push(line);
+  });
+  return out.length ? out : [""];
+}
+
+// Footer totals aligned to COLS (blank where a column has no total), F/B in the sheet's fuel unit
+function pdfTotalsRow(totals, fuel = resolveFuelUnit(null, null)) {
+  const byCol = {
+    Load: "TOTAL",
+    "FLT/T": totals.flt ?? "",
+    "BLK/T": totals.blk ?? "",
+    "F/B": formatFuel(totals.fuelBurned ?? "", fuel),
+    PAX: totals.pax ?? "",
+    LDG: totals.ldg ?? "",
+  };
+  return COLS.map(c => String(byCol[c] ?? ""));
+}
+
+// Prepare the full PDF layout (no autotable plugin): column widths, wrapped cells, row heights and
+// page breaks. Pure, so it can be tested without a browser; `measure(text, fontSize)` defaults to an estimate.
+function buildPdfMatrix(meta, rowsForPdf, layout = DEFAULT_PDF_LAYOUT, measure = approxTextWidth) {
+  const fuel = meta.fuel || resolveFuelUnit(null, null);
+  const unit = fuelUnitLabel(fuel.unit);
+  const head = [COLS.map(c => (FUEL_COLS.includes(c) ? c + " (" + unit + ")" : c))];
+  const body = rowsForPdf.map(r => COLS.map(c => (c === "PIC" ? rowPIC(r, meta) : FUEL_COLS.includes(c) ? fuelToDisplay(r[c], fuel) : String((r)[c] ?? ""))));
+  const footer = pdfTotalsRow(meta.totals, fuel);
+  // Header fields go in the line repeated on every page, the totals / fuel block on page 1 only
+  const headerFields = ['PILOT: ' + (meta.pilot || ''), 'DZ: ' + (meta.dz || ''), 'REG: ' + (meta.reg || ''), 'DATE: ' + (meta.date || '')];
+  const headerLine = [...headerFields, 'TIMES: ' + (meta.times || '')].join('    ');
+  const metaBlock = [
+    'Flights: ' + meta.totals.flights,
+    'PAX: ' + meta.totals.pax,
+    'LDG: ' + meta.totals.ldg,
+    'FLT/T: ' + meta.totals.flt,
+    'BLK/T: ' + (meta.totals.blk ?? ''),
+    'FOB (Start): ' + fuelToDisplay(meta.fobStart, fuel) + ' ' + unit,
+    'FOB (End): ' + fuelToDisplay(meta.lastFOB, fuel) + ' ' + unit,
+    'Fuel burned: ' + formatFuel(meta.totals.fuelBurned ?? '', fuel) + ' ' + unit,
+    'Avg burn: ' + formatFuel(meta.totals.burnPerHour ?? '', fuel) + ' ' + unit + '/hr'
+  ];
+  const metaLines = [...headerFields, ...metaBlock];
+  const seal = meta.seal;
+  const sealLines = seal ? [
+    'Closed: ' + seal.closedAt + (seal.sealedAt && seal.sealedAt !== seal.closedAt ? ' (amended, re-sealed ' + seal.sealedAt + ')' : ''),
+    'SHA-256: ' + seal.digest,
+    'Pilot signature: ' + seal.signature.name,
+  ] : [];
+  const signatureImage = seal ? safeImageSrc(seal.signature.image) : "";
+
+  const page = pdfPageSize(layout);
+  const usableW = page.w - PDF.margin * 2;
+  const cellW = (txt) => measure(txt, PDF.cellSize) + PDF.cellPadX * 2;
+
+  // Natural widths; REMARKS takes whatever is left (at least minRemarksW), then scale down if still too wide
+  const remarksIdx = COLS.indexOf("REMARKS");
+  const natural = COLS.map((c, i) => Math.max(cellW(c), cellW(footer[i]), ...body.map(row => cellW(row[i]))));
+  const fixedW = natural.reduce((a, w, i) => a + (i === remarksIdx ? 0 : w), 0);
+  natural[remarksIdx] = Math.max(PDF.minRemarksW, usableW - fixedW);
+  const totalW = natural.reduce((a, b) => a + b, 0);
+  const scale = totalW > usableW ? usableW / totalW : 1;
+  const colW = natural.map(w => w * scale);
+
+  // Vertical flow: title + header line on every page, totals/fuel block on page 1 only
+  const pageTop = PDF.margin + PDF.titleSize + PDF.metaLineH;
+  const firstTop = pageTop + Math.ceil(metaBlock.length / PDF.metaCols) * PDF.metaLineH + 6;
+  const bottom = page.h - PDF.margin - PDF.footerH;
+
+  // A cell with more lines than fit is cut, ending in "…", so every row fits under the table header of page 1
+  const layoutRow = (cells, widths = colW, maxLines = Infinity) => {
+    const lines = cells.map((cell, i) => {
+      const all = wrapText(cell, widths[i] - PDF.cellPadX * 2, t => measure(t, PDF.cellSize));
+      return all.length <= maxLines ? all : [...all.slice(0, maxLines - 1), all[maxLines - 1].slice(0, -1) + "…"];
+    });
+    const h = Math.max(PDF.minRowH, Math.max(...lines.map(l => l.length)) * PDF.cellLineH + PDF.cellPadY * 2);
+    return { lines, h };
+  };
+  const headRow = layoutRow(head[0]);
+  const maxBodyLines = Math.max(1, Math.floor((bottom - firstTop - headRow.h - PDF.cellPadY * 2) / PDF.cellLineH));
+  const bodyRows = body.map(cells => layoutRow(cells, colW, maxBodyLines));
+  const totalsRow = layoutRow(footer);
+  // Per-pilot summary table opens the tail block (heading line + header + one row per pilot)
+  const crewRecords = crewSummaryRecords(meta.crew);
+  let crewTable = null;
+  if (crewRecords.length) {
+    const cNatural = CREW_SUMMARY_COLS.map((c, i) => Math.max(cellW(c), ...crewRecords.map(r => cellW(r[i]))));
+    const cColW = cNatural.map(w => Math.min(w, usableW / CREW_SUMMARY_COLS.length));
+    const cHead = layoutRow(CREW_SUMMARY_COLS, cColW);
+    const cRows = crewRecords.map(cells => layoutRow(cells, cColW));
+    crewTable = { colW: cColW, headRow: cHead, bodyRows: cRows, h: PDF.metaLineH + cHead.h + cRows.reduce((a, r) => a + r.h, 0) + 8 };
+  }
+  const tailH = (crewTable ? crewTable.h : 0) + (sealLines.length ? sealLines.length * PDF.sealLineH + 8 : 0) + (signatureImage ? PDF.signatureImageH : 0) + PDF.signatureBlockH;
+
+  /** @type {Array<{headY: number, rows: Array<{index: number, y: number}>, totalsY: number|null, tailY: number|null}>} */
+  const pages = [];
+  let current = null;
+  let y = 0;
+  const newPage = (withTable) => {
+    current = { headY: pages.length ? pageTop : firstTop, rows: [], totalsY: null, tailY: null };
+    if (!withTable) current.headY = null;
+    pages.push(current);
+    y = (pages.length === 1 ? firstTop : pageTop) + (withTable ? headRow.h : 0);
+  };
+  newPage(true);
+  bodyRows.forEach((r, index) => {
+    if (y + r.h > bottom && current.rows.length) newPage(true);
+    current.rows.push({ index, y });
+    y += r.h;
+  });
+  if (y + totalsRow.h > bottom && current.rows.length) newPage(true);
+  current.totalsY = y;
+  y += totalsRow.h + 12;
+  if (y + tailH > bottom) newPage(false);
+  current.tailY = y;
+
+  // Manifest appendix on new page(s) after the sheet: its own columns (stretched to the page width),
+  // header repeated on every page, below an "Appendix" heading line
+  const appendixRecords = manifestAppendixRecords(rowsForPdf);
+  let appendix = null;
+  if (appendixRecords.length) {
+    const aNatural = MANIFEST_COLS.map((c, i) => Math.max(cellW(c), ...appendixRecords.map(a => cellW(a.cells[i]))));
+    const aTotal = aNatural.reduce((a, b) => a + b, 0);
+    const aColW = aNatural.map(w => w * usableW / aTotal);
+    const aTop = pageTop + PDF.metaLineH;
+    const aHead = layoutRow(MANIFEST_COLS, aColW);
+    const aRows = appendixRecords.map(a => ({ ...layoutRow(a.cells, aColW), total: a.total }));
+    const aPages = [];
+    let ap = null;
+    let ay = 0;
+    aRows.forEach((r, index) => {
+      if (!ap || (ay + r.h > bottom && ap.rows.length)) { ap = { headY: aTop, rows: [] }; aPages.push(ap); ay = aTop + aHead.h; }
+      ap.rows.push({ index, y: ay });
+      ay += r.h;
+    });
+    appendix = { colW: aColW, headRow: aHead, bodyRows: aRows, pages: aPages };
+  }
+  const pageCount = pages.length + (appendix ? appendix.pages.length : 0);
+
+  return { head, body, footer, metaLines, metaBlock, headerLine, sealLines, signatureImage, page, colW, headRow, bodyRows, totalsRow, pages, crewTable, appendix, pageCount };
+}
+
+/** @param {{size?: string, orientation?: string}} layout */
+function downloadPDF(meta, rowsForPdf, layout = DEFAULT_PDF_LAYOUT) {
+  const probe = new jsPDF({ unit: "pt" });
+  const measure = (txt, size) => { probe.setFontSize(size); return probe.getTextWidth(String(txt)); };
+  const m = buildPdfMatrix(meta, rowsForPdf, layout, measure);
+  const doc = new jsPDF({ orientation: m.page.orientation, unit: "pt", format: m.page.size });
+  const x0 = PDF.margin;
+  doc.setDrawColor(0);
+  doc.setLineWidth(0.5);
+
+  const drawRow = (row, y, bold, colW = m.colW) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(PDF.cellSize);
+    let x = x0;
+    row.lines.forEach((lines, i) => {
+      doc.rect(x, y, colW[i], row.h);
+      lines.forEach((line, k) => doc.text(line, x + PDF.cellPadX, y + PDF.cellPadY + PDF.cellSize + k * PDF.cellLineH));
+      x += colW[i];
+    });
+    doc.setFont("helvetica", "normal");
+  };
+  const drawPageFrame = (pageNo) => {
+    doc.setFontSize(PDF.titleSize);
+    doc.text("Pilot Journey Log — Simple (V2)", x0, PDF.margin);
+    doc.setFontSize(PDF.metaSize);
+    doc.text(m.headerLine, x0, PDF.margin + PDF.titleSize);
+    doc.text("Page " + pageNo + " of " + m.pageCount, m.page.w - PDF.margin, m.page.h - PDF.margin, { align: "right" });
+  };
+
+  m.pages.forEach((pg, p) => {
+    if (p > 0) doc.addPage();
+    // Page header + page number (every page)
+    drawPageFrame(p + 1);
+    if (p === 0) {
+      const colWidth = (m.page.w - PDF.margin * 2) / PDF.metaCols;
+      m.metaBlock.forEach((line, i) => {
+        doc.text(line, x0 + (i % PDF.metaCols) * colWidth, PDF.margin + PDF.titleSize + PDF.metaLineH * (1 + Math.floor(i / PDF.metaCols)));
+      });
+    }
+    if (pg.headY !== null) drawRow(m.headRow, pg.headY, true);
+    pg.rows.forEach(({ index, y }) => drawRow(m.bodyRows[index], y, false));
+    if (pg.totalsY !== null) drawRow(m.totalsRow, pg.totalsY, true);
+
+    // Seal + signature lines after the table
+    if (pg.tailY !== null) {
+      let y = pg.tailY;
+      if (m.crewTable) {
+        doc.setFontSize(PDF.metaSize);
+        doc.text("Per pilot", x0, y + PDF.metaSize);
+        y += PDF.metaLineH;
+        drawRow(m.crewTable.headRow, y, true, m.crewTable.colW);
+        y += m.crewTable.headRow.h;
+        m.crewTable.bodyRows.forEach(r => { drawRow(r, y, false, m.crewTable.colW); y += r.h; });
+        y += 8;
+      }
+      doc.setFontSize(PDF.metaSize);
+      m.sealLines.forEach(line => { y += PDF.sealLineH; doc.text(line, x0, y); });
+      if (m.sealLines.length) y += 8;
+      if (m.signatureImage) {
+        try { doc.addImage(m.signatureImage, "PNG", x0, y, PDF.signatureImageH * 3, PDF.signatureImageH); } catch {}
+        y += PDF.signatureImageH;
+      }
+      const lineW = Math.min(220, (m.page.w - PDF.margin * 3) / 2);
+      const x1 = x0 + lineW + PDF.margin;
+      y += 24;
+      doc.line(x0, y, x0 + lineW, y);
+      doc.line(x1, y, x1 + lineW, y);
+      doc.text("Pilot signature" + (meta.pilot ? " — " + meta.pilot : ""), x0, y + 12);
+      doc.text("DZ signature" + (meta.dz ? " — " + meta.dz : ""), x1, y + 12);
+    }
+  });
+
+  if (m.appendix) {
+    m.appendix.pages.forEach((pg, p) => {
+      doc.addPage();
+      drawPageFrame(m.pages.length + p + 1);
+      doc.setFontSize(PDF.metaSize + 2);
+      doc.text("Appendix — Jumper Manifest" + (p > 0 ? " (cont.)" : ""), x0, pg.headY - 4);
+      drawRow(m.appendix.headRow, pg.headY, true, m.appendix.colW);
+      pg.rows.forEach(({ index, y }) => drawRow(m.appendix.bodyRows[index], y, m.appendix.bodyRows[index].total, m.appendix.colW));
+    });
+  }
+
+  const nameBits = [meta.date || "", meta.reg || "", meta.pilot || ""].filter(Boolean).join("_").split(' ').join('-');
+  const filename = nameBits ? ('pilot_journey_log_' + nameBits + '.pdf') : 'pilot_journey_log.pdf';
+  doc.save(filename);
+}
+
+// --- IndexedDB storage ---
+// "state" holds the working sheet; "sheets" is the archive of closed sheets.
+let logDbPromise = null;
+
+function openLogDB() {
+  if (logDbPromise) return logDbPromise;
+  logDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(IDB_STORE_SHEETS)) db.createObjectStore(IDB_STORE_SHEETS, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(IDB_STORE_STATE)) db.createObjectStore(IDB_STORE_STATE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  logDbPromise.catch(() => { logDbPromise = null; });
+  return logDbPromise;
+}
+
+// Run one request in its own transaction; resolves with the request result once committed
+function idbRequest(storeName, mode, makeRequest) {
+  return openLogDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+/** @returns {Promise<SheetRecord|undefined>} */
+function loadWorkingSheet() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_CURRENT_KEY)); }
+/** @param {SheetRecord} sheet */
+function saveWorkingSheet(sheet) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(sheet, IDB_CURRENT_KEY)); }
+/** @returns {Promise<SheetRecord[]>} */
+function listArchivedSheets() { return idbRequest(IDB_STORE_SHEETS, "readonly", s => s.getAll()); }
+function loadFtlRules() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_RULES_KEY)); }
+function saveFtlRules(rules) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(rules, IDB_RULES_KEY)); }
+function loadFuelSettings() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_FUEL_KEY)); }
+function saveFuelSettings(settings) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(settings, IDB_FUEL_KEY)); }
+/** @returns {Promise<AircraftProfile[]|undefined>} */
+function loadAircraftRegistry() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_AIRCRAFT_KEY)); }
+/** @param {AircraftProfile[]} list */
+function saveAircraftRegistry(list) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(list, IDB_AIRCRAFT_KEY)); }
+function loadPdfLayout() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_PDF_KEY)); }
+function savePdfLayout(layout) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(layout, IDB_PDF_KEY)); }
+function loadSyncSettings() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_SYNC_SETTINGS_KEY)); }
+function saveSyncSettings(settings) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(settings, IDB_SYNC_SETTINGS_KEY)); }
+function loadSyncOutbox() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_SYNC_OUTBOX_KEY)); }
+function saveSyncOutbox(outbox) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(outbox, IDB_SYNC_OUTBOX_KEY)); }
+/** @returns {Promise<PilotRef[]|undefined>} */
+function loadPilotList() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_SYNC_PILOTS_KEY)); }
+function savePilotList(list) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(list, IDB_SYNC_PILOTS_KEY)); }
+/** @returns {Promise<FollowUpItem[]|undefined>} */
+function loadFollowUps() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_FOLLOWUPS_KEY)); }
+function saveFollowUps(list) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(list, IDB_FOLLOWUPS_KEY)); }
+function loadFastEntry() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_ENTRY_MODE_KEY)); }
+function saveFastEntry(on) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(on, IDB_ENTRY_MODE_KEY)); }
+/** @returns {Promise<SheetTemplate[]|undefined>} */
+function loadTemplates() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_TEMPLATES_KEY)); }
+function saveTemplates(list) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(list, IDB_TEMPLATES_KEY)); }
+/** @returns {Promise<QueryPreset[]|undefined>} */
+function loadQueryPresets() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_QUERY_PRESETS_KEY)); }
+function saveQueryPresets(list) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(list, IDB_QUERY_PRESETS_KEY)); }
+function loadExportMappings() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_EXPORT_MAPPINGS_KEY)); }
+function saveExportMappings(mappings) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(mappings, IDB_EXPORT_MAPPINGS_KEY)); }
+function loadLanguage() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_LANGUAGE_KEY)); }
+function saveLanguage(lang) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(lang, IDB_LANGUAGE_KEY)); }
+/** @returns {Promise<QuarantinedRecord[]|undefined>} */
+function loadQuarantine() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_QUARANTINE_KEY)); }
+function saveQuarantine(list) { return idbRequest(IDB_STORE_STATE, "readwrite", s => s.put(list, IDB_QUARANTINE_KEY)); }
+function loadLegacyDefects() { return idbRequest(IDB_STORE_STATE, "readonly", s => s.get(IDB_DEFECTS_KEY)); }
+/** @param {SheetRecord} sheet */
+function putArchivedSheet(sheet) { return idbRequest(IDB_STORE_SHEETS, "readwrite", s => s.put(sheet)); }
+function deleteArchivedSheet(id) { return idbRequest(IDB_STORE_SHEETS, "readwrite", s => s.delete(id)); }
+
+// Stored rule set as the limit checks expect it; one that no longer parses falls back to the defaults
+function storedFtlRules(saved) {
+  if (!saved) return DEFAULT_FTL_RULES;
+  try { return parseFtlRuleSet(saved); } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn("[Simple V2] stored FTL rules ignored: " + ((err && err.message) || err));
+    return DEFAULT_FTL_RULES;
+  }
+}
+
+// First run after the IndexedDB move: carry the localStorage sheet over, archive it if it was closed
+/** @returns {Promise<SheetRecord>} */
+async function migrateLegacyStorage() {
+  let rowsRaw = null;
+  let metaRaw = null;
+  try { rowsRaw = localStorage.getItem(LS_KEY); metaRaw = localStorage.getItem(LS_META_KEY); } catch {}
+  const sheet = sheetFromLegacy(rowsRaw, metaRaw);
+  if (sheet.isClosed) await putArchivedSheet({ ...sheet, closedAt: new Date().toISOString() });
+  await saveWorkingSheet(sheet);
+  try { localStorage.removeItem(LS_KEY); localStorage.removeItem(LS_META_KEY); } catch {}
+  return sheet;
+}
+
+// --- Offline: web app manifest + service worker (sw.js) ---
+const SW_URL = "./sw.js";
+const MANIFEST_URL = "./manifest.webmanifest";
+
+// The host page may not link the manifest; add it (and the theme colour) so the app is installable
+function ensureManifestLink() {
+  if (typeof document === "undefined" || document.querySelector('link[rel="manifest"]')) return;
+  const link = document.createElement("link");
+  link.rel = "manifest";
+  link.href = MANIFEST_URL;
+  document.head.appendChild(link);
+  if (!document.querySelector('meta[name="theme-color"]')) {
+    const meta = document.createElement("meta");
+    meta.name = "theme-color";
+    meta.content = "#0f172a";
+    document.head.appendChild(meta);
+  }
+}
+
+// Same-origin scripts / styles / fonts this page has loaded (the bundle with jsPDF among them)
+function loadedAssetURLs() {
+  if (typeof performance === "undefined" || !performance.getEntriesByType) return [];
+  return performance.getEntriesByType("resource")
+    .map(e => e.name)
+    .filter(u => u.startsWith(location.origin) && /\.(m?js|css|woff2?|ttf)(\?|$)/.test(u));
+}
+
+// Register the worker, hand it the loaded assets to cache, and report a waiting new version
+function registerServiceWorker(onUpdateReady) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register(SW_URL).then((reg) => {
+    navigator.serviceWorker.ready.then((r) => { if (r.active) r.active.postMessage({ type: "CACHE_URLS", urls: [location.href, ...loadedAssetURLs()] }); });
+    if (reg.waiting && navigator.serviceWorker.controller) onUpdateReady(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const w = reg.installing;
+      if (!w) return;
+      w.addEventListener("statechange", () => { if (w.state === "installed" && navigator.serviceWorker.controller) onUpdateReady(w); });
+    });
+  }).catch((err) => {
+    // eslint-disable-next-line no-console
+    console.warn("[Simple V2] service worker not registered", err);
+  });
+}
+
+// The update prompt may only appear when reloading cannot interrupt work: the sheet is closed (and not
+// being amended) or nothing has been entered yet
+/** @param {SheetRecord} sheet */
+function canPromptUpdate(sheet, amending) {
+  if (sheet.isClosed) return !amending;
+  return (sheet.rows || []).length === 0;
+}
+
+// --- Self-tests (console) ---
+async function runSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  push("hmToMinutes 01:30", hmToMinutes("01:30"), 90);
+  push("hmToMinutes bad", hmToMinutes("xx"), 0);
+  push("minutesToHM 90", minutesToHM(90), "01:30");
+  push("calcBlock 10:10→11:40", calcBlock("10:10", "11:40"), "01:30");
+  push("calcBlock midnight", calcBlock("23:30", "00:10"), "00:40");
+  push("calcDuty 07:15→18:05", calcDuty("07:15", "18:05"), "10:50");
+  push("calcDuty midnight", calcDuty("22:00", "06:00"), "08:00");
+  const span = calcBlock("09:00", "09:45");
+  push("T/O→L/D → FLT/T", span, "00:45");
+  // extra tests
+  push("calcBlock missing input", calcBlock("", "09:45"), "");
+  // nextLoadNumber tests
+  const tmp = [ { id: "a", Load: "1" }, { id: "b", Load: "2" } ];
+  push("nextLoadNumber [1,2] → 3", nextLoadNumber(tmp), 3);
+  push("nextLoadNumber [] → 1", nextLoadNumber([]), 1);
+  // new edge cases
+  push("nextLoadNumber ignores FERRY", nextLoadNumber([{ id: FERRY_ID, Load: "FERRY" }]), 1);
+  push("nextLoadNumber skips non-numeric", nextLoadNumber([{ id: "x", Load: "FERRY" }, { id: "y", Load: "7" }]), 8);
+  const htmlTest = buildPrintHTML({ pilot: '', dz: '', reg: '', date: '', totals: { flights: 0, pax: 0, ldg: 0, flt: '00:00' }, fobStart: '', lastFOB: '' }, []);
+  const cleared = clearEntry({ id: "a", Load: "3", "OFF-BLK": "09:50", "ON-BLK": "10:40", "BLK/T": "00:50", PAX: 4 });
+  push("clearEntry clears block times", [cleared.Load, COLS.filter(function(c){ return c !== "Load" && cleared[c] !== ""; })], ["3", []]);
+  push("checkBlockTimes in order", checkBlockTimes({ "OFF-BLK": "09:50", "T/O": "10:00", "L/D": "10:30", "ON-BLK": "10:35", "FLT/T": "00:30", "BLK/T": "00:45" }), []);
+  push("checkBlockTimes across midnight", checkBlockTimes({ "OFF-BLK": "23:50", "T/O": "23:58", "L/D": "00:20", "ON-BLK": "00:25", "FLT/T": "00:22", "BLK/T": "00:35" }), []);
+  push("checkBlockTimes T/O before OFF", checkBlockTimes({ "OFF-BLK": "10:05", "T/O": "10:00", "L/D": "10:30" }), ["OFF-BLK 10:05 is after T/O 10:00"]);
+  push("checkBlockTimes ON before L/D", checkBlockTimes({ "T/O": "10:00", "L/D": "10:30", "ON-BLK": "10:25" }), ["L/D 10:30 is after ON-BLK 10:25"]);
+  push("checkBlockTimes BLK < FLT", checkBlockTimes({ "FLT/T": "00:30", "BLK/T": "00:25" }), ["BLK/T 00:25 is less than FLT/T 00:30"]);
+  push("parseSheetCSV derives BLK/T", parseSheetCSV("Load,OFF-BLK,ON-BLK\n1,23:55,00:40\n").rows[0].row["BLK/T"], "00:45");
+  // sync
+  push("sheetVersion counts seals", [sheetVersion({ seals: [] }), sheetVersion({ seals: [{}, {}] })], [1, 2]);
+  const syncOb = { items: [{ id: "q", status: "pending" }, { id: "c", status: "conflict" }], synced: { s: 2 } };
+  push("syncLabel", ["q", "c", "s", "x"].map(id => syncLabel(syncOb, id)), ["queued", "conflict", "v2", ""]);
+  push("makePilotRef trims", makePilotRef({ name: " Ann ", licence: 12 }), { name: "Ann", licence: "12" });
+  // offline update prompt
+  push("canPromptUpdate empty open sheet", canPromptUpdate({ rows: [], isClosed: false }, false), true);
+  push("canPromptUpdate open sheet with rows", canPromptUpdate({ rows: [{ id: "a" }], isClosed: false }, false), false);
+  push("canPromptUpdate closed sheet", canPromptUpdate({ rows: [{ id: "a" }], isClosed: true }, false), true);
+  push("canPromptUpdate while amending", canPromptUpdate({ rows: [{ id: "a" }], isClosed: true }, true), false);
+  // time entry
+  push("parseTimeInput forms", ["1230", "12.30", "9:05", "905", "00:00", " 7:45 "].map(function(v){ return parseTimeInput(v).value; }), ["12:30", "12:30", "09:05", "09:05", "00:00", "07:45"]);
+  push("parseTimeInput rejects", ["9:75", "24:00", "12", "abc", "1:2"].map(function(v){ return parseTimeInput(v).error !== ""; }), [true, true, true, true, true]);
+  push("parseTimeInput blank", parseTimeInput(""), { value: "", error: "" });
+  push("calcBlock from midnight", calcBlock("00:00", "00:25"), "00:25");
+  push("calcBlock to midnight", calcBlock("23:40", "00:00"), "00:20");
+  push("calcBlock accepts 1230", calcBlock("1230", "13.05"), "00:35");
+  push("calcDuty from midnight", calcDuty("00:00", "08:00"), "08:00");
+  push("calcBlock invalid", calcBlock("9:75", "10:00"), "");
+  const timeMeta = normalizeMeta({ date: "2025-01-01", timeMode: "utc", dutyStart: "08:00", dutyEnd: "12:00" });
+  const timeRows = [
+    { id: "a", Load: "1", "T/O": "09:00", "L/D": "09:30" },
+    { id: "b", Load: "2", "T/O": "09:20", "L/D": "09:50" },
+    { id: "c", Load: "3", "T/O": "11:40", "L/D": "12:20" },
+    { id: "d", Load: "4", "T/O": "10:30", "L/D": "10:10" },
+    { id: "e", Load: "5", "T/O": "9:75" },
+  ];
+  const timeCheck = checkSheetTimes(timeRows, timeMeta);
+  push("checkSheetTimes overlap", [timeCheck.a, timeCheck.b], [["Flight overlaps Load 2 (09:20–09:50)"], ["Flight overlaps Load 1 (09:00–09:30)"]]);
+  push("checkSheetTimes after duty end", timeCheck.c, ["Ends after DUTY END 12:00"]);
+  push("checkSheetTimes L/D before T/O", timeCheck.d, ["T/O 10:30 is after L/D 10:10"]);
+  push("checkSheetTimes invalid entry", timeCheck.e.length === 1 && timeCheck.e[0].indexOf("T/O: Minute 75") === 0, true);
+  push("checkSheetTimes before duty start", checkSheetTimes([{ id: "a", Load: "1", "OFF-BLK": "07:50", "T/O": "08:05", "L/D": "08:30" }], timeMeta).a, ["Starts before DUTY START 08:00"]);
+  push("checkSheetTimes midnight crossing ok", checkSheetTimes([{ id: "a", Load: "1", "T/O": "23:50", "L/D": "00:10" }], normalizeMeta({ timeMode: "utc", dutyStart: "18:00", dutyEnd: "01:00" })).a, []);
+  push("parseSheetCSV normalises times", parseSheetCSV("Load,T/O,L/D\n1,0930,9.55\n").rows[0].row["FLT/T"], "00:25");
+  // crew
+  const crewMeta = normalizeMeta({ pilot: "Ann", date: "2025-01-01", timeMode: "utc", dutyStart: "08:00", dutyEnd: "12:00", crew: [{ id: "c1", name: "Bob", dutyStart: "11:00", dutyEnd: "17:00" }] });
+  const crewRows = [
+    { id: "a", Load: "1", PIC: "", "T/O": "09:00", "L/D": "09:30", "FLT/T": "00:30", PAX: 4, LDG: 1 },
+    { id: "b", Load: "2", PIC: "bob ", "T/O": "13:00", "L/D": "13:20", "FLT/T": "00:20", PAX: 3, LDG: 1 },
+    { id: "c", Load: "3", PIC: "Cy", "T/O": "14:00", "L/D": "14:10", "FLT/T": "00:10", PAX: 0, LDG: 1 },
+  ];
+  push("rowPIC blank is PILOT", [rowPIC(crewRows[0], crewMeta), rowPIC(crewRows[1], crewMeta)], ["Ann", "bob"]);
+  push("crewBreakdown per pilot", crewBreakdown(crewRows, crewMeta).map(function(c){ return [c.name, c.onCrew, c.duty, c.flights, c.flt]; }), [["Ann", true, "04:00", 1, "00:30"], ["Bob", true, "06:00", 1, "00:20"], ["Cy", false, "", 1, "00:10"]]);
+  push("checkSheetTimes uses PIC duty", checkSheetTimes([{ id: "b", Load: "2", PIC: "Bob", "T/O": "10:30", "L/D": "10:50" }], crewMeta).b, ["Starts before DUTY START 11:00 (Bob)"]);
+  push("sheetFtlDay per crew member", [sheetFtlDay({ meta: crewMeta, rows: crewRows }).flightMins, sheetFtlDay({ meta: crewMeta, rows: crewRows }, "BOB").flightMins, sheetFtlDay({ meta: crewMeta, rows: crewRows }, "Bob").dutyStart], [30, 20, "11:00"]);
+  push("crewSummary", crewSummary(crewMeta.crew), "Bob 11:00–17:00");
+  push("diffSheet crew change", diffSheet([], crewMeta, [], { ...crewMeta, crew: [] }).map(function(c){ return c.field + ":" + c.from; }), ["CREW:Bob 11:00–17:00"]);
+  const crewCsv = parseSheetCSV(buildSheetCSV(crewMeta, crewRows, null));
+  push("crew CSV round trip", [crewCsv.meta.crew.map(function(c){ return [c.name, c.dutyStart, c.dutyEnd]; }), crewCsv.rows[1].row.PIC, crewCsv.warnings], [[["Bob", "11:00", "17:00"]], "bob", []]);
+  push("import without PIC column is quiet", parseSheetCSV("Load,T/O\n1,09:00\n").warnings.some(function(w){ return w.indexOf("PIC") >= 0; }), false);
+  push("convertSheetTimes moves crew duty", convertSheetTimes([], normalizeMeta({ ...crewMeta, timeZone: "Africa/Johannesburg" }), normalizeMeta({ ...crewMeta, timeMode: "local", timeZone: "Africa/Johannesburg" })).meta.crew[0].dutyStart, "13:00");
+  push("crewSummaryRecords", crewSummaryRecords(crewBreakdown(crewRows.slice(0, 1), crewMeta)), [["Ann", "04:00", "1", "4", "1", "00:30", "00:00"], ["Bob", "06:00", "0", "0", "0", "00:00", "00:00"]]);
+  push("print HTML per-pilot summary", buildPrintHTML({ pilot: "Ann", totals: sheetTotals(crewRows), crew: crewBreakdown(crewRows, crewMeta) }, crewRows).indexOf("<td>Cy</td><td></td><td>1</td>") > 0, true);
+  // time zones
+  push("zonedEpoch UTC", new Date(zonedEpoch("2025-01-01", "09:30", "UTC")).toISOString(), "2025-01-01T09:30:00.000Z");
+  push("zonedEpoch Johannesburg", new Date(zonedEpoch("2025-01-01", "09:30", "Africa/Johannesburg")).toISOString(), "2025-01-01T07:30:00.000Z");
+  push("zonedEpoch rejects bad zone", zonedEpoch("2025-01-01", "09:30", "Mars/Base"), null);
+  const dstMeta = normalizeMeta({ date: "2025-03-30", timeMode: "local", timeZone: "Europe/Berlin", dutyStart: "01:00", dutyEnd: "04:00" });
+  const dstRows = stampSheet([{ id: "a", Load: "1", "OFF-BLK": "01:20", "T/O": "01:30", "L/D": "03:30", "ON-BLK": "03:40" }], dstMeta);
+  push("stampSheet FLT/T across DST start", dstRows[0]["FLT/T"], "01:00");
+  push("stampSheet BLK/T across DST start", dstRows[0]["BLK/T"], "01:20");
+  push("stampSheet full timestamp", dstRows[0].stamps["T/O"], "2025-03-30T00:30:00.000Z");
+  push("sheetDutyTime across DST start", sheetDutyTime(dstMeta), "02:00");
+  const nightRows = stampSheet([{ id: "a", Load: "1", "T/O": "23:40", "L/D": "23:55" }, { id: "b", Load: "2", "T/O": "00:10", "L/D": "00:30" }], normalizeMeta({ date: "2025-01-01", timeMode: "utc" }));
+  push("stampSheet next row after midnight", nightRows[1].stamps["T/O"], "2025-01-02T00:10:00.000Z");
+  const conv = convertSheetTimes(nightRows, normalizeMeta({ date: "2025-01-01", timeMode: "utc", timeZone: "Asia/Tokyo" }), normalizeMeta({ date: "2025-01-01", timeMode: "local", timeZone: "Asia/Tokyo" }));
+  push("convertSheetTimes UTC → local", [conv.meta.date, conv.rows[0]["T/O"], conv.rows[1]["T/O"], conv.rows[1].stamps["T/O"]], ["2025-01-02", "08:40", "09:10", "2025-01-02T00:10:00.000Z"]);
+  push("otherZoneHM", [otherZoneHM("2025-01-01T07:30:00.000Z", normalizeMeta({ timeMode: "local", timeZone: "Africa/Johannesburg" })), otherZoneHM("2025-01-01T07:30:00.000Z", normalizeMeta({ timeMode: "utc", timeZone: "Africa/Johannesburg" }))], ["07:30Z", "09:30 local"]);
+  push("CSV states the time zone", buildSheetCSV(normalizeMeta({ timeMode: "utc", timeZone: "Africa/Johannesburg" }), []).indexOf("TIME MODE,utc\r\nTIME ZONE,Africa/Johannesburg") >= 0, true);
+  push("buildPrintHTML basic", htmlTest.indexOf('<table>') >= 0, true);
+  push("buildPrintHTML columns", COLS.every(function(c){ return htmlTest.indexOf('<th>' + c + (FUEL_COLS.includes(c) ? ' (lbs)' : '') + '</th>') >= 0; }), true);
+  const hostile = buildPrintHTML({ pilot: '<b onmouseover="x()">Ann</b>', dz: "A&B", totals: {}, seal: { closedAt: "2025-06-01T10:00:00.000Z", digest: "ab", signature: { type: "drawn", name: "<i>Ann</i>", image: 'javascript:alert(1)" onerror="x()' } } }, [{ Load: "1", REMARKS: "<script>alert(1)</script>" }]);
+  push("buildPrintHTML escapes user values", [hostile.indexOf("<script>alert"), hostile.indexOf("&lt;script&gt;alert(1)&lt;/script&gt;") > 0, hostile.indexOf("&lt;b onmouseover=&quot;x()&quot;&gt;Ann&lt;/b&gt;") > 0, hostile.indexOf("A&amp;B") > 0, hostile.indexOf("<i>"), hostile.indexOf("<img")], [-1, true, true, true, -1, -1]);
+  push("safeImageSrc", [safeImageSrc("data:image/png;base64,iVBORw0KGgo="), safeImageSrc("data:image/svg+xml;base64,PHN2Zz4="), safeImageSrc("https://x.test/a.png"), safeImageSrc(undefined)], ["data:image/png;base64,iVBORw0KGgo=", "", "", ""]);
+  const pdfMat = buildPdfMatrix({ pilot: 'P', dz: 'DZ', reg: 'A6-XXX', date: '2025-01-01', totals: { flights: 2, pax: 10, ldg: 2, flt: '01:20' }, fobStart: '500', lastFOB: '300' }, [{ Load: '1' }, { Load: '2' }]);
+  push("buildPdfMatrix head size", pdfMat.head[0].length, COLS.length);
+  push("buildPdfMatrix body rows", pdfMat.body.length, 2);
+  push("buildPdfMatrix totals row", [pdfMat.footer[0], pdfMat.footer[COLS.indexOf("FLT/T")], pdfMat.footer[COLS.indexOf("PAX")]], ["TOTAL", "01:20", "10"]);
+  push("buildPdfMatrix single page", [pdfMat.pages.length, pdfMat.pages[0].rows.length, pdfMat.pages[0].tailY !== null], [1, 2, true]);
+  push("buildPdfMatrix fits width", Math.round(pdfMat.colW.reduce(function(a, b){ return a + b; }, 0)) <= Math.round(pdfMat.page.w - 2 * PDF.margin), true);
+  push("pdfPageSize letter portrait", pdfPageSize({ size: "letter", orientation: "portrait" }), { size: "letter", orientation: "portrait", w: 612, h: 792 });
+  push("pdfPageSize falls back to A4 landscape", [pdfPageSize({ size: "a3" }).size, pdfPageSize({}).orientation], ["a4", "landscape"]);
+  const unitMeasure = function(t){ return String(t).length; };
+  push("wrapText words", wrapText("one two three", 8, unitMeasure), ["one two", "three"]);
+  push("wrapText breaks long word", wrapText("abcdefghij", 4, unitMeasure), ["abcd", "efgh", "ij"]);
+  const longRemarks = Array.from({ length: 40 }, function(_, i){ return { Load: String(i + 1), REMARKS: "Tandem x2, AFF L3 student, hold at 3000 ft for traffic then climb to 13500 ft" }; });
+  const pdfLong = buildPdfMatrix({ totals: { flights: 40, pax: 0, ldg: 0, flt: '00:00' } }, longRemarks, { size: "a4", orientation: "portrait" });
+  push("buildPdfMatrix wraps REMARKS", pdfLong.bodyRows[0].lines[COLS.indexOf("REMARKS")].length > 1, true);
+  push("buildPdfMatrix paginates with header on every page", pdfLong.pages.length > 1 && pdfLong.pages.every(function(pg){ return pg.rows.length === 0 || pg.headY !== null; }), true);
+  push("buildPdfMatrix keeps every row once", pdfLong.pages.reduce(function(a, pg){ return a + pg.rows.length; }, 0), 40);
+  push("buildPdfMatrix rows stay on the page", pdfLong.pages.every(function(pg){ return pg.rows.every(function(r){ return r.y + pdfLong.bodyRows[r.index].h <= pdfLong.page.h - PDF.margin - PDF.footerH; }); }), true);
+  const pdfTall = buildPdfMatrix({ totals: sheetTotals([]) }, [{ Load: "1", REMARKS: "word ".repeat(3000) }], { size: "a4", orientation: "landscape" });
+  const tallRemarks = pdfTall.bodyRows[0].lines[COLS.indexOf("REMARKS")];
+  push("buildPdfMatrix cuts a row taller than the page", [pdfTall.pages[0].rows[0].y + pdfTall.bodyRows[0].h <= pdfTall.page.h - PDF.margin - PDF.footerH, tallRemarks[tallRemarks.length - 1].slice(-1)], [true, "…"]);
+  push("buildPdfMatrix header fields vs page-1 block", [pdfMat.headerLine.indexOf("PILOT: ") === 0, pdfMat.metaBlock[0].indexOf("Flights: ") === 0, pdfMat.metaBlock.some(function(l){ return l.indexOf("DATE: ") === 0; })], [true, true, false]);
+  // archive / storage helpers
+  push("sheetTotals skips empty rows", [sheetTotals([{ PAX: 17, LDG: 1, FOB: "900" }, { "T/O": "09:00", PAX: 3 }, {}]).flights, sheetTotals([{ "BLK/T": "00:30" }]).flights], [1, 1]);
+  push("sheetTotals", sheetTotals([{ PAX: 4, LDG: 1, "FLT/T": "00:20", "F/B": "40" }, { PAX: 5, LDG: 1, "FLT/T": "00:25", "F/B": "50" }]), { pax: 9, ldg: 2, flt: "00:45", blk: "00:00", flights: 2, fuelBurned: 90, burnPerHour: 120 });
+  // fuel units
+  const kgFuel = resolveFuelUnit({ fuelUnit: "kg" }, null);
+  const kgPrint = buildPrintHTML({ pilot: "Ann", fobStart: "2204.62", lastFOB: "", fuel: kgFuel, totals: { flights: 1, pax: 0, ldg: 0, flt: "00:20", fuelBurned: 220.46, burnPerHour: 661 } }, [{ Load: "1", FOB: "1102.31", "F/B": "220.46" }]);
+  push("print in the sheet's fuel unit", ["<th>FOB (kg)</th>", "<td>500</td><td>100</td>", "FOB (Start):</strong> 1000 kg", "Fuel burned:</strong> 100 kg", "Avg burn:</strong> 299.8 kg/hr"].map(x => kgPrint.indexOf(x) > 0), [true, true, true, true, true]);
+  push("PDF in the sheet's fuel unit", [buildPdfMatrix({ fuel: kgFuel, fobStart: "2204.62", totals: { fuelBurned: 220.46 } }, [{ Load: "1", UPLIFT: "441" }]).head[0][COLS.indexOf("UPLIFT")], buildPdfMatrix({ fuel: kgFuel, totals: { fuelBurned: 220.46 } }, []).footer[COLS.indexOf("F/B")]], ["UPLIFT (kg)", "100"]);
+  push("aircraft fuel limit in the sheet's unit", checkRowAgainstAircraft({ FOB: "2300" }, makeAircraft({ reg: "X", maxFuel: "2204.62" }), kgFuel).fob, "max 1000 kg");
+  push("meta fuel unit", [normalizeMeta({ fuelUnit: "USG" }).fuelUnit, normalizeMeta({ fuelUnit: "stone" }).fuelUnit, makeAircraft({ reg: "x", fuelUnit: "kg" }).fuelUnit], ["USG", "", "kg"]);
+  const unitCSV = "FUEL DENSITY,0.72\r\n\r\nLoad,FOB (kg),UPLIFT (L),F/B (lbs)\r\n1,1000,100,60\r\n";
+  push("CSV fuel columns in other units", parseSheetCSV(unitCSV).rows.map(r => [r.row.FOB, r.row.UPLIFT, r.row["F/B"]]), [["2204.62", "158.73", "60"]]);
+  push("CSV fuel headers carry lbs", buildSheetCSV(normalizeMeta({ fuelUnit: "kg" }), []).indexOf("FOB (lbs),F/B (lbs),UPLIFT (lbs)") > 0, true);
+
+  // exports
+  const exSheet = { id: "x", meta: normalizeMeta({ date: "2025-06-01", pilot: "Ann", dz: "Town", reg: "ZS-ABC" }), rows: [{ id: FERRY_ID, Load: "FERRY", "T/O": "08:00", "FLT/T": "00:15", FOB: "900" }, { id: "1", Load: "1", PIC: "Bob", "OFF-BLK": "09:00", "T/O": "09:05", "L/D": "09:25", "ON-BLK": "09:30", "FLT/T": "00:20", "BLK/T": "00:30", PAX: 14, LDG: 1, REMARKS: "gust" }, { id: "2", Load: "2", PAX: 17 }] };
+  const exFleet = [makeAircraft({ reg: "ZS-ABC", type: "C208B" })];
+  const logbook = exportRecords(DEFAULT_EXPORT_MAPPINGS.logbook, [exSheet], exFleet, true);
+  push("logbook export", logbook.slice(1), [["2025-06-01", "C208B", "ZS-ABC", "Ann", "Town", "08:00", "Town", "", 0.25, "", DEFAULT_TIME_ZONE, ""], ["2025-06-01", "C208B", "ZS-ABC", "Bob", "Town", "09:00", "Town", "09:30", 0.5, 1, DEFAULT_TIME_ZONE, "gust"]]);
+  push("xlsx loads follow COLS", [exportRecords(DEFAULT_EXPORT_MAPPINGS.xlsx, [exSheet], exFleet, false)[0].slice(4).map(h => h.replace(" (lbs)", "")), exportRecords(DEFAULT_EXPORT_MAPPINGS.xlsx, [exSheet], exFleet, false).length], [COLS, 4]);
+  const kgSheet = { id: "k", meta: normalizeMeta({ fuelUnit: "kg" }), rows: [{ id: "1", Load: "1", FOB: "900" }] };
+  push("searchSheets fuel in the sheet's unit", searchSheets(parseQuery("FOB<500"), [kgSheet, { ...kgSheet, id: "l", meta: normalizeMeta({}) }], [], [], "").map(x => x.sheet.id), ["k"]);
+  push("export totals sheet", exportTotalsRecords([exSheet, exSheet]).slice(1), [["2025-06-01", "ZS-ABC", "Ann", "Town", 2, 14, 1, 0.58, 0.5, 0], ["2025-06-01", "ZS-ABC", "Ann", "Town", 2, 14, 1, 0.58, 0.5, 0], ["TOTAL", "", "", "2 sheet(s)", 4, 28, 2, 1.17, 1, 0]]);
+  push("normalizeExportMappings", [normalizeExportMappings({ logbook: [{ header: "X", source: "nope" }, { header: "Y", source: "PAX" }] }).logbook, normalizeExportMappings(null).xlsx === DEFAULT_EXPORT_MAPPINGS.xlsx], [[{ header: "Y", source: "PAX" }], true]);
+  push("schema covers COLS and header", [Object.keys(SHEETS_SCHEMA.$defs.row.properties).filter(k => COLS.includes(k)).length, Object.keys(SHEETS_SCHEMA.$defs.meta.properties).length], [COLS.length, SHEET_META_KEYS.length + 1]);
+
+  // charts
+  const chartDay = (id, date, rows, closedAt) => ({ id, meta: normalizeMeta({ date }), rows, isClosed: true, closedAt });
+  const chartA = chartDay("a", "2025-06-01", [{ id: FERRY_ID, Load: "FERRY", FOB: "1000" }, { id: "1", Load: "1", "T/O": "09:10", "FLT/T": "00:20", FOB: "950", PAX: 15 }, { id: "2", Load: "2", "OFF-BLK": "11:55", FOB: "800", PAX: 17 }, { id: "3", Load: "3", FOB: "700", PAX: 17 }]);
+  const chartB = chartDay("b", "2025-06-03", [{ id: "4", Load: "1", "T/O": "09:40", "FLT/T": "00:25", PAX: 10 }]);
+  const oneDay = buildChartSeries([chartA]);
+  push("charts loads per hour", oneDay.loadsPerHour, [{ label: "09", value: 1 }, { label: "10", value: 0 }, { label: "11", value: 1 }]);
+  push("charts per load", [oneDay.fltPerLoad.map(p => p.value), oneDay.pax.map(p => p.value), oneDay.fob.map(p => p.label + "=" + p.value)], [[20, 0], [15, 17], ["FERRY=1000", "1=950", "2=800", "3=700"]]);
+  push("charts over several sheets", [buildChartSeries([chartA, chartB]).loadsPerHour[0], buildChartSeries([chartA, chartB]).pax.map(p => p.label)], [{ label: "09", value: 2 }, ["06-01 1", "06-01 2", "06-03 1"]]);
+  const liveB = { ...chartB, isClosed: false, rows: [] };
+  push("sheetsInRange", [sheetsInRange([chartB, chartA, chartDay("c", "", [])], null, "2025-06-01", "2025-06-02").map(x => x.id), sheetsInRange([chartB, chartA], liveB, "", "").map(x => x.id + (x.isClosed ? "" : "*"))], [["a"], ["a", "b*"]]);
+  // fuel check
+  const fuel = checkFuel([
+    { id: "a", FOB: "500", "F/B": "60" },
+    { id: "b", FOB: "440", "F/B": "60" },
+    { id: "c", FOB: "500", "F/B": "60", UPLIFT: "120" },
+    { id: "d", FOB: "", "F/B": "60" },
+    { id: "e", FOB: "300", "F/B": "" },
+  ], "500", "10", "350");
+  push("checkFuel first row from FOB Start", [fuel.a.expected, fuel.a.discrepancy], [500, false]);
+  push("checkFuel uplift counted", [fuel.c.expected, fuel.c.diff, fuel.c.discrepancy], [500, 0, false]);
+  push("checkFuel blank FOB carries expected", fuel.d.expected, 440);
+  push("checkFuel discrepancy", [fuel.e.expected, fuel.e.diff, fuel.e.discrepancy], [380, -80, true]);
+  push("checkFuel below reserve", [fuel.b.belowReserve, fuel.d.belowReserve, fuel.e.belowReserve], [false, false, true]);
+  push("checkFuel landing fuel below reserve", checkFuel([{ id: "x", FOB: "400", "F/B": "60" }], "", "", "350").x.belowReserve, true);
+  push("sheetLastFOB skips ferry", sheetLastFOB([{ id: "a", FOB: "400" }, { id: FERRY_ID, FOB: "900" }]), "400");
+  const seedRows = [{ id: FERRY_ID, FOB: "" }, { id: "a", Load: "1", FOB: "" }, { id: "b", Load: "2", FOB: "" }];
+  push("seedFirstFOB", [seedFirstFOB(seedRows, "", "9").map(r => r.FOB), seedFirstFOB(seedFirstFOB(seedRows, "", "9"), "9", "90")[1].FOB, seedFirstFOB([{ ...seedRows[1], FOB: "850" }], "9", "900")[0].FOB, seedFirstFOB([seedRows[0]], "", "900")[0].FOB, seedFirstFOB(seedRows, "900", "")], [["", "9", ""], "90", "850", "900", seedRows]);
+  const legacy = sheetFromLegacy(JSON.stringify([{ id: "a", Load: "1", REMARKS: "x" }]), JSON.stringify({ pilot: "P", reg: "R", isClosed: true }));
+  push("sheetFromLegacy rows", legacy.rows.length, 1);
+  push("sheetFromLegacy meta", [legacy.meta.pilot, legacy.meta.reg, legacy.meta.dutyStart, legacy.isClosed], ["P", "R", "", true]);
+  push("sheetFromLegacy bad JSON", sheetFromLegacy("{", null).rows, []);
+  push("storedFtlRules", [storedFtlRules(undefined), storedFtlRules({ maxFlightPerDay: "08:00" }).maxFlightPerDay, storedFtlRules({ maxFlightPerDay: "soon" })], [DEFAULT_FTL_RULES, "08:00", DEFAULT_FTL_RULES]);
+  const dup = copySheet({ id: "s1", meta: normalizeMeta({ date: "2025-01-01" }), rows: [{ id: FERRY_ID, Load: "FERRY" }, { id: "a", Load: "1" }], isClosed: true, closedAt: "x" });
+  push("copySheet unlocked", [dup.isClosed, dup.closedAt, dup.id !== "s1"], [false, undefined, true]);
+  push("copySheet ids", [dup.rows[0].id === FERRY_ID, dup.rows[1].id !== "a"], [true, true]);
+  push("stored sheet valid", [sheetRecordErrors(legacy), sheetRecordErrors(dup), sheetRecordErrors({ ...dup, rows: [{ id: "a", Load: "1", "T/O": "093", stamps: { "T/O": "2025-01-01T09:30:00.000Z" }, manifest: [makeJumper({ name: "Ann" })] }] })], [[], [], []]);
+  push("stored sheet errors", sheetRecordErrors({ id: "s", meta: { ...normalizeMeta({}), timeMode: "zulu", extra: "1" }, rows: [{ id: "a", Load: "1", PAX: -2, LDG: 1.5, REMARKS: "x".repeat(MAX_NOTE_LENGTH + 1), onclick: "x" }, "row"], isClosed: "yes" }), [
+    "meta.timeMode: must be one of local, utc", "meta: unknown field \"extra\"", "rows[0].PAX: must be at least 0", "rows[0].LDG: must be a whole number or text",
+    "rows[0].REMARKS: is longer than " + MAX_NOTE_LENGTH + " characters", "rows[0]: unknown field \"onclick\"", "rows[1]: must be an object", "isClosed: must be true or false",
+  ]);
+  push("stored sheet not an object", [sheetRecordErrors(null), sheetRecordErrors({ meta: {} })], [["must be an object"], ["id is missing", "rows is missing"]]);
+  const held = quarantineRecord("Working sheet", { id: 1 }, ["id: must be text"]);
+  push("quarantineRecord", [held.source, held.errors, held.record, typeof held.quarantinedAt], ["Working sheet", ["id: must be text"], { id: 1 }, "string"]);
+  push("countValue", ["", " ", "4", "2.7", "-3", "5000", "abc", 12].map(countValue), ["", "", 4, 2, 0, MAX_COUNT, "", 12]);
+  const arch = sortArchive([{ id: "1", meta: { date: "2025-01-01" } }, { id: "2", meta: { date: "2025-02-01" } }]);
+  // CSV
+  push("csvCell quoting", [csvCell("a,b"), csvCell('say "hi"'), csvCell("x\ny"), csvCell("plain"), csvCell(3)], ['"a,b"', '"say ""hi"""', '"x\ny"', "plain", "3"]);
+  push("parseCSV quoted fields", parseCSV('a,"b,c","d ""q"""\r\n"multi\nline",2\n'), [["a", "b,c", 'd "q"'], ["multi\nline", "2"]]);
+  push("parseCSV round trip", parseCSV(toCSV([["x, y", "", '"'], ["1"]])), [["x, y", "", '"'], ["1"]]);
+  const csvText = buildSheetCSV(normalizeMeta({ pilot: "Ann, B", reg: "ZS-ABC", fobStart: "900" }), [{ Load: "1", "T/O": "09:00", "L/D": "09:20", "FLT/T": "00:20", PAX: 5, LDG: 1, REMARKS: "wind, gusty\nnote" }]);
+  const parsedSheet = parseSheetCSV(csvText);
+  push("parseSheetCSV meta", [parsedSheet.meta.pilot, parsedSheet.meta.reg, parsedSheet.meta.fobStart], ["Ann, B", "ZS-ABC", "900"]);
+  push("parseSheetCSV remarks with comma/newline", parsedSheet.rows[0].row.REMARKS, "wind, gusty\nnote");
+  push("parseSheetCSV no errors", parsedSheet.rows[0].errors, []);
+  const reordered = parseSheetCSV("REMARKS,PAX,Load,T/O,L/D,Extra\nhi,4,2,10:00,10:30,z\n,x,2,25:00,,\n");
+  push("parseSheetCSV column order", [reordered.rows[0].row.Load, reordered.rows[0].row.PAX, reordered.rows[0].row["FLT/T"], reordered.rows[0].row.REMARKS], ["2", 4, "00:30", "hi"]);
+  push("parseSheetCSV warnings", reordered.warnings.length, 2);
+  push("parseSheetCSV row errors", reordered.rows[1].errors.length, 3);
+  push("parseSheetCSV no header", parseSheetCSV("a,b\n1,2").error !== "", true);
+  const longCSV = parseSheetCSV("Load,PAX,REMARKS\n1,1000," + "x".repeat(MAX_NOTE_LENGTH + 1) + "\n");
+  push("parseSheetCSV lengths and ranges", longCSV.rows[0].errors, ["PAX must be at most " + MAX_COUNT, "REMARKS is longer than " + MAX_NOTE_LENGTH + " characters"]);
+  push("parseSheetCSV header block limits", parseSheetCSV("PILOT," + "p".repeat(MAX_TEXT_LENGTH + 1) + "\nLoad\n1\n").error, "Header block: pilot: is longer than " + MAX_TEXT_LENGTH + " characters");
+  push("parseSheetCSV legacy header", parseSheetCSV("Load,T/O,L/D,FLT/T,BLK/T,FOB,F/B,PAX,LDG,F/UP,REMARKS\nFERRY,,,,,500,,,,,,\n").rows[0].row.id, FERRY_ID);
+  const base = [{ id: "a", Load: "1", PAX: 1 }, { id: "b", Load: "2", PAX: 2 }];
+  push("mergeImportedRows replace", mergeImportedRows(base, [{ id: "x", Load: "7" }], "replace").map(function(r){ return r.Load; }), ["7"]);
+  push("mergeImportedRows append renumbers", mergeImportedRows(base, [{ id: "x", Load: "2" }], "append").map(function(r){ return r.Load; }), ["1", "2", "3"]);
+  const merged = mergeImportedRows(base, [{ id: "x", Load: "2", PAX: 9 }, { id: "y", Load: "5" }], "merge");
+  push("mergeImportedRows merge by Load", merged.map(function(r){ return r.id + ":" + r.Load + ":" + (r.PAX ?? ""); }), ["a:1:1", "b:2:9", "y:5:"]);
+  push("mergeImportedRows ferry first", mergeImportedRows(base, [{ id: FERRY_ID, Load: "FERRY" }], "append")[0].id, FERRY_ID);
+  // audit trail
+  const d1 = diffSheet([{ id: "a", Load: "1", PAX: 4 }, { id: "b", Load: "2", REMARKS: "x" }], normalizeMeta({ pilot: "P" }), [{ id: "a", Load: "1", PAX: 5 }, { id: "c", Load: "3" }], normalizeMeta({ pilot: "Q" }));
+  push("diffSheet", d1.map(function(e){ return e.load + "/" + e.field + ":" + e.from + "→" + e.to; }), ["HEADER/PILOT:P→Q", "2/(row):REMARKS x→deleted", "1/PAX:4→5", "3/(row):→added"]);
+  const t0 = Date.parse("2025-01-01T10:00:00Z");
+  let log = appendAudit([], { kind: "edit", target: "a", load: "1", field: "REMARKS", from: "", to: "h" }, t0);
+  log = appendAudit(log, { kind: "edit", target: "a", load: "1", field: "REMARKS", from: "h", to: "hi" }, t0 + 500);
+  push("appendAudit coalesces typing", log.map(function(e){ return e.from + "→" + e.to; }), ["→hi"]);
+  log = appendAudit(log, { kind: "edit", target: "a", load: "1", field: "REMARKS", from: "hi", to: "hi!" }, t0 + 5000);
+  push("appendAudit new entry after pause", log.length, 2);
+  push("appendAudit drops no-op", appendAudit(log, { kind: "edit", target: "a", load: "1", field: "REMARKS", from: "hi!", to: "hi" }, t0 + 5100).length, 1);
+  const amended = amendedOriginals([
+    { kind: "edit", target: "a", field: "PAX", from: "1", to: "2" },
+    { kind: "amendment", target: "a", field: "PAX", from: "2", to: "3" },
+    { kind: "amendment", target: "a", field: "PAX", from: "3", to: "4" },
+  ]);
+  push("amendedOriginals keeps value at close", amended, { "a|PAX": "2" });
+  // aircraft registry
+  const ac = makeAircraft({ reg: " zs-abc ", type: "C208B", maxFuel: 2224, maxPax: 17, minReserve: "300" });
+  push("makeAircraft normalises REG", [ac.reg, ac.maxFuel, ac.burnPerHour], ["ZS-ABC", "2224", ""]);
+  push("findAircraft case-insensitive", findAircraft([ac], "Zs-Abc") === ac, true);
+  push("findAircraft unknown", findAircraft([ac], "ZS-XYZ"), null);
+  push("checkRowAgainstAircraft ok", checkRowAgainstAircraft({ PAX: 17, FOB: "2000" }, ac), { pax: "", fob: "", payload: "" });
+  push("checkRowAgainstAircraft over", checkRowAgainstAircraft({ PAX: 18, FOB: "2300" }, ac), { pax: "max 17 seats", fob: "max 2224 lbs", payload: "" });
+  push("checkRowAgainstAircraft no profile", checkRowAgainstAircraft({ PAX: 99 }, null), { pax: "", fob: "", payload: "" });
+  // fast entry
+  const navIds = ["f", "a", "b"];
+  push("parseCellId", [parseCellId(cellId("a", "T/O")), parseCellId("x")], [{ rowId: "a", col: "T/O" }, null]);
+  push("Enter follows fast-entry order", [nextEntryCell(navIds, "a", "PIC", "next"), nextEntryCell(navIds, "a", "T/O", "next"), nextEntryCell(navIds, "a", "ON-BLK", "next")], [{ rowId: "a", col: "OFF-BLK" }, { rowId: "a", col: "L/D" }, { rowId: "a", col: "FOB" }]);
+  push("Enter wraps to next row", [nextEntryCell(navIds, "a", "REMARKS", "next"), nextEntryCell(navIds, "b", "REMARKS", "next")], [{ rowId: "b", col: "PIC" }, null]);
+  push("Enter from FLT/T", nextEntryCell(navIds, "a", "FLT/T", "next"), { rowId: "a", col: "FOB" });
+  push("arrow keys", [nextEntryCell(navIds, "a", "FOB", "up"), nextEntryCell(navIds, "f", "FOB", "up"), nextEntryCell(navIds, "a", "FOB", "left"), nextEntryCell(navIds, "a", "PIC", "left"), nextEntryCell(navIds, "a", "L/D", "right")], [{ rowId: "f", col: "FOB" }, null, { rowId: "a", col: "BLK/T" }, null, { rowId: "a", col: "ON-BLK" }]);
+  // maintenance
+  push("makeAircraft keeps maintenance", [ac.maintenance.hoursSource, makeAircraft({ reg: "x", maintenance: { airframeHours: 12 } }).maintenance.airframeHours], ["flt", "12"]);
+
+  // DZ templates
+  const tpl = makeTemplate({ name: "Weekend", dz: " Skydive Town ", reg: "zs-abc", loads: "3", fobStart: 900, timeMode: "utc", timeZone: "Africa/Johannesburg", remarks: "Hot day\n\n Wind 10 kt " });
+  push("makeTemplate normalises", [tpl.dz, tpl.reg, tpl.loads, tpl.fobStart, tpl.timeMode, tpl.remarks], ["Skydive Town", "ZS-ABC", "3", "900", "utc", ["Hot day", "Wind 10 kt"]]);
+  push("makeTemplate clamps loads", [makeTemplate({ loads: "99" }).loads, makeTemplate({ loads: "-2" }).loads, makeTemplate({ loads: "x" }).loads, makeTemplate({}).timeMode], ["30", "0", "", "local"]);
+  push("findTemplate by DZ", [findTemplate([tpl], "skydive town ") === tpl, findTemplate([tpl], ""), findTemplate([tpl], "Other")], [true, null, null]);
+  const fromTpl = sheetFromTemplate(tpl, "2025-06-01", [ac], normalizeMeta({ pilot: "Ann", reg: "ZS-ABC", hobbsEnd: "101.5", tachoEnd: "88", crew: [{ id: "c1", name: "Bob", dutyStart: "07:00", dutyEnd: "12:00" }] }));
+  push("sheetFromTemplate header", [fromTpl.meta.pilot, fromTpl.meta.dz, fromTpl.meta.reg, fromTpl.meta.date, fromTpl.meta.fobStart, fromTpl.meta.timeMode, fromTpl.meta.timeZone, fromTpl.isClosed], ["Ann", "Skydive Town", "ZS-ABC", "2025-06-01", "900", "utc", "Africa/Johannesburg", false]);
+  push("sheetFromTemplate loads", fromTpl.rows.map(r => [r.Load, r.FOB, r.PAX, r.LDG]), [["1", "900", "", ""], ["2", "", "", ""], ["3", "", "", ""]]);
+  push("sheetFromTemplate carries meters and crew", [fromTpl.meta.hobbsStart, fromTpl.meta.tachoStart, fromTpl.meta.crew[0].name, fromTpl.meta.crew[0].dutyStart], ["101.5", "88", "Bob", ""]);
+  push("sheetFromTemplate other REG", sheetFromTemplate(tpl, "2025-06-01", [], normalizeMeta({ reg: "ZS-XYZ", hobbsEnd: "5" })).meta.hobbsStart, "");
+  push("template file round trip", parseTemplateFile(templateFileJSON([tpl])), [tpl]);
+  const tplError = (text) => { try { parseTemplateFile(text); return ""; } catch (err) { return err.message; } };
+  push("template file errors", [tplError("{"), tplError("{}"), tplError('[{"name":"x"}]')], ["Not a JSON file", "Expected a template file exported from this app", "Template 1 has no DZ"]);
+  push("template file schema", [tplError("[1]"), tplError('[{"dz":"Town","loads":45,"script":"x"}]'), tplError(JSON.stringify([{ dz: "Town", remarks: ["x".repeat(MAX_TEXT_LENGTH + 1)] }]))], ["Template 1: must be an object", "Template 1: loads: must be at most " + MAX_TEMPLATE_LOADS + "; unknown field \"script\"", "Template 1: remarks[0]: is longer than " + MAX_TEXT_LENGTH + " characters"]);
+  const mxRows = [{ id: "a", Load: "1", "FLT/T": "00:30", "BLK/T": "00:40", LDG: 1 }, { id: "b", Load: "2", "FLT/T": "00:30", "BLK/T": "00:35", LDG: 1 }];
+  const mxSheet = { id: "s1", meta: { reg: "ZS-ABC", date: "2025-03-01", hobbsStart: "100.0", hobbsEnd: "101.3" }, rows: mxRows };
+  push("sheetAirframeDay", sheetAirframeDay(mxSheet), { date: "2025-03-01", fltMins: 60, blkMins: 75, landings: 2, hobbsStart: "100.0", hobbsEnd: "101.3", tachoStart: "", tachoEnd: "" });
+  push("reconcile sheet meters", reconcileMeters(sheetAirframeDay(mxSheet)).map(function(m){ return m.message; }), ["Hobbs 1.3 h vs BLK/T 1.3 h"]);
+  const mxAc = makeAircraft({ reg: "ZS-ABC", maintenance: { airframeHours: "49", landings: "10", inspections: { "50h": { lastDone: "0" }, "100h": { interval: "" } } } });
+  const mx = aircraftMaintenance(mxAc, [mxSheet, { ...mxSheet, id: "s2", meta: { ...mxSheet.meta, reg: "ZS-XYZ" } }], "2025-03-01");
+  push("aircraftMaintenance counts own REG", [mx.counters.airframeHours, mx.counters.landings, mx.findings.map(function(f){ return f.key + ":" + f.level; })], [50, 12, ["50h:warn"]]);
+  push("meter fields in CSV", parseSheetCSV(buildSheetCSV(normalizeMeta(mxSheet.meta), mxRows, null)).meta.hobbsEnd, "101.3");
+  // manifest
+  const ti = makeJumper({ id: "ti", name: "Tom", jumpType: "Tandem instructor", weight: "210" });
+  const tp = makeJumper({ id: "tp", name: "Pat", jumpType: "Tandem passenger", weight: "180" });
+  const fun = makeJumper({ id: "fn", name: "Fay", licence: "D-1", exitAlt: "13500", weight: "150" });
+  const paired = setJumperPair([ti, tp, fun], "tp", "ti");
+  push("setJumperPair is symmetric", paired.map(function(j){ return j.pairWith; }), ["tp", "ti", ""]);
+  push("setJumperPair re-pair unpairs old partner", setJumperPair(paired, "fn", "ti").map(function(j){ return j.pairWith; }), ["fn", "", "ti"]);
+  push("checkManifest unpaired tandem", checkManifest([ti, tp, fun]), { ti: "Tandem instructor needs a Tandem passenger", tp: "Tandem passenger needs a Tandem instructor" });
+  push("checkManifest paired ok", checkManifest(paired), {});
+  push("checkManifest wrong partner type", checkManifest(setJumperPair([makeJumper({ id: "s", name: "S", jumpType: "AFF student" }), fun], "s", "fn")).s, "AFF student must be paired with an AFF instructor");
+  push("manifestWeight", manifestWeight(paired), 540);
+  push("checkRowAgainstAircraft payload", checkRowAgainstAircraft({ PAX: 3, manifest: paired }, makeAircraft({ reg: "X", maxPayload: "500" })).payload, "payload 540 lbs over max 500 lbs");
+  const manifestRows = [{ id: "r1", Load: "1", manifest: paired }, { id: "r2", Load: "2" }];
+  push("manifestRecords", manifestRecords(manifestRows)[1], ["1", "2", "Pat", "", "Tandem passenger", "", "180", "#1 Tom"]);
+  push("buildManifestCSV table", buildManifestCSV(normalizeMeta({ pilot: "P" }), manifestRows).split("\r\n").slice(-5, -1)[0], MANIFEST_COLS.join(","));
+  push("manifestAppendixRecords total line", manifestAppendixRecords(manifestRows).slice(-1)[0], { cells: ["", "", "Load 1 total: 3 jumper(s)", "", "", "", "540", ""], total: true });
+  push("buildPrintHTML manifest appendix", buildPrintHTML({ totals: {} }, manifestRows).indexOf("Appendix — Jumper Manifest") >= 0, true);
+  const pdfManifest = buildPdfMatrix({ totals: {} }, manifestRows);
+  push("buildPdfMatrix manifest appendix", [pdfManifest.appendix.bodyRows.length, pdfManifest.pageCount], [4, 2]);
+  push("diffSheet manifest change", diffSheet([{ id: "r1", Load: "1" }], normalizeMeta({}), [{ id: "r1", Load: "1", manifest: [fun] }], normalizeMeta({})).map(function(c){ return c.field + ":" + c.to; }), ["MANIFEST:Fay D-1 Fun 13500 ft 150 lbs"]);
+  push("newLoadDefaults first load", newLoadDefaults([], "900", ac), { FOB: "900", PAX: "", LDG: "" });
+  const landed = { id: "a", Load: "1", PAX: "", LDG: "" };
+  push("landedDefaults", [landedDefaults(landed, ac), landedDefaults({ ...landed, PAX: 4, LDG: 2 }, ac), landedDefaults({ ...landed, manifest: [makeJumper({ name: "A" })] }, ac).PAX, landedDefaults(landed, null), landedDefaults({ ...landed, id: FERRY_ID }, ac)], [{ ...landed, PAX: 17, LDG: 1 }, { ...landed, PAX: 4, LDG: 2 }, "", landed, { ...landed, id: FERRY_ID, LDG: 1 }]);
+  push("newLoadDefaults carries landing fuel", newLoadDefaults([{ id: "a", Load: "1", FOB: "900", "F/B": "120" }], "900", null), { FOB: "780", PAX: "", LDG: "" });
+  push("newLoadDefaults unknown burn", newLoadDefaults([{ id: "a", Load: "1", FOB: "900", "F/B": "" }], "900", null).FOB, "");
+  push("newLoadDefaults capped at max fuel", newLoadDefaults([], "5000", ac).FOB, "2224");
+  // rolling report
+  const rep = buildRollingReport([
+    { meta: { pilot: "Ann", reg: "zs-abc", date: "2025-03-10" }, rows: [{ PAX: 4, LDG: 1, "FLT/T": "00:30" }] },
+    { meta: { pilot: "Ann", reg: "ZS-ABC", date: "2025-02-20" }, rows: [{ PAX: 2, LDG: 2, "FLT/T": "01:00" }] },
+    { meta: { pilot: "Bob", reg: "ZS-ABC", date: "2024-03-10" }, rows: [{ PAX: 1, LDG: 1, "FLT/T": "02:00" }] },
+    { meta: { pilot: "Bob", reg: "ZS-XYZ", date: "" }, rows: [{ PAX: 1, LDG: 1, "FLT/T": "00:15" }] },
+  ], "2025-03-10");
+  const ann = rep.pilots.find(function(x){ return x.name === "Ann"; });
+  push("report 7d window", ann.windows.d7, { mins: 30, ldg: 1, pax: 4 });
+  push("report 28d window", ann.windows.d28, { mins: 90, ldg: 3, pax: 6 });
+  push("report 12m excludes same day last year", rep.pilots.find(function(x){ return x.name === "Bob"; }).windows.m12.mins, 0);
+  const crewRep = buildRollingReport([{ meta: { pilot: "Ann", date: "2025-03-10", crew: [{ name: "Bob" }] }, rows: [{ PIC: "Bob", LDG: 1, "FLT/T": "00:40" }, { LDG: 1, "FLT/T": "00:20" }] }], "2025-03-10");
+  push("report splits by PIC", crewRep.pilots.map(function(x){ return [x.name, x.windows.d7.mins]; }), [["Ann", 20], ["Bob", 40]]);
+  push("report REG grouping + lifetime", rep.aircraft.map(function(a){ return [a.reg, a.lifetimeMins]; }), [["ZS-ABC", 210], ["ZS-XYZ", 15]]);
+  push("dateToDayNumber bad", Number.isNaN(dateToDayNumber("")), true);
+  push("sortArchive newest first", arch.map(function(x){ return x.id; }), ["2", "1"]);
+  // sealing
+  push("canonicalJSON sorts keys", canonicalJSON({ b: 1, a: [{ d: "x", c: null }], u: undefined }), '{"a":[{"c":null,"d":"x"}],"b":1}');
+  try {
+    push("sha256Hex abc", await sha256Hex("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+    const sealMeta = normalizeMeta({ pilot: "Ann", reg: "ZS-ABC", date: "2025-01-01" });
+    const sealRows = [{ id: "a", Load: "1", PAX: 5, REMARKS: "ok, fine" }];
+    const seal = await sealSheet(sealMeta, sealRows, "2025-01-01T18:00:00.000Z", { type: "typed", name: "Ann" });
+    push("verifySeal intact", (await verifySeal(sealMeta, sealRows, seal)).ok, true);
+    push("verifySeal altered row", (await verifySeal(sealMeta, [{ ...sealRows[0], PAX: 6 }], seal)).ok, false);
+    push("verifySeal altered meta", (await verifySeal({ ...sealMeta, reg: "ZS-XYZ" }, sealRows, seal)).ok, false);
+    const sealedCsv = parseSheetCSV(buildSheetCSV(sealMeta, sealRows, seal));
+    push("sealed CSV round trip", [sealedCsv.seal.digest === seal.digest, (await verifySeal(sealedCsv.meta, sealedCsv.rows.map(function(x){ return x.row; }), sealedCsv.seal)).ok], [true, true]);
+    const paddedMeta = normalizeMeta({ pilot: "Ann ", dz: " Town", date: "2025-01-01", crew: [{ name: " Bob", dutyStart: "08:00" }] });
+    const paddedRows = [{ id: "a", Load: "1", PIC: " Bob", "T/O": "0930", FOB: " 900", PAX: "05", LDG: 1, REMARKS: " gusty " }];
+    const paddedSeal = await sealSheet(paddedMeta, paddedRows, "2025-01-01T18:00:00.000Z", { type: "typed", name: "Ann " });
+    const paddedCsv = parseSheetCSV(buildSheetCSV(paddedMeta, paddedRows, paddedSeal), { exact: true });
+    push("sealed CSV round trip with padded values", (await verifySeal(paddedCsv.meta, paddedCsv.rows.map(function(x){ return x.row; }), paddedCsv.seal)).ok, true);
+    const crewedRows = [{ id: "a", Load: "1", PAX: 2, manifest: setJumperPair([makeJumper({ id: "s", name: "Sam", jumpType: "AFF student", weight: "180" }), makeJumper({ id: "i", name: "Ivy", jumpType: "AFF instructor" })], "s", "i") }, { id: "b", Load: "2" }];
+    const crewedSeal = await sealSheet(sealMeta, crewedRows, "2025-01-01T18:00:00.000Z", { type: "typed", name: "Ann" });
+    const crewedCsv = parseSheetCSV(buildSheetCSV(sealMeta, crewedRows, crewedSeal));
+    const crewedParsed = crewedCsv.rows.map(function(x){ return x.row; });
+    push("sheet CSV manifest round trip", [manifestCells(crewedParsed[0].manifest), crewedParsed[1].manifest, crewedCsv.rows[0].errors], [[["Sam", "", "AFF student", "", "180", "2"], ["Ivy", "", "AFF instructor", "", "", "1"]], undefined, []]);
+    push("sealed manifest", [(await verifySeal(crewedCsv.meta, crewedParsed, crewedCsv.seal)).ok, (await verifySeal(sealMeta, [{ ...crewedRows[0], manifest: [crewedRows[0].manifest[0]] }, crewedRows[1]], crewedSeal)).ok], [true, false]);
+    const columnsOnly = { ...seal, cols: [...COLS] };
+    columnsOnly.digest = await sha256Hex(canonicalJSON(sealPayload(sealMeta, sealRows, columnsOnly)));
+    push("seal without manifest column ignores jumpers", (await verifySeal(sealMeta, [{ ...sealRows[0], manifest: [makeJumper({ name: "X" })] }], columnsOnly)).ok, true);
+    push("buildPdfMatrix seal lines", buildPdfMatrix({ totals: {}, seal }, []).sealLines[1], "SHA-256: " + seal.digest);
+  } catch (err) {
+    push("Web Crypto available", String(err), "");
+  }
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Simple V2]", result, tests);
+}
+
+// True below the md breakpoint (768 px), where entries are shown as per-load cards
+function useNarrowScreen() {
+  const query = "(max-width: 767px)";
+  const [narrow, setNarrow] = useState(() => typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia(query).matches);
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return;
+    const mq = window.matchMedia(query);
+    const onChange = () => setNarrow(mq.matches);
+    onChange();
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+  return narrow;
+}
+
+export default function PilotJourneyLogSimpleV2() {
+  /** @type {SimpleLogEntry[]} */
+  const [rows, setRows] = useState([]);
+  const [search, setSearch] = useState("");
+  const [searchScope, setSearchScope] = useState("sheet");
+  /** @type {[QueryPreset[], Function]} */
+  const [queryPresets, setQueryPresets] = useState([]);
+  const [searchNote, setSearchNote] = useState("");
+  const [exportMappings, setExportMappings] = useState(DEFAULT_EXPORT_MAPPINGS);
+  const [language, setLanguage] = useState(() => detectLanguage(typeof navigator !== "undefined" ? navigator.languages : []));
+  const t = useMemo(() => makeTranslator(language), [language]);
+  const [dutyStart, setDutyStart] = useState("");
+  const [dutyEnd, setDutyEnd] = useState("");
+  const [clockMs, setClockMs] = useState(() => Date.now()); // live duty end while the sheet is open
+
+  // Header
+  const [pilot, setPilot] = useState("");
+  const [dz, setDz] = useState("");
+  const [reg, setReg] = useState("");
+  const [date, setDate] = useState("");
+  const [fobStart, setFobStart] = useState(""); // manual FOB (Start) for the day
+  const [timeMode, setTimeMode] = useState("local");            // HH:MM entered in UTC or local time
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE);  // DZ's IANA zone
+  /** @type {[CrewMember[], Function]} */
+  const [crew, setCrew] = useState([]);                         // pilots besides PILOT, each with their own duty
+  const [hobbsStart, setHobbsStart] = useState("");             // Hobbs / tacho readings for REG, decimal hours
+  const [hobbsEnd, setHobbsEnd] = useState("");
+  const [tachoStart, setTachoStart] = useState("");
+  const [tachoEnd, setTachoEnd] = useState("");
+  const [fuelUnit, setFuelUnit] = useState("");                 // "" = the aircraft's unit; fuel is stored in lbs either way
+  const [fuelDensity, setFuelDensity] = useState("");           // kg/L for litres / US gallons
+  
+  // Lifecycle
+  const [isClosed, setIsClosed] = useState(false);
+  const [closedAt, setClosedAt] = useState("");
+  const [sheetId, setSheetId] = useState(() => uid());
+
+  // Undo / redo snapshots ({ rows, meta }) and the audit trail saved with the sheet.
+  // A closed sheet can be amended: edits are then logged as amendments with a reason.
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  /** @type {[AuditEntry[], Function]} */
+  const [audit, setAudit] = useState([]);
+  const [amending, setAmending] = useState(false);
+  const [amendReason, setAmendReason] = useState("");
+  /** @type {[SheetSeal[], Function]} */
+  const [seals, setSeals] = useState([]);
+  const [signing, setSigning] = useState(false);     // signature dialog: "close" before Close Flight, "amend" before re-sealing an amendment
+  const [verifyResult, setVerifyResult] = useState(null); // { source, status: "intact"|"altered"|"unsealed", seal, actual }
+  const locked = isClosed && (!amending || !amendReason.trim()); // amendments carry a reason, so none before it is given
+
+  // Storage: nothing is written until the working sheet has been loaded
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageError, setStorageError] = useState("");
+  /** @type {[QuarantinedRecord[], Function]} */
+  const [quarantine, setQuarantine] = useState([]); // stored records that failed validation, kept out of the app
+
+  // Archive of closed sheets (list view) + the one opened read-only, if any
+  /** @type {[SheetRecord[], Function]} */
+  const [archive, setArchive] = useState([]);
+  /** @type {[SheetRecord|null, Function]} */
+  const [viewing, setViewing] = useState(null);
+  const [showReports, setShowReports] = useState(false);
+  const [importPreview, setImportPreview] = useState(null); // parsed CSV awaiting confirmation
+  const [manifestFor, setManifestFor] = useState("");       // row id whose manifest dialog is open
+
+  // Flight & duty limits (operator rule set, editable; stored with the app state)
+  const [ftlRules, setFtlRules] = useState(DEFAULT_FTL_RULES);
+  const [ftlAck, setFtlAck] = useState(""); // exceeded-limit keys the pilot has acknowledged
+
+  // Fuel check settings: discrepancy tolerance (lbs) and minimum reserve per REG (lbs)
+  const [fuelSettings, setFuelSettings] = useState(DEFAULT_FUEL_SETTINGS);
+
+  /** @type {[AircraftProfile[], Function]} */
+  const [aircraftList, setAircraftList] = useState([]);
+  const [pdfLayout, setPdfLayout] = useState(DEFAULT_PDF_LAYOUT);
+  const [maintenanceFor, setMaintenanceFor] = useState(-1); // registry index whose maintenance dialog is open
+  /** @type {[SheetTemplate[], Function]} */
+  const [templates, setTemplates] = useState([]);
+
+  // Follow-up items raised from F/UP; kept outside the sheet so open ones carry over to later sheets
+  /** @type {[FollowUpItem[], Function]} */
+  const [followUps, setFollowUps] = useState([]);
+  const [followUpFor, setFollowUpFor] = useState(""); // row id whose follow-up dialog is open
+  const [showFollowUps, setShowFollowUps] = useState(false);
+
+  // Fast entry (keyboard navigation + shortcuts); narrow screens get per-load cards instead of the table
+  const [fastEntry, setFastEntry] = useState(false);
+  const pendingFocus = useRef(""); // cell to focus once a load added from the keyboard has rendered
+  const narrow = useNarrowScreen();
+
+  // Sync: server settings, outbox of closed sheets, pilot list pulled from the server
+  const [syncSettings, setSyncSettings] = useState(DEFAULT_SYNC_SETTINGS);
+  const [outbox, setOutbox] = useState(EMPTY_OUTBOX);
+  /** @type {[PilotRef[], Function]} */
+  const [pilotList, setPilotList] = useState([]);
+  const [syncStatus, setSyncStatus] = useState({ busy: false, message: "", error: false });
+  const syncing = useRef(false);
+
+  // New app version installed by the service worker, waiting to take over
+  const [updateWorker, setUpdateWorker] = useState(null);
+  const applyingUpdate = useRef(false);
+
+  /** @param {SheetRecord} sheet */
+  function applySheet(sheet) {
+    const meta = normalizeMeta(sheet.meta);
+    setSheetId(sheet.id || uid());
+    const list = Array.isArray(sheet.rows) ? sheet.rows : makeInitialRows();
+    setRows(sheet.isClosed ? list : stampSheet(list, meta));
+    setPilot(meta.pilot);
+    setDz(meta.dz);
+    setReg(meta.reg);
+    setDate(meta.date);
+    setFobStart(meta.fobStart);
+    setDutyStart(meta.dutyStart);
+    setDutyEnd(meta.dutyEnd);
+    setTimeMode(meta.timeMode);
+    setTimeZone(meta.timeZone);
+    setHobbsStart(meta.hobbsStart);
+    setHobbsEnd(meta.hobbsEnd);
+    setTachoStart(meta.tachoStart);
+    setTachoEnd(meta.tachoEnd);
+    setFuelUnit(meta.fuelUnit);
+    setFuelDensity(meta.fuelDensity);
+    setCrew(meta.crew);
+    setIsClosed(!!sheet.isClosed);
+    setClosedAt(sheet.closedAt || "");
+    setAudit(Array.isArray(sheet.audit) ? sheet.audit : []);
+    setSeals(Array.isArray(sheet.seals) ? sheet.seals : []);
+    setAmending(false);
+    setHistory(EMPTY_HISTORY);
+  }
+
+  async function refreshArchive() {
+    setArchive(sortArchive(await listArchivedSheets()));
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const stored = (await loadWorkingSheet()) || (await migrateLegacyStorage());
+        const storedList = await listArchivedSheets();
+        // Records that do not match the sheet schema are set aside, whole, instead of loaded: the working sheet
+        // starts blank, archived ones leave the archive once the quarantine holding them is saved
+        const held = (await loadQuarantine()) || [];
+        const workingErrors = sheetRecordErrors(stored);
+        const rejected = workingErrors.length ? [quarantineRecord("Working sheet", stored, workingErrors)] : [];
+        const sheet = workingErrors.length ? sheetFromLegacy(null, null) : stored;
+        const list = storedList.filter((s) => {
+          const errors = sheetRecordErrors(s);
+          if (errors.length) rejected.push(quarantineRecord("Archived sheet", s, errors));
+          return !errors.length;
+        });
+        if (rejected.length) {
+          await saveQuarantine([...held, ...rejected]);
+          for (const q of rejected) if (q.source === "Archived sheet") await deleteArchivedSheet(q.record.id);
+        }
+        const rules = await loadFtlRules();
+        const fuel = await loadFuelSettings();
+        const fleet = ((await loadAircraftRegistry()) || []).map(makeAircraft);
+        const layout = await loadPdfLayout();
+        const syncCfg = await loadSyncSettings();
+        const queued = await loadSyncOutbox();
+        const pilots = (await loadPilotList()) || [];
+        const items = (await loadFollowUps()) || (await loadLegacyDefects());
+        const fast = await loadFastEntry();
+        const presets = (await loadTemplates()) || [];
+        const savedQueries = (await loadQueryPresets()) || [];
+        const mappings = await loadExportMappings();
+        const lang = await loadLanguage();
+        // Reserves used to be kept per REG in the fuel settings; fold them into the registry
+        const legacyReserves = (fuel && fuel.reserveByReg) || {};
+        Object.keys(legacyReserves).forEach(r => {
+          if (!legacyReserves[r]) return;
+          const existing = findAircraft(fleet, r);
+          if (existing) { if (!existing.minReserve) existing.minReserve = String(legacyReserves[r]); }
+          else fleet.push(makeAircraft({ reg: r, minReserve: legacyReserves[r] }));
+        });
+        if (cancelled) return;
+        applySheet(sheet);
+        setArchive(sortArchive(list));
+        setFtlRules(storedFtlRules(rules));
+        if (fuel) setFuelSettings({ ...DEFAULT_FUEL_SETTINGS, tolerance: fuel.tolerance ?? DEFAULT_FUEL_SETTINGS.tolerance });
+        setAircraftList(fleet);
+        if (layout) setPdfLayout(pdfPageSize(layout));
+        if (syncCfg) setSyncSettings({ ...DEFAULT_SYNC_SETTINGS, ...syncCfg });
+        setOutbox(normalizeOutbox(queued));
+        setPilotList(pilots);
+        setFollowUps(normalizeFollowUps(items, uid));
+        setFastEntry(!!fast);
+        setTemplates(presets.map(makeTemplate));
+        setQueryPresets(savedQueries);
+        setExportMappings(normalizeExportMappings(mappings));
+        if (isLanguage(lang)) setLanguage(lang);
+        setQuarantine([...held, ...rejected]);
+        setStorageReady(true);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn("[Simple V2] storage unavailable", err);
+        if (!cancelled) setStorageError(String((err && err.message) || err));
+      }
+    })();
+    runSelfTests();
+    runLimitSelfTests();
+    runSyncSelfTests();
+    runMaintenanceSelfTests();
+    runFollowUpSelfTests();
+    runQuerySelfTests();
+    runExportSelfTests();
+    runUnitsSelfTests();
+    runI18nSelfTests();
+    runValidateSelfTests();
+    return () => { cancelled = true; };
+  }, []);
+
+  // Offline support: install manifest + service worker; a new version waits for canPromptUpdate
+  useEffect(() => {
+    ensureManifestLink();
+    registerServiceWorker((worker) => setUpdateWorker(worker));
+    if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+    const onControllerChange = () => { if (applyingUpdate.current) window.location.reload(); };
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    return () => navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+  }, []);
+
+  // Push due outbox items in the background: when the outbox changes, every SYNC_INTERVAL_MS and when back online.
+  // Settings are read at push time; editing the URL does not fire requests on every keystroke.
+  const [syncTick, setSyncTick] = useState(0);
+  useEffect(() => {
+    const bump = () => setSyncTick((n) => n + 1);
+    const timer = setInterval(bump, SYNC_INTERVAL_MS);
+    window.addEventListener("online", bump);
+    return () => { clearInterval(timer); window.removeEventListener("online", bump); };
+  }, []);
+
+  // Held in a ref (like keyHandler) so the effect below sees the current settings and pushOutbox
+  const autoPush = useRef(null);
+  autoPush.current = () => {
+    if (!storageReady || !syncSettings.url.trim() || !dueItems(outbox, Date.now()).length) return;
+    pushOutbox(outbox);
+  };
+  useEffect(() => { autoPush.current(); }, [storageReady, outbox, syncTick]);
+
+  /** @param {SyncOutbox} snapshot */
+  async function pushOutbox(snapshot) {
+    if (syncing.current) return;
+    let adapter;
+    try {
+      adapter = createRestSyncAdapter({ baseUrl: syncSettings.url, token: syncSettings.token });
+    } catch (err) {
+      setSyncStatus({ busy: false, message: err.message, error: true });
+      return;
+    }
+    syncing.current = true;
+    setSyncStatus((st) => ({ ...st, busy: true }));
+    const now = Date.now();
+    const r = await flushOutbox(snapshot, adapter, now);
+    // Replay onto the latest outbox: a sheet may have been queued again while the pushes were in flight
+    setOutbox((ob) => r.results.reduce((o, x) => recordPushResult(o, x.id, x.result, now, x.version), ob));
+    syncing.current = false;
+    const bits = [];
+    if (r.pushed.length) bits.push(t("sync.sent", { count: r.pushed.length }));
+    if (r.conflicts.length) bits.push(t("sync.conflicts", { count: r.conflicts.length }));
+    if (r.failed.length) bits.push(t("sync.failed", { count: r.failed.length, error: r.results.find(x => x.result.error).result.error }));
+    setSyncStatus({ busy: false, message: bits.join(" • ") || t("sync.nothing"), error: r.failed.length > 0 });
+  }
+
+  /** @param {SheetRecord} s closed sheet as archived */
+  function queueForSync(s) {
+    if (!syncSettings.url.trim()) return;
+    setOutbox((ob) => enqueueSheet(ob, s, sheetVersion(s), Date.now()));
+  }
+
+  // Sheets closed before sync was set up (or while it was off)
+  const unsyncedArchive = archive.filter((s) => !(s.id in outbox.synced) && !outbox.items.some((x) => x.id === s.id));
+  function queueArchive() {
+    const now = Date.now();
+    setOutbox((ob) => unsyncedArchive.reduce((o, s) => enqueueSheet(o, s, sheetVersion(s), now), ob));
+  }
+
+  async function pullReferenceLists() {
+    const adapter = createRestSyncAdapter({ baseUrl: syncSettings.url, token: syncSettings.token });
+    const [remoteAircraft, remotePilots] = await Promise.all([adapter.pullAircraft(), adapter.pullPilots()]);
+    // Maintenance counters are kept on the device unless the server sends its own
+    setAircraftList((list) => mergeReferenceList(list, remoteAircraft.map((a) => makeAircraft(a && a.maintenance ? a : { ...a, maintenance: (findAircraft(list, a && a.reg) || {}).maintenance })), (a) => a.reg));
+    setPilotList((list) => mergeReferenceList(list, remotePilots.map(makePilotRef), (x) => x.name.toLowerCase()));
+    return t("sync.pulled", { aircraft: remoteAircraft.length, pilots: remotePilots.length });
+  }
+
+  // Manual "Sync now": retry everything pending right away, then refresh the reference lists
+  async function syncNow() {
+    const now = Date.now();
+    await pushOutbox({ ...outbox, items: outbox.items.map((x) => (x.status === "pending" ? { ...x, nextAt: now } : x)) });
+    try {
+      const pulled = await pullReferenceLists();
+      setSyncStatus((st) => ({ ...st, message: [st.message, pulled].filter(Boolean).join(" • ") }));
+    } catch (err) {
+      setSyncStatus({ busy: false, message: (err && err.message) || String(err), error: true });
+    }
+  }
+
+  /** @param {OutboxItem} item @param {"mine"|"theirs"} choice */
+  async function settleConflict(item, choice) {
+    if (choice === "theirs") {
+      if (!item.serverSheet) { alert(t("sync.noServerCopy")); return; }
+      const errors = sheetRecordErrors(item.serverSheet);
+      if (errors.length) { alert(t("sync.badServerCopy", { errors: errors.join("\n") })); return; }
+      if (!confirm(t("sync.useTheirs.confirm", { sheet: item.sheet.meta.date || t("common.theSheet"), version: item.serverVersion }))) return;
+      try {
+        await putArchivedSheet(item.serverSheet);
+        await refreshArchive();
+      } catch (err) {
+        setStorageError(String((err && err.message) || err));
+        return;
+      }
+    }
+    setOutbox((ob) => resolveConflict(ob, item.id, choice, Date.now()));
+  }
+
+  function applyUpdate() {
+    if (!updateWorker) return;
+    applyingUpdate.current = true;
+    updateWorker.postMessage({ type: "SKIP_WAITING" });
+  }
+
+  /** @type {SheetRecord} */
+  const sheet = useMemo(() => ({
+    id: sheetId,
+    meta: { pilot, dz, reg, date, fobStart, dutyStart, dutyEnd, timeMode, timeZone, hobbsStart, hobbsEnd, tachoStart, tachoEnd, fuelUnit, fuelDensity, crew },
+    rows,
+    isClosed,
+    closedAt,
+    audit,
+    seals,
+  }), [sheetId, pilot, dz, reg, date, fobStart, dutyStart, dutyEnd, timeMode, timeZone, hobbsStart, hobbsEnd, tachoStart, tachoEnd, fuelUnit, fuelDensity, crew, rows, isClosed, closedAt, audit, seals]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveWorkingSheet(sheet).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, sheet]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveFtlRules(ftlRules).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, ftlRules]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveFuelSettings(fuelSettings).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, fuelSettings]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveAircraftRegistry(aircraftList).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, aircraftList]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    savePdfLayout({ size: pdfLayout.size, orientation: pdfLayout.orientation }).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, pdfLayout]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveSyncSettings(syncSettings).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, syncSettings]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveSyncOutbox(outbox).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, outbox]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    savePilotList(pilotList).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, pilotList]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveFollowUps(followUps).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, followUps]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveFastEntry(fastEntry).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, fastEntry]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveTemplates(templates).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, templates]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveQueryPresets(queryPresets).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, queryPresets]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveExportMappings(exportMappings).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, exportMappings]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveLanguage(language).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, language]);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    saveQuarantine(quarantine).catch((err) => setStorageError(String((err && err.message) || err)));
+  }, [storageReady, quarantine]);
+
+  // A shared link (#q=…) opens with its search; afterwards the address bar follows the search so it can be copied
+  useEffect(() => {
+    const shared = queryFromHash(window.location.hash);
+    if (shared) { setSearch(shared.text); setSearchScope(shared.scope); }
+  }, []);
+
+  useEffect(() => {
+    const hash = queryToHash(search, searchScope);
+    if (hash !== window.location.hash) window.history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+    setSearchNote("");
+  }, [search, searchScope]);
+
+  useEffect(() => {
+    if (!pendingFocus.current) return;
+    const el = document.querySelector('[data-cell="' + pendingFocus.current + '"]');
+    pendingFocus.current = "";
+    if (el) el.focus();
+  }, [rows]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setClockMs(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const clockZone = sheetClockZone(sheet.meta);
+  const pilotDuty = useMemo(() => sheetDutyTime(sheet.meta), [sheet.meta]);
+  const crewTotals = useMemo(() => crewBreakdown(rows, sheet.meta), [rows, sheet.meta]);
+
+  const query = useMemo(() => parseQuery(search), [search]);
+  const filtered = useMemo(() => (
+    query.terms.length ? searchSheets(query, [sheet], followUps, aircraftList, fuelSettings.tolerance).map(x => x.row) : rows
+  ), [query, sheet, rows, followUps, aircraftList, fuelSettings.tolerance]);
+  // Across days: the archive plus the open sheet (standing in for its archived copy while amending), newest first
+  const searchResults = useMemo(() => (
+    searchScope === "days" && query.terms.length
+      ? searchSheets(query, sortArchive([...archive.filter(s => s.id !== sheetId), sheet]), followUps, aircraftList, fuelSettings.tolerance)
+      : []
+  ), [searchScope, query, archive, sheetId, sheet, followUps, aircraftList, fuelSettings.tolerance]);
+
+  function saveQueryPreset() {
+    const name = (prompt(t("search.presetName"), search.trim()) || "").trim();
+    if (!name) return;
+    setQueryPresets((list) => [...list.filter(p => p.name !== name), { name, query: search.trim(), scope: searchScope }]);
+  }
+
+  function copyQueryLink() {
+    const url = window.location.origin + window.location.pathname + window.location.search + queryToHash(search, searchScope);
+    if (!navigator.clipboard) { prompt(t("search.copyThisLink"), url); return; }
+    navigator.clipboard.writeText(url).then(() => setSearchNote(t("search.linkCopied")), () => prompt(t("search.copyThisLink"), url));
+  }
+
+  // Totals always cover the whole sheet; a search gets its own subtotal
+  const totals = useMemo(() => sheetTotals(rows), [rows]);
+  const filteredTotals = useMemo(() => (query.terms.length ? sheetTotals(filtered) : null), [filtered, query]);
+  const amended = useMemo(() => amendedOriginals(audit), [audit]);
+
+  // Mirror single FOB value from the last non-ferry load row (by current sheet order)
+  const lastFOB = useMemo(() => sheetLastFOB(rows), [rows]);
+
+  const aircraft = useMemo(() => findAircraft(aircraftList, reg), [aircraftList, reg]);
+  const fuelReserve = aircraft ? aircraft.minReserve : "";
+  // Unit fuel is shown and typed in on this sheet (stored values are lbs whatever it is)
+  const fuelShown = useMemo(() => resolveFuelUnit({ fuelUnit, fuelDensity }, aircraft), [fuelUnit, fuelDensity, aircraft]);
+  const fuelLabel = fuelUnitLabel(fuelShown.unit);
+  const fuelCheck = useMemo(() => checkFuel(rows, fobStart, fuelSettings.tolerance, fuelReserve), [rows, fobStart, fuelSettings.tolerance, fuelReserve]);
+  const fuelDiscrepancies = Object.values(fuelCheck).filter(f => f.discrepancy).length;
+  const fuelBelowReserve = Object.values(fuelCheck).filter(f => f.belowReserve).length;
+
+  const timeIssues = useMemo(() => checkSheetTimes(rows, sheet.meta), [rows, sheet.meta]);
+  const timeIssueCount = Object.values(timeIssues).filter(x => x.length).length;
+
+  const aircraftIssues = useMemo(() => {
+    const out = {};
+    rows.forEach(r => { out[r.id] = checkRowAgainstAircraft(r, aircraft, fuelShown); });
+    return out;
+  }, [rows, aircraft, fuelShown]);
+
+  function addAircraft() { setAircraftList((list) => [...list, makeAircraft({ reg: list.some(a => a.reg === reg.trim().toUpperCase()) ? "" : reg })]); }
+  function updateAircraft(index, key, value) { setAircraftList((list) => list.map((a, i) => (i === index ? { ...a, [key]: key === "reg" ? value.toUpperCase() : value } : a))); }
+  function removeAircraft(index) {
+    const a = aircraftList[index];
+    if (a && a.reg && !confirm(t("aircraft.remove.confirm", { reg: a.reg }))) return;
+    setAircraftList((list) => list.filter((_, i) => i !== index));
+  }
+  function updateMaintenance(index, patch) { setAircraftList((list) => list.map((a, i) => (i === index ? { ...a, maintenance: { ...a.maintenance, ...patch } } : a))); }
+
+  // Standard REMARKS for the DZ on this sheet
+  const dzTemplate = findTemplate(templates, dz);
+  const remarkSnippets = dzTemplate ? dzTemplate.remarks.filter(x => x.trim()) : [];
+
+  function saveHeaderAsTemplate() {
+    const loads = rows.filter(r => r.id !== FERRY_ID).length;
+    setTemplates((list) => [...list, makeTemplate({ name: dz, dz, pilot, reg, loads, fobStart, timeMode, timeZone })]);
+  }
+  // Remarks are edited one snippet per line; blank lines are kept while typing and dropped when used
+  function updateTemplate(id, key, value) {
+    setTemplates((list) => list.map((tpl) => (tpl.id !== id ? tpl : { ...tpl, [key]: key === "reg" ? value.toUpperCase() : key === "remarks" ? value.split("\n") : value })));
+  }
+  function removeTemplate(id) {
+    const tpl = templates.find(x => x.id === id);
+    if (tpl && (tpl.name || tpl.dz) && !confirm(t("template.delete.confirm", { name: tpl.name || tpl.dz }))) return;
+    setTemplates((list) => list.filter(x => x.id !== id));
+  }
+
+  // DATE is today at the template's DZ (the device's date when the zone is unknown)
+  /** @param {SheetTemplate} tpl */
+  function newSheetFromTemplate(tpl) {
+    // An amendment in progress would be dropped with the sheet
+    if (amending) { alert(t("closed.finishAmendFirst")); return; }
+    if (!isClosed && rows.length > 0 && !confirm(t("template.replace.confirm", { name: tpl.name || tpl.dz }))) return;
+    const today = isValidTimeZone(tpl.timeZone) ? epochToZonedDate(Date.now(), tpl.timeZone) : todayISO();
+    applySheet(sheetFromTemplate(makeTemplate(tpl), today, aircraftList, sheet.meta));
+  }
+
+  function importTemplates(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const incoming = parseTemplateFile(String(reader.result || ""));
+        setTemplates((list) => mergeReferenceList(list, incoming, templateKey));
+      } catch (err) {
+        alert(t("template.invalid", { error: (err && err.message) || err }));
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  function exportTemplates() {
+    const blob = new Blob([templateFileJSON(templates.map(makeTemplate))], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = "dz_templates.json"; a.click(); URL.revokeObjectURL(url);
+  }
+
+  // Hobbs / tacho against the summed times; counters and inspections per aircraft over the archive plus this sheet
+  // (the live copy stands in for its archived version while amending)
+  const meterCheck = useMemo(() => reconcileMeters(sheetAirframeDay(sheet)), [sheet]);
+  const fleetMaintenance = useMemo(() => {
+    const sheets = [...archive.filter(s => s.id !== sheetId), sheet];
+    const asOf = date || todayISO();
+    return aircraftList.map(a => (a.reg ? aircraftMaintenance(a, sheets, asOf) : null));
+  }, [aircraftList, archive, sheetId, sheet, date]);
+  const maintenance = aircraft ? fleetMaintenance[aircraftList.indexOf(aircraft)] : null;
+  const carriedItems = useMemo(() => carriedFollowUps(followUps, sheet.meta, sheetId), [followUps, sheet.meta, sheetId]);
+  const itemsByRow = useMemo(() => followUpsByRow(followUps, sheetId), [followUps, sheetId]);
+
+  // Raise a follow-up from a load's F/UP; it is stored apart from the sheet and does not change it
+  function raiseFollowUp(row, fields) {
+    const item = makeFollowUp({ ...fields, reg, dz, date, sheetId, rowId: row.id, load: row.id === FERRY_ID ? "FERRY" : row.Load, openedAt: new Date().toISOString(), openedBy: rowPIC(row, sheet.meta) }, uid);
+    setFollowUps((list) => [...list, item]);
+  }
+
+  /** @returns {string} error message, "" when applied */
+  function changeFollowUp(id, change) {
+    const item = followUps.find(x => x.id === id);
+    if (!item) return "";
+    try {
+      const next = updateFollowUp(item, { by: pilot, ...change }, new Date().toISOString());
+      setFollowUps((list) => list.map(x => (x.id === id ? next : x)));
+      return "";
+    } catch (err) {
+      return String((err && err.message) || err);
+    }
+  }
+
+  function exportFollowUps(list) {
+    const blob = new Blob([toCSV([FOLLOWUP_COLS, ...followUpRecords(list)])], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = "pilot_journey_log_follow_ups.csv"; a.click(); URL.revokeObjectURL(url);
+  }
+
+  // Limits are checked per crew member (their duty, the loads they flew as PIC) against their earlier archived days;
+  // an open duty runs until now
+  const ftlCheck = useMemo(() => {
+    const liveEnd = isClosed ? "" : epochToZonedHM(clockMs, clockZone);
+    const live = { meta: { ...sheet.meta, dutyEnd: dutyEnd || liveEnd, crew: crew.map(c => ({ ...c, dutyEnd: c.dutyEnd || liveEnd })) }, rows };
+    const members = sheetCrew(live.meta).filter((c, i) => i === 0 || c.name.trim());
+    try {
+      const findings = [];
+      members.forEach((m) => {
+        const who = crewKey(m.name);
+        const history = who ? archive.filter(s => s.id !== sheetId && findCrewMember(normalizeMeta(s.meta), who)).map(s => sheetFtlDay(s, who)) : [];
+        checkFlightDutyLimits(ftlRules, sheetFtlDay(live, m.name), history).forEach(f => {
+          findings.push({ ...f, id: (m.id || "pilot") + ":" + f.key, message: (members.length > 1 ? (m.name.trim() || "PILOT") + " — " : "") + f.message });
+        });
+      });
+      return { findings, error: "" };
+    } catch (err) {
+      return { findings: [], error: String((err && err.message) || err) };
+    }
+  }, [ftlRules, archive, sheetId, sheet.meta, dutyEnd, crew, isClosed, clockMs, clockZone, rows]);
+  const ftlExceeded = ftlCheck.findings.filter(f => f.level === "exceeded");
+  const ftlWarnings = ftlCheck.findings.filter(f => f.level === "warn");
+  const ftlExceededKey = ftlExceeded.map(f => f.id).join(",");
+  const ftlBlocked = !isClosed && ftlExceeded.length > 0 && ftlAck !== ftlExceededKey;
+
+  function setFtlRule(key, value) { setFtlRules((r) => ({ ...r, [key]: value })); }
+
+  function importFtlRules(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try { setFtlRules(parseFtlRuleSet(String(reader.result || ""))); }
+      catch (err) { alert(t("ftl.invalid", { error: (err && err.message) || err })); }
+    };
+    reader.readAsText(file);
+  }
+
+  function exportFtlRules() {
+    const blob = new Blob([JSON.stringify(ftlRules, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = "ftl_rules.json"; a.click(); URL.revokeObjectURL(url);
+  }
+
+  const metaSetters = { pilot: setPilot, dz: setDz, reg: setReg, date: setDate, fobStart: setFobStart, dutyStart: setDutyStart, dutyEnd: setDutyEnd, timeMode: setTimeMode, timeZone: setTimeZone, hobbsStart: setHobbsStart, hobbsEnd: setHobbsEnd, tachoStart: setTachoStart, tachoEnd: setTachoEnd, fuelUnit: setFuelUnit, fuelDensity: setFuelDensity };
+
+  // Every sheet edit goes through here: logs the field diff, pushes an undo step (consecutive edits
+  // with the same key inside EDIT_COALESCE_MS share one) and applies the new rows / header.
+  function commitEdit(nextRows, nextMeta, key, fromHistory) {
+    const now = Date.now();
+    const changes = diffSheet(rows, sheet.meta, nextRows, nextMeta);
+    if (!changes.length) return;
+    const kind = isClosed ? "amendment" : "edit";
+    const extra = kind === "amendment" ? { reason: amendReason.trim() } : {};
+    setAudit((log) => changes.reduce((l, c) => appendAudit(l, { ...c, kind, ...extra }, now), log));
+    if (!fromHistory) {
+      setHistory((h) => {
+        if (key && h.lastKey === key && now - h.lastAt < EDIT_COALESCE_MS) return { ...h, future: [], lastAt: now };
+        return { past: [...h.past, { rows, meta: sheet.meta }].slice(-UNDO_LIMIT), future: [], lastKey: key || "", lastAt: now };
+      });
+    }
+    setRows(nextRows);
+    SHEET_META_KEYS.forEach(k => { if (nextMeta[k] !== sheet.meta[k]) metaSetters[k](nextMeta[k]); });
+    if (nextMeta.crew !== sheet.meta.crew) setCrew(normalizeCrew(nextMeta.crew));
+  }
+
+  function undo() {
+    if (locked || history.past.length === 0) return;
+    const prev = history.past[history.past.length - 1];
+    setHistory((h) => ({ past: h.past.slice(0, -1), future: [{ rows, meta: sheet.meta }, ...h.future], lastKey: "", lastAt: 0 }));
+    commitEdit(prev.rows, prev.meta, "", true);
+  }
+
+  function redo() {
+    if (locked || history.future.length === 0) return;
+    const next = history.future[0];
+    setHistory((h) => ({ past: [...h.past, { rows, meta: sheet.meta }], future: h.future.slice(1), lastKey: "", lastAt: 0 }));
+    commitEdit(next.rows, next.meta, "", true);
+  }
+
+  const keyHandler = useRef(null);
+  keyHandler.current = (e) => {
+    if (fastEntry && !viewing && !showReports && !showFollowUps && fastEntryShortcut(e)) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const k = e.key.toLowerCase();
+    if (k === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+    else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); redo(); }
+  };
+  useEffect(() => {
+    const onKey = (e) => keyHandler.current && keyHandler.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Fast entry shortcuts anywhere on the page: Ctrl+N / Alt+A add a load (some browsers keep Ctrl+N for
+  // themselves outside the installed app), Alt+O / T / L / B stamp OFF-BLK / T/O / L/D / ON-BLK with now
+  // on the focused load, or the newest load when no entry cell has focus
+  function fastEntryShortcut(e) {
+    const mod = e.ctrlKey || e.metaKey;
+    if ((mod && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "n") || (e.altKey && !mod && e.code === "KeyA")) {
+      e.preventDefault();
+      const id = addRow();
+      if (id) pendingFocus.current = cellId(id, TIME_COLS[0]);
+      return true;
+    }
+    const col = e.altKey && !mod ? FAST_STAMP_KEYS[e.code] : "";
+    if (!col) return false;
+    e.preventDefault();
+    const active = parseCellId(document.activeElement && document.activeElement.getAttribute && document.activeElement.getAttribute("data-cell"));
+    const newest = rows.filter(r => r.id !== FERRY_ID).reduce((a, r) => (!a || Number(r.Load) > Number(a.Load) ? r : a), null);
+    const target = active && rows.some(r => r.id === active.rowId) ? active.rowId : newest && newest.id;
+    if (target) setNow(target, col);
+    return true;
+  }
+
+  // Fast entry inside the entries table / cards: Enter → next field, arrow keys → neighbouring cell
+  // (disabled cells are skipped)
+  function onEntryKeyDown(e) {
+    if (!fastEntry || e.altKey || e.ctrlKey || e.metaKey) return;
+    const at = parseCellId(e.target.getAttribute && e.target.getAttribute("data-cell"));
+    const move = { Enter: "next", ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right" }[e.key];
+    if (!at || !move || (move === "next" && e.shiftKey)) return;
+    // Left / right only leave a text field from its first / last character
+    if ((move === "left" || move === "right") && typeof e.target.selectionStart === "number") {
+      const { selectionStart, selectionEnd, value } = e.target;
+      if (selectionStart !== selectionEnd || (move === "left" ? selectionStart > 0 : selectionEnd < value.length)) return;
+    }
+    e.preventDefault();
+    const ids = filtered.map(r => r.id);
+    for (let next = nextEntryCell(ids, at.rowId, at.col, move); next; next = nextEntryCell(ids, next.rowId, next.col, move)) {
+      const el = document.querySelector('[data-cell="' + cellId(next.rowId, next.col) + '"]');
+      if (el && !el.disabled) {
+        el.focus();
+        if (el.tagName === "INPUT") el.select();
+        return;
+      }
+    }
+  }
+
+  // Switching UTC / local converts the entered times; DATE and time zone re-resolve them to instants
+  function setMeta(key, value) {
+    if (locked) return;
+    const nextMeta = { ...sheet.meta, [key]: value };
+    if (key === "timeMode") {
+      const converted = convertSheetTimes(rows, sheet.meta, nextMeta);
+      commitEdit(converted.rows, converted.meta, "meta|" + key);
+    } else if (key === "date" || key === "timeZone") {
+      commitEdit(stampSheet(rows, nextMeta), nextMeta, "meta|" + key);
+    } else if (key === "fobStart") {
+      commitEdit(seedFirstFOB(rows, sheet.meta.fobStart, value), nextMeta, "meta|" + key);
+    } else {
+      commitEdit(rows, nextMeta, "meta|" + key);
+    }
+  }
+
+  function addRow() {
+    if (isClosed || ftlBlocked) return;
+    const idxFerry = rows.findIndex(x => x.id === FERRY_ID);
+    const d = newLoadDefaults(rows, fobStart, aircraft);
+    const prevLoad = rows.filter(x => x.id !== FERRY_ID).slice(-1)[0];
+    const newRow = { id: uid(), Load: String(nextLoadNumber(rows)), PIC: prevLoad ? String(prevLoad.PIC ?? "") : "", "OFF-BLK": "", "T/O": "", "L/D": "", "ON-BLK": "", "FLT/T": "", "BLK/T": "", FOB: d.FOB, "F/B": "", UPLIFT: "", PAX: d.PAX, LDG: d.LDG, "F/UP": "", REMARKS: "" };
+    const next = [...rows];
+    if (idxFerry >= 0) next.splice(idxFerry + 1, 0, newRow); else next.push(newRow);
+    commitEdit(next, sheet.meta, null);
+    return newRow.id;
+  }
+
+  function addFerryRow() {
+    if (isClosed) return;
+    if (rows.some(x => x.id === FERRY_ID)) return; // already present
+    // Seed ferry FOB with FOB (Start) if provided
+    const ferry = { id: FERRY_ID, Load: "FERRY", PIC: "", "OFF-BLK": "", "T/O": "", "L/D": "", "ON-BLK": "", "FLT/T": "", "BLK/T": "", FOB: (fobStart || ""), "F/B": "", UPLIFT: "", PAX: "", LDG: "", "F/UP": "", REMARKS: "" };
+    commitEdit([ferry, ...rows], sheet.meta, null);
+  }
+
+  function updateRow(id, key, value) {
+    if (locked) return;
+    const next = rows.map((row) => {
+      if (row.id !== id) return row;
+      let n = { ...row, [key]: key === "PAX" || key === "LDG" ? countValue(value) : value };
+      if (key === "L/D" && value && !row["L/D"]) n = landedDefaults(n, aircraft);
+      if ((key === "T/O" || key === "L/D") && (n["T/O"] || n["L/D"])) {
+        const span = calcBlock(String(n["T/O"] || ""), String(n["L/D"] || ""));
+        n["FLT/T"] = span || "";
+      }
+      if ((key === "OFF-BLK" || key === "ON-BLK") && (n["OFF-BLK"] || n["ON-BLK"])) {
+        n["BLK/T"] = calcBlock(String(n["OFF-BLK"] || ""), String(n["ON-BLK"] || "")) || "";
+      }
+      return n;
+    });
+    commitEdit(TIME_COLS.includes(key) ? stampSheet(next, sheet.meta) : next, sheet.meta, id + "|" + key);
+  }
+
+  // PAX follows the manifest while it has jumpers; emptying it hands PAX back to manual entry
+  /** @param {ManifestJumper[]} list */
+  function updateManifest(id, list) {
+    if (locked) return;
+    const next = rows.map((row) => {
+      if (row.id !== id) return row;
+      const pax = list.length ? list.length : (row.manifest && row.manifest.length ? "" : row.PAX);
+      return { ...row, manifest: list, PAX: pax };
+    });
+    commitEdit(next, sheet.meta, id + "|manifest");
+  }
+
+  // "1230" / "12.30" / "9:05" → "12:30" once the field is left; invalid input stays as typed with its error
+  function normalizeTimeCell(id, key) {
+    const row = rows.find(r => r.id === id);
+    const { value } = parseTimeInput(row && row[key]);
+    if (row && value && value !== row[key]) updateRow(id, key, value);
+  }
+
+  function normalizeDutyTime(key) {
+    const { value } = parseTimeInput(sheet.meta[key]);
+    if (value && value !== sheet.meta[key]) setMeta(key, value);
+  }
+
+  function addCrewMember() {
+    if (locked) return;
+    commitEdit(rows, { ...sheet.meta, crew: [...crew, makeCrewMember()] }, null);
+  }
+
+  // Renaming a crew member carries their loads' PIC along
+  function updateCrewMember(id, key, value) {
+    if (locked) return;
+    const member = crew.find(c => c.id === id);
+    if (!member) return;
+    const nextCrew = crew.map(c => (c.id === id ? { ...c, [key]: value } : c));
+    const renamed = key === "name" && member.name.trim() ? rows.map(r => (crewKey(r.PIC) === crewKey(member.name) ? { ...r, PIC: value.trim() } : r)) : rows;
+    commitEdit(renamed, { ...sheet.meta, crew: nextCrew }, "crew|" + id + "|" + key);
+  }
+
+  function normalizeCrewDuty(id, key) {
+    const member = crew.find(c => c.id === id);
+    const { value } = parseTimeInput(member && member[key]);
+    if (member && value && value !== member[key]) updateCrewMember(id, key, value);
+  }
+
+  function removeCrewMember(id) {
+    if (locked) return;
+    const member = crew.find(c => c.id === id);
+    if (!member) return;
+    const flown = member.name.trim() ? rows.filter(r => crewKey(r.PIC) === crewKey(member.name)).length : 0;
+    if (flown && !confirm(t("crew.remove.confirm", { name: member.name.trim(), count: flown }))) return;
+    commitEdit(rows, { ...sheet.meta, crew: crew.filter(c => c.id !== id) }, null);
+  }
+
+  function setNow(id, key) { if (locked) return; updateRow(id, key, nowHHMM(clockZone)); }
+
+  function deleteRow(id) {
+    if (isClosed) return;
+    const row = rows.find(x => x.id === id);
+    if (row && rowSummary(row) && !confirm(t("entries.delete.confirm", { row: row.id === FERRY_ID ? "FERRY" : t("common.load", { load: row.Load }) }))) return;
+    commitEdit(rows.filter((x) => x.id !== id), sheet.meta, null);
+  }
+
+  function clearRow(id) { if (isClosed) return; commitEdit(rows.map((row) => (row.id === id ? clearEntry(row) : row)), sheet.meta, null); }
+
+  function exportManifestCSV() {
+    const csv = buildManifestCSV(sheet.meta, rows);
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = "pilot_journey_log_manifest.csv"; a.click(); URL.revokeObjectURL(url);
+  }
+
+  function exportCSV() {
+    const csv = buildSheetCSV(sheet.meta, rows, isClosed && !amending ? seal : null);
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = "pilot_journey_log_simple_v2.csv"; a.click(); URL.revokeObjectURL(url);
+  }
+
+  function importCSV(file) {
+    if (isClosed) { alert(t("closed.importBlocked")); return; }
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseSheetCSV(String(reader.result || ""));
+      if (parsed.error) { alert(t("import.failed", { error: parsed.error })); return; }
+      setImportPreview({ ...parsed, fileName: file.name, mode: rows.length ? "append" : "replace", applyMeta: parsed.hasMeta && rows.length === 0 });
+    };
+    reader.readAsText(file);
+  }
+
+  function applyImport() {
+    if (!importPreview || isClosed) return;
+    let valid = importPreview.rows.filter(x => x.errors.length === 0).map(x => x.row);
+    const fileMeta = { ...sheet.meta, ...importPreview.meta };
+    const nextMeta = importPreview.applyMeta ? fileMeta : sheet.meta;
+    // Rows logged in another zone are converted so they keep their instants
+    if (sheetClockZone(fileMeta) !== sheetClockZone(nextMeta)) valid = convertSheetTimes(valid, fileMeta, nextMeta).rows;
+    commitEdit(stampSheet(mergeImportedRows(rows, valid, importPreview.mode), nextMeta), nextMeta, null);
+    setImportPreview(null);
+  }
+
+  /** @param {SheetSignature} signature */
+  async function closeFlight(signature) {
+    if (ftlBlocked) return;
+    const at = new Date().toISOString();
+    let seal;
+    try {
+      seal = await sealSheet(sheet.meta, rows, at, signature);
+    } catch (err) {
+      alert(t("sign.sealFailed", { error: (err && err.message) || err }));
+      return;
+    }
+    setSigning(false);
+    setIsClosed(true);
+    setClosedAt(at);
+    setSeals([seal]);
+    setHistory(EMPTY_HISTORY);
+    if (!storageReady) return;
+    try {
+      const closed = { ...sheet, isClosed: true, closedAt: at, seals: [seal] };
+      await putArchivedSheet(closed);
+      await refreshArchive();
+      queueForSync(closed);
+    } catch (err) {
+      setStorageError(String((err && err.message) || err));
+    }
+  }
+
+  // Done: unchanged content keeps its seal; changed content must be signed again before it is re-sealed
+  async function finishAmending() {
+    if (!amendReason.trim()) return;
+    const prev = latestSeal(sheet);
+    try {
+      if (prev && !(await verifySeal(sheet.meta, rows, prev)).ok) { setSigning("amend"); return; }
+    } catch (err) {
+      alert(t("sign.resealFailed", { error: (err && err.message) || err }));
+      return;
+    }
+    await storeAmendment(seals);
+  }
+
+  /** @param {SheetSignature} signature */
+  async function signAmendment(signature) {
+    let next;
+    try {
+      next = await sealSheet(sheet.meta, rows, closedAt, signature, amendReason.trim());
+    } catch (err) {
+      alert(t("sign.resealFailed", { error: (err && err.message) || err }));
+      return;
+    }
+    setSigning(false);
+    await storeAmendment([...seals, next]);
+  }
+
+  // End the amendment and write the sheet back over the archived copy
+  /** @param {SheetSeal[]} nextSeals */
+  async function storeAmendment(nextSeals) {
+    setSeals(nextSeals);
+    setAmending(false);
+    setHistory(EMPTY_HISTORY);
+    if (!storageReady) return;
+    try {
+      await putArchivedSheet({ ...sheet, seals: nextSeals });
+      await refreshArchive();
+      if (nextSeals.length > seals.length) queueForSync({ ...sheet, seals: nextSeals });
+    } catch (err) {
+      setStorageError(String((err && err.message) || err));
+    }
+  }
+
+  /** @param {string} source @param {SheetSeal|null} seal */
+  async function runVerify(source, meta, list, seal) {
+    if (!seal) { setVerifyResult({ source, status: "unsealed", seal: null, actual: "" }); return; }
+    try {
+      const r = await verifySeal(meta, list, seal);
+      setVerifyResult({ source, status: r.ok ? "intact" : "altered", seal, actual: r.actual });
+    } catch (err) {
+      alert(t("verify.failed", { error: (err && err.message) || err }));
+    }
+  }
+
+  function verifyFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseSheetCSV(String(reader.result || ""), { exact: true });
+      if (parsed.error) { alert(t("verify.unreadable", { file: file.name, error: parsed.error })); return; }
+      runVerify(file.name, parsed.meta, parsed.rows.map(x => x.row), parsed.seal);
+    };
+    reader.readAsText(file);
+  }
+
+  const seal = latestSeal(sheet);
+
+  function printPDF() {
+    printHTML(buildPrintHTML({ pilot, dz, reg, date, times: timeZoneLabel(sheet.meta), totals, fobStart, fuel: fuelShown, lastFOB, seal, crew: crewTotals }, rows));
+  }
+
+  function newFlight() {
+    // Start a fresh, unlocked sheet. Keep header fields; reset rows and duty; clear isClosed.
+    // The closed sheet itself is already in the archive.
+    setSheetId(uid());
+    setRows(makeInitialRows());
+    setDutyStart("");
+    setDutyEnd("");
+    setCrew((list) => list.map(c => ({ ...c, dutyStart: "", dutyEnd: "" })));
+    // Meters carry on from where this sheet left them
+    setHobbsStart(hobbsEnd);
+    setHobbsEnd("");
+    setTachoStart(tachoEnd);
+    setTachoEnd("");
+    setIsClosed(false);
+    setClosedAt("");
+    setAudit([]);
+    setSeals([]);
+    setAmending(false);
+    setHistory(EMPTY_HISTORY);
+  }
+
+  /** @param {SheetRecord} src */
+  function duplicateSheet(src) {
+    if (!isClosed && rows.length > 0 && !confirm(t("archive.duplicate.confirm", { sheet: src.meta.date || t("common.thisSheet") }))) return;
+    applySheet(copySheet(src));
+    setViewing(null);
+  }
+
+  /** @param {SheetRecord} src */
+  async function removeArchivedSheet(src) {
+    if (!confirm(t("archive.delete.confirm", { sheet: (src.meta.date || t("common.noDate")) + (src.meta.reg ? " / " + src.meta.reg : "") }))) return;
+    try {
+      await deleteArchivedSheet(src.id);
+      await refreshArchive();
+      if (viewing && viewing.id === src.id) setViewing(null);
+    } catch (err) {
+      setStorageError(String((err && err.message) || err));
+    }
+  }
+
+  // One entry cell (table or card): the input plus its inline checks
+  function renderCell(row, c) {
+    return (
+      c === "Load" ? (<>
+        {row.id === FERRY_ID ? (
+          <Input value="FERRY" disabled />
+        ) : (
+          <Input value={row.Load} disabled />
+        )}
+        {(timeIssues[row.id] || []).map((msg) => <div key={msg} className="text-xs mt-1 text-red-700 min-w-[12rem]">{msg}</div>)}
+      </>) : TIME_COLS.includes(c) ? (<>
+        <div className={"flex items-center gap-2" + (parseTimeInput(row[c]).error ? " rounded-md ring-1 ring-offset-1 ring-red-400" : "")}>
+          <CellInput cell={cellId(row.id, c)} value={(row)[c] ?? ""} type="text" placeholder="HH:MM" maxLength={MAX_TEXT_LENGTH} onChange={(v) => updateRow(row.id, c, v)} onBlur={() => normalizeTimeCell(row.id, c)} disabled={locked} />
+          <Button variant="outline" size="sm" onClick={() => setNow(row.id, c)} title={t("entries.setNow", { zone: timeZoneLabel(sheet.meta) })} disabled={locked}>
+            <Clock className="h-4 w-4" />
+          </Button>
+        </div>
+        {row.stamps && row.stamps[c] && (
+          <div className="text-xs text-muted-foreground mt-1" title={row.stamps[c]}>{otherZoneHM(row.stamps[c], sheet.meta)}</div>
+        )}
+      </>
+      ) : c === "PIC" ? (<>
+        <select data-cell={cellId(row.id, c)} className="h-9 rounded-md border px-2 bg-background max-w-[10rem]" value={String(row.PIC ?? "")} onChange={(e) => updateRow(row.id, c, e.target.value)} disabled={locked}>
+          <option value="">{pilot.trim() || "PILOT"}</option>
+          {crew.filter(m => m.name.trim() && crewKey(m.name) !== crewKey(pilot)).map((m) => <option key={m.id} value={m.name.trim()}>{m.name.trim()}</option>)}
+          {String(row.PIC ?? "").trim() && !findCrewMember(sheet.meta, row.PIC) && <option value={String(row.PIC)}>{String(row.PIC)}</option>}
+        </select>
+        {!findCrewMember(sheet.meta, rowPIC(row, sheet.meta)) && <div className="text-xs mt-1 text-red-700">{t("entries.notOnCrew")}</div>}
+      </>) : c === "FOB" ? (
+        <FobCell t={t} cell={cellId(row.id, c)} value={row.FOB ?? ""} fuel={fuelShown} check={fuelCheck[row.id]} limitError={aircraftIssues[row.id] && aircraftIssues[row.id].fob} onChange={(v) => updateRow(row.id, c, v)} disabled={locked} />
+      ) : c === "F/B" || c === "UPLIFT" ? (
+        <FuelInput cell={cellId(row.id, c)} value={(row)[c] ?? ""} fuel={fuelShown} onChange={(v) => updateRow(row.id, c, v)} disabled={locked} />
+      ) : c === "PAX" ? (
+        <div className={aircraftIssues[row.id] && (aircraftIssues[row.id].pax || aircraftIssues[row.id].payload) ? "rounded-md ring-1 ring-offset-1 ring-red-400" : ""}>
+          <div className="flex items-center gap-2">
+            <CellInput cell={cellId(row.id, c)} value={row.PAX ?? ""} type="number" placeholder="0" onChange={(v) => updateRow(row.id, c, v)} disabled={locked || !!(row.manifest && row.manifest.length)} />
+            <Button variant="outline" size="sm" onClick={() => setManifestFor(row.id)} title={t("manifest.title")}><Users className="h-4 w-4" /></Button>
+          </div>
+          {row.manifest && row.manifest.length > 0 && (
+            <div className={"text-xs mt-1 " + (Object.keys(checkManifest(row.manifest)).length ? "text-red-700" : "text-muted-foreground")}>
+              {manifestWeight(row.manifest)} lbs{Object.keys(checkManifest(row.manifest)).length ? " • " + t("manifest.issues") : ""}
+            </div>
+          )}
+          {aircraftIssues[row.id] && aircraftIssues[row.id].pax && <div className="text-xs mt-1 text-red-700">{aircraftIssues[row.id].pax}</div>}
+          {aircraftIssues[row.id] && aircraftIssues[row.id].payload && <div className="text-xs mt-1 text-red-700">{aircraftIssues[row.id].payload}</div>}
+        </div>
+      ) : c === "LDG" ? (
+        <CellInput cell={cellId(row.id, c)} value={(row)[c] ?? ""} type="number" placeholder="0" onChange={(v) => updateRow(row.id, c, v)} disabled={locked} />
+      ) : c === "F/UP" ? (<>
+        <div className="flex items-center gap-2">
+          <CellInput cell={cellId(row.id, c)} value={row["F/UP"] ?? ""} type="text" placeholder="" maxLength={MAX_NOTE_LENGTH} onChange={(v) => updateRow(row.id, c, v)} disabled={locked} />
+          <Button variant="outline" size="sm" onClick={() => setFollowUpFor(row.id)} title={t("followUps.items")}><ClipboardList className="h-4 w-4" /></Button>
+        </div>
+        {(itemsByRow[row.id] || []).map((x) => (
+          <div key={x.id} className={"text-xs mt-1 " + (x.status === "closed" ? "text-muted-foreground" : x.severity === "high" ? "text-red-700" : "text-amber-700")}>
+            {t("followUps.category." + x.category)} • {t("followUps.status." + x.status)}{x.assignee ? " • " + x.assignee : ""}
+          </div>
+        ))}
+      </>) : (
+        <CellInput cell={cellId(row.id, c)} list={c === "REMARKS" && remarkSnippets.length ? "remark-snippets" : undefined} value={(row)[c] ?? ""} type="text" placeholder="" maxLength={NOTE_COLS.includes(c) ? MAX_NOTE_LENGTH : MAX_TEXT_LENGTH} onChange={(v) => updateRow(row.id, c, v)} disabled={locked} />
+      )
+    );
+  }
+
+  // Add / close buttons under the entries, or print / PDF once the sheet is closed
+  function renderEntryActions() {
+    return (
+      !isClosed ? (
+        <div className="flex flex-wrap gap-2">
+          {!rows.some(r => r.id === FERRY_ID) && (
+            <Button variant="outline" onClick={addFerryRow}><Plus className="h-4 w-4 mr-1"/> {t("action.addFerryRow")}</Button>
+          )}
+          <Button onClick={addRow} disabled={ftlBlocked}><Plus className="h-4 w-4 mr-1"/> {t("action.addLoadRow")}</Button>
+          <Button variant="secondary" onClick={() => setSigning("close")} disabled={ftlBlocked}><Printer className="h-4 w-4 mr-1"/> {t("action.closeFlight")}</Button>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="secondary" onClick={printPDF}><Printer className="h-4 w-4 mr-1"/> {t("action.print")}</Button>
+          <Button onClick={() => downloadPDF({ pilot, dz, reg, date, times: timeZoneLabel(sheet.meta), totals, fobStart, fuel: fuelShown, lastFOB, seal, crew: crewTotals }, rows, pdfLayout)}><Download className="h-4 w-4 mr-1"/> {t("action.downloadPDF")}</Button>
+          <PdfLayoutPicker t={t} layout={pdfLayout} onChange={setPdfLayout} />
+        </div>
+      )
+    );
+  }
+
+  if (showReports) {
+    return (
+      <div className="p-6 max-w-6xl mx-auto space-y-4">
+        <ReportsView t={t} sheets={archive} onBack={() => setShowReports(false)} />
+      </div>
+    );
+  }
+
+  if (showFollowUps) {
+    return (
+      <div className="p-6 max-w-6xl mx-auto space-y-4">
+        <FollowUpDashboard t={t} items={followUps} onChange={changeFollowUp} onExport={exportFollowUps} onBack={() => setShowFollowUps(false)} />
+      </div>
+    );
+  }
+
+  if (viewing) {
+    return (
+      <div className="p-6 max-w-6xl mx-auto space-y-4">
+        <ArchivedSheetView t={t} sheet={viewing} registry={aircraftList} pdfLayout={pdfLayout} onPdfLayoutChange={setPdfLayout} onBack={() => setViewing(null)} onDuplicate={() => duplicateSheet(viewing)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto space-y-4">
+      <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold">{t("app.title")}</h1>
+          <p className="text-sm text-muted-foreground">{t("app.subtitle", { unit: fuelLabel })}</p>
+        </div>
+        <div className="flex gap-2">
+          <select className="border rounded-md px-2 text-sm bg-background" value={language} onChange={(e) => setLanguage(e.target.value)} title={t("app.language")}>
+            {LANGUAGES.map((l) => <option key={l.key} value={l.key}>{l.label}</option>)}
+          </select>
+          {isClosed && (
+            <Button onClick={newFlight}>
+              <Plus className="h-4 w-4 mr-1" /> {t("action.newFlight")}
             </Button>
           )}
-          <Button variant="secondary" onClick={exportCSV}><Download className="h-4 w-4 mr-1"/> Export CSV</Button>
-          <label className="inline-flex items-center">
-            <input type="file" accept=".csv" className="hidden" onChange={(e) => e.target.files && importCSV(e.target.files[0])} />
-            <Button variant="outline"><Upload className="h-4 w-4 mr-1"/> Import CSV</Button>
-          </label>
+          {templates.length > 0 && (
+            <select className="border rounded-md px-2 text-sm bg-background" value="" onChange={(e) => { const tpl = templates.find(x => x.id === e.target.value); if (tpl) newSheetFromTemplate(tpl); }} disabled={amending} title={t("template.startHint")}>
+              <option value="">{t("action.newFromTemplate")}</option>
+              {templates.map((tpl) => <option key={tpl.id} value={tpl.id}>{tpl.name || tpl.dz || t("common.unnamed")}{tpl.name && tpl.dz && tpl.name !== tpl.dz ? " — " + tpl.dz : ""}</option>)}
+            </select>
+          )}
+          <Button variant="outline" onClick={undo} disabled={locked || history.past.length === 0} title={t("action.undo")}><Undo2 className="h-4 w-4"/></Button>
+          <Button variant="outline" onClick={redo} disabled={locked || history.future.length === 0} title={t("action.redo")}><Redo2 className="h-4 w-4"/></Button>
+          <Button variant="outline" onClick={() => setShowReports(true)}><BarChart3 className="h-4 w-4 mr-1"/> {t("action.reports")}</Button>
+          <Button variant="outline" onClick={() => setShowFollowUps(true)}><ClipboardList className="h-4 w-4 mr-1"/> {t("action.followUps")}{followUps.some(x => x.status !== "closed") ? " (" + followUps.filter(x => x.status !== "closed").length + ")" : ""}</Button>
+          <Button variant="secondary" onClick={exportCSV}><Download className="h-4 w-4 mr-1"/> {t("action.exportCSV")}</Button>
+          <Button variant="outline" onClick={exportManifestCSV} disabled={!rows.some(r => r.manifest && r.manifest.length)}><Users className="h-4 w-4 mr-1"/> {t("action.manifestCSV")}</Button>
+          <label className="inline-flex items-center">
+            <input type="file" accept=".csv" className="hidden" onChange={(e) => { if (e.target.files && e.target.files[0]) importCSV(e.target.files[0]); e.target.value = ""; }} />
+            <Button variant="outline"><Upload className="h-4 w-4 mr-1"/> {t("action.importCSV")}</Button>
+          </label>
+          <label className="inline-flex items-center">
+            <input type="file" accept=".csv" className="hidden" onChange={(e) => { if (e.target.files && e.target.files[0]) verifyFile(e.target.files[0]); e.target.value = ""; }} />
+            <Button variant="outline" title={t("action.verifyFile.hint")}><ShieldCheck className="h-4 w-4 mr-1"/> {t("action.verifyFile")}</Button>
+          </label>
+        </div>
+      </header>
+
+      {signing === "close" && (
+        <SignatureDialog t={t} defaultName={pilot} onCancel={() => setSigning(false)} onConfirm={closeFlight} />
+      )}
+      {signing === "amend" && (
+        <SignatureDialog t={t} defaultName={(seal && seal.signature.name) || pilot} title={t("sign.amend.title")} confirmLabel={t("sign.amend.confirm")}
+          description={t("sign.amend.description", { reason: amendReason.trim() })}
+          onCancel={() => setSigning(false)} onConfirm={signAmendment} />
+      )}
+
+      {verifyResult && (
+        <div className={"rounded-xl border p-3 " + (verifyResult.status === "intact" ? "border-green-300 bg-green-50 text-green-900" : verifyResult.status === "altered" ? "border-red-300 bg-red-50 text-red-900" : "border-amber-300 bg-amber-50 text-amber-900")}>
+          <div className="flex items-start justify-between gap-2">
+            <div>
+              <div className="font-medium">
+                {verifyResult.source}: {t("verify." + verifyResult.status)}
+              </div>
+              {verifyResult.seal && (
+                <div className="text-xs break-all">
+                  {t("verify.sealed", { at: verifyResult.seal.sealedAt, name: verifyResult.seal.signature.name || t("common.unsigned"), digest: verifyResult.seal.digest })}
+                  {verifyResult.status === "altered" && <> • {t("verify.got", { digest: verifyResult.actual })}</>}
+                </div>
+              )}
+            </div>
+            <Button variant="outline" size="sm" onClick={() => setVerifyResult(null)}>{t("common.dismiss")}</Button>
+          </div>
+        </div>
+      )}
+
+      {manifestFor && rows.some(r => r.id === manifestFor) && (
+        <ManifestDialog
+          t={t}
+          row={rows.find(r => r.id === manifestFor)}
+          aircraft={aircraft}
+          disabled={locked}
+          onChange={(list) => updateManifest(manifestFor, list)}
+          onClose={() => setManifestFor("")}
+        />
+      )}
+
+      {aircraftList[maintenanceFor] && (
+        <MaintenanceDialog
+          t={t}
+          aircraft={aircraftList[maintenanceFor]}
+          status={fleetMaintenance[maintenanceFor]}
+          defects={followUps.filter(x => x.category === "technical" && x.reg === aircraftList[maintenanceFor].reg)}
+          onChange={(patch) => updateMaintenance(maintenanceFor, patch)}
+          onClose={() => setMaintenanceFor(-1)}
+        />
+      )}
+
+      {followUpFor && rows.some(r => r.id === followUpFor) && (
+        <FollowUpDialog
+          t={t}
+          row={rows.find(r => r.id === followUpFor)}
+          items={itemsByRow[followUpFor] || []}
+          canRaise={!!reg.trim()}
+          onRaise={(fields) => raiseFollowUp(rows.find(r => r.id === followUpFor), fields)}
+          onChange={changeFollowUp}
+          onClose={() => setFollowUpFor("")}
+        />
+      )}
+
+      {importPreview && (
+        <ImportPreviewDialog
+          t={t}
+          preview={importPreview}
+          onChange={(patch) => setImportPreview((p) => ({ ...p, ...patch }))}
+          onCancel={() => setImportPreview(null)}
+          onConfirm={applyImport}
+        />
+      )}
+
+      {updateWorker && canPromptUpdate(sheet, amending) && (
+        <div className="rounded-xl border border-blue-300 bg-blue-50 text-blue-900 p-3 flex flex-wrap items-center justify-between gap-2">
+          <span>{t("update.available")}</span>
+          <div className="flex gap-2">
+            <Button size="sm" onClick={applyUpdate}>{t("update.now")}</Button>
+            <Button size="sm" variant="outline" onClick={() => setUpdateWorker(null)}>{t("update.later")}</Button>
+          </div>
+        </div>
+      )}
+
+      {updateWorker && !canPromptUpdate(sheet, amending) && (
+        <div className="text-xs text-gray-500">{t("update.waiting")}</div>
+      )}
+
+      {storageError && (
+        <div className="rounded-xl border border-red-300 bg-red-50 text-red-900 p-3">
+          <div className="font-medium">{t("storage.unavailable")}</div>
+          <div className="text-sm">{t("storage.notSaving", { error: storageError })}</div>
+        </div>
+      )}
+
+      {quarantine.length > 0 && (
+        <div className="rounded-xl border border-red-300 bg-red-50 text-red-900 p-3 space-y-2">
+          <div className="font-medium">{t("quarantine.title")}</div>
+          <div className="text-sm">{t("quarantine.hint")}</div>
+          {quarantine.map((q) => (
+            <div key={q.id} className="text-sm border-t border-red-200 pt-2">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span>{q.source}{q.record && q.record.meta && q.record.meta.date ? " " + String(q.record.meta.date) : ""} • {t("quarantine.setAside", { date: q.quarantinedAt.slice(0, 10) })}</span>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => downloadBlob(JSON.stringify(q.record, null, 2), "application/json", "pilot_journey_log_quarantine_" + q.id + ".json")}><Download className="h-4 w-4 mr-1"/> {t("quarantine.download")}</Button>
+                  <Button size="sm" variant="outline" onClick={() => { if (confirm(t("quarantine.discardConfirm"))) setQuarantine((list) => list.filter((x) => x.id !== q.id)); }}><Trash2 className="h-4 w-4 mr-1"/> {t("quarantine.discard")}</Button>
+                </div>
+              </div>
+              <ul className="list-disc pl-5 text-xs">{q.errors.map((e, i) => <li key={i}>{e}</li>)}</ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isClosed && (
+        <div className="rounded-xl border border-amber-300 bg-amber-50 text-amber-900 p-3">
+          <div className="font-medium">{t(amending ? "closed.amending" : "closed.title")}</div>
+          {!amending ? (
+            <div className="text-sm flex flex-wrap items-center gap-2">
+              <span>{t("closed.locked")}</span>
+              {seal && <span className="text-xs break-all w-full">{t("closed.sealedBy", { name: seal.signature.name || t("common.unsigned"), digest: seal.digest })}</span>}
+              <Button variant="outline" size="sm" onClick={() => { setAmendReason(""); setAmending(true); }}><PenLine className="h-4 w-4 mr-1"/> {t("closed.amend")}</Button>
+            </div>
+          ) : (
+            <div className="text-sm space-y-2">
+              <div>{t("closed.amendHint")}</div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Input className="max-w-md" placeholder={t("closed.reason")} value={amendReason} onChange={(e) => setAmendReason(e.target.value)} />
+                <Button size="sm" onClick={finishAmending} disabled={!amendReason.trim()}>{t("common.done")}</Button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {ftlExceeded.length > 0 && (
+        <div className="rounded-xl border border-red-300 bg-red-50 text-red-900 p-3">
+          <div className="font-medium">{t("ftl.exceeded", { rules: ftlRules.name })}</div>
+          <ul className="text-sm list-disc ml-5">
+            {ftlExceeded.map((f) => <li key={f.id}>{f.message}</li>)}
+          </ul>
+          {ftlBlocked && (
+            <div className="mt-2 flex items-center gap-2">
+              <span className="text-sm">{t("ftl.blocked")}</span>
+              <Button variant="destructive" size="sm" onClick={() => setFtlAck(ftlExceededKey)}>{t("ftl.acknowledge")}</Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {ftlWarnings.length > 0 && (
+        <div className="rounded-xl border border-amber-300 bg-amber-50 text-amber-900 p-3">
+          <div className="font-medium">{t("ftl.approaching")}</div>
+          <ul className="text-sm list-disc ml-5">
+            {ftlWarnings.map((f) => <li key={f.id}>{f.message}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.search")}</CardTitle>
+          <CardDescription>{t("search.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <Input className="flex-1 min-w-[16rem]" placeholder={t("search.placeholder")} value={search} onChange={(e) => setSearch(e.target.value)} />
+            {SEARCH_SCOPES.map((x) => (
+              <Button key={x} size="sm" variant={searchScope === x ? "default" : "outline"} onClick={() => setSearchScope(x)}>{t("search.scope." + x)}</Button>
+            ))}
+            <Button size="sm" variant="outline" onClick={saveQueryPreset} disabled={!search.trim()}>{t("search.savePreset")}</Button>
+            <Button size="sm" variant="outline" onClick={copyQueryLink} disabled={!search.trim()} title={t("search.copyLink.hint")}><Copy className="h-4 w-4 mr-1"/> {t("search.copyLink")}</Button>
+            {searchNote && <span className="text-xs text-muted-foreground">{searchNote}</span>}
+          </div>
+          {query.errors.length > 0 && <div className="text-xs text-red-700">{query.errors.join(" • ")}</div>}
+          {queryPresets.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-muted-foreground">{t("search.presets")}</span>
+              {queryPresets.map((p) => (
+                <span key={p.name} className="inline-flex gap-1">
+                  <Button size="sm" variant={search.trim() === p.query && searchScope === p.scope ? "default" : "outline"} onClick={() => { setSearch(p.query); setSearchScope(p.scope); }} title={p.query}>{p.name}</Button>
+                  <Button size="sm" variant="outline" onClick={() => setQueryPresets((list) => list.filter(x => x.name !== p.name))} title={t("search.deletePreset", { name: p.name })}><Trash2 className="h-3 w-3"/></Button>
+                </span>
+              ))}
+            </div>
+          )}
+          {filteredTotals && <FilteredSubtotal t={t} totals={filteredTotals} count={filtered.length} of={rows.length} />}
+          {searchScope === "days" && query.terms.length > 0 && <SearchResults t={t} results={searchResults} currentId={sheetId} registry={aircraftList} onOpen={setViewing} />}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.header")}</CardTitle>
+          <CardDescription>{t("card.header.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-2 md:grid-cols-9 gap-3">
+            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">PILOT</div>
+              <Input maxLength={MAX_TEXT_LENGTH} placeholder={t("common.name")} list="pilot-list" value={pilot} onChange={(e)=>setMeta("pilot", e.target.value)} disabled={locked} />
+              <WasNote t={t} amended={amended} target="meta" field="PILOT" />
+              <datalist id="pilot-list">
+                {pilotList.filter(p => p.name).map((p) => <option key={p.name} value={p.name}>{p.licence}</option>)}
+              </datalist>
+            </div>
+            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">DZ</div>
+              <Input maxLength={MAX_TEXT_LENGTH} placeholder={t("header.dz.placeholder")} list="template-dzs" value={dz} onChange={(e)=>setMeta("dz", e.target.value)} disabled={locked} />
+              <WasNote t={t} amended={amended} target="meta" field="DZ" />
+              <datalist id="template-dzs">
+                {[...new Set(templates.map(tpl => tpl.dz).filter(Boolean))].map((x) => <option key={x} value={x} />)}
+              </datalist>
+              <datalist id="remark-snippets">
+                {remarkSnippets.map((x) => <option key={x} value={x} />)}
+              </datalist>
+              {dzTemplate && (
+                <div className="text-xs text-muted-foreground mt-1">
+                  {t("header.template", { name: dzTemplate.name || dzTemplate.dz })}{remarkSnippets.length ? " • " + t("header.remarkSnippets", { count: remarkSnippets.length }) : ""}
+                </div>
+              )}
+            </div>
+            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">REG</div>
+              <Input maxLength={MAX_TEXT_LENGTH} placeholder={t("header.reg.placeholder")} list="aircraft-registry" value={reg} onChange={(e)=>setMeta("reg", e.target.value)} disabled={locked} />
+              <WasNote t={t} amended={amended} target="meta" field="REG" />
+              <datalist id="aircraft-registry">
+                {aircraftList.filter(a => a.reg).map((a) => <option key={a.reg} value={a.reg}>{a.type}</option>)}
+              </datalist>
+              <div className="text-xs text-muted-foreground mt-1">
+                {aircraft ? [aircraft.type, aircraft.maxPax && t("header.seats", { count: aircraft.maxPax }), aircraft.maxFuel && t("header.maxFuel", { fuel: formatFuel(aircraft.maxFuel, fuelShown), unit: fuelLabel })].filter(Boolean).join(" • ") : reg.trim() ? t("header.notInRegistry") : ""}
+              </div>
+            </div>
+            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">DATE</div>
+              <Input type="date" placeholder="YYYY-MM-DD" value={date} onChange={(e)=>setMeta("date", e.target.value)} disabled={locked} />
+              <WasNote t={t} amended={amended} target="meta" field="DATE" />
+            </div>
+            <div className="md:col-span-9 p-3 rounded-2xl bg-muted/50 border flex flex-wrap items-center gap-3">
+              <div className="text-xs text-muted-foreground">{t("header.timesIn")}</div>
+              <div className="flex gap-1">
+                {TIME_MODES.map((m) => (
+                  <Button key={m} size="sm" variant={timeMode === m ? "default" : "outline"} onClick={() => setMeta("timeMode", m)} disabled={locked}>{t("timeMode." + m)}</Button>
+                ))}
+              </div>
+              <div className="text-xs text-muted-foreground">{t("header.timeZone")}</div>
+              <Input maxLength={MAX_TEXT_LENGTH} className="max-w-xs" placeholder={t("header.timeZone.placeholder")} list="iana-zones" value={timeZone} onChange={(e) => setMeta("timeZone", e.target.value)} disabled={locked} />
+              <datalist id="iana-zones">
+                {(typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : []).map((z) => <option key={z} value={z} />)}
+              </datalist>
+              {!isValidTimeZone(timeZone) && <span className="text-xs text-red-700">{t("header.unknownZone")}</span>}
+              <div className="text-sm ml-auto">
+                <span className="font-medium">{epochToZonedHM(clockMs, "UTC")}Z</span>
+                {isValidTimeZone(timeZone) && <span className="text-muted-foreground"> • {t("header.localClock", { time: epochToZonedHM(clockMs, timeZone) })}</span>}
+              </div>
+              <WasNote t={t} amended={amended} target="meta" field="TIME MODE" />
+              <WasNote t={t} amended={amended} target="meta" field="TIME ZONE" />
+            </div>
+            <div className="md:col-span-9 p-3 rounded-2xl bg-muted/50 border flex flex-wrap items-center gap-3">
+              <div className="text-xs text-muted-foreground">{t("header.fuelIn")}</div>
+              <div className="flex gap-1">
+                <Button size="sm" variant={fuelUnit === "" ? "default" : "outline"} onClick={() => setMeta("fuelUnit", "")} disabled={locked}>{t("header.fuelFromAircraft", { unit: fuelUnitLabel(resolveFuelUnit(null, aircraft).unit) })}</Button>
+                {FUEL_UNITS.map((u) => (
+                  <Button key={u.key} size="sm" variant={fuelUnit === u.key ? "default" : "outline"} onClick={() => setMeta("fuelUnit", u.key)} disabled={locked}>{u.label}</Button>
+                ))}
+              </div>
+              {FUEL_UNITS.some(u => u.key === fuelShown.unit && u.volume) && (<>
+                <div className="text-xs text-muted-foreground">{t("header.fuelDensity")}</div>
+                <Input className="max-w-[8rem]" type="number" step="0.01" placeholder={String(resolveFuelUnit(null, aircraft).density)} value={fuelDensity} onChange={(e) => setMeta("fuelDensity", e.target.value)} disabled={locked} />
+              </>)}
+              <WasNote t={t} amended={amended} target="meta" field="FUEL UNIT" />
+              <WasNote t={t} amended={amended} target="meta" field="FUEL DENSITY" />
+            </div>
+          </div>
+
+          {maintenance && maintenance.findings.length > 0 && (
+            <div className={"mt-3 rounded-xl border p-3 " + (maintenance.findings.some(f => f.level === "exceeded") ? "border-red-300 bg-red-50 text-red-900" : "border-amber-300 bg-amber-50 text-amber-900")}>
+              <div className="font-medium"><Wrench className="h-4 w-4 inline mr-1"/> {aircraft.reg} — {t(maintenance.findings.some(f => f.level === "exceeded") ? "maintenance.overdue" : "maintenance.dueSoon")}</div>
+              <ul className="text-sm list-disc ml-5">
+                {maintenance.findings.map((f) => <li key={f.key}>{f.message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {carriedItems.length > 0 && (
+            <div className="mt-3 rounded-xl border border-amber-300 bg-amber-50 text-amber-900 p-3 space-y-2">
+              <div className="font-medium"><ClipboardList className="h-4 w-4 inline mr-1"/> {t("followUps.carried")} — {reg.trim().toUpperCase()}{dz.trim() ? " @ " + dz.trim() : ""}</div>
+              {carriedItems.map((x) => <FollowUpItemRow key={x.id} t={t} item={x} onChange={changeFollowUp} showSource />)}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.totals")}</CardTitle>
+          <CardDescription>{t("card.totals.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {filteredTotals && <div className="mb-3"><FilteredSubtotal t={t} totals={filteredTotals} count={filtered.length} of={rows.length} /></div>}
+          <div className="grid grid-cols-2 md:grid-cols-8 gap-3">
+            <Stat label={t("stat.flights")} value={totals.flights} />
+            <Stat label="PAX" value={totals.pax} />
+            <Stat label="LDG" value={totals.ldg} />
+            <Stat label="FLT/T" value={totals.flt} />
+            <Stat label="BLK/T" value={totals.blk} />
+            <div className="p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">DUTY START</div>
+              <Input placeholder="HH:MM" value={dutyStart} onChange={(e) => setMeta("dutyStart", e.target.value)} onBlur={() => normalizeDutyTime("dutyStart")} disabled={locked} />
+              {parseTimeInput(dutyStart).error && <div className="text-xs mt-1 text-red-700">{parseTimeInput(dutyStart).error}</div>}
+              <WasNote t={t} amended={amended} target="meta" field="DUTY START" />
+            </div>
+            <div className="p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">DUTY END</div>
+              <Input placeholder="HH:MM" value={dutyEnd} onChange={(e) => setMeta("dutyEnd", e.target.value)} onBlur={() => normalizeDutyTime("dutyEnd")} disabled={locked} />
+              {parseTimeInput(dutyEnd).error && <div className="text-xs mt-1 text-red-700">{parseTimeInput(dutyEnd).error}</div>}
+              <WasNote t={t} amended={amended} target="meta" field="DUTY END" />
+            </div>
+            <Stat label={t("stat.pilotDuty")} value={pilotDuty || "--:--"} />
+            <div className="hidden md:block md:col-span-8" />
+            <div className="p-3 rounded-2xl bg-muted/50 border md:col-span-2">
+              <div className="text-xs text-muted-foreground">{t("stat.fobStart", { unit: fuelLabel })}</div>
+              <FuelInput value={fobStart} fuel={fuelShown} onChange={(v) => setMeta("fobStart", v)} disabled={locked} />
+              <WasNote t={t} amended={amended} target="meta" field="FOB Start" />
+            </div>
+            <div className="md:col-span-2"><Stat label={t("stat.fobEnd", { unit: fuelLabel })} value={fuelToDisplay(lastFOB, fuelShown) || "--"} /></div>
+            <Stat label={t("stat.fuelBurned", { unit: fuelLabel })} value={formatFuel(totals.fuelBurned, fuelShown)} />
+            <Stat label={t("stat.avgBurn", { unit: fuelLabel })} value={formatFuel(totals.burnPerHour, fuelShown) || "--"} />
+            <div className="p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">{t("stat.tolerance", { unit: fuelLabel })}</div>
+              <FuelInput value={fuelSettings.tolerance} fuel={fuelShown} onChange={(v) => setFuelSettings((f) => ({ ...f, tolerance: v }))} />
+            </div>
+            <Stat label={t("stat.minReserve", { unit: fuelLabel }) + (aircraft ? " (" + aircraft.reg + ")" : "")} value={formatFuel(fuelReserve, fuelShown) || "--"} />
+            {METER_FIELDS.map(([label, k]) => (
+              <div key={k} className="p-3 rounded-2xl bg-muted/50 border">
+                <div className="text-xs text-muted-foreground">{label}</div>
+                <Input type="number" step="0.1" placeholder={t("common.hours")} value={sheet.meta[k]} onChange={(e) => setMeta(k, e.target.value)} disabled={locked} />
+                <WasNote t={t} amended={amended} target="meta" field={label} />
+              </div>
+            ))}
+            <div className="p-3 rounded-2xl bg-muted/50 border md:col-span-4 text-sm">
+              <div className="text-xs text-muted-foreground">
+                {t("meters.title")}{maintenance ? " • " + t("meters.counters", { reg: aircraft.reg, hours: maintenance.counters.airframeHours.toFixed(1), landings: maintenance.counters.landings }) : ""}
+              </div>
+              {meterCheck.length === 0 ? (
+                <div className="text-muted-foreground">{t("meters.hint")}</div>
+              ) : meterCheck.map((m) => <div key={m.meter} className={m.ok ? "" : "text-red-700"}>{m.message}</div>)}
+            </div>
+          </div>
+
+          <div className="mt-4 space-y-2">
+            <div className="text-sm font-medium">{t("crew.title")}</div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  {CREW_SUMMARY_COLS.map((c) => <th key={c} className="py-2 pr-3 font-medium">{c}</th>)}
+                  <th className="py-2 pr-3 font-medium">DUTY START</th>
+                  <th className="py-2 pr-3 font-medium">DUTY END</th>
+                  <th className="py-2 pr-3"/>
+                </tr>
+              </thead>
+              <tbody>
+                {sheetCrew(sheet.meta).map((m) => {
+                  const tot = m.id && !m.name.trim() ? null : crewTotals.find(x => x.onCrew && crewKey(x.name) === crewKey(m.name));
+                  return (
+                    <tr key={m.id || "pilot"} className="border-b">
+                      <td className="py-2 pr-3">
+                        {m.id ? <CellInput value={m.name} placeholder={t("common.name")} maxLength={MAX_TEXT_LENGTH} onChange={(v) => updateCrewMember(m.id, "name", v)} disabled={locked} /> : <span>{m.name.trim() || "--"} (PILOT)</span>}
+                      </td>
+                      <CrewStatCells totals={tot} />
+                      {m.id ? (<>
+                        {["dutyStart", "dutyEnd"].map((k) => (
+                          <td key={k} className="py-2 pr-3">
+                            <CellInput value={m[k]} placeholder="HH:MM" onChange={(v) => updateCrewMember(m.id, k, v)} onBlur={() => normalizeCrewDuty(m.id, k)} disabled={locked} />
+                            {parseTimeInput(m[k]).error && <div className="text-xs mt-1 text-red-700">{parseTimeInput(m[k]).error}</div>}
+                          </td>
+                        ))}
+                        <td className="py-2 pr-3"><Button variant="destructive" size="sm" onClick={() => removeCrewMember(m.id)} disabled={locked}><Trash2 className="h-4 w-4"/></Button></td>
+                      </>) : (
+                        <td colSpan={3} className="py-2 pr-3 text-xs text-muted-foreground">{t("crew.dutyAbove")}</td>
+                      )}
+                    </tr>
+                  );
+                })}
+                {crewTotals.filter(tot => !tot.onCrew).map((tot) => (
+                  <tr key={"pic:" + tot.name} className="border-b text-red-700">
+                    <td className="py-2 pr-3">{tot.name}<div className="text-xs">{t("crew.notOnList", { count: tot.flights })}</div></td>
+                    <CrewStatCells totals={tot} />
+                    <td colSpan={3} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={addCrewMember} disabled={locked}><Plus className="h-4 w-4 mr-1"/> {t("crew.add")}</Button>
+              <WasNote t={t} amended={amended} target="meta" field="CREW" />
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.limits")}</CardTitle>
+          <CardDescription>{t("ftl.hint", { name: ftlRules.name || t("common.unnamed") })}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-8 gap-3">
+            {FTL_RULE_KEYS.map((k) => (
+              <div key={k} className="p-3 rounded-2xl bg-muted/50 border">
+                <div className="text-xs text-muted-foreground">{t("ftl.rule." + k)}</div>
+                <Input placeholder="HH:MM" value={ftlRules[k] ?? ""} onChange={(e) => setFtlRule(k, e.target.value)} />
+              </div>
+            ))}
+            <div className="p-3 rounded-2xl bg-muted/50 border">
+              <div className="text-xs text-muted-foreground">{t("ftl.warnPercent")}</div>
+              <Input type="number" value={ftlRules.warnPercent ?? ""} onChange={(e) => setFtlRule("warnPercent", e.target.value)} />
+            </div>
+          </div>
+          {ftlCheck.error && <div className="text-sm text-red-700">{ftlCheck.error}</div>}
+          <div className="flex gap-2">
+            <label className="inline-flex items-center">
+              <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => e.target.files && importFtlRules(e.target.files[0])} />
+              <Button variant="outline"><Upload className="h-4 w-4 mr-1"/> {t("ftl.load")}</Button>
+            </label>
+            <Button variant="outline" onClick={exportFtlRules}><Download className="h-4 w-4 mr-1"/> {t("ftl.export")}</Button>
+            <Button variant="outline" onClick={() => setFtlRules(DEFAULT_FTL_RULES)}><Eraser className="h-4 w-4 mr-1"/> {t("common.resetDefault")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.entries")}</CardTitle>
+          <CardDescription>
+            {t("entries.results", { count: filtered.length })}
+            {fuelDiscrepancies > 0 && <span className="text-red-700"> • {t("entries.discrepancies", { count: fuelDiscrepancies })}</span>}
+            {fuelBelowReserve > 0 && <span className="text-amber-700"> • {t("entries.belowReserve", { count: fuelBelowReserve })}</span>}
+            {timeIssueCount > 0 && <span className="text-red-700"> • {t("entries.timeIssues", { count: timeIssueCount })}</span>}
+          </CardDescription>
+          <div className="flex flex-wrap items-center gap-2 pt-1">
+            <Button size="sm" variant={fastEntry ? "default" : "outline"} onClick={() => setFastEntry((v) => !v)}><Keyboard className="h-4 w-4 mr-1"/> {t(fastEntry ? "entries.fastOn" : "entries.fastOff")}</Button>
+            {fastEntry && (
+              <span className="text-xs text-muted-foreground">{t("entries.fastHint")}</span>
+            )}
+          </div>
+        </CardHeader>
+        {narrow ? (
+          <CardContent className="space-y-3 [&_input]:h-12 [&_input]:text-base [&_select]:h-12 [&_button]:min-h-12 [&_button]:min-w-12" onKeyDown={onEntryKeyDown}>
+            {filtered.map((row) => (
+              <div key={row.id} className="rounded-2xl border p-3 space-y-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    <div className="font-medium">{row.id === FERRY_ID ? "FERRY" : t("common.load", { load: row.Load })}</div>
+                    <div className="text-xs text-muted-foreground">FLT/T {row["FLT/T"] || "--:--"} • BLK/T {row["BLK/T"] || "--:--"}</div>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={() => clearRow(row.id)} disabled={isClosed}><Eraser className="h-4 w-4" /></Button>
+                    <Button variant="destructive" size="sm" onClick={() => deleteRow(row.id)} disabled={isClosed}><Trash2 className="h-4 w-4"/></Button>
+                  </div>
+                </div>
+                {(timeIssues[row.id] || []).map((msg) => <div key={msg} className="text-xs text-red-700">{msg}</div>)}
+                <div className="grid grid-cols-2 gap-3">
+                  {ENTRY_NAV_COLS.map((c) => (
+                    <div key={c} className={c === "PIC" || c === "F/UP" || c === "REMARKS" ? "col-span-2" : ""}>
+                      <div className="text-xs text-muted-foreground">{c}{FUEL_COLS.includes(c) ? " (" + fuelLabel + ")" : ""}</div>
+                      {renderCell(row, c)}
+                      <WasNote t={t} amended={amended} target={row.id} field={c} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {renderEntryActions()}
+          </CardContent>
+        ) : (
+          <CardContent className="overflow-x-auto">
+            <table className="w-full text-sm" onKeyDown={onEntryKeyDown}>
+              <thead>
+                <tr className="text-left border-b">
+                  {COLS.map((c) => (
+                    <th key={c} className="py-2 pr-3 font-medium">
+                      {c}
+                      {FUEL_COLS.includes(c) && (
+                        <span className="text-xs text-muted-foreground"> ({fuelLabel})</span>
+                      )}
+                    </th>
+                  ))}
+                  <th className="py-2 pr-3"/>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map((row) => (
+                  <tr key={row.id} className="border-b hover:bg-muted/30">
+                    {COLS.map((c) => (
+                      <td key={c} className="py-2 pr-3">
+                        {renderCell(row, c)}
+                        <WasNote t={t} amended={amended} target={row.id} field={c} />
+                      </td>
+                    ))}
+                    <td className="py-2 pr-3">
+                      <div className="flex gap-2">
+                        <Button variant="outline" size="sm" onClick={() => clearRow(row.id)} disabled={isClosed}><Eraser className="h-4 w-4" /></Button>
+                        <Button variant="destructive" size="sm" onClick={() => deleteRow(row.id)} disabled={isClosed}><Trash2 className="h-4 w-4"/></Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+
+                <tr>
+                  <td colSpan={COLS.length + 1} className="py-2 pr-3">
+                    {renderEntryActions()}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </CardContent>
+        )}
+      </Card>
+
+      <ChartsPanel t={t} sheet={sheet} archive={archive} fuel={fuelShown} />
+
+      <AuditTrail t={t} audit={audit} />
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.aircraft")}</CardTitle>
+          <CardDescription>{t("card.aircraft.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                {AIRCRAFT_FIELDS.map((f) => <th key={f.key} className="py-2 pr-3 font-medium">{t("aircraft.field." + f.key)}</th>)}
+                <th className="py-2 pr-3 font-medium">{t("aircraft.maintenance")}</th>
+                <th className="py-2 pr-3"/>
+              </tr>
+            </thead>
+            <tbody>
+              {aircraftList.map((a, i) => (
+                <tr key={i} className="border-b">
+                  {AIRCRAFT_FIELDS.map((f) => (
+                    <td key={f.key} className="py-2 pr-3">
+                      {f.key === "fuelUnit" ? (
+                        <select className="h-9 rounded-md border px-2 bg-background" value={isFuelUnit(a.fuelUnit) ? a.fuelUnit : CANONICAL_FUEL_UNIT} onChange={(e) => updateAircraft(i, f.key, e.target.value)}>
+                          {FUEL_UNITS.map((u) => <option key={u.key} value={u.key}>{u.label}</option>)}
+                        </select>
+                      ) : f.fuel ? (
+                        <FuelInput value={a[f.key] ?? ""} fuel={resolveFuelUnit(null, a)} onChange={(v) => updateAircraft(i, f.key, v)} />
+                      ) : (
+                        <CellInput value={a[f.key] ?? ""} type={f.key === "reg" || f.key === "type" ? "text" : "number"} placeholder={f.placeholder ?? t("aircraft.placeholder." + f.key)} onChange={(v) => updateAircraft(i, f.key, v)} />
+                      )}
+                    </td>
+                  ))}
+                  <td className="py-2 pr-3 min-w-[12rem]">
+                    <div className="flex items-center gap-2">
+                      <Button variant="outline" size="sm" onClick={() => setMaintenanceFor(i)} disabled={!a.reg} title={t("aircraft.maintenance.hint")}><Wrench className="h-4 w-4" /></Button>
+                      {fleetMaintenance[i] && (
+                        <span className={"text-xs " + (fleetMaintenance[i].findings.some(f => f.level === "exceeded") ? "text-red-700" : fleetMaintenance[i].findings.length ? "text-amber-700" : "text-muted-foreground")}>
+                          {t("aircraft.counters", { hours: fleetMaintenance[i].counters.airframeHours.toFixed(1), landings: fleetMaintenance[i].counters.landings })}
+                          {fleetMaintenance[i].findings.length > 0 && " • " + t("aircraft.due", { count: fleetMaintenance[i].findings.length })}
+                          {openDefects(followUps, a.reg).length > 0 && " • " + t("aircraft.defects", { count: openDefects(followUps, a.reg).length })}
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <Button variant="destructive" size="sm" onClick={() => removeAircraft(i)}><Trash2 className="h-4 w-4"/></Button>
+                  </td>
+                </tr>
+              ))}
+              <tr>
+                <td colSpan={AIRCRAFT_FIELDS.length + 2} className="py-2 pr-3">
+                  <Button variant="outline" onClick={addAircraft}><Plus className="h-4 w-4 mr-1"/> {t("aircraft.add")}</Button>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.templates")}</CardTitle>
+          <CardDescription>{t("card.templates.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                {TEMPLATE_FIELDS.map((f) => <th key={f.key} className="py-2 pr-3 font-medium">{t("template.field." + f.key)}</th>)}
+                <th className="py-2 pr-3 font-medium">{t("template.times")}</th>
+                <th className="py-2 pr-3 font-medium">{t("template.remarks")}</th>
+                <th className="py-2 pr-3"/>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map((tpl) => (
+                <tr key={tpl.id} className="border-b align-top">
+                  {TEMPLATE_FIELDS.map((f) => (
+                    <td key={f.key} className="py-2 pr-3 min-w-[6rem]">
+                      <CellInput value={tpl[f.key] ?? ""} type={f.key === "loads" || f.key === "fobStart" ? "number" : "text"} placeholder={f.placeholder ?? t("template.placeholder." + f.key)} list={f.key === "reg" ? "aircraft-registry" : f.key === "timeZone" ? "iana-zones" : f.key === "pilot" ? "pilot-list" : undefined} onChange={(v) => updateTemplate(tpl.id, f.key, v)} />
+                      {f.key === "timeZone" && tpl.timeZone && !isValidTimeZone(tpl.timeZone) && <div className="text-xs mt-1 text-red-700">{t("template.unknownZone")}</div>}
+                    </td>
+                  ))}
+                  <td className="py-2 pr-3">
+                    <select className="border rounded-md h-9 px-2 bg-background" value={tpl.timeMode} onChange={(e) => updateTemplate(tpl.id, "timeMode", e.target.value)}>
+                      {TIME_MODES.map((m) => <option key={m} value={m}>{t("timeMode." + m)}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3 min-w-[14rem]">
+                    <textarea className="w-full border rounded-md p-2 text-sm bg-background" rows={2} value={tpl.remarks.join("\n")} onChange={(e) => updateTemplate(tpl.id, "remarks", e.target.value)} />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="sm" onClick={() => newSheetFromTemplate(tpl)} disabled={!tpl.dz.trim() || amending} title={t("template.newSheet")}><Plus className="h-4 w-4"/></Button>
+                      <Button variant="destructive" size="sm" onClick={() => removeTemplate(tpl.id)}><Trash2 className="h-4 w-4"/></Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" onClick={saveHeaderAsTemplate} disabled={!dz.trim()} title={t("template.saveHeader.hint")}><Plus className="h-4 w-4 mr-1"/> {t("template.saveHeader")}</Button>
+            <label className="inline-flex items-center">
+              <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { if (e.target.files && e.target.files[0]) importTemplates(e.target.files[0]); e.target.value = ""; }} />
+              <Button variant="outline"><Upload className="h-4 w-4 mr-1"/> {t("template.import")}</Button>
+            </label>
+            <Button variant="outline" onClick={exportTemplates} disabled={templates.length === 0}><Download className="h-4 w-4 mr-1"/> {t("template.export")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.sync")}</CardTitle>
+          <CardDescription>{t("card.sync.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <Input className="max-w-sm" placeholder={t("sync.url.placeholder")} value={syncSettings.url} onChange={(e) => setSyncSettings((st) => ({ ...st, url: e.target.value }))} />
+            <Input className="max-w-[12rem]" type="password" placeholder={t("sync.token.placeholder")} value={syncSettings.token} onChange={(e) => setSyncSettings((st) => ({ ...st, token: e.target.value }))} />
+            <Button variant="outline" onClick={syncNow} disabled={!syncSettings.url.trim() || syncStatus.busy}>{t(syncStatus.busy ? "sync.busy" : "sync.now")}</Button>
+            {syncSettings.url.trim() && unsyncedArchive.length > 0 && (
+              <Button variant="outline" onClick={queueArchive}>{t("sync.queue", { count: unsyncedArchive.length })}</Button>
+            )}
+          </div>
+          <div className="text-muted-foreground">
+            {t("sync.outbox", { pending: outbox.items.filter(x => x.status === "pending").length, synced: Object.keys(outbox.synced).length })}
+            {syncStatus.message && <span className={syncStatus.error ? "text-red-700" : ""}> • {syncStatus.message}</span>}
+          </div>
+          {outbox.items.filter(x => x.status === "pending" && x.attempts > 0).map((x) => (
+            <div key={x.id} className="text-xs text-amber-800">
+              {x.sheet.meta.date || t("common.noDate")} {x.sheet.meta.reg}: {x.lastError} — {t("sync.retryAt", { time: new Date(x.nextAt).toLocaleTimeString() })}
+            </div>
+          ))}
+          {outbox.items.filter(x => x.status === "conflict").map((x) => (
+            <div key={x.id} className="rounded-xl border border-red-300 bg-red-50 text-red-900 p-3 flex flex-wrap items-center justify-between gap-2">
+              <span>
+                {t("sync.conflict.server", { sheet: (x.sheet.meta.date || t("common.noDate")) + " " + x.sheet.meta.reg, version: x.serverVersion })}
+                {x.serverSheet && x.serverSheet.meta ? " (" + [x.serverSheet.meta.pilot, latestSeal(x.serverSheet) ? t("sync.conflict.sealed", { time: new Date(latestSeal(x.serverSheet).sealedAt).toLocaleString() }) : ""].filter(Boolean).join(", ") + ")" : ""}{t("sync.conflict.device", { version: x.version, base: x.baseVersion })}
+              </span>
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" onClick={() => settleConflict(x, "mine")}>{t("sync.keepMine")}</Button>
+                <Button size="sm" variant="outline" onClick={() => settleConflict(x, "theirs")}>{t("sync.useTheirs")}</Button>
+              </div>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.archive")}</CardTitle>
+          <CardDescription>{t("card.archive.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          {archive.length === 0 ? (
+            <div className="text-sm text-muted-foreground">{t("archive.empty")}</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  {["DATE", "PILOT", "DZ", "REG", t("stat.flights"), "FLT/T", t("archive.closed"), t("card.sync")].map((c) => (
+                    <th key={c} className="py-2 pr-3 font-medium">{c}</th>
+                  ))}
+                  <th className="py-2 pr-3"/>
+                </tr>
+              </thead>
+              <tbody>
+                {archive.map((s) => {
+                  const tot = sheetTotals(s.rows);
+                  const sync = syncLabel(outbox, s.id);
+                  return (
+                    <tr key={s.id} className="border-b hover:bg-muted/30">
+                      <td className="py-2 pr-3">{s.meta.date || "--"}</td>
+                      <td className="py-2 pr-3">{s.meta.pilot}</td>
+                      <td className="py-2 pr-3">{s.meta.dz}</td>
+                      <td className="py-2 pr-3">{s.meta.reg}</td>
+                      <td className="py-2 pr-3">{tot.flights}</td>
+                      <td className="py-2 pr-3">{tot.flt}</td>
+                      <td className="py-2 pr-3">{s.closedAt ? new Date(s.closedAt).toLocaleString() : ""}</td>
+                      <td className="py-2 pr-3 text-xs">{sync === "conflict" || sync === "queued" ? t("sync." + sync) : sync}</td>
+                      <td className="py-2 pr-3">
+                        <div className="flex gap-2">
+                          <Button variant="outline" size="sm" onClick={() => setViewing(s)} title={t("archive.open")}><FolderOpen className="h-4 w-4" /></Button>
+                          <Button variant="outline" size="sm" onClick={() => duplicateSheet(s)} title={t("archive.duplicate")}><Copy className="h-4 w-4" /></Button>
+                          <Button variant="outline" size="sm" onClick={() => runVerify(t("archive.label", { date: s.meta.date || t("common.sheet") }), s.meta, s.rows, latestSeal(s))} title={t("archive.verify")}><ShieldCheck className="h-4 w-4" /></Button>
+                          <Button variant="destructive" size="sm" onClick={() => removeArchivedSheet(s)} title={t("common.delete")}><Trash2 className="h-4 w-4" /></Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+
+      <ExportPanel t={t} sheet={sheet} archive={archive} registry={aircraftList} mappings={exportMappings} onMappingsChange={setExportMappings} />
+    </div>
+  );
+}
+
+// Logbook CSV / XLSX / JSON of the open sheet or a date range of saved sheets, and the column-mapping editor
+/** @param {{t: Function, sheet: SheetRecord, archive: SheetRecord[], registry: AircraftProfile[], mappings: Object<string, ExportColumn[]>, onMappingsChange: Function}} props */
+function ExportPanel({ t, sheet, archive, registry, mappings, onMappingsChange }) {
+  const [source, setSource] = useState("sheet");
+  const [from, setFrom] = useState(() => addDaysISO(todayISO(), -27));
+  const [to, setTo] = useState(todayISO());
+  const [editing, setEditing] = useState("");
+  const sheets = source === "sheet" ? [sheet] : sheetsInRange(archive, sheet, from, to);
+  const stem = "pilot_journey_log_" + (source === "sheet" ? (sheet.meta.date || "sheet") : (from || "start") + "_" + (to || "end"));
+
+  function exportLogbook() {
+    downloadBlob(toCSV(exportRecords(mappings.logbook, sheets, registry, true)), "text/csv;charset=utf-8;", stem + "_logbook.csv");
+  }
+  function exportXlsx() {
+    const book = buildXlsx([{ name: "Loads", rows: exportRecords(mappings.xlsx, sheets, registry, false) }, { name: "Totals", rows: exportTotalsRecords(sheets) }]);
+    downloadBlob(book, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", stem + ".xlsx");
+  }
+  function exportJSON() {
+    downloadBlob(sheetsJSON(sheets, new Date().toISOString()), "application/json", stem + ".json");
+  }
+
+  const mapping = editing ? mappings[editing] : [];
+  function setMapping(next) { onMappingsChange({ ...mappings, [editing]: next }); }
+  function moveColumn(i, by) {
+    const next = [...mapping];
+    const [c] = next.splice(i, 1);
+    next.splice(Math.min(Math.max(i + by, 0), next.length), 0, c);
+    setMapping(next);
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle><Download className="h-4 w-4 inline mr-1"/> {t("export.title")}</CardTitle>
+        <CardDescription>{source === "sheet" ? t("source.sheet") : t("source.range.summary", { count: sheets.length, from: from || t("source.start"), to: to || t("source.today") })} • {t("export.formats")}</CardDescription>
+        <div className="flex flex-wrap items-center gap-2 pt-1">
+          {CHART_SOURCES.map((x) => (
+            <Button key={x} size="sm" variant={source === x ? "default" : "outline"} onClick={() => setSource(x)}>{t("source." + x)}</Button>
+          ))}
+          {source === "range" && (<>
+            <div className="text-xs text-muted-foreground">{t("source.from")}</div>
+            <Input className="max-w-[10rem]" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            <div className="text-xs text-muted-foreground">{t("source.to")}</div>
+            <Input className="max-w-[10rem]" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          </>)}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={exportLogbook} disabled={sheets.length === 0}><Download className="h-4 w-4 mr-1"/> {t("export.logbookCSV")}</Button>
+          <Button variant="outline" onClick={exportXlsx} disabled={sheets.length === 0}><Download className="h-4 w-4 mr-1"/> XLSX</Button>
+          <Button variant="outline" onClick={exportJSON} disabled={sheets.length === 0}><Download className="h-4 w-4 mr-1"/> JSON</Button>
+          <Button variant="outline" onClick={() => downloadBlob(JSON.stringify(SHEETS_SCHEMA, null, 2), "application/schema+json", "pilot_journey_log_sheets.schema.json")} title={t("export.schema.hint")}>JSON Schema</Button>
+          {EXPORT_KINDS.map((k) => (
+            <Button key={k} size="sm" variant={editing === k ? "default" : "outline"} onClick={() => setEditing(editing === k ? "" : k)}>{t("export.columns", { kind: t("export.kind." + k) })}</Button>
+          ))}
+        </div>
+        {editing && (
+          <div className="space-y-2">
+            <div className="text-xs text-muted-foreground">{t("export.kind." + editing + ".hint")}</div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b"><th className="py-2 pr-3 font-medium">{t("export.columnTitle")}</th><th className="py-2 pr-3 font-medium">{t("export.value")}</th><th className="py-2 pr-3"/></tr>
+              </thead>
+              <tbody>
+                {mapping.map((c, i) => (
+                  <tr key={i} className="border-b">
+                    <td className="py-2 pr-3"><CellInput value={c.header} onChange={(v) => setMapping(mapping.map((x, j) => (j === i ? { ...x, header: v } : x)))} /></td>
+                    <td className="py-2 pr-3">
+                      <select className="border rounded-md h-9 px-2 bg-background" value={c.source} onChange={(e) => setMapping(mapping.map((x, j) => (j === i ? { ...x, source: e.target.value } : x)))}>
+                        {EXPORT_SOURCES.map((x) => <option key={x.key} value={x.key}>{x.label ?? t("export.source." + x.key)}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <div className="flex gap-2">
+                        <Button variant="outline" size="sm" onClick={() => moveColumn(i, -1)} disabled={i === 0} title={t("export.moveUp")}>↑</Button>
+                        <Button variant="outline" size="sm" onClick={() => moveColumn(i, 1)} disabled={i === mapping.length - 1} title={t("export.moveDown")}>↓</Button>
+                        <Button variant="destructive" size="sm" onClick={() => setMapping(mapping.filter((_, j) => j !== i))} disabled={mapping.length === 1}><Trash2 className="h-4 w-4"/></Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setMapping([...mapping, { header: "", source: COLS[0] }])}><Plus className="h-4 w-4 mr-1"/> {t("export.addColumn")}</Button>
+              <Button variant="outline" onClick={() => setMapping(DEFAULT_EXPORT_MAPPINGS[editing])}><Eraser className="h-4 w-4 mr-1"/> {t("common.resetDefault")}</Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Read-only view of an archived sheet (opened from the Logbook Archive)
+/** @param {{ t: Function, sheet: SheetRecord, registry: AircraftProfile[], pdfLayout: {size: string, orientation: string}, onPdfLayoutChange: Function, onBack: Function, onDuplicate: Function }} props */
+function ArchivedSheetView({ t, sheet, registry, pdfLayout, onPdfLayoutChange, onBack, onDuplicate }) {
+  const printMeta = sheetPrintMeta(sheet, registry);
+  const { totals, fuel } = printMeta;
+  const unit = fuelUnitLabel(fuel.unit);
+  const duty = sheetDutyTime(normalizeMeta(sheet.meta));
+  return (
+    <>
+      <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold">{t("archived.title", { date: sheet.meta.date || t("common.noDate") })}</h1>
+          <p className="text-sm text-muted-foreground">{t("archived.readOnly")}{sheet.closedAt ? " • " + t("archived.closedAt", { time: new Date(sheet.closedAt).toLocaleString() }) : ""}</p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={onBack}><ArrowLeft className="h-4 w-4 mr-1"/> {t("common.back")}</Button>
+          <Button variant="secondary" onClick={onDuplicate}><Copy className="h-4 w-4 mr-1"/> {t("archived.duplicate")}</Button>
+          <Button variant="secondary" onClick={() => printHTML(buildPrintHTML(printMeta, sheet.rows))}><Printer className="h-4 w-4 mr-1"/> {t("action.print")}</Button>
+          <Button onClick={() => downloadPDF(printMeta, sheet.rows, pdfLayout)}><Download className="h-4 w-4 mr-1"/> {t("action.downloadPDF")}</Button>
+        </div>
+      </header>
+      <div className="flex justify-end"><PdfLayoutPicker t={t} layout={pdfLayout} onChange={onPdfLayoutChange} /></div>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle><Archive className="h-4 w-4 inline mr-1"/> {t("archived.headerTotals")}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-2 md:grid-cols-8 gap-3">
+            <Stat label="PILOT" value={sheet.meta.pilot || "--"} />
+            <Stat label="DZ" value={sheet.meta.dz || "--"} />
+            <Stat label="REG" value={sheet.meta.reg || "--"} />
+            <Stat label="DATE" value={sheet.meta.date || "--"} />
+            <Stat label={t("stat.flights")} value={totals.flights} />
+            <Stat label="PAX" value={totals.pax} />
+            <Stat label="LDG" value={totals.ldg} />
+            <Stat label="FLT/T" value={totals.flt} />
+            <Stat label="BLK/T" value={totals.blk} />
+            <Stat label="DUTY START" value={sheet.meta.dutyStart || "--:--"} />
+            <Stat label="DUTY END" value={sheet.meta.dutyEnd || "--:--"} />
+            <Stat label={t("stat.pilotDuty")} value={duty || "--:--"} />
+            <Stat label={t("stat.fobStart", { unit })} value={fuelToDisplay(sheet.meta.fobStart, fuel) || "--"} />
+            <Stat label={t("stat.fobEnd", { unit })} value={fuelToDisplay(printMeta.lastFOB, fuel) || "--"} />
+            <Stat label={t("stat.fuelBurned", { unit })} value={formatFuel(totals.fuelBurned, fuel)} />
+            <Stat label={t("stat.avgBurn", { unit })} value={formatFuel(totals.burnPerHour, fuel) || "--"} />
+            {METER_FIELDS.some(([, k]) => String(sheet.meta[k] ?? "").trim()) && METER_FIELDS.map(([label, k]) => <Stat key={k} label={label} value={sheet.meta[k] || "--"} />)}
+          </div>
+          {reconcileMeters(sheetAirframeDay(sheet)).map((m) => <div key={m.meter} className={"text-sm mt-2 " + (m.ok ? "text-muted-foreground" : "text-red-700")}>{m.message}</div>)}
+          {printMeta.crew.length > 1 && (
+            <table className="w-full text-sm mt-4">
+              <thead>
+                <tr className="text-left border-b">{CREW_SUMMARY_COLS.map((c) => <th key={c} className="py-2 pr-3 font-medium">{c}</th>)}</tr>
+              </thead>
+              <tbody>
+                {crewSummaryRecords(printMeta.crew).map((cells, i) => (
+                  <tr key={i} className="border-b">{cells.map((v, k) => <td key={k} className="py-2 pr-3">{v}</td>)}</tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("card.entries")}</CardTitle>
+          <CardDescription>{t("archived.rows", { count: sheet.rows.length })}</CardDescription>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                {COLS.map((c) => (
+                  <th key={c} className="py-2 pr-3 font-medium">
+                    {c}
+                    {FUEL_COLS.includes(c) && <span className="text-xs text-muted-foreground"> ({unit})</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sheet.rows.map((row) => (
+                <tr key={row.id} className="border-b">
+                  {COLS.map((c) => <td key={c} className="py-2 pr-3">{c === "PIC" ? rowPIC(row, sheet.meta) : FUEL_COLS.includes(c) ? fuelToDisplay(row[c], fuel) : String((row)[c] ?? "")}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <AuditTrail t={t} audit={sheet.audit || []} />
+    </>
+  );
+}
+
+// CSV import preview: header block, row-level errors, import mode
+function ImportPreviewDialog({ t, preview, onChange, onCancel, onConfirm }) {
+  const valid = preview.rows.filter(x => x.errors.length === 0).length;
+  const invalid = preview.rows.length - valid;
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6 overflow-y-auto">
+      <Card className="w-full max-w-5xl bg-background">
+        <CardHeader className="pb-2">
+          <CardTitle>{t("import.title", { file: preview.fileName })}</CardTitle>
+          <CardDescription>{t("import.ready", { count: valid })}{invalid > 0 ? " • " + t("import.skipped", { count: invalid }) : ""}</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {preview.warnings.length > 0 && (
+            <ul className="text-sm text-amber-800 list-disc ml-5">
+              {preview.warnings.map((w) => <li key={w}>{w}</li>)}
+            </ul>
+          )}
+          {preview.hasMeta && (
+            <div className="text-sm">
+              <div className="flex flex-wrap gap-3">
+                {CSV_META_FIELDS.filter(([, k]) => preview.meta[k] !== undefined).map(([label, k]) => (
+                  <span key={k}><strong>{label}:</strong> {preview.meta[k] || "--"}</span>
+                ))}
+                {preview.meta.crew && <span><strong>CREW:</strong> {crewSummary(preview.meta.crew)}</span>}
+              </div>
+              <label className="inline-flex items-center gap-2 mt-1">
+                <input type="checkbox" checked={preview.applyMeta} onChange={(e) => onChange({ applyMeta: e.target.checked })} />
+                {t("import.applyMeta")}
+              </label>
+            </div>
+          )}
+          <div className="overflow-x-auto max-h-96">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pr-3 font-medium">#</th>
+                  {COLS.map((c) => <th key={c} className="py-2 pr-3 font-medium">{c}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((x) => (
+                  <React.Fragment key={x.index}>
+                    <tr className={"border-b " + (x.errors.length ? "bg-red-50" : "")}>
+                      <td className="py-1 pr-3">{x.index}</td>
+                      {COLS.map((c) => <td key={c} className="py-1 pr-3 whitespace-pre-wrap">{String((x.row)[c] ?? "")}</td>)}
+                    </tr>
+                    {x.errors.length > 0 && (
+                      <tr className="bg-red-50"><td />
+                        <td colSpan={COLS.length} className="pb-1 pr-3 text-xs text-red-700">{x.errors.join(" • ")}</td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {IMPORT_MODES.map((m) => (
+              <Button key={m} variant={preview.mode === m ? "default" : "outline"} size="sm" onClick={() => onChange({ mode: m })}>{t("import.mode." + m)}</Button>
+            ))}
+            <div className="flex-1" />
+            <Button variant="outline" onClick={onCancel}>{t("common.cancel")}</Button>
+            <Button onClick={onConfirm} disabled={valid === 0 && !preview.applyMeta}><Upload className="h-4 w-4 mr-1"/> {t("import.confirm")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// Rolling totals over all archived sheets
+/** @param {{ t: Function, sheets: SheetRecord[], onBack: Function }} props */
+function ReportsView({ t, sheets, onBack }) {
+  const [asOf, setAsOf] = useState(todayISO());
+  const report = useMemo(() => buildRollingReport(sheets, asOf), [sheets, asOf]);
+  const windowCells = (windows) => REPORT_WINDOWS.map((w) => (
+    <td key={w.key} className="py-2 pr-3 whitespace-nowrap">
+      {minutesToHM(windows[w.key].mins)} <span className="text-xs text-muted-foreground">• {windows[w.key].ldg} LDG • {windows[w.key].pax} PAX</span>
+    </td>
+  ));
+  const windowHeads = REPORT_WINDOWS.map((w) => <th key={w.key} className="py-2 pr-3 font-medium">{t("reports.window." + w.key)}</th>);
+  return (
+    <>
+      <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold">{t("action.reports")}</h1>
+          <p className="text-sm text-muted-foreground">{t("reports.from", { count: sheets.length })} • FLT/T • LDG • PAX</p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <div className="text-xs text-muted-foreground">{t("reports.asOf")}</div>
+          <Input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          <Button variant="outline" onClick={onBack}><ArrowLeft className="h-4 w-4 mr-1"/> {t("common.back")}</Button>
         </div>
       </header>
 
-      {isClosed && (
-        <div className="rounded-xl border border-amber-300 bg-amber-50 text-amber-900 p-3">
-          <div className="font-medium">Flight Closed</div>
-          <div className="text-sm">Entries are locked. Use <span className="font-medium">Print PDF</span> at the bottom to generate a printable copy, or Export CSV from the header.</div>
-        </div>
-      )}
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle>{t("reports.perPilot")}</CardTitle>
+          <CardDescription>{t("reports.perPilot.hint")}</CardDescription>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead><tr className="text-left border-b"><th className="py-2 pr-3 font-medium">PILOT</th>{windowHeads}</tr></thead>
+            <tbody>
+              {report.pilots.map((p) => (
+                <tr key={p.name} className="border-b">
+                  <td className="py-2 pr-3">{p.name}</td>
+                  {windowCells(p.windows)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
 
       <Card>
         <CardHeader className="pb-2">
-          <CardTitle>Quick Search</CardTitle>
-          <CardDescription>Search across all fields</CardDescription>
+          <CardTitle>{t("reports.perAirframe")}</CardTitle>
+          <CardDescription>{t("reports.perAirframe.hint")}</CardDescription>
         </CardHeader>
-        <CardContent>
-          <Input placeholder="Type to filter…" value={search} onChange={(e) => setSearch(e.target.value)} disabled={isClosed} />
+        <CardContent className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead><tr className="text-left border-b"><th className="py-2 pr-3 font-medium">REG</th>{windowHeads}<th className="py-2 pr-3 font-medium">{t("reports.lifetime")}</th></tr></thead>
+            <tbody>
+              {report.aircraft.map((a) => (
+                <tr key={a.reg} className="border-b">
+                  <td className="py-2 pr-3">{a.reg}</td>
+                  {windowCells(a.windows)}
+                  <td className="py-2 pr-3 whitespace-nowrap">{minutesToHM(a.lifetimeMins)} <span className="text-xs text-muted-foreground">• {a.lifetimeLdg} LDG</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </CardContent>
       </Card>
+    </>
+  );
+}
+
+// All follow-up items across sheets, open ones by default; the filtered list exports as CSV
+function FollowUpDashboard({ t, items, onChange, onExport, onBack }) {
+  const [filter, setFilter] = useState({ status: "open", category: "", reg: "", dz: "", assignee: "" });
+  const list = useMemo(() => filterFollowUps(items, filter), [items, filter]);
+  const setF = (key, value) => setFilter((f) => ({ ...f, [key]: value }));
+  const regs = [...new Set(items.map(x => x.reg).filter(Boolean))].sort();
+  const dzs = [...new Set(items.map(x => x.dz).filter(Boolean))].sort();
+  return (
+    <>
+      <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold">{t("action.followUps")}</h1>
+          <p className="text-sm text-muted-foreground">
+            {t("followUps.openOf", { open: items.filter(x => x.status !== "closed").length, count: items.length })} • {FOLLOWUP_CATEGORIES.map(c => t("followUps.category." + c) + " " + items.filter(x => x.status !== "closed" && x.category === c).length).join(" • ")}
+          </p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Button variant="secondary" onClick={() => onExport(list)} disabled={list.length === 0}><Download className="h-4 w-4 mr-1"/> {t("action.exportCSV")}</Button>
+          <Button variant="outline" onClick={onBack}><ArrowLeft className="h-4 w-4 mr-1"/> {t("common.back")}</Button>
+        </div>
+      </header>
 
       <Card>
         <CardHeader className="pb-2">
-          <CardTitle>Pilot / Flight Header</CardTitle>
-          <CardDescription>Applies to this sheet; not per-row.</CardDescription>
+          <CardTitle>{t("followUps.list")}</CardTitle>
+          <CardDescription>{t("followUps.list.hint")}</CardDescription>
         </CardHeader>
-        <CardContent>
-          <div className="grid grid-cols-2 md:grid-cols-9 gap-3">
-            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
-              <div className="text-xs text-muted-foreground">PILOT</div>
-              <Input placeholder="Name" value={pilot} onChange={(e)=>setPilot(e.target.value)} disabled={isClosed} />
-            </div>
-            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
-              <div className="text-xs text-muted-foreground">DZ</div>
-              <Input placeholder="Drop Zone" value={dz} onChange={(e)=>setDz(e.target.value)} disabled={isClosed} />
-            </div>
-            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
-              <div className="text-xs text-muted-foreground">REG</div>
-              <Input placeholder="Registration" value={reg} onChange={(e)=>setReg(e.target.value)} disabled={isClosed} />
-            </div>
-            <div className="md:col-span-2 p-3 rounded-2xl bg-muted/50 border">
-              <div className="text-xs text-muted-foreground">DATE</div>
-              <Input type="date" placeholder="YYYY-MM-DD" value={date} onChange={(e)=>setDate(e.target.value)} disabled={isClosed} />
-            </div>
+        <CardContent className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select className="h-9 rounded-md border px-2 bg-background" value={filter.status} onChange={(e) => setF("status", e.target.value)}>
+              <option value="open">{t("followUps.filter.open")}</option>
+              {FOLLOWUP_STATUSES.map((st) => <option key={st} value={st}>{t("followUps.status." + st)}</option>)}
+              <option value="all">{t("followUps.filter.all")}</option>
+            </select>
+            <select className="h-9 rounded-md border px-2 bg-background" value={filter.category} onChange={(e) => setF("category", e.target.value)}>
+              <option value="">{t("followUps.filter.categories")}</option>
+              {FOLLOWUP_CATEGORIES.map((c) => <option key={c} value={c}>{t("followUps.category." + c)}</option>)}
+            </select>
+            <select className="h-9 rounded-md border px-2 bg-background" value={filter.reg} onChange={(e) => setF("reg", e.target.value)}>
+              <option value="">{t("followUps.filter.regs")}</option>
+              {regs.map((r) => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <select className="h-9 rounded-md border px-2 bg-background" value={filter.dz} onChange={(e) => setF("dz", e.target.value)}>
+              <option value="">{t("followUps.filter.dzs")}</option>
+              {dzs.map((d) => <option key={d} value={d}>{d}</option>)}
+            </select>
+            <Input className="max-w-[12rem]" placeholder={t("followUps.assignee")} value={filter.assignee} onChange={(e) => setF("assignee", e.target.value)} />
           </div>
+          {list.length === 0 ? (
+            <div className="text-sm text-muted-foreground">{t("followUps.none")}</div>
+          ) : list.map((x) => <FollowUpItemRow key={x.id} t={t} item={x} onChange={onChange} showSource />)}
         </CardContent>
       </Card>
+    </>
+  );
+}
 
-      <Card>
+// One follow-up: severity, assignee and status changes (closing asks for the action taken)
+function FollowUpItemRow({ t, item, onChange, showSource }) {
+  const [assignee, setAssignee] = useState(item.assignee);
+  const [closing, setClosing] = useState(false);
+  const [note, setNote] = useState("");
+  const [error, setError] = useState("");
+  useEffect(() => { setAssignee(item.assignee); }, [item.assignee]);
+  const apply = (change) => { const err = onChange(item.id, change); setError(err); return !err; };
+  return (
+    <div className="text-sm flex flex-wrap items-center gap-2 border-b py-2">
+      <select className={"h-8 rounded-md border px-1 bg-background " + (item.severity === "high" ? "text-red-700" : "")} value={item.severity} onChange={(e) => apply({ severity: e.target.value })}>
+        {FOLLOWUP_SEVERITIES.map((sv) => <option key={sv} value={sv}>{t("followUps.severity." + sv)}</option>)}
+      </select>
+      <span className="text-xs uppercase text-muted-foreground">{t("followUps.category." + item.category)}</span>
+      <span className="flex-1 min-w-[12rem]">
+        {item.text || t("followUps.noText")}
+        {showSource && <span className="text-xs text-muted-foreground"> — {item.date || t("common.noDate")} • {item.reg || t("followUps.noReg")}{item.dz ? " @ " + item.dz : ""} • {t("common.load", { load: item.load })}{item.openedBy ? " • " + item.openedBy : ""}</span>}
+      </span>
+      <Input className="max-w-[10rem] h-8" placeholder={t("followUps.assignee")} value={assignee} onChange={(e) => setAssignee(e.target.value)} onBlur={() => { if (assignee !== item.assignee) apply({ assignee }); }} />
+      <span className={"text-xs font-medium " + (item.status === "open" ? "text-red-700" : item.status === "acknowledged" ? "text-amber-700" : "text-muted-foreground")}>{t("followUps.status." + item.status)}</span>
+      {item.status === "open" && <Button size="sm" variant="outline" onClick={() => apply({ status: "acknowledged" })}>{t("followUps.acknowledge")}</Button>}
+      {item.status !== "closed" && !closing && <Button size="sm" variant="outline" onClick={() => setClosing(true)}>{t("followUps.close")}</Button>}
+      {item.status === "closed" && <Button size="sm" variant="outline" onClick={() => apply({ status: "open" })}>{t("followUps.reopen")}</Button>}
+      {closing && (<>
+        <Input className="max-w-xs h-8" placeholder={t("followUps.actionTaken")} value={note} onChange={(e) => setNote(e.target.value)} />
+        <Button size="sm" onClick={() => { if (apply({ status: "closed", note })) { setClosing(false); setNote(""); } }} disabled={!note.trim()}>{t("followUps.closeItem")}</Button>
+        <Button size="sm" variant="outline" onClick={() => setClosing(false)}>{t("common.cancel")}</Button>
+      </>)}
+      {item.status === "closed" && (
+        <div className="w-full text-xs text-muted-foreground">{t("followUps.closedAt", { time: item.closedAt ? new Date(item.closedAt).toLocaleString() : "" })}{item.closedBy ? " " + t("followUps.by", { name: item.closedBy }) : ""}: {item.action}</div>
+      )}
+      {error && <div className="w-full text-xs text-red-700">{error}</div>}
+    </div>
+  );
+}
+
+// Follow-ups raised from one load's F/UP, and a form to raise another
+function FollowUpDialog({ t, row, items, canRaise, onRaise, onChange, onClose }) {
+  const [form, setForm] = useState(() => ({ category: "technical", severity: "medium", assignee: "", text: String(row["F/UP"] ?? "") }));
+  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  function raise() {
+    if (!form.text.trim()) return;
+    onRaise({ ...form, text: form.text.trim(), assignee: form.assignee.trim() });
+    setForm((f) => ({ ...f, assignee: "", text: "" }));
+  }
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6 overflow-y-auto">
+      <Card className="w-full max-w-4xl bg-background">
         <CardHeader className="pb-2">
-          <CardTitle>Totals & Duty</CardTitle>
-          <CardDescription>Live totals + pilot duty time (independent)</CardDescription>
+          <CardTitle><ClipboardList className="h-4 w-4 inline mr-1"/> {t("action.followUps")} — {row.id === FERRY_ID ? "FERRY" : t("common.load", { load: row.Load })}</CardTitle>
+          <CardDescription>{t("followUps.dialog.hint")}</CardDescription>
         </CardHeader>
-        <CardContent>
-          <div className="grid grid-cols-2 md:grid-cols-8 gap-3">
-            <Stat label="Flights" value={totals.flights} />
-            <Stat label="PAX" value={totals.pax} />
-            <Stat label="LDG" value={totals.ldg} />
-            <Stat label="FLT/T" value={totals.flt} />
-            <div className="p-3 rounded-2xl bg-muted/50 border">
-              <div className="text-xs text-muted-foreground">DUTY START</div>
-              <Input placeholder="HH:MM" value={dutyStart} onChange={(e) => setDutyStart(e.target.value)} />
+        <CardContent className="space-y-3 text-sm">
+          {items.length === 0 ? <div className="text-muted-foreground">{t("followUps.noneOnLoad")}</div> : items.map((x) => <FollowUpItemRow key={x.id} t={t} item={x} onChange={onChange} />)}
+          <div className="flex flex-wrap items-center gap-2">
+            <select className="h-9 rounded-md border px-2 bg-background" value={form.category} onChange={(e) => setField("category", e.target.value)}>
+              {FOLLOWUP_CATEGORIES.map((c) => <option key={c} value={c}>{t("followUps.category." + c)}</option>)}
+            </select>
+            <select className="h-9 rounded-md border px-2 bg-background" value={form.severity} onChange={(e) => setField("severity", e.target.value)}>
+              {FOLLOWUP_SEVERITIES.map((sv) => <option key={sv} value={sv}>{t("followUps.severity." + sv)}</option>)}
+            </select>
+            <Input className="flex-1 min-w-[14rem]" placeholder={t("followUps.text.placeholder")} value={form.text} onChange={(e) => setField("text", e.target.value)} />
+            <Input className="max-w-[10rem]" placeholder={t("followUps.assignee")} value={form.assignee} onChange={(e) => setField("assignee", e.target.value)} />
+            <Button onClick={raise} disabled={!canRaise || !form.text.trim()}><Plus className="h-4 w-4 mr-1"/> {t("followUps.raise")}</Button>
+          </div>
+          {!canRaise && <div className="text-xs text-red-700">{t("followUps.needReg")}</div>}
+          <div className="flex justify-end">
+            <Button onClick={onClose}>{t("common.done")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function CellInput({ value, onChange, onBlur, type = "text", placeholder = "", disabled = false, cell, list, maxLength }) {
+  return (
+    <Input data-cell={cell} list={list} value={value} type={type} placeholder={placeholder} maxLength={maxLength} onChange={(e) => onChange(e.target.value)} onBlur={onBlur} disabled={disabled} />
+  );
+}
+
+// Fuel value shown and typed in the display unit, stored in lbs. While focused the typed text is kept as is,
+// so "12." or a leading zero survive the round trip through lbs.
+/** @param {{value: string, fuel: import("./pilot_journey_log_units").FuelUnit, onChange: Function, disabled?: boolean, cell?: string}} props */
+function FuelInput({ value, fuel, onChange, disabled = false, cell }) {
+  const [draft, setDraft] = useState(null);
+  const shown = draft !== null ? draft : fuelToDisplay(value, fuel);
+  return (
+    <Input data-cell={cell} value={shown} type="number" placeholder={fuelUnitLabel(fuel.unit)} disabled={disabled}
+      onFocus={() => setDraft(shown)} onBlur={() => setDraft(null)}
+      onChange={(e) => { setDraft(e.target.value); onChange(fuelFromDisplay(e.target.value, fuel)); }} />
+  );
+}
+
+// FOB input with the expected value underneath; red when off by more than the tolerance, amber below reserve
+// (also red when above the aircraft's fuel capacity)
+function FobCell({ t, value, fuel, check, limitError, onChange, disabled, cell }) {
+  const tone = check && check.discrepancy ? "text-red-700" : check && check.belowReserve ? "text-amber-700" : "text-muted-foreground";
+  const bad = limitError || (check && check.discrepancy);
+  return (
+    <div className={bad || (check && check.belowReserve) ? "rounded-md ring-1 ring-offset-1 " + (bad ? "ring-red-400" : "ring-amber-400") : ""}>
+      <FuelInput cell={cell} value={value} fuel={fuel} onChange={onChange} disabled={disabled} />
+      {check && check.expected !== null && (
+        <div className={"text-xs mt-1 " + tone}>
+          {t("fob.expected", { fuel: formatFuel(check.expected, fuel) })}{check.diff ? " (" + (check.diff > 0 ? "+" : "") + formatFuel(check.diff, fuel) + ")" : ""}{check.belowReserve ? " • " + t("fob.belowReserve") : ""}
+        </div>
+      )}
+      {check && check.expected === null && check.belowReserve && <div className={"text-xs mt-1 " + tone}>{t("fob.belowReserve")}</div>}
+      {limitError && <div className="text-xs mt-1 text-red-700">{limitError}</div>}
+    </div>
+  );
+}
+
+// Jumper manifest for one load: edits go straight to the row (undoable like any other edit)
+function ManifestDialog({ t, row, aircraft, disabled, onChange, onClose }) {
+  const jumpers = row.manifest || [];
+  const issues = checkManifest(jumpers);
+  const weight = manifestWeight(jumpers);
+  const limits = checkRowAgainstAircraft({ ...row, PAX: jumpers.length }, aircraft);
+  const setField = (id, key, value) => onChange(jumpers.map(j => (j.id === id ? { ...j, [key]: value } : j)));
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6 overflow-y-auto">
+      <Card className="w-full max-w-5xl bg-background">
+        <CardHeader className="pb-2">
+          <CardTitle><Users className="h-4 w-4 inline mr-1"/> {t("manifest.dialog")} — {row.id === FERRY_ID ? "FERRY" : t("common.load", { load: row.Load })}</CardTitle>
+          <CardDescription>
+            {t("manifest.jumpers", { count: jumpers.length })} • {weight} lbs
+            {aircraft && aircraft.maxPayload ? " " + t("manifest.ofPayload", { weight: aircraft.maxPayload }) : ""}
+            {aircraft && aircraft.maxPax ? " • " + t("header.seats", { count: aircraft.maxPax }) : ""}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {(limits.pax || limits.payload) && (
+            <div className="text-sm text-red-700">{[limits.pax, limits.payload].filter(Boolean).join(" • ")}</div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pr-3 font-medium">#</th>
+                  {MANIFEST_FIELDS.slice(0, 2).map((f) => <th key={f.key} className="py-2 pr-3 font-medium">{t("manifest.field." + f.key)}</th>)}
+                  <th className="py-2 pr-3 font-medium">{t("manifest.jumpType")}</th>
+                  {MANIFEST_FIELDS.slice(2).map((f) => <th key={f.key} className="py-2 pr-3 font-medium">{t("manifest.field." + f.key)}</th>)}
+                  <th className="py-2 pr-3 font-medium">{t("manifest.pairedWith")}</th>
+                  <th className="py-2 pr-3"/>
+                </tr>
+              </thead>
+              <tbody>
+                {jumpers.map((j, i) => (
+                  <tr key={j.id} className="border-b align-top">
+                    <td className="py-2 pr-3">{i + 1}</td>
+                    {MANIFEST_FIELDS.slice(0, 2).map((f) => (
+                      <td key={f.key} className="py-2 pr-3"><Input placeholder={t("manifest.placeholder." + f.key)} value={j[f.key]} onChange={(e) => setField(j.id, f.key, e.target.value)} disabled={disabled} /></td>
+                    ))}
+                    <td className="py-2 pr-3">
+                      <select className="h-9 rounded-md border px-2 bg-background" value={j.jumpType} onChange={(e) => setField(j.id, "jumpType", e.target.value)} disabled={disabled}>
+                        {JUMP_TYPES.map((jt) => <option key={jt} value={jt}>{jt}</option>)}
+                      </select>
+                    </td>
+                    {MANIFEST_FIELDS.slice(2).map((f) => (
+                      <td key={f.key} className="py-2 pr-3"><Input type="number" placeholder={f.placeholder} value={j[f.key]} onChange={(e) => setField(j.id, f.key, e.target.value)} disabled={disabled} /></td>
+                    ))}
+                    <td className="py-2 pr-3">
+                      <select className="h-9 rounded-md border px-2 bg-background" value={j.pairWith} onChange={(e) => onChange(setJumperPair(jumpers, j.id, e.target.value))} disabled={disabled}>
+                        <option value="">—</option>
+                        {jumpers.map((o, k) => (o.id === j.id ? null : <option key={o.id} value={o.id}>#{k + 1} {o.name}</option>))}
+                      </select>
+                      {issues[j.id] && <div className="text-xs mt-1 text-red-700">{issues[j.id]}</div>}
+                    </td>
+                    <td className="py-2 pr-3">
+                      <Button variant="destructive" size="sm" onClick={() => onChange(setJumperPair(jumpers, j.id, "").filter(x => x.id !== j.id))} disabled={disabled}><Trash2 className="h-4 w-4"/></Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-between gap-2">
+            <Button variant="outline" onClick={() => onChange([...jumpers, makeJumper()])} disabled={disabled}><Plus className="h-4 w-4 mr-1"/> {t("manifest.add")}</Button>
+            <Button onClick={onClose}>{t("common.done")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// Counter baseline and inspection intervals for one aircraft, with its current counters and defect history
+function MaintenanceDialog({ t, aircraft, status, defects, onChange, onClose }) {
+  const m = normalizeMaintenance(aircraft.maintenance);
+  const setInspection = (key, field, value) => onChange({ inspections: { ...m.inspections, [key]: { ...m.inspections[key], [field]: value } } });
+  const units = { hours: ["h", "h", t("maintenance.airframeH")], months: [t("maintenance.months"), t("maintenance.days"), t("maintenance.date")], engine: ["h", "h", t("maintenance.engineH")] };
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6 overflow-y-auto">
+      <Card className="w-full max-w-4xl bg-background">
+        <CardHeader className="pb-2">
+          <CardTitle><Wrench className="h-4 w-4 inline mr-1"/> {t("aircraft.maintenance")} — {aircraft.reg}{aircraft.type ? " (" + aircraft.type + ")" : ""}</CardTitle>
+          <CardDescription>
+            {status ? t("maintenance.summary", { airframe: status.counters.airframeHours.toFixed(1), engine: status.counters.engineHours.toFixed(1), landings: status.counters.landings, days: status.counters.days }) : ""}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3 text-sm">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <div>
+              <div className="text-xs text-muted-foreground">{t("maintenance.baselineDate")}</div>
+              <Input type="date" value={m.baselineDate} onChange={(e) => onChange({ baselineDate: e.target.value })} />
             </div>
-            <div className="p-3 rounded-2xl bg-muted/50 border">
-              <div className="text-xs text-muted-foreground">DUTY END</div>
-              <Input placeholder="HH:MM" value={dutyEnd} onChange={(e) => setDutyEnd(e.target.value)} />
+            <div>
+              <div className="text-xs text-muted-foreground">{t("maintenance.baselineAirframe")}</div>
+              <Input type="number" step="0.1" value={m.airframeHours} onChange={(e) => onChange({ airframeHours: e.target.value })} />
             </div>
-            <Stat label="PILOT DUTY TIME" value={pilotDuty || "--:--"} />
-            <div className="hidden md:block md:col-span-8" />
-            <div className="p-3 rounded-2xl bg-muted/50 border md:col-span-2">
-              <div className="text-xs text-muted-foreground">FOB (Start) lbs</div>
-              <Input type="number" placeholder="lbs" value={fobStart} onChange={(e) => setFobStart(e.target.value)} />
+            <div>
+              <div className="text-xs text-muted-foreground">{t("maintenance.baselineLandings")}</div>
+              <Input type="number" value={m.landings} onChange={(e) => onChange({ landings: e.target.value })} />
+            </div>
+            <div>
+              <div className="text-xs text-muted-foreground">{t("maintenance.engineSinceOverhaul")}</div>
+              <Input type="number" step="0.1" value={m.engineHours} onChange={(e) => onChange({ engineHours: e.target.value })} />
+            </div>
+            <div>
+              <div className="text-xs text-muted-foreground">{t("maintenance.hoursFrom")}</div>
+              <select className="h-9 w-full rounded-md border px-2 bg-background" value={m.hoursSource} onChange={(e) => onChange({ hoursSource: e.target.value })}>
+                {HOURS_SOURCES.map((x) => <option key={x.key} value={x.key}>{x.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="text-xs text-muted-foreground">{t("maintenance.hint", { reg: aircraft.reg })}</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                {["inspection", "interval", "warn", "lastDone", "status"].map((c) => <th key={c} className="py-2 pr-3 font-medium">{t("maintenance.col." + c)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {INSPECTIONS.map((it) => {
+                const cfg = m.inspections[it.key];
+                const u = units[it.unit];
+                const finding = status && status.findings.find(f => f.key === it.key);
+                return (
+                  <tr key={it.key} className="border-b">
+                    <td className="py-2 pr-3">{it.label}</td>
+                    <td className="py-2 pr-3"><Input type="number" placeholder={t("maintenance.interval.placeholder", { unit: u[0] })} value={cfg.interval} onChange={(e) => setInspection(it.key, "interval", e.target.value)} /></td>
+                    <td className="py-2 pr-3"><Input type="number" placeholder={u[1]} value={cfg.warn} onChange={(e) => setInspection(it.key, "warn", e.target.value)} /></td>
+                    <td className="py-2 pr-3"><Input type={it.unit === "months" ? "date" : "number"} placeholder={u[2]} value={cfg.lastDone} onChange={(e) => setInspection(it.key, "lastDone", e.target.value)} /></td>
+                    <td className={"py-2 pr-3 " + (finding ? (finding.level === "exceeded" ? "text-red-700" : "text-amber-700") : "text-muted-foreground")}>
+                      {!cfg.interval.trim() ? t("maintenance.off") : finding ? finding.message.slice(it.label.length + 2) : t("maintenance.ok")}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {defects.length > 0 && (
+            <div className="space-y-1">
+              <div className="font-medium">{t("maintenance.defects")}</div>
+              {defects.map((d) => (
+                <div key={d.id} className={d.status === "closed" ? "text-muted-foreground" : "text-red-700"}>
+                  {d.date || t("common.noDate")} • {t("common.load", { load: d.load })}: {d.text} ({t("followUps.severity." + d.severity)})
+                  {d.status === "closed" ? " — " + t("followUps.closedAt", { time: new Date(d.closedAt).toLocaleDateString() }) + (d.closedBy ? " " + t("followUps.by", { name: d.closedBy }) : "") + ": " + d.action : " — " + t("followUps.status." + d.status) + (d.assignee ? ", " + d.assignee : "")}
+                </div>
+              ))}
             </div>
-            <div className="md:col-span-2"><Stat label="FOB (End)" value={lastFOB || "--"} /></div>
+          )}
+          <div className="flex justify-end">
+            <Button onClick={onClose}>{t("common.done")}</Button>
           </div>
         </CardContent>
       </Card>
+    </div>
+  );
+}
 
-      <Card>
+// Pilot signature before Close Flight (or before an amendment is re-sealed): typed name, or drawn on a canvas
+// (mouse / finger / stylus)
+function SignatureDialog({ t, defaultName, onCancel, onConfirm, title = t("sign.title"), confirmLabel = t("sign.confirm"),
+  description = t("sign.description") }) {
+  const [mode, setMode] = useState("typed");
+  const [name, setName] = useState(defaultName || "");
+  const [hasInk, setHasInk] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+
+  function point(e) {
+    const c = canvasRef.current;
+    const r = c.getBoundingClientRect();
+    return [(e.clientX - r.left) * (c.width / r.width), (e.clientY - r.top) * (c.height / r.height)];
+  }
+  function onDown(e) {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.lineWidth = 2; ctx.lineCap = "round"; ctx.strokeStyle = "#000";
+    ctx.beginPath(); ctx.moveTo(...point(e));
+    drawing.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+  }
+  function onMove(e) {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.lineTo(...point(e)); ctx.stroke();
+    setHasInk(true);
+  }
+  function clearCanvas() {
+    const c = canvasRef.current;
+    if (c) c.getContext("2d").clearRect(0, 0, c.width, c.height);
+    setHasInk(false);
+  }
+  async function confirmSign() {
+    setBusy(true);
+    try {
+      await onConfirm(mode === "drawn"
+        ? { type: "drawn", name: name.trim(), image: canvasRef.current.toDataURL("image/png") }
+        : { type: "typed", name: name.trim() });
+    } finally {
+      setBusy(false);
+    }
+  }
+  const ready = name.trim() !== "" && (mode === "typed" || hasInk);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6 overflow-y-auto">
+      <Card className="w-full max-w-xl bg-background">
         <CardHeader className="pb-2">
-          <CardTitle>Entries</CardTitle>
-          <CardDescription>{filtered.length} result(s)</CardDescription>
+          <CardTitle>{title}</CardTitle>
+          <CardDescription>{description}</CardDescription>
         </CardHeader>
-        <CardContent className="overflow-x-auto">
+        <CardContent className="space-y-3">
+          <div className="flex gap-2">
+            <Button size="sm" variant={mode === "typed" ? "default" : "outline"} onClick={() => setMode("typed")}>{t("sign.type")}</Button>
+            <Button size="sm" variant={mode === "drawn" ? "default" : "outline"} onClick={() => setMode("drawn")}>{t("sign.draw")}</Button>
+          </div>
+          <div>
+            <div className="text-xs text-muted-foreground">{t("sign.pilotName")}</div>
+            <Input placeholder={t("common.name")} value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+          {mode === "drawn" && (
+            <div>
+              <canvas ref={canvasRef} width={480} height={160} className="w-full border rounded-md bg-white" style={{ touchAction: "none" }}
+                onPointerDown={onDown} onPointerMove={onMove} onPointerUp={() => { drawing.current = false; }} onPointerLeave={() => { drawing.current = false; }} />
+              <Button variant="outline" size="sm" className="mt-1" onClick={clearCanvas}><Eraser className="h-4 w-4 mr-1"/> {t("sign.clear")}</Button>
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={onCancel}>{t("common.cancel")}</Button>
+            <Button onClick={confirmSign} disabled={!ready || busy}><ShieldCheck className="h-4 w-4 mr-1"/> {confirmLabel}</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// Original value under a cell that was amended after Close Flight
+function WasNote({ t, amended, target, field }) {
+  const k = target + "|" + field;
+  if (!amended || !(k in amended)) return null;
+  return <div className="text-xs mt-1 text-amber-700" title={t("was.hint")}>{t("was.value", { value: amended[k] || t("was.blank") })}</div>;
+}
+
+// Newest first; long logs are collapsed to the latest entries
+/** @param {{ t: Function, audit: AuditEntry[] }} props */
+function AuditTrail({ t, audit }) {
+  const [showAll, setShowAll] = useState(false);
+  const list = [...(audit || [])].reverse();
+  const shown = showAll ? list : list.slice(0, 25);
+  const amendments = list.filter(e => e.kind === "amendment").length;
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle>{t("audit.title")}</CardTitle>
+        <CardDescription>{t("audit.changes", { count: list.length })}{amendments ? " • " + t("audit.amendments", { count: amendments }) : ""}</CardDescription>
+      </CardHeader>
+      <CardContent className="overflow-x-auto">
+        {list.length === 0 ? (
+          <div className="text-sm text-muted-foreground">{t("audit.empty")}</div>
+        ) : (
           <table className="w-full text-sm">
             <thead>
               <tr className="text-left border-b">
-                {COLS.map((c) => (
-                  <th key={c} className="py-2 pr-3 font-medium">
-                    {c}
-                    {(c === "FOB" || c === "F/B") && (
-                      <span className="text-xs text-muted-foreground"> (lbs)</span>
-                    )}
+                {["time", "kind", "load", "field", "old", "new", "reason"].map((c) => <th key={c} className="py-2 pr-3 font-medium">{t("audit.col." + c)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((e, i) => (
+                <tr key={i} className={"border-b " + (e.kind === "amendment" ? "bg-amber-50" : "")}>
+                  <td className="py-1 pr-3 whitespace-nowrap">{new Date(e.at).toLocaleString()}</td>
+                  <td className="py-1 pr-3">{t("audit.kind." + e.kind)}</td>
+                  <td className="py-1 pr-3">{e.load}</td>
+                  <td className="py-1 pr-3">{e.field}</td>
+                  <td className="py-1 pr-3 whitespace-pre-wrap">{e.from}</td>
+                  <td className="py-1 pr-3 whitespace-pre-wrap">{e.to}</td>
+                  <td className="py-1 pr-3">{e.reason || ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {list.length > shown.length && (
+          <Button variant="outline" size="sm" className="mt-2" onClick={() => setShowAll(true)}>{t("audit.showAll", { count: list.length })}</Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Paper size + orientation for Download PDF
+function PdfLayoutPicker({ t, layout, onChange }) {
+  return (
+    <div className="flex items-center gap-1 text-xs text-muted-foreground">
+      <span>PDF</span>
+      {Object.keys(PDF_PAGE_SIZES).map((k) => (
+        <Button key={k} size="sm" variant={layout.size === k ? "default" : "outline"} onClick={() => onChange({ ...layout, size: k })}>{PDF_PAGE_SIZES[k].label}</Button>
+      ))}
+      {PDF_ORIENTATIONS.map((o) => (
+        <Button key={o} size="sm" variant={layout.orientation === o ? "default" : "outline"} onClick={() => onChange({ ...layout, orientation: o })}>{t("pdf." + o)}</Button>
+      ))}
+    </div>
+  );
+}
+
+// DUTY … BLK/T cells of a CREW_SUMMARY_COLS row (dashes for an unnamed crew member)
+function CrewStatCells({ totals }) {
+  const tot = totals || { duty: "", flights: "--", pax: "--", ldg: "--", flt: "--", blk: "--" };
+  return (<>
+    <td className="py-2 pr-3">{tot.duty || "--:--"}</td>
+    <td className="py-2 pr-3">{tot.flights}</td>
+    <td className="py-2 pr-3">{tot.pax}</td>
+    <td className="py-2 pr-3">{tot.ldg}</td>
+    <td className="py-2 pr-3">{tot.flt}</td>
+    <td className="py-2 pr-3">{tot.blk}</td>
+  </>);
+}
+
+// Matching loads across saved sheets, newest first; archived sheets open read-only.
+// FOB is shown in each sheet's unit: in the heading when all shown rows share one, else next to each value.
+/** @param {{ t: Function, results: Array<{sheet: SheetRecord, row: SimpleLogEntry}>, currentId: string, registry: AircraftProfile[], onOpen: Function }} props */
+function SearchResults({ t, results, currentId, registry, onOpen }) {
+  const tot = sheetTotals(results.map(x => x.row));
+  const sheetCount = new Set(results.map(x => x.sheet.id)).size;
+  const shown = results.slice(0, MAX_SEARCH_RESULTS).map(({ sheet, row }) => ({ sheet, row, fuel: resolveFuelUnit(sheet.meta, findAircraft(registry, sheet.meta.reg)) }));
+  const units = [...new Set(shown.map(x => fuelUnitLabel(x.fuel.unit)))];
+  const oneUnit = units.length === 1 ? units[0] : "";
+  return (
+    <div className="space-y-2">
+      <div className="text-sm">
+        <span className="text-muted-foreground">{t("search.results", { count: results.length, sheets: sheetCount })}</span> {t("search.totals", tot)}
+        {results.length > MAX_SEARCH_RESULTS && <span className="text-muted-foreground"> • {t("search.firstShown", { count: MAX_SEARCH_RESULTS })}</span>}
+      </div>
+      {results.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                {["DATE", "REG", "Load", "PIC", "T/O", "L/D", "FLT/T", "PAX", "FOB", "REMARKS", ""].map((h, i) => (
+                  <th key={i} className="py-2 pr-3 font-medium">
+                    {h}
+                    {h === "FOB" && oneUnit && <span className="text-xs text-muted-foreground"> ({oneUnit})</span>}
                   </th>
                 ))}
-                <th className="py-2 pr-3"/>
               </tr>
             </thead>
             <tbody>
-              {filtered.map((row) => (
-                <tr key={row.id} className="border-b hover:bg-muted/30">
-                  {COLS.map((c) => (
-                    <td key={c} className="py-2 pr-3">
-                      {c === "Load" ? (
-                        row.id === FERRY_ID ? (
-                          <Input value="FERRY" disabled />
-                        ) : (
-                          <Input value={row.Load} disabled />
-                        )
-                      ) : c === "T/O" || c === "L/D" ? (
-                        <div className="flex items-center gap-2">
-                          <CellInput value={(row)[c] ?? ""} type="text" placeholder="HH:MM" onChange={(v) => updateRow(row.id, c, v)} disabled={isClosed} />
-                          <Button variant="outline" size="sm" onClick={() => setNow(row.id, c)} title="Set to now" disabled={isClosed}>
-                            <Clock className="h-4 w-4" />
-                          </Button>
-                        </div>
-                      ) : c === "FOB" || c === "F/B" ? (
-                        <CellInput value={(row)[c] ?? ""} type="number" placeholder="lbs" onChange={(v) => updateRow(row.id, c, v)} disabled={isClosed} />
-                      ) : c === "PAX" || c === "LDG" ? (
-                        <CellInput value={(row)[c] ?? ""} type="number" placeholder="0" onChange={(v) => updateRow(row.id, c, v)} disabled={isClosed} />
-                      ) : (
-                        <CellInput value={(row)[c] ?? ""} type="text" placeholder="" onChange={(v) => updateRow(row.id, c, v)} disabled={isClosed} />
-                      )}
-                    </td>
-                  ))}
+              {shown.map(({ sheet, row, fuel }) => (
+                <tr key={sheet.id + ":" + row.id} className="border-b">
+                  <td className="py-2 pr-3 whitespace-nowrap">{sheet.meta.date || "--"}</td>
+                  <td className="py-2 pr-3">{sheet.meta.reg}</td>
+                  <td className="py-2 pr-3">{row.id === FERRY_ID ? "FERRY" : row.Load}</td>
+                  <td className="py-2 pr-3">{rowPIC(row, normalizeMeta(sheet.meta))}</td>
+                  <td className="py-2 pr-3">{row["T/O"]}</td>
+                  <td className="py-2 pr-3">{row["L/D"]}</td>
+                  <td className="py-2 pr-3">{row["FLT/T"]}</td>
+                  <td className="py-2 pr-3">{row.PAX}</td>
+                  <td className="py-2 pr-3">{fuelToDisplay(row.FOB, fuel)}{!oneUnit && String(row.FOB ?? "").trim() !== "" && <span className="text-xs text-muted-foreground"> {fuelUnitLabel(fuel.unit)}</span>}</td>
+                  <td className="py-2 pr-3">{row.REMARKS}</td>
                   <td className="py-2 pr-3">
-                    <div className="flex gap-2">
-                      <Button variant="outline" size="sm" onClick={() => clearRow(row.id)} disabled={isClosed}><Eraser className="h-4 w-4" /></Button>
-                      <Button variant="destructive" size="sm" onClick={() => deleteRow(row.id)} disabled={isClosed}><Trash2 className="h-4 w-4"/></Button>
-                    </div>
+                    {sheet.id === currentId ? <span className="text-xs text-muted-foreground">{t("common.thisSheet")}</span> : (
+                      <Button variant="outline" size="sm" onClick={() => onOpen(sheet)} title={t("archive.open")}><FolderOpen className="h-4 w-4" /></Button>
+                    )}
                   </td>
                 </tr>
               ))}
-
-              <tr>
-                <td colSpan={COLS.length + 1} className="py-2 pr-3">
-                  {!isClosed ? (
-                    <div className="flex gap-2">
-                      {!rows.some(r => r.id === FERRY_ID) && (
-                        <Button variant="outline" onClick={addFerryRow}><Plus className="h-4 w-4 mr-1"/> Add Ferry Row</Button>
-                      )}
-                      <Button onClick={addRow}><Plus className="h-4 w-4 mr-1"/> Add Load Row</Button>
-                      <Button variant="secondary" onClick={closeFlight}><Printer className="h-4 w-4 mr-1"/> Close Flight</Button>
-                    </div>
-                  ) : (
-                    <div className="flex gap-2">
-                      <Button variant="secondary" onClick={printPDF}><Printer className="h-4 w-4 mr-1"/> Print</Button>
-                      <Button onClick={() => downloadPDF({ pilot, dz, reg, date, totals, fobStart, lastFOB }, rows)}><Download className="h-4 w-4 mr-1"/> Download PDF</Button>
-                    </div>
-                  )}
-                </td>
-              </tr>
             </tbody>
           </table>
-        </CardContent>
-      </Card>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Search subtotal, kept apart from the sheet totals
+function FilteredSubtotal({ t, totals, count, of }) {
+  return (
+    <div className="text-sm rounded-xl border border-dashed p-2 mt-2">
+      <span className="text-muted-foreground">{t("search.subtotal", { count, of })}</span> {t("search.totals", totals)}
     </div>
   );
 }
 
-function CellInput({ value, onChange, type = "text", placeholder = "", disabled = false }) {
+// Loads per hour, FLT/T, FOB and PAX per load for the open sheet or a date range of saved sheets
+// (FOB in the open sheet's fuel unit)
+/** @param {{t: Function, sheet: SheetRecord, archive: SheetRecord[], fuel: import("./pilot_journey_log_units").FuelUnit}} props */
+function ChartsPanel({ t, sheet, archive, fuel }) {
+  const [source, setSource] = useState("sheet");
+  const [from, setFrom] = useState(() => addDaysISO(todayISO(), -27));
+  const [to, setTo] = useState(todayISO());
+  const sheets = useMemo(() => (source === "sheet" ? [sheet] : sheetsInRange(archive, sheet, from, to)), [source, sheet, archive, from, to]);
+  const series = useMemo(() => buildChartSeries(sheets), [sheets]);
   return (
-    <Input value={value} type={type} placeholder={placeholder} onChange={(e) => onChange(e.target.value)} disabled={disabled} />
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle><BarChart3 className="h-4 w-4 inline mr-1"/> {t("charts.title")}</CardTitle>
+        <CardDescription>{source === "sheet" ? t("source.sheet") : t("source.range.summary", { count: sheets.length, from: from || t("source.start"), to: to || t("source.today") })} • {t("charts.hint")}</CardDescription>
+        <div className="flex flex-wrap items-center gap-2 pt-1">
+          {CHART_SOURCES.map((x) => (
+            <Button key={x} size="sm" variant={source === x ? "default" : "outline"} onClick={() => setSource(x)}>{t("source." + x)}</Button>
+          ))}
+          {source === "range" && (<>
+            <div className="text-xs text-muted-foreground">{t("source.from")}</div>
+            <Input className="max-w-[10rem]" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+            <div className="text-xs text-muted-foreground">{t("source.to")}</div>
+            <Input className="max-w-[10rem]" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          </>)}
+        </div>
+      </CardHeader>
+      <CardContent className="grid md:grid-cols-2 gap-3">
+        <MiniChart title={t("charts.loadsPerHour")} empty={t("charts.noData")} points={series.loadsPerHour} />
+        <MiniChart title={t("charts.fltPerLoad")} empty={t("charts.noData")} points={series.fltPerLoad} format={minutesToHM} />
+        <MiniChart title={t("charts.fobPerLoad")} empty={t("charts.noData")} unit={fuelUnitLabel(fuel.unit)} points={series.fob.map(p => ({ ...p, value: fromCanonicalFuel(p.value, fuel) }))} line />
+        <MiniChart title={t("charts.paxPerLoad")} empty={t("charts.noData")} points={series.pax} />
+      </CardContent>
+    </Card>
+  );
+}
+
+// Bars (or a line) over labelled points, y axis from 0 to the largest value; at most ~8 x labels
+/** @param {{title: string, empty: string, points: ChartPoint[], unit?: string, line?: boolean, format?: Function}} props */
+function MiniChart({ title, empty, points, unit = "", line = false, format = String }) {
+  const W = 320, H = 140, left = 40, right = 4, top = 8, bottom = 18;
+  const plotH = H - top - bottom;
+  const max = Math.max(0, ...points.map(p => p.value));
+  const step = points.length ? (W - left - right) / points.length : 0;
+  const x = (i) => left + step * i + step / 2;
+  const y = (v) => top + plotH - (max > 0 ? (v / max) * plotH : 0);
+  const every = Math.max(1, Math.ceil(points.length / 8));
+  const axisText = { fontSize: 9, fill: "currentColor", fillOpacity: 0.7 };
+  return (
+    <div className="p-3 rounded-2xl bg-muted/50 border">
+      <div className="text-xs text-muted-foreground">{title}{unit ? " (" + unit + ")" : ""}</div>
+      {points.length === 0 ? (
+        <div className="text-sm text-muted-foreground py-10 text-center">{empty}</div>
+      ) : (
+        <svg viewBox={"0 0 " + W + " " + H} className="w-full h-auto text-primary" role="img" aria-label={title}>
+          <line x1={left} y1={top + plotH} x2={W - right} y2={top + plotH} stroke="currentColor" strokeOpacity="0.3" />
+          <text x={left - 4} y={top + 8} textAnchor="end" {...axisText}>{format(max)}</text>
+          <text x={left - 4} y={top + plotH} textAnchor="end" {...axisText}>{format(0)}</text>
+          {line ? (<>
+            <polyline fill="none" stroke="currentColor" strokeWidth="2" points={points.map((p, i) => x(i) + "," + y(p.value)).join(" ")} />
+            {points.map((p, i) => <circle key={i} cx={x(i)} cy={y(p.value)} r="2.5" fill="currentColor"><title>{p.label + ": " + format(p.value)}</title></circle>)}
+          </>) : points.map((p, i) => (
+            <rect key={i} x={x(i) - step * 0.35} width={step * 0.7} y={y(p.value)} height={top + plotH - y(p.value)} fill="currentColor" fillOpacity="0.8"><title>{p.label + ": " + format(p.value)}</title></rect>
+          ))}
+          {points.map((p, i) => (i % every === 0 ? <text key={"x" + i} x={x(i)} y={H - 4} textAnchor="middle" {...axisText}>{p.label}</text> : null))}
+        </svg>
+      )}
+    </div>
   );
 }
 
@@ -0,0 +1,291 @@
+// ========================
+// Pilot Journey Log — spreadsheet and JSON exporters
+// ========================
+// Standalone: no React, no storage, no dependencies.
+//   buildXlsx(sheets)        → .xlsx bytes (Office Open XML in an uncompressed ZIP); one worksheet per
+//                              { name, rows }, first row bold and frozen; numbers stay numbers
+//   buildSheetSchema(spec)   → JSON Schema (draft 2020-12) of the sheets JSON export, generated from the
+//                              app's column / header definitions so the two cannot drift apart
+//   sheetsJSON(sheets, at)   → the export itself: { format, version, exportedAt, sheets }
+// Which columns go into a spreadsheet or logbook CSV is decided by the app (column mappings); this file only
+// writes the formats.
+
+export const SHEETS_JSON_FORMAT = "pilot-journey-log/sheets";
+export const SHEETS_JSON_VERSION = 1;
+export const SHEETS_SCHEMA_ID = "urn:pilot-journey-log:sheets:v1"; // schema $id; the app offers the schema as a download
+
+// ---- ZIP (stored, no compression) ----
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Entries are dated 1980-01-01 00:00 (the ZIP epoch) so the same input always gives the same bytes
+/** @param {{name: string, data: string|Uint8Array}[]} files @returns {Uint8Array} */
+export function zipStored(files) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(f => {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === "string" ? enc.encode(f.data) : f.data;
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true);      // stored
+    local.setUint16(10, 0, true);
+    local.setUint16(12, 0x21, true);  // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(10, 0, true);
+    dir.setUint16(12, 0, true);
+    dir.setUint16(14, 0x21, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+    central.push(new Uint8Array(dir.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+  const dirSize = central.reduce((a, p) => a + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((a, p) => a + p.length, 0));
+  let at = 0;
+  all.forEach(p => { out.set(p, at); at += p.length; });
+  return out;
+}
+
+// Files in a ZIP written by zipStored (stored entries only) → { name: text }; used by the self-tests
+export function readZipText(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const dec = new TextDecoder();
+  const out = {};
+  let at = 0;
+  while (at + 30 <= bytes.length && view.getUint32(at, true) === 0x04034b50) {
+    const size = view.getUint32(at + 18, true);
+    const nameLen = view.getUint16(at + 26, true);
+    const extra = view.getUint16(at + 28, true);
+    const name = dec.decode(bytes.subarray(at + 30, at + 30 + nameLen));
+    const start = at + 30 + nameLen + extra;
+    out[name] = dec.decode(bytes.subarray(start, start + size));
+    at = start + size;
+  }
+  return out;
+}
+
+// ---- XLSX ----
+
+// XML text: escaped, with the control characters XML 1.0 does not allow removed
+function xmlText(v) {
+  return String(v ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// 0 → A, 25 → Z, 26 → AA
+export function columnLetter(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// Worksheet names: at most 31 characters, none of : \ / ? * [ ], unique in the workbook
+function sheetNames(list) {
+  const used = new Set();
+  return list.map((s, i) => {
+    const base = (String(s.name || "").replace(/[:\\/?*[\]]/g, " ").trim() || "Sheet" + (i + 1)).slice(0, 31);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = base.slice(0, 31 - String(n).length - 1) + " " + n;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function worksheetXML(rows) {
+  const body = rows.map((row, r) => {
+    const cells = row.map((v, c) => {
+      const ref = columnLetter(c) + (r + 1);
+      const style = r === 0 ? ' s="1"' : "";
+      if (typeof v === "number" && Number.isFinite(v)) return '<c r="' + ref + '"' + style + "><v>" + v + "</v></c>";
+      if (v === null || v === undefined || v === "") return "";
+      return '<c r="' + ref + '"' + style + ' t="inlineStr"><is><t xml:space="preserve">' + xmlText(v) + "</t></is></c>";
+    }).join("");
+    return '<row r="' + (r + 1) + '">' + cells + "</row>";
+  }).join("");
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    "<sheetData>" + body + "</sheetData></worksheet>";
+}
+
+/** @param {{name: string, rows: (string|number)[][]}[]} sheets first row of each is its header @returns {Uint8Array} */
+export function buildXlsx(sheets) {
+  const names = sheetNames(sheets);
+  const files = [
+    { name: "[Content_Types].xml", data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      names.map((_, i) => '<Override PartName="/xl/worksheets/sheet' + (i + 1) + '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join("") +
+      "</Types>" },
+    { name: "_rels/.rels", data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>" },
+    { name: "xl/workbook.xml", data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      names.map((n, i) => '<sheet name="' + xmlText(n) + '" sheetId="' + (i + 1) + '" r:id="rId' + (i + 1) + '"/>').join("") +
+      "</sheets></workbook>" },
+    { name: "xl/_rels/workbook.xml.rels", data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      names.map((_, i) => '<Relationship Id="rId' + (i + 1) + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' + (i + 1) + '.xml"/>').join("") +
+      '<Relationship Id="rId' + (names.length + 1) + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      "</Relationships>" },
+    { name: "xl/styles.xml", data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      "</styleSheet>" },
+    ...sheets.map((s, i) => ({ name: "xl/worksheets/sheet" + (i + 1) + ".xml", data: worksheetXML(s.rows || []) })),
+  ];
+  return zipStored(files);
+}
+
+// ---- Sheets JSON + schema ----
+
+/**
+ * @param {{cols: string[], timeCols: string[], durationCols: string[], numberCols: string[], metaKeys: string[],
+ *   noteCols?: string[], enums?: Object<string, string[]>, maxText?: number, maxNote?: number, maxCount?: number, formats?: boolean}} spec
+ *   row columns (COLS), which of them are clock times, durations, whole numbers and free-text notes, the header
+ *   fields (with the allowed values of any that are a choice), length / range limits, and whether times and
+ *   dates must already be in their HH:MM / YYYY-MM-DD form (formats: false for sheets still being typed into)
+ */
+export function buildSheetSchema(spec) {
+  const text = { type: "string", maxLength: spec.maxText };
+  const hm = spec.formats === false ? text : { ...text, pattern: "^([0-9]{2}:[0-9]{2})?$" };
+  const rowProps = { id: text };
+  spec.cols.forEach(c => {
+    if (spec.numberCols.includes(c)) rowProps[c] = { type: ["integer", "string"], minimum: 0, maximum: spec.maxCount, maxLength: spec.maxCount === undefined ? undefined : String(spec.maxCount).length };
+    else if (spec.timeCols.includes(c) || spec.durationCols.includes(c)) rowProps[c] = hm;
+    else if ((spec.noteCols || []).includes(c)) rowProps[c] = { type: "string", maxLength: spec.maxNote };
+    else rowProps[c] = text;
+  });
+  rowProps.stamps = { type: "object", additionalProperties: text };
+  rowProps.manifest = { type: "array", items: { type: "object", required: ["id", "name"], additionalProperties: false, properties: {
+    id: text, name: text, licence: text, jumpType: text, exitAlt: text, weight: text, pairWith: text,
+  } } };
+  const metaProps = {};
+  spec.metaKeys.forEach(k => { metaProps[k] = spec.enums && spec.enums[k] ? { enum: spec.enums[k] } : text; });
+  if (metaProps.date) metaProps.date = spec.formats === false ? text : { ...text, pattern: "^([0-9]{4}-[0-9]{2}-[0-9]{2})?$" };
+  if (metaProps.timeMode) metaProps.timeMode = { enum: ["local", "utc"] };
+  ["dutyStart", "dutyEnd"].forEach(k => { if (metaProps[k]) metaProps[k] = hm; });
+  metaProps.crew = { type: "array", items: { type: "object", required: ["name"], additionalProperties: false, properties: {
+    id: text, name: text, dutyStart: hm, dutyEnd: hm,
+  } } };
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: SHEETS_SCHEMA_ID,
+    title: "Pilot Journey Log sheets",
+    description: "Journey log sheets exported by the Pilot Journey Log app. Times are HH:MM as entered, in the sheet's time mode (meta.timeMode / meta.timeZone); fuel in lbs.",
+    type: "object",
+    required: ["format", "version", "sheets"],
+    properties: {
+      $schema: { type: "string" },
+      format: { const: SHEETS_JSON_FORMAT },
+      version: { const: SHEETS_JSON_VERSION },
+      exportedAt: { type: "string" },
+      sheets: { type: "array", items: { $ref: "#/$defs/sheet" } },
+    },
+    $defs: {
+      sheet: { type: "object", required: ["id", "meta", "rows"], additionalProperties: false, properties: {
+        id: text,
+        isClosed: { type: "boolean" },
+        closedAt: text,
+        meta: { $ref: "#/$defs/meta" },
+        rows: { type: "array", items: { $ref: "#/$defs/row" } },
+        audit: { type: "array", items: { type: "object" } },
+        seals: { type: "array", items: { type: "object" } },
+      } },
+      meta: { type: "object", additionalProperties: false, properties: metaProps },
+      row: { type: "object", required: ["id", "Load"], additionalProperties: false, properties: rowProps },
+    },
+  };
+}
+
+/** @param {Object[]} sheets SheetRecords as stored @param {string} exportedAt ISO timestamp */
+export function sheetsJSON(sheets, exportedAt) {
+  return JSON.stringify({ $schema: SHEETS_SCHEMA_ID, format: SHEETS_JSON_FORMAT, version: SHEETS_JSON_VERSION, exportedAt, sheets }, null, 2);
+}
+
+// ---- Self-tests ----
+export function runExportSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const enc = new TextEncoder();
+  push("crc32", [crc32(enc.encode("")), crc32(enc.encode("123456789")).toString(16)], [0, "cbf43926"]);
+  push("columnLetter", [0, 25, 26, 27, 701, 702].map(columnLetter), ["A", "Z", "AA", "AB", "ZZ", "AAA"]);
+
+  const zip = zipStored([{ name: "a.txt", data: "hello" }, { name: "dir/b.xml", data: "<x>é</x>" }]);
+  push("zip round trip", readZipText(zip), { "a.txt": "hello", "dir/b.xml": "<x>é</x>" });
+  const view = new DataView(zip.buffer);
+  push("zip end record", [view.getUint32(zip.length - 22, true).toString(16), view.getUint16(zip.length - 12, true)], ["6054b50", 2]);
+  push("zip is deterministic", zipStored([{ name: "a", data: "x" }]).join(",") === zipStored([{ name: "a", data: "x" }]).join(","), true);
+
+  const book = readZipText(buildXlsx([
+    { name: "Loads", rows: [["Load", "PAX", "REMARKS"], ["1", 14, 'gust <5 kt> & "dry"'], ["2", "", "\u0001bell"]] },
+    { name: "Totals: all/days", rows: [["Flights"], [2]] },
+    { name: "loads", rows: [] },
+  ]));
+  push("xlsx parts", Object.keys(book).sort(), ["[Content_Types].xml", "_rels/.rels", "xl/_rels/workbook.xml.rels", "xl/styles.xml", "xl/workbook.xml", "xl/worksheets/sheet1.xml", "xl/worksheets/sheet2.xml", "xl/worksheets/sheet3.xml"]);
+  push("xlsx sheet names", book["xl/workbook.xml"].match(/name="[^"]*"/g), ['name="Loads"', 'name="Totals  all days"', 'name="loads 2"']);
+  const sheet1 = book["xl/worksheets/sheet1.xml"];
+  push("xlsx header bold, numbers as numbers", [sheet1.includes('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Load</t></is></c>'), sheet1.includes('<c r="B2"><v>14</v></c>')], [true, true]);
+  push("xlsx escapes text", [sheet1.includes("gust &lt;5 kt&gt; &amp; &quot;dry&quot;"), sheet1.includes("bell"), sheet1.includes("\u0001"), sheet1.includes('r="B3"')], [true, true, false, false]);
+
+  const schema = buildSheetSchema({ cols: ["Load", "T/O", "FLT/T", "PAX", "REMARKS"], timeCols: ["T/O"], durationCols: ["FLT/T"], numberCols: ["PAX"], metaKeys: ["pilot", "date", "timeMode", "dutyStart"] });
+  push("schema rows follow the columns", Object.keys(schema.$defs.row.properties), ["id", "Load", "T/O", "FLT/T", "PAX", "REMARKS", "stamps", "manifest"]);
+  push("schema field types", [schema.$defs.row.properties.PAX.type, schema.$defs.row.properties["T/O"].pattern, schema.$defs.meta.properties.timeMode.enum, schema.$defs.meta.properties.dutyStart.pattern], [["integer", "string"], "^([0-9]{2}:[0-9]{2})?$", ["local", "utc"], "^([0-9]{2}:[0-9]{2})?$"]);
+  push("schema without formats", [buildSheetSchema({ cols: ["T/O"], timeCols: ["T/O"], durationCols: [], numberCols: [], metaKeys: ["date"], maxText: 10, formats: false }).$defs.meta.properties.date], [{ type: "string", maxLength: 10 }]);
+  const doc = JSON.parse(sheetsJSON([{ id: "s", meta: {}, rows: [] }], "2025-01-01T00:00:00.000Z"));
+  push("sheets JSON envelope", [doc.$schema, doc.format, doc.version, doc.sheets.length], [SHEETS_SCHEMA_ID, SHEETS_JSON_FORMAT, 1, 1]);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Export]", result, tests);
+}
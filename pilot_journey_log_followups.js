@@ -0,0 +1,216 @@
+// ========================
+// Pilot Journey Log — Follow-ups (structured F/UP items)
+// ========================
+// Standalone: no React, no storage. An F/UP entry on a load can be raised as an item that lives outside the
+// sheet, so it survives New Flight:
+//   { id, category, severity, status, assignee, text, reg, dz, date, load, sheetId, rowId,
+//     openedAt, openedBy, closedAt, closedBy, action, history: [{ at, by, status, note }] }
+// Items that are not closed carry over to later sheets for the same REG and DZ; technical items (defects)
+// follow the airframe to any DZ. Status moves open → acknowledged → closed; closing needs a note (the action
+// taken), and every change is appended to the item's history.
+
+export const FOLLOWUP_CATEGORIES = ["technical", "ops", "safety", "customer"];
+export const FOLLOWUP_SEVERITIES = ["low", "medium", "high"];
+export const FOLLOWUP_STATUSES = ["open", "acknowledged", "closed"];
+// Dashboard / CSV export columns
+export const FOLLOWUP_COLS = ["DATE", "REG", "DZ", "Load", "CATEGORY", "SEVERITY", "STATUS", "ASSIGNEE", "ITEM", "OPENED BY", "OPENED AT", "LAST UPDATE", "ACTION"];
+
+/** @typedef {Object} FollowUpChange
+ *  @property {string} at      ISO timestamp
+ *  @property {string} by
+ *  @property {string} status  status after the change
+ *  @property {string} note
+ */
+
+/** @typedef {Object} FollowUpItem
+ *  @property {string} id
+ *  @property {"technical"|"ops"|"safety"|"customer"} category
+ *  @property {"low"|"medium"|"high"} severity
+ *  @property {"open"|"acknowledged"|"closed"} status
+ *  @property {string} assignee
+ *  @property {string} text
+ *  @property {string} reg       REG of the sheet it was raised on (upper case)
+ *  @property {string} dz
+ *  @property {string} date      sheet DATE
+ *  @property {string} load
+ *  @property {string} sheetId   sheet and row whose F/UP raised it
+ *  @property {string} rowId
+ *  @property {string} openedAt  ISO timestamp
+ *  @property {string} openedBy
+ *  @property {string} closedAt  "" unless closed
+ *  @property {string} closedBy
+ *  @property {string} action    what was done (closing note)
+ *  @property {FollowUpChange[]} history
+ */
+
+function str(v) { return v == null ? "" : String(v); }
+function pick(v, allowed, fallback) { return allowed.includes(v) ? v : fallback; }
+function regKey(v) { return str(v).trim().toUpperCase(); }
+function dzKey(v) { return str(v).trim().toLowerCase(); }
+
+/**
+ * Fill gaps with defaults. Also reads the earlier defect records ({ reg, text, clearedAt, clearedBy, action, … }):
+ * those become technical items, closed when they were cleared.
+ * @returns {FollowUpItem}
+ */
+export function makeFollowUp(fields, makeId) {
+  const f = fields && typeof fields === "object" ? fields : {};
+  const closedAt = str(f.closedAt || f.clearedAt);
+  return {
+    id: str(f.id) || (makeId ? makeId() : Math.random().toString(36).slice(2, 10)),
+    category: pick(f.category, FOLLOWUP_CATEGORIES, "technical"),
+    severity: pick(f.severity, FOLLOWUP_SEVERITIES, "medium"),
+    status: pick(f.status, FOLLOWUP_STATUSES, closedAt ? "closed" : "open"),
+    assignee: str(f.assignee),
+    text: str(f.text),
+    reg: regKey(f.reg),
+    dz: str(f.dz).trim(),
+    date: str(f.date),
+    load: str(f.load),
+    sheetId: str(f.sheetId),
+    rowId: str(f.rowId),
+    openedAt: str(f.openedAt),
+    openedBy: str(f.openedBy),
+    closedAt,
+    closedBy: str(f.closedBy || f.clearedBy),
+    action: str(f.action),
+    history: (Array.isArray(f.history) ? f.history : []).filter(h => h && typeof h === "object").map(h => ({ at: str(h.at), by: str(h.by), status: str(h.status), note: str(h.note) })),
+  };
+}
+
+/** @returns {FollowUpItem[]} */
+export function normalizeFollowUps(list, makeId) {
+  return (Array.isArray(list) ? list : []).filter(x => x && typeof x === "object").map(x => makeFollowUp(x, makeId));
+}
+
+/**
+ * Apply a change: new status / assignee / severity / category, logged in history.
+ * Closing needs a note; reopening clears the closing fields.
+ * @param {FollowUpItem} item
+ * @param {{ status?: string, assignee?: string, severity?: string, category?: string, note?: string, by?: string }} change
+ * @param {string} at ISO timestamp
+ * @returns {FollowUpItem}
+ */
+export function updateFollowUp(item, change, at) {
+  const c = change || {};
+  const status = c.status == null ? item.status : pick(c.status, FOLLOWUP_STATUSES, item.status);
+  const note = str(c.note).trim();
+  const by = str(c.by).trim();
+  if (status === "closed" && item.status !== "closed" && !note) throw new Error("Closing a follow-up needs a note of the action taken");
+  const next = {
+    ...item,
+    status,
+    assignee: c.assignee == null ? item.assignee : str(c.assignee),
+    severity: c.severity == null ? item.severity : pick(c.severity, FOLLOWUP_SEVERITIES, item.severity),
+    category: c.category == null ? item.category : pick(c.category, FOLLOWUP_CATEGORIES, item.category),
+  };
+  if (status === "closed" && item.status !== "closed") Object.assign(next, { closedAt: at, closedBy: by, action: note });
+  if (status !== "closed") Object.assign(next, { closedAt: "", closedBy: "", action: "" });
+  const parts = [];
+  if (status !== item.status) parts.push(item.status + " → " + status);
+  if (next.assignee !== item.assignee) parts.push("assignee " + (next.assignee || "(none)"));
+  if (next.severity !== item.severity) parts.push("severity " + next.severity);
+  if (next.category !== item.category) parts.push("category " + next.category);
+  if (!parts.length && !note) return item;
+  next.history = [...item.history, { at, by, status, note: [parts.join(", "), note].filter(Boolean).join(": ") }];
+  return next;
+}
+
+export function isOpenFollowUp(item) { return item.status !== "closed"; }
+
+/**
+ * Items raised on earlier sheets that still apply to this one: not closed, same REG and DZ, or technical on
+ * the same REG anywhere.
+ * @param {FollowUpItem[]} list
+ * @param {{ reg: string, dz: string }} meta
+ * @param {string} sheetId  this sheet (its own items are listed with their rows instead)
+ */
+export function carriedFollowUps(list, meta, sheetId) {
+  const reg = regKey(meta && meta.reg);
+  if (!reg) return [];
+  const dz = dzKey(meta && meta.dz);
+  return list.filter(x => isOpenFollowUp(x) && x.sheetId !== sheetId && x.reg === reg && (x.category === "technical" || dzKey(x.dz) === dz));
+}
+
+/** Open technical items (defects) on one airframe. @param {FollowUpItem[]} list */
+export function openDefects(list, reg) {
+  const key = regKey(reg);
+  return key ? list.filter(x => isOpenFollowUp(x) && x.category === "technical" && x.reg === key) : [];
+}
+
+/** @param {FollowUpItem[]} list @returns {Object<string, FollowUpItem[]>} row id → items raised from it */
+export function followUpsByRow(list, sheetId) {
+  const out = {};
+  list.forEach(x => { if (x.sheetId === sheetId) (out[x.rowId] = out[x.rowId] || []).push(x); });
+  return out;
+}
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Dashboard selection, most severe then oldest first.
+ * @param {FollowUpItem[]} list
+ * @param {{ status?: string, category?: string, reg?: string, dz?: string, assignee?: string }} [filter]
+ *   status: "open" (open + acknowledged, the default), "all", or one status
+ */
+export function filterFollowUps(list, filter) {
+  const f = filter || {};
+  const status = f.status || "open";
+  return list.filter(x => (
+    (status === "all" || (status === "open" ? isOpenFollowUp(x) : x.status === status)) &&
+    (!f.category || x.category === f.category) &&
+    (!f.reg || x.reg === regKey(f.reg)) &&
+    (!f.dz || dzKey(x.dz) === dzKey(f.dz)) &&
+    (!f.assignee || x.assignee.trim().toLowerCase() === f.assignee.trim().toLowerCase())
+  )).sort((a, b) => (SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]) || a.date.localeCompare(b.date) || a.openedAt.localeCompare(b.openedAt));
+}
+
+/** Rows for FOLLOWUP_COLS (CSV export). @param {FollowUpItem[]} list */
+export function followUpRecords(list) {
+  return list.map(x => {
+    const last = x.history[x.history.length - 1];
+    return [x.date, x.reg, x.dz, x.load, x.category, x.severity, x.status, x.assignee, x.text, x.openedBy, x.openedAt, last ? last.at + (last.by ? " " + last.by : "") + ": " + last.note : "", x.action];
+  });
+}
+
+// --- Self-tests (console) ---
+export function runFollowUpSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const seq = function(){ let n = 0; return function(){ n += 1; return "f" + n; }; };
+  const a = makeFollowUp({ reg: " zs-abc", dz: "Skydive X", sheetId: "s1", rowId: "r1", text: "Door seal", category: "technical" }, seq());
+  push("makeFollowUp defaults", [a.id, a.reg, a.status, a.severity, a.history], ["f1", "ZS-ABC", "open", "medium", []]);
+  push("makeFollowUp bad values", [makeFollowUp({ category: "x", severity: "x", status: "x" }).category, makeFollowUp({ status: "x" }).status], ["technical", "open"]);
+  const legacy = makeFollowUp({ id: "d1", reg: "ZS-ABC", text: "Oil leak", clearedAt: "2025-01-02T10:00:00Z", clearedBy: "AME", action: "Seal replaced" });
+  push("legacy defect migrates", [legacy.category, legacy.status, legacy.closedBy, legacy.action], ["technical", "closed", "AME", "Seal replaced"]);
+
+  const ack = updateFollowUp(a, { status: "acknowledged", assignee: "Maint", by: "Ops" }, "2025-01-01T09:00:00Z");
+  push("acknowledge logs history", [ack.status, ack.assignee, ack.history], ["acknowledged", "Maint", [{ at: "2025-01-01T09:00:00Z", by: "Ops", status: "acknowledged", note: "open → acknowledged, assignee Maint" }]]);
+  let err = "";
+  try { updateFollowUp(ack, { status: "closed" }, "t"); } catch (e) { err = e.message; }
+  push("close needs a note", err, "Closing a follow-up needs a note of the action taken");
+  const closed = updateFollowUp(ack, { status: "closed", note: "Seal replaced", by: "AME" }, "2025-01-02T09:00:00Z");
+  push("close records action", [closed.closedAt, closed.closedBy, closed.action, closed.history.length], ["2025-01-02T09:00:00Z", "AME", "Seal replaced", 2]);
+  push("reopen clears closing", [updateFollowUp(closed, { status: "open" }, "t").closedAt, updateFollowUp(closed, { status: "open" }, "t").action], ["", ""]);
+  push("no-op change keeps item", updateFollowUp(a, { status: "open", assignee: "" }, "t") === a, true);
+
+  const ops = makeFollowUp({ id: "o", reg: "ZS-ABC", dz: "skydive x ", sheetId: "s1", category: "ops", text: "Fuel truck late" });
+  const otherDz = makeFollowUp({ id: "c", reg: "ZS-ABC", dz: "Elsewhere", sheetId: "s1", category: "customer", text: "Refund" });
+  const list = [a, ops, otherDz, closed];
+  push("carry over same REG + DZ, technical anywhere", [
+    carriedFollowUps(list, { reg: "ZS-ABC", dz: "Skydive X" }, "s2").map(function(x){ return x.id; }),
+    carriedFollowUps(list, { reg: "ZS-ABC", dz: "Other DZ" }, "s2").map(function(x){ return x.id; }),
+    carriedFollowUps(list, { reg: "ZS-XYZ", dz: "Skydive X" }, "s2"),
+    carriedFollowUps(list, { reg: "ZS-ABC", dz: "Skydive X" }, "s1"),
+  ], [["f1", "o"], ["f1"], [], []]);
+  push("openDefects", openDefects(list, "zs-abc").map(function(x){ return x.id; }), ["f1"]);
+  push("followUpsByRow", Object.keys(followUpsByRow(list, "s1")), ["r1", ""]);
+  const high = makeFollowUp({ id: "h", severity: "high", date: "2025-02-01" });
+  push("filter open, severity first", filterFollowUps([ops, high, closed], {}).map(function(x){ return x.id; }), ["h", "o"]);
+  push("filter by category / status", [filterFollowUps(list, { category: "ops" }).length, filterFollowUps(list, { status: "closed" }).length, filterFollowUps(list, { status: "all", dz: "elsewhere" }).length], [1, 1, 1]);
+  push("records", followUpRecords([closed])[0].slice(4, 9).concat(followUpRecords([closed])[0].slice(11)), ["technical", "medium", "closed", "Maint", "Door seal", "2025-01-02T09:00:00Z AME: acknowledged → closed: Seal replaced", "Seal replaced"]);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Follow-ups]", result, tests);
+}
@@ -0,0 +1,851 @@
+// ========================
+// Pilot Journey Log — UI translations
+// ========================
+// Standalone: no React, no storage. MESSAGES holds the UI strings per language under dotted keys;
+// makeTranslator(lang) returns t(key, params) which fills {name} placeholders from params.
+// A key missing from a language falls back to English, then to the key itself, so a screen can be
+// translated a string at a time. Column names (Load, FOB, F/B, PAX, …) and the printed / exported sheet
+// stay as they are: they are the logbook's own vocabulary and what other tools match on.
+
+export const DEFAULT_LANGUAGE = "en";
+export const LANGUAGES = [
+  { key: "en", label: "English" },
+  { key: "de", label: "Deutsch" },
+];
+
+export const MESSAGES = {
+  en: {
+    "app.title": "Pilot Journey Log — Simple (V2)",
+    "app.subtitle": "Ferry optional • Add Ferry Row • Add Load Row • fuel in {unit} • Now buttons • CSV • Logbook archive",
+    "app.language": "Language",
+    "action.newFlight": "New Flight",
+    "action.newFromTemplate": "New from template…",
+    "action.reports": "Reports",
+    "action.followUps": "Follow-ups",
+    "action.exportCSV": "Export CSV",
+    "action.manifestCSV": "Manifest CSV",
+    "action.importCSV": "Import CSV",
+    "action.verifyFile": "Verify File",
+    "action.addFerryRow": "Add Ferry Row",
+    "action.addLoadRow": "Add Load Row",
+    "action.closeFlight": "Close Flight",
+    "action.print": "Print",
+    "action.downloadPDF": "Download PDF",
+    "card.search": "Search & Filter",
+    "card.header": "Pilot / Flight Header",
+    "card.header.hint": "Applies to this sheet; not per-row.",
+    "card.totals": "Totals & Duty",
+    "card.totals.hint": "Live totals for the whole sheet + pilot duty time (independent)",
+    "card.limits": "Flight & Duty Limits",
+    "card.entries": "Entries",
+    "card.aircraft": "Aircraft Registry",
+    "card.aircraft.hint": "Profiles for the REG picker, PAX / FOB limits, min reserve, fuel unit, new-load defaults and inspection tracking",
+    "card.templates": "DZ Templates",
+    "card.sync": "Sync",
+    "card.archive": "Logbook Archive",
+    "card.archive.hint": "Closed sheets saved on this device",
+    "header.timesIn": "TIMES IN",
+    "header.timeZone": "DZ TIME ZONE",
+    "header.fuelIn": "FUEL IN",
+    "header.fuelDensity": "DENSITY kg/L",
+    "header.fuelFromAircraft": "Aircraft ({unit})",
+    "stat.flights": "Flights",
+    "stat.pilotDuty": "PILOT DUTY TIME",
+    "stat.fobStart": "FOB (Start) {unit}",
+    "stat.fobEnd": "FOB (End) {unit}",
+    "stat.fuelBurned": "Fuel burned {unit}",
+    "stat.avgBurn": "Avg burn {unit}/hr",
+    "stat.tolerance": "FOB tolerance {unit}",
+    "stat.minReserve": "Min reserve {unit}",
+    "template.startHint": "Start a new sheet from a DZ template (DATE = today)",
+    "common.unnamed": "(unnamed)",
+    "common.unsigned": "(unsigned)",
+    "common.dismiss": "Dismiss",
+    "common.done": "Done",
+    "action.undo": "Undo (Ctrl+Z)",
+    "action.redo": "Redo (Ctrl+Shift+Z)",
+    "action.verifyFile.hint": "Check a sealed sheet CSV against its SHA-256 digest",
+    "sign.amend.title": "Sign the amendment",
+    "sign.amend.confirm": "Sign & Re-seal",
+    "sign.amend.description": "The amended sheet is sealed again with this signature and the reason \"{reason}\". The earlier seals stay on record.",
+    "verify.intact": "intact — matches its SHA-256 seal",
+    "verify.altered": "ALTERED — content does not match its SHA-256 seal",
+    "verify.unsealed": "not sealed — nothing to verify",
+    "verify.sealed": "Sealed {at} by {name} • expected {digest}",
+    "verify.got": "got {digest}",
+    "update.available": "A new version of the app is available. Your sheets stay on this device.",
+    "update.now": "Update now",
+    "update.later": "Later",
+    "update.waiting": "App update ready — it will be offered once this sheet is closed.",
+    "storage.unavailable": "Storage unavailable",
+    "storage.notSaving": "Changes are not being saved on this device ({error}). Use Export CSV to keep a copy.",
+    "quarantine.title": "Records not loaded",
+    "quarantine.hint": "These records on this device are damaged or from an incompatible version and were set aside. Download a copy to repair or report it.",
+    "quarantine.setAside": "set aside {date}",
+    "quarantine.download": "Download JSON",
+    "quarantine.discard": "Discard",
+    "quarantine.discardConfirm": "Discard this record for good?",
+    "closed.title": "Flight Closed",
+    "closed.amending": "Flight Closed — amending",
+    "closed.locked": "Entries are locked. Use Print or Download PDF at the bottom for a printable copy, or Export CSV from the header.",
+    "closed.sealedBy": "Sealed by {name} • SHA-256 {digest}",
+    "closed.amend": "Amend",
+    "closed.amendHint": "Corrections are recorded as amendments against the original values in the audit trail. Give the reason first: entries unlock once it is filled in.",
+    "closed.reason": "Reason for amendment",
+    "ftl.exceeded": "Flight / duty limit exceeded — {rules}",
+    "ftl.blocked": "Adding loads and closing the sheet are blocked until acknowledged.",
+    "ftl.acknowledge": "Acknowledge",
+    "ftl.approaching": "Approaching flight / duty limits",
+    "search.hint": "Text, or terms such as PAX>=10 • FOB<300 (in the sheet's fuel unit) • FLT/T>00:20 • time=09:00-12:00 • REMARKS:wind • PIC=ann • has:remarks • has:fup • is:fuel • is:reserve • DATE>=2025-06-01 • REG=ZS-ABC; all terms must match, \"-\" in front negates one",
+    "search.placeholder": "Type to filter…",
+    "search.scope.sheet": "This sheet",
+    "search.scope.days": "All saved sheets",
+    "search.savePreset": "Save Preset",
+    "search.copyLink": "Copy Link",
+    "search.copyLink.hint": "Copy a link that opens with this search",
+    "search.presets": "PRESETS",
+    "search.deletePreset": "Delete preset {name}",
+    "search.linkCopied": "Link copied",
+    "search.copyThisLink": "Copy this link",
+    "common.name": "Name",
+    "common.hours": "hours",
+    "header.dz.placeholder": "Drop Zone",
+    "header.reg.placeholder": "Registration",
+    "header.template": "Template {name}",
+    "header.remarkSnippets": "{count} standard remark(s) in REMARKS",
+    "header.seats": "{count} seats",
+    "header.maxFuel": "{fuel} {unit} fuel",
+    "header.notInRegistry": "Not in aircraft registry",
+    "header.timeZone.placeholder": "e.g. Africa/Johannesburg",
+    "header.unknownZone": "Unknown time zone — times are not resolved to full timestamps",
+    "header.localClock": "{time} local",
+    "timeMode.local": "Local",
+    "timeMode.utc": "UTC",
+    "maintenance.overdue": "inspection overdue",
+    "maintenance.dueSoon": "inspection due soon",
+    "followUps.carried": "Open follow-ups carried over",
+    "meters.title": "METERS vs TIMES",
+    "meters.counters": "{reg} {hours} h, {landings} landings",
+    "meters.hint": "Enter Hobbs / tacho readings to reconcile them with BLK/T and FLT/T",
+    "crew.title": "Crew",
+    "crew.dutyAbove": "DUTY START / END above",
+    "crew.notOnList": "PIC on {count} load(s), not on the crew list",
+    "crew.add": "Add Crew Member",
+    "ftl.hint": "Rule set: {name} • HH:MM, empty = no limit • checked against this pilot's archived days",
+    "ftl.rule.maxDuty": "Max duty period",
+    "ftl.rule.maxFlightPerDay": "Max flight time / day",
+    "ftl.rule.minRest": "Min rest before duty",
+    "ftl.rule.maxFlight7d": "Flight time, 7 days",
+    "ftl.rule.maxFlight28d": "Flight time, 28 days",
+    "ftl.rule.maxDuty7d": "Duty time, 7 days",
+    "ftl.rule.maxDuty28d": "Duty time, 28 days",
+    "ftl.warnPercent": "Warn at %",
+    "ftl.load": "Load Rule Set",
+    "ftl.export": "Export Rule Set",
+    "common.resetDefault": "Reset to Default",
+    "entries.results": "{count} result(s)",
+    "entries.discrepancies": "{count} FOB discrepancy(ies)",
+    "entries.belowReserve": "{count} below min reserve",
+    "entries.timeIssues": "{count} row(s) with time issues",
+    "entries.fastOn": "Fast entry on",
+    "entries.fastOff": "Fast entry off",
+    "entries.fastHint": "Enter next field • arrow keys move • Ctrl+N / Alt+A new load • Alt+O / Alt+T / Alt+L / Alt+B stamp OFF-BLK / T/O / L/D / ON-BLK now",
+    "common.noDate": "(no date)",
+    "common.sheet": "sheet",
+    "common.theSheet": "the sheet",
+    "common.thisSheet": "this sheet",
+    "common.delete": "Delete",
+    "common.load": "Load {load}",
+    "aircraft.field.reg": "REG",
+    "aircraft.field.type": "Type",
+    "aircraft.field.maxFuel": "Max fuel",
+    "aircraft.field.maxPax": "Max PAX",
+    "aircraft.field.burnPerHour": "Burn /hr",
+    "aircraft.field.minReserve": "Min reserve",
+    "aircraft.field.maxPayload": "Max payload lbs",
+    "aircraft.field.fuelUnit": "Fuel unit",
+    "aircraft.field.fuelDensity": "Density kg/L",
+    "aircraft.placeholder.reg": "Registration",
+    "aircraft.placeholder.type": "e.g. C208B",
+    "aircraft.placeholder.maxPax": "seats",
+    "aircraft.placeholder.maxPayload": "jumpers lbs",
+    "aircraft.maintenance": "Maintenance",
+    "aircraft.maintenance.hint": "Counters and inspection intervals",
+    "aircraft.counters": "{hours} h • {landings} ldg",
+    "aircraft.due": "{count} due",
+    "aircraft.defects": "{count} defect(s)",
+    "aircraft.add": "Add Aircraft",
+    "aircraft.remove.confirm": "Remove {reg} from the aircraft registry?",
+    "card.templates.hint": "Header defaults, pre-created loads and standard remarks per drop zone; a new sheet from a template gets today's DATE",
+    "template.field.name": "Name",
+    "template.field.dz": "DZ",
+    "template.field.pilot": "PILOT",
+    "template.field.reg": "REG",
+    "template.field.loads": "Loads",
+    "template.field.fobStart": "FOB Start lbs",
+    "template.field.timeZone": "Time zone",
+    "template.placeholder.name": "e.g. Weekend ops",
+    "template.placeholder.dz": "Drop Zone",
+    "template.placeholder.pilot": "(keep current)",
+    "template.placeholder.reg": "Registration",
+    "template.placeholder.timeZone": "e.g. Africa/Johannesburg",
+    "template.times": "Times",
+    "template.remarks": "Remarks (one per line)",
+    "template.unknownZone": "Unknown time zone",
+    "template.newSheet": "New sheet from this template",
+    "template.saveHeader": "Save Header as Template",
+    "template.saveHeader.hint": "PILOT, DZ, REG, FOB Start, times and the number of loads on this sheet",
+    "template.import": "Import Templates",
+    "template.export": "Export Templates",
+    "template.delete.confirm": "Delete the template {name}?",
+    "template.replace.confirm": "Replace the open sheet with a new one from {name}? The open sheet has not been closed and will be lost.",
+    "template.invalid": "Invalid template file: {error}",
+    "card.sync.hint": "Closed sheets go to the office server; aircraft and pilot lists come back. Works offline: sheets wait in the outbox.",
+    "sync.url.placeholder": "Server URL, e.g. http://localhost:8787/api",
+    "sync.token.placeholder": "Token (optional)",
+    "sync.busy": "Syncing…",
+    "sync.now": "Sync now",
+    "sync.queue": "Queue {count} archived sheet(s)",
+    "sync.outbox": "Outbox: {pending} pending • {synced} synced",
+    "sync.retryAt": "retry at {time}",
+    "sync.conflict.server": "Conflict on {sheet}: the server has version {version}",
+    "sync.conflict.sealed": "sealed {time}",
+    "sync.conflict.device": ", this device has version {version} based on {base}.",
+    "sync.keepMine": "Keep this device's copy",
+    "sync.useTheirs": "Use server copy",
+    "sync.useTheirs.confirm": "Replace this device's copy of {sheet} with the server version {version}?",
+    "sync.noServerCopy": "The server did not send its copy; sync again or keep this device's copy.",
+    "sync.badServerCopy": "The server's copy cannot be loaded:\n{errors}\nKeep this device's copy, or fix the sheet on the server and sync again.",
+    "sync.conflict": "conflict",
+    "sync.queued": "queued",
+    "archive.empty": "No closed sheets yet. Close Flight saves the sheet here.",
+    "archive.closed": "Closed",
+    "archive.open": "Open read-only",
+    "archive.duplicate": "Duplicate as open sheet",
+    "archive.verify": "Verify seal",
+    "archive.label": "Archived {date}",
+    "archive.duplicate.confirm": "Replace the open sheet with a copy of {sheet}? The open sheet has not been closed and will be lost.",
+    "archive.delete.confirm": "Delete the archived sheet for {sheet}? This cannot be undone.",
+    "entries.setNow": "Set to now ({zone})",
+    "entries.notOnCrew": "Not on the crew list",
+    "entries.delete.confirm": "Delete {row}? You can undo with Ctrl+Z.",
+    "manifest.title": "Jumper manifest",
+    "manifest.issues": "manifest issues",
+    "followUps.items": "Follow-up items",
+    "search.presetName": "Name for this filter",
+    "closed.finishAmendFirst": "Finish the amendment (Done) before starting a new sheet.",
+    "closed.importBlocked": "This sheet is closed. Start a New Flight before importing.",
+    "ftl.invalid": "Invalid rule set: {error}",
+    "crew.remove.confirm": "{name} is PIC on {count} load(s). Remove from the crew anyway? Those loads will be flagged.",
+    "import.failed": "CSV import failed: {error}",
+    "sign.sealFailed": "Unable to seal the sheet: {error}",
+    "sign.resealFailed": "Unable to re-seal the sheet: {error}",
+    "verify.failed": "Unable to verify: {error}",
+    "verify.unreadable": "Cannot read {file}: {error}",
+    "sync.sent": "{count} sheet(s) sent",
+    "sync.conflicts": "{count} conflict(s) to resolve",
+    "sync.failed": "{count} failed, will retry: {error}",
+    "sync.nothing": "Nothing to send",
+    "sync.pulled": "{aircraft} aircraft, {pilots} pilots pulled",
+    "common.back": "Back",
+    "common.cancel": "Cancel",
+    "source.sheet": "This sheet",
+    "source.range": "Saved sheets",
+    "source.from": "FROM",
+    "source.to": "TO",
+    "source.start": "the start",
+    "source.today": "today",
+    "source.range.summary": "{count} sheet(s) from {from} to {to}",
+    "export.title": "Export",
+    "export.formats": "logbook CSV, spreadsheet or JSON",
+    "export.logbookCSV": "Logbook CSV",
+    "export.schema.hint": "JSON Schema the JSON export follows",
+    "export.columns": "Columns: {kind}",
+    "export.kind.logbook": "Personal logbook CSV",
+    "export.kind.logbook.hint": "one line per flown load, for importing into an electronic pilot logbook",
+    "export.kind.xlsx": "XLSX loads sheet",
+    "export.kind.xlsx.hint": "every row of every sheet; a Totals sheet is added",
+    "export.columnTitle": "Column title",
+    "export.value": "Value",
+    "export.source.aircraftType": "Aircraft type (registry)",
+    "export.source.pic": "PIC (blank → PILOT)",
+    "export.source.depTime": "Departure time (OFF-BLK, else T/O)",
+    "export.source.arrTime": "Arrival time (ON-BLK, else L/D)",
+    "export.source.totalHours": "Total time, decimal h (BLK/T, else FLT/T)",
+    "export.source.flightHours": "FLT/T, decimal h",
+    "export.source.times": "Times in (UTC / local zone)",
+    "export.moveUp": "Move up",
+    "export.moveDown": "Move down",
+    "export.addColumn": "Add Column",
+    "archived.title": "Archived Sheet — {date}",
+    "archived.readOnly": "Read-only",
+    "archived.closedAt": "closed {time}",
+    "archived.duplicate": "Duplicate",
+    "archived.headerTotals": "Header & Totals",
+    "archived.rows": "{count} row(s)",
+    "import.title": "Import Preview — {file}",
+    "import.ready": "{count} row(s) ready",
+    "import.skipped": "{count} row(s) with errors will be skipped",
+    "import.applyMeta": "Apply these header fields to the sheet",
+    "import.mode.append": "Append",
+    "import.mode.replace": "Replace sheet",
+    "import.mode.merge": "Merge by Load",
+    "import.confirm": "Import",
+    "reports.window.d7": "7 days",
+    "reports.window.d28": "28 days",
+    "reports.window.d90": "90 days",
+    "reports.window.m12": "12 months",
+    "reports.from": "From {count} archived sheet(s)",
+    "reports.asOf": "AS OF",
+    "reports.perPilot": "Per Pilot",
+    "reports.perPilot.hint": "Rolling windows ending on the AS OF date",
+    "reports.perAirframe": "Per Airframe",
+    "reports.perAirframe.hint": "Rolling windows + lifetime hours across all archived sheets",
+    "reports.lifetime": "Lifetime",
+    "followUps.category.technical": "technical",
+    "followUps.category.ops": "ops",
+    "followUps.category.safety": "safety",
+    "followUps.category.customer": "customer",
+    "followUps.severity.low": "low",
+    "followUps.severity.medium": "medium",
+    "followUps.severity.high": "high",
+    "followUps.status.open": "open",
+    "followUps.status.acknowledged": "acknowledged",
+    "followUps.status.closed": "closed",
+    "followUps.openOf": "{open} open of {count}",
+    "followUps.list": "Items",
+    "followUps.list.hint": "Most severe first, then oldest",
+    "followUps.filter.open": "Open + acknowledged",
+    "followUps.filter.all": "All",
+    "followUps.filter.categories": "All categories",
+    "followUps.filter.regs": "All REGs",
+    "followUps.filter.dzs": "All DZs",
+    "followUps.assignee": "Assignee",
+    "followUps.none": "No follow-ups match.",
+    "followUps.noText": "(no text)",
+    "followUps.noReg": "(no REG)",
+    "followUps.acknowledge": "Acknowledge",
+    "followUps.close": "Close…",
+    "followUps.reopen": "Reopen",
+    "followUps.actionTaken": "Action taken",
+    "followUps.closeItem": "Close item",
+    "followUps.closedAt": "Closed {time}",
+    "followUps.by": "by {name}",
+    "followUps.dialog.hint": "Kept apart from the sheet: open items carry over to the next sheet for the same REG and DZ; technical items follow the airframe",
+    "followUps.noneOnLoad": "None raised from this load yet.",
+    "followUps.text.placeholder": "What needs following up",
+    "followUps.raise": "Raise",
+    "followUps.needReg": "Enter REG in the header first: follow-ups are tracked per REG and DZ.",
+    "fob.expected": "exp {fuel}",
+    "fob.belowReserve": "below reserve",
+    "manifest.dialog": "Manifest",
+    "manifest.jumpers": "{count} jumper(s)",
+    "manifest.ofPayload": "of {weight} lbs max payload",
+    "manifest.field.name": "Name",
+    "manifest.field.licence": "Licence / member #",
+    "manifest.field.exitAlt": "Exit alt ft",
+    "manifest.field.weight": "Weight lbs",
+    "manifest.placeholder.name": "Jumper",
+    "manifest.placeholder.licence": "e.g. D-12345",
+    "manifest.jumpType": "Jump type",
+    "manifest.pairedWith": "Paired with",
+    "manifest.add": "Add Jumper",
+    "maintenance.airframeH": "airframe h",
+    "maintenance.engineH": "engine h",
+    "maintenance.months": "months",
+    "maintenance.days": "days",
+    "maintenance.date": "date",
+    "maintenance.summary": "{airframe} airframe h • {engine} engine h since overhaul • {landings} landings • {days} sheet(s) since the baseline",
+    "maintenance.baselineDate": "Baseline date",
+    "maintenance.baselineAirframe": "Airframe h at baseline",
+    "maintenance.baselineLandings": "Landings at baseline",
+    "maintenance.engineSinceOverhaul": "Engine h since overhaul",
+    "maintenance.hoursFrom": "Hours counted from",
+    "maintenance.hint": "Counters are as at the start of the baseline date; sheets for {reg} dated on or after it are added. Hobbs / tacho fall back to FLT/T on sheets without readings.",
+    "maintenance.col.inspection": "Inspection",
+    "maintenance.col.interval": "Interval",
+    "maintenance.col.warn": "Warn within",
+    "maintenance.col.lastDone": "Last done at",
+    "maintenance.col.status": "Status",
+    "maintenance.interval.placeholder": "{unit} (empty = off)",
+    "maintenance.off": "off",
+    "maintenance.ok": "OK",
+    "maintenance.defects": "Defects",
+    "sign.title": "Sign & Close Flight",
+    "sign.confirm": "Sign & Close",
+    "sign.description": "The sheet is locked and sealed with a SHA-256 digest of its rows, header, closing time and this signature.",
+    "sign.type": "Type",
+    "sign.draw": "Draw",
+    "sign.pilotName": "PILOT NAME",
+    "sign.clear": "Clear",
+    "audit.title": "Audit Trail",
+    "audit.changes": "{count} change(s)",
+    "audit.amendments": "{count} amendment(s) after close",
+    "audit.empty": "No changes recorded yet.",
+    "audit.col.time": "Time",
+    "audit.col.kind": "Kind",
+    "audit.col.load": "Load",
+    "audit.col.field": "Field",
+    "audit.col.old": "Old",
+    "audit.col.new": "New",
+    "audit.col.reason": "Reason",
+    "audit.showAll": "Show all {count}",
+    "pdf.landscape": "Landscape",
+    "pdf.portrait": "Portrait",
+    "search.results": "All saved sheets: {count} load(s) on {sheets} sheet(s):",
+    "search.totals": "{flights} flight(s) • {pax} PAX • {ldg} LDG • FLT/T {flt} • BLK/T {blk}",
+    "search.firstShown": "first {count} shown",
+    "search.subtotal": "Filtered subtotal ({count} of {of} rows):",
+    "charts.title": "Charts",
+    "charts.hint": "flown loads only (FOB: every row with a value)",
+    "charts.loadsPerHour": "Loads per hour (T/O)",
+    "charts.fltPerLoad": "FLT/T per load",
+    "charts.fobPerLoad": "FOB per load",
+    "charts.paxPerLoad": "PAX per load",
+    "charts.noData": "No data",
+    "audit.kind.edit": "edit",
+    "audit.kind.amendment": "amendment",
+    "was.hint": "Amended after Close Flight",
+    "was.value": "was {value}",
+    "was.blank": "(blank)",
+  },
+  de: {
+    "app.title": "Pilot Journey Log — Einfach (V2)",
+    "app.subtitle": "Überführung optional • Überführungszeile • Ladungszeile • Kraftstoff in {unit} • Jetzt-Knöpfe • CSV • Flugbucharchiv",
+    "app.language": "Sprache",
+    "action.newFlight": "Neuer Flug",
+    "action.newFromTemplate": "Neu aus Vorlage…",
+    "action.reports": "Berichte",
+    "action.followUps": "Nachverfolgung",
+    "action.exportCSV": "CSV exportieren",
+    "action.manifestCSV": "Manifest-CSV",
+    "action.importCSV": "CSV importieren",
+    "action.verifyFile": "Datei prüfen",
+    "action.addFerryRow": "Überführungszeile",
+    "action.addLoadRow": "Ladungszeile",
+    "action.closeFlight": "Flug abschließen",
+    "action.print": "Drucken",
+    "action.downloadPDF": "PDF herunterladen",
+    "card.search": "Suchen & Filtern",
+    "card.header": "Pilot / Flugkopf",
+    "card.header.hint": "Gilt für das ganze Blatt, nicht pro Zeile.",
+    "card.totals": "Summen & Dienstzeit",
+    "card.totals.hint": "Laufende Summen des ganzen Blatts + Dienstzeit des Piloten (unabhängig)",
+    "card.limits": "Flug- & Dienstzeitgrenzen",
+    "card.entries": "Einträge",
+    "card.aircraft": "Luftfahrzeuge",
+    "card.aircraft.hint": "Profile für die REG-Auswahl, PAX- / FOB-Grenzen, Mindestreserve, Kraftstoffeinheit, Vorgaben für neue Ladungen und Wartung",
+    "card.templates": "DZ-Vorlagen",
+    "card.sync": "Synchronisierung",
+    "card.archive": "Flugbucharchiv",
+    "card.archive.hint": "Abgeschlossene Blätter auf diesem Gerät",
+    "header.timesIn": "ZEITEN IN",
+    "header.timeZone": "DZ-ZEITZONE",
+    "header.fuelIn": "KRAFTSTOFF IN",
+    "header.fuelDensity": "DICHTE kg/L",
+    "header.fuelFromAircraft": "Luftfahrzeug ({unit})",
+    "stat.flights": "Flüge",
+    "stat.pilotDuty": "DIENSTZEIT PILOT",
+    "stat.fobStart": "FOB (Start) {unit}",
+    "stat.fobEnd": "FOB (Ende) {unit}",
+    "stat.fuelBurned": "Verbrauch {unit}",
+    "stat.avgBurn": "Ø Verbrauch {unit}/h",
+    "stat.tolerance": "FOB-Toleranz {unit}",
+    "stat.minReserve": "Mindestreserve {unit}",
+    "template.startHint": "Neues Blatt aus einer DZ-Vorlage beginnen (DATE = heute)",
+    "common.unnamed": "(ohne Namen)",
+    "common.unsigned": "(nicht unterschrieben)",
+    "common.dismiss": "Schließen",
+    "common.done": "Fertig",
+    "action.undo": "Rückgängig (Strg+Z)",
+    "action.redo": "Wiederholen (Strg+Umschalt+Z)",
+    "action.verifyFile.hint": "Versiegelte Blatt-CSV gegen ihren SHA-256-Hash prüfen",
+    "sign.amend.title": "Korrektur unterschreiben",
+    "sign.amend.confirm": "Unterschreiben & neu versiegeln",
+    "sign.amend.description": "Das korrigierte Blatt wird mit dieser Unterschrift und dem Grund „{reason}“ neu versiegelt. Die früheren Siegel bleiben erhalten.",
+    "verify.intact": "unverändert — stimmt mit dem SHA-256-Siegel überein",
+    "verify.altered": "VERÄNDERT — Inhalt stimmt nicht mit dem SHA-256-Siegel überein",
+    "verify.unsealed": "nicht versiegelt — nichts zu prüfen",
+    "verify.sealed": "Versiegelt {at} von {name} • erwartet {digest}",
+    "verify.got": "erhalten {digest}",
+    "update.available": "Eine neue Version der App ist verfügbar. Ihre Blätter bleiben auf diesem Gerät.",
+    "update.now": "Jetzt aktualisieren",
+    "update.later": "Später",
+    "update.waiting": "App-Update bereit — es wird angeboten, sobald dieses Blatt abgeschlossen ist.",
+    "storage.unavailable": "Speicher nicht verfügbar",
+    "storage.notSaving": "Änderungen werden auf diesem Gerät nicht gespeichert ({error}). Mit „CSV exportieren“ eine Kopie sichern.",
+    "quarantine.title": "Nicht geladene Datensätze",
+    "quarantine.hint": "Diese Datensätze auf diesem Gerät sind beschädigt oder stammen aus einer inkompatiblen Version und wurden beiseitegelegt. Laden Sie eine Kopie herunter, um sie zu reparieren oder zu melden.",
+    "quarantine.setAside": "beiseitegelegt {date}",
+    "quarantine.download": "JSON herunterladen",
+    "quarantine.discard": "Verwerfen",
+    "quarantine.discardConfirm": "Diesen Datensatz endgültig verwerfen?",
+    "closed.title": "Flug abgeschlossen",
+    "closed.amending": "Flug abgeschlossen — Korrektur",
+    "closed.locked": "Einträge sind gesperrt. Unten mit „Drucken“ oder „PDF herunterladen“ eine druckbare Kopie erstellen, oder oben „CSV exportieren“.",
+    "closed.sealedBy": "Versiegelt von {name} • SHA-256 {digest}",
+    "closed.amend": "Korrigieren",
+    "closed.amendHint": "Korrekturen werden im Änderungsprotokoll gegen die ursprünglichen Werte festgehalten. Zuerst den Grund angeben: Die Einträge werden entsperrt, sobald er ausgefüllt ist.",
+    "closed.reason": "Grund der Korrektur",
+    "ftl.exceeded": "Flug-/Dienstzeitgrenze überschritten — {rules}",
+    "ftl.blocked": "Neue Ladungen und Abschließen sind bis zur Bestätigung gesperrt.",
+    "ftl.acknowledge": "Bestätigen",
+    "ftl.approaching": "Flug-/Dienstzeitgrenzen bald erreicht",
+    "search.hint": "Text oder Begriffe wie PAX>=10 • FOB<300 (in der Kraftstoffeinheit des Blatts) • FLT/T>00:20 • time=09:00-12:00 • REMARKS:wind • PIC=ann • has:remarks • has:fup • is:fuel • is:reserve • DATE>=2025-06-01 • REG=ZS-ABC; alle Begriffe müssen zutreffen, ein vorangestelltes „-“ verneint einen",
+    "search.placeholder": "Zum Filtern tippen…",
+    "search.scope.sheet": "Dieses Blatt",
+    "search.scope.days": "Alle gespeicherten Blätter",
+    "search.savePreset": "Filter speichern",
+    "search.copyLink": "Link kopieren",
+    "search.copyLink.hint": "Link kopieren, der mit dieser Suche öffnet",
+    "search.presets": "GESPEICHERT",
+    "search.deletePreset": "Filter {name} löschen",
+    "search.linkCopied": "Link kopiert",
+    "search.copyThisLink": "Diesen Link kopieren",
+    "common.name": "Name",
+    "common.hours": "Stunden",
+    "header.dz.placeholder": "Sprungplatz",
+    "header.reg.placeholder": "Kennzeichen",
+    "header.template": "Vorlage {name}",
+    "header.remarkSnippets": "{count} Standardbemerkung(en) in REMARKS",
+    "header.seats": "{count} Sitze",
+    "header.maxFuel": "{fuel} {unit} Kraftstoff",
+    "header.notInRegistry": "Nicht in der Luftfahrzeugliste",
+    "header.timeZone.placeholder": "z. B. Europe/Berlin",
+    "header.unknownZone": "Unbekannte Zeitzone — Zeiten werden nicht zu vollständigen Zeitstempeln aufgelöst",
+    "header.localClock": "{time} Ortszeit",
+    "timeMode.local": "Ortszeit",
+    "timeMode.utc": "UTC",
+    "maintenance.overdue": "Inspektion überfällig",
+    "maintenance.dueSoon": "Inspektion bald fällig",
+    "followUps.carried": "Übernommene offene Punkte",
+    "meters.title": "ZÄHLER vs ZEITEN",
+    "meters.counters": "{reg} {hours} h, {landings} Landungen",
+    "meters.hint": "Hobbs-/Tacho-Stände eingeben, um sie mit BLK/T und FLT/T abzugleichen",
+    "crew.title": "Besatzung",
+    "crew.dutyAbove": "DUTY START / END oben",
+    "crew.notOnList": "PIC auf {count} Ladung(en), nicht auf der Besatzungsliste",
+    "crew.add": "Besatzungsmitglied hinzufügen",
+    "ftl.hint": "Regelwerk: {name} • HH:MM, leer = keine Grenze • geprüft gegen die archivierten Tage dieses Piloten",
+    "ftl.rule.maxDuty": "Max. Dienstzeit",
+    "ftl.rule.maxFlightPerDay": "Max. Flugzeit / Tag",
+    "ftl.rule.minRest": "Min. Ruhezeit vor Dienst",
+    "ftl.rule.maxFlight7d": "Flugzeit, 7 Tage",
+    "ftl.rule.maxFlight28d": "Flugzeit, 28 Tage",
+    "ftl.rule.maxDuty7d": "Dienstzeit, 7 Tage",
+    "ftl.rule.maxDuty28d": "Dienstzeit, 28 Tage",
+    "ftl.warnPercent": "Warnen bei %",
+    "ftl.load": "Regelwerk laden",
+    "ftl.export": "Regelwerk exportieren",
+    "common.resetDefault": "Auf Standard zurücksetzen",
+    "entries.results": "{count} Ergebnis(se)",
+    "entries.discrepancies": "{count} FOB-Abweichung(en)",
+    "entries.belowReserve": "{count} unter Mindestreserve",
+    "entries.timeIssues": "{count} Zeile(n) mit Zeitproblemen",
+    "entries.fastOn": "Schnelleingabe an",
+    "entries.fastOff": "Schnelleingabe aus",
+    "entries.fastHint": "Enter nächstes Feld • Pfeiltasten bewegen • Strg+N / Alt+A neue Ladung • Alt+O / Alt+T / Alt+L / Alt+B setzt OFF-BLK / T/O / L/D / ON-BLK auf jetzt",
+    "common.noDate": "(ohne Datum)",
+    "common.sheet": "Blatt",
+    "common.theSheet": "das Blatt",
+    "common.thisSheet": "dieses Blatt",
+    "common.delete": "Löschen",
+    "common.load": "Ladung {load}",
+    "aircraft.field.reg": "REG",
+    "aircraft.field.type": "Muster",
+    "aircraft.field.maxFuel": "Max. Kraftstoff",
+    "aircraft.field.maxPax": "Max. PAX",
+    "aircraft.field.burnPerHour": "Verbrauch /h",
+    "aircraft.field.minReserve": "Mindestreserve",
+    "aircraft.field.maxPayload": "Max. Zuladung lbs",
+    "aircraft.field.fuelUnit": "Kraftstoffeinheit",
+    "aircraft.field.fuelDensity": "Dichte kg/L",
+    "aircraft.placeholder.reg": "Kennzeichen",
+    "aircraft.placeholder.type": "z. B. C208B",
+    "aircraft.placeholder.maxPax": "Sitze",
+    "aircraft.placeholder.maxPayload": "Springer lbs",
+    "aircraft.maintenance": "Wartung",
+    "aircraft.maintenance.hint": "Zähler und Inspektionsintervalle",
+    "aircraft.counters": "{hours} h • {landings} Ldg.",
+    "aircraft.due": "{count} fällig",
+    "aircraft.defects": "{count} Mangel/Mängel",
+    "aircraft.add": "Luftfahrzeug hinzufügen",
+    "aircraft.remove.confirm": "{reg} aus den Luftfahrzeugen entfernen?",
+    "card.templates.hint": "Kopfvorgaben, vorbereitete Ladungen und Standardbemerkungen je Sprungplatz; ein neues Blatt aus einer Vorlage erhält das heutige DATE",
+    "template.field.name": "Name",
+    "template.field.dz": "DZ",
+    "template.field.pilot": "PILOT",
+    "template.field.reg": "REG",
+    "template.field.loads": "Ladungen",
+    "template.field.fobStart": "FOB Start lbs",
+    "template.field.timeZone": "Zeitzone",
+    "template.placeholder.name": "z. B. Wochenendbetrieb",
+    "template.placeholder.dz": "Sprungplatz",
+    "template.placeholder.pilot": "(aktuellen behalten)",
+    "template.placeholder.reg": "Kennzeichen",
+    "template.placeholder.timeZone": "z. B. Europe/Berlin",
+    "template.times": "Zeiten",
+    "template.remarks": "Bemerkungen (eine pro Zeile)",
+    "template.unknownZone": "Unbekannte Zeitzone",
+    "template.newSheet": "Neues Blatt aus dieser Vorlage",
+    "template.saveHeader": "Kopf als Vorlage speichern",
+    "template.saveHeader.hint": "PILOT, DZ, REG, FOB Start, Zeiten und Anzahl der Ladungen dieses Blatts",
+    "template.import": "Vorlagen importieren",
+    "template.export": "Vorlagen exportieren",
+    "template.delete.confirm": "Vorlage {name} löschen?",
+    "template.replace.confirm": "Offenes Blatt durch ein neues aus {name} ersetzen? Das offene Blatt wurde nicht abgeschlossen und geht verloren.",
+    "template.invalid": "Ungültige Vorlagendatei: {error}",
+    "card.sync.hint": "Abgeschlossene Blätter gehen an den Büroserver; Luftfahrzeug- und Pilotenlisten kommen zurück. Funktioniert offline: Blätter warten im Postausgang.",
+    "sync.url.placeholder": "Server-URL, z. B. http://localhost:8787/api",
+    "sync.token.placeholder": "Token (optional)",
+    "sync.busy": "Synchronisiere…",
+    "sync.now": "Jetzt synchronisieren",
+    "sync.queue": "{count} archivierte(s) Blatt/Blätter einreihen",
+    "sync.outbox": "Postausgang: {pending} wartend • {synced} synchronisiert",
+    "sync.retryAt": "neuer Versuch um {time}",
+    "sync.conflict.server": "Konflikt bei {sheet}: der Server hat Version {version}",
+    "sync.conflict.sealed": "versiegelt {time}",
+    "sync.conflict.device": ", dieses Gerät hat Version {version} auf Basis von {base}.",
+    "sync.keepMine": "Kopie dieses Geräts behalten",
+    "sync.useTheirs": "Serverkopie verwenden",
+    "sync.useTheirs.confirm": "Kopie von {sheet} auf diesem Gerät durch die Serverversion {version} ersetzen?",
+    "sync.noServerCopy": "Der Server hat seine Kopie nicht gesendet; erneut synchronisieren oder die Kopie dieses Geräts behalten.",
+    "sync.badServerCopy": "Die Serverkopie kann nicht geladen werden:\n{errors}\nKopie dieses Geräts behalten oder das Blatt auf dem Server korrigieren und erneut synchronisieren.",
+    "sync.conflict": "Konflikt",
+    "sync.queued": "eingereiht",
+    "archive.empty": "Noch keine abgeschlossenen Blätter. Flug abschließen speichert das Blatt hier.",
+    "archive.closed": "Abgeschlossen",
+    "archive.open": "Schreibgeschützt öffnen",
+    "archive.duplicate": "Als offenes Blatt duplizieren",
+    "archive.verify": "Siegel prüfen",
+    "archive.label": "Archiviert {date}",
+    "archive.duplicate.confirm": "Offenes Blatt durch eine Kopie von {sheet} ersetzen? Das offene Blatt wurde nicht abgeschlossen und geht verloren.",
+    "archive.delete.confirm": "Archiviertes Blatt für {sheet} löschen? Das kann nicht rückgängig gemacht werden.",
+    "entries.setNow": "Auf jetzt setzen ({zone})",
+    "entries.notOnCrew": "Nicht auf der Crewliste",
+    "entries.delete.confirm": "{row} löschen? Mit Strg+Z rückgängig zu machen.",
+    "manifest.title": "Springerliste",
+    "manifest.issues": "Probleme in der Springerliste",
+    "followUps.items": "Nachverfolgungspunkte",
+    "search.presetName": "Name für diesen Filter",
+    "closed.finishAmendFirst": "Erst die Änderung abschließen (Fertig), dann ein neues Blatt beginnen.",
+    "closed.importBlocked": "Dieses Blatt ist abgeschlossen. Vor dem Import einen neuen Flug beginnen.",
+    "ftl.invalid": "Ungültiger Regelsatz: {error}",
+    "crew.remove.confirm": "{name} ist PIC auf {count} Ladung(en). Trotzdem aus der Crew entfernen? Diese Ladungen werden markiert.",
+    "import.failed": "CSV-Import fehlgeschlagen: {error}",
+    "sign.sealFailed": "Blatt kann nicht versiegelt werden: {error}",
+    "sign.resealFailed": "Blatt kann nicht neu versiegelt werden: {error}",
+    "verify.failed": "Prüfung nicht möglich: {error}",
+    "verify.unreadable": "{file} kann nicht gelesen werden: {error}",
+    "sync.sent": "{count} Blatt/Blätter gesendet",
+    "sync.conflicts": "{count} Konflikt(e) zu lösen",
+    "sync.failed": "{count} fehlgeschlagen, neuer Versuch folgt: {error}",
+    "sync.nothing": "Nichts zu senden",
+    "sync.pulled": "{aircraft} Luftfahrzeuge, {pilots} Piloten abgerufen",
+    "common.back": "Zurück",
+    "common.cancel": "Abbrechen",
+    "source.sheet": "Dieses Blatt",
+    "source.range": "Gespeicherte Blätter",
+    "source.from": "VON",
+    "source.to": "BIS",
+    "source.start": "Beginn",
+    "source.today": "heute",
+    "source.range.summary": "{count} Blatt/Blätter von {from} bis {to}",
+    "export.title": "Export",
+    "export.formats": "Flugbuch-CSV, Tabelle oder JSON",
+    "export.logbookCSV": "Flugbuch-CSV",
+    "export.schema.hint": "JSON-Schema, dem der JSON-Export folgt",
+    "export.columns": "Spalten: {kind}",
+    "export.kind.logbook": "Persönliches Flugbuch-CSV",
+    "export.kind.logbook.hint": "eine Zeile pro geflogener Ladung, zum Import in ein elektronisches Flugbuch",
+    "export.kind.xlsx": "XLSX-Ladungstabelle",
+    "export.kind.xlsx.hint": "jede Zeile jedes Blatts; ein Summenblatt wird angehängt",
+    "export.columnTitle": "Spaltentitel",
+    "export.value": "Wert",
+    "export.source.aircraftType": "Luftfahrzeugmuster (Register)",
+    "export.source.pic": "PIC (leer → PILOT)",
+    "export.source.depTime": "Abflugzeit (OFF-BLK, sonst T/O)",
+    "export.source.arrTime": "Ankunftszeit (ON-BLK, sonst L/D)",
+    "export.source.totalHours": "Gesamtzeit, dezimal h (BLK/T, sonst FLT/T)",
+    "export.source.flightHours": "FLT/T, dezimal h",
+    "export.source.times": "Zeiten in (UTC / Ortszone)",
+    "export.moveUp": "Nach oben",
+    "export.moveDown": "Nach unten",
+    "export.addColumn": "Spalte hinzufügen",
+    "archived.title": "Archiviertes Blatt — {date}",
+    "archived.readOnly": "Schreibgeschützt",
+    "archived.closedAt": "abgeschlossen {time}",
+    "archived.duplicate": "Duplizieren",
+    "archived.headerTotals": "Kopf & Summen",
+    "archived.rows": "{count} Zeile(n)",
+    "import.title": "Importvorschau — {file}",
+    "import.ready": "{count} Zeile(n) bereit",
+    "import.skipped": "{count} fehlerhafte Zeile(n) werden übersprungen",
+    "import.applyMeta": "Diese Kopffelder auf das Blatt übernehmen",
+    "import.mode.append": "Anhängen",
+    "import.mode.replace": "Blatt ersetzen",
+    "import.mode.merge": "Nach Load zusammenführen",
+    "import.confirm": "Importieren",
+    "reports.window.d7": "7 Tage",
+    "reports.window.d28": "28 Tage",
+    "reports.window.d90": "90 Tage",
+    "reports.window.m12": "12 Monate",
+    "reports.from": "Aus {count} archivierten Blatt/Blättern",
+    "reports.asOf": "STICHTAG",
+    "reports.perPilot": "Pro Pilot",
+    "reports.perPilot.hint": "Gleitende Zeiträume bis zum Stichtag",
+    "reports.perAirframe": "Pro Luftfahrzeug",
+    "reports.perAirframe.hint": "Gleitende Zeiträume + Gesamtstunden über alle archivierten Blätter",
+    "reports.lifetime": "Gesamt",
+    "followUps.category.technical": "technisch",
+    "followUps.category.ops": "Betrieb",
+    "followUps.category.safety": "Sicherheit",
+    "followUps.category.customer": "Kunde",
+    "followUps.severity.low": "niedrig",
+    "followUps.severity.medium": "mittel",
+    "followUps.severity.high": "hoch",
+    "followUps.status.open": "offen",
+    "followUps.status.acknowledged": "bestätigt",
+    "followUps.status.closed": "erledigt",
+    "followUps.openOf": "{open} offen von {count}",
+    "followUps.list": "Punkte",
+    "followUps.list.hint": "Schwerwiegendste zuerst, dann älteste",
+    "followUps.filter.open": "Offen + bestätigt",
+    "followUps.filter.all": "Alle",
+    "followUps.filter.categories": "Alle Kategorien",
+    "followUps.filter.regs": "Alle REGs",
+    "followUps.filter.dzs": "Alle DZs",
+    "followUps.assignee": "Zuständig",
+    "followUps.none": "Keine passenden Nachverfolgungspunkte.",
+    "followUps.noText": "(ohne Text)",
+    "followUps.noReg": "(ohne REG)",
+    "followUps.acknowledge": "Bestätigen",
+    "followUps.close": "Erledigen…",
+    "followUps.reopen": "Wieder öffnen",
+    "followUps.actionTaken": "Ergriffene Maßnahme",
+    "followUps.closeItem": "Punkt erledigen",
+    "followUps.closedAt": "Erledigt {time}",
+    "followUps.by": "von {name}",
+    "followUps.dialog.hint": "Getrennt vom Blatt geführt: offene Punkte gehen auf das nächste Blatt für dieselbe REG und DZ über; technische Punkte folgen dem Luftfahrzeug",
+    "followUps.noneOnLoad": "Zu dieser Ladung noch nichts erfasst.",
+    "followUps.text.placeholder": "Was nachverfolgt werden muss",
+    "followUps.raise": "Erfassen",
+    "followUps.needReg": "Zuerst REG im Kopf eintragen: Nachverfolgung läuft pro REG und DZ.",
+    "fob.expected": "erw. {fuel}",
+    "fob.belowReserve": "unter Reserve",
+    "manifest.dialog": "Springerliste",
+    "manifest.jumpers": "{count} Springer",
+    "manifest.ofPayload": "von {weight} lbs max. Zuladung",
+    "manifest.field.name": "Name",
+    "manifest.field.licence": "Lizenz / Mitglieds-Nr.",
+    "manifest.field.exitAlt": "Absetzhöhe ft",
+    "manifest.field.weight": "Gewicht lbs",
+    "manifest.placeholder.name": "Springer",
+    "manifest.placeholder.licence": "z. B. D-12345",
+    "manifest.jumpType": "Sprungart",
+    "manifest.pairedWith": "Gepaart mit",
+    "manifest.add": "Springer hinzufügen",
+    "maintenance.airframeH": "Zelle h",
+    "maintenance.engineH": "Triebwerk h",
+    "maintenance.months": "Monate",
+    "maintenance.days": "Tage",
+    "maintenance.date": "Datum",
+    "maintenance.summary": "{airframe} h Zelle • {engine} h Triebwerk seit Überholung • {landings} Landungen • {days} Blatt/Blätter seit dem Ausgangsstand",
+    "maintenance.baselineDate": "Datum Ausgangsstand",
+    "maintenance.baselineAirframe": "Zelle h beim Ausgangsstand",
+    "maintenance.baselineLandings": "Landungen beim Ausgangsstand",
+    "maintenance.engineSinceOverhaul": "Triebwerk h seit Überholung",
+    "maintenance.hoursFrom": "Stunden gezählt aus",
+    "maintenance.hint": "Die Zähler gelten zu Beginn des Ausgangsdatums; Blätter für {reg} ab diesem Datum werden addiert. Ohne Hobbs- / Tacho-Ablesung zählt FLT/T.",
+    "maintenance.col.inspection": "Inspektion",
+    "maintenance.col.interval": "Intervall",
+    "maintenance.col.warn": "Warnen ab",
+    "maintenance.col.lastDone": "Zuletzt bei",
+    "maintenance.col.status": "Status",
+    "maintenance.interval.placeholder": "{unit} (leer = aus)",
+    "maintenance.off": "aus",
+    "maintenance.ok": "OK",
+    "maintenance.defects": "Mängel",
+    "sign.title": "Unterschreiben & Flug abschließen",
+    "sign.confirm": "Unterschreiben & abschließen",
+    "sign.description": "Das Blatt wird gesperrt und mit einem SHA-256-Hash über Zeilen, Kopf, Abschlusszeit und diese Unterschrift versiegelt.",
+    "sign.type": "Tippen",
+    "sign.draw": "Zeichnen",
+    "sign.pilotName": "NAME PILOT",
+    "sign.clear": "Löschen",
+    "audit.title": "Änderungsprotokoll",
+    "audit.changes": "{count} Änderung(en)",
+    "audit.amendments": "{count} Korrektur(en) nach Abschluss",
+    "audit.empty": "Noch keine Änderungen aufgezeichnet.",
+    "audit.col.time": "Zeit",
+    "audit.col.kind": "Art",
+    "audit.col.load": "Load",
+    "audit.col.field": "Feld",
+    "audit.col.old": "Alt",
+    "audit.col.new": "Neu",
+    "audit.col.reason": "Grund",
+    "audit.showAll": "Alle {count} anzeigen",
+    "pdf.landscape": "Quer",
+    "pdf.portrait": "Hoch",
+    "search.results": "Alle gespeicherten Blätter: {count} Ladung(en) auf {sheets} Blatt/Blättern:",
+    "search.totals": "{flights} Flug/Flüge • {pax} PAX • {ldg} LDG • FLT/T {flt} • BLK/T {blk}",
+    "search.firstShown": "die ersten {count} angezeigt",
+    "search.subtotal": "Gefilterte Zwischensumme ({count} von {of} Zeilen):",
+    "charts.title": "Diagramme",
+    "charts.hint": "nur geflogene Ladungen (FOB: jede Zeile mit Wert)",
+    "charts.loadsPerHour": "Ladungen pro Stunde (T/O)",
+    "charts.fltPerLoad": "FLT/T pro Ladung",
+    "charts.fobPerLoad": "FOB pro Ladung",
+    "charts.paxPerLoad": "PAX pro Ladung",
+    "charts.noData": "Keine Daten",
+    "audit.kind.edit": "Bearbeitung",
+    "audit.kind.amendment": "Korrektur",
+    "was.hint": "Nach Flugabschluss korrigiert",
+    "was.value": "vorher {value}",
+    "was.blank": "(leer)",
+  },
+};
+
+export function isLanguage(lang) {
+  return LANGUAGES.some(l => l.key === lang);
+}
+
+// First supported language among the browser's preferences ("de-CH" → "de"), else English
+/** @param {string[]} preferred e.g. navigator.languages */
+export function detectLanguage(preferred) {
+  const hit = (preferred || []).map(x => String(x || "").toLowerCase().split("-")[0]).find(isLanguage);
+  return hit || DEFAULT_LANGUAGE;
+}
+
+/** @returns {(key: string, params?: Object<string, string|number>) => string} */
+export function makeTranslator(lang) {
+  const table = MESSAGES[isLanguage(lang) ? lang : DEFAULT_LANGUAGE];
+  return function t(key, params) {
+    const text = table[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return params ? text.replace(/\{(\w+)\}/g, (m, name) => (params[name] != null ? String(params[name]) : m)) : text;
+  };
+}
+
+// Keys of the English table a language has no string for
+export function missingTranslations(lang) {
+  const table = MESSAGES[lang] || {};
+  return Object.keys(MESSAGES[DEFAULT_LANGUAGE]).filter(k => table[k] === undefined);
+}
+
+export function runI18nSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const placeholders = function(s){ return (s.match(/\{\w+\}/g) || []).sort(); };
+
+  push("every language is complete", LANGUAGES.map(l => missingTranslations(l.key)), LANGUAGES.map(() => []));
+  push("no strings without an English original", LANGUAGES.map(l => Object.keys(MESSAGES[l.key]).filter(k => MESSAGES.en[k] === undefined)), LANGUAGES.map(() => []));
+  push("placeholders kept in translations", LANGUAGES.map(l => Object.keys(MESSAGES.en).filter(k => JSON.stringify(placeholders(MESSAGES[l.key][k] || "")) !== JSON.stringify(placeholders(MESSAGES.en[k])))), LANGUAGES.map(() => []));
+  const de = makeTranslator("de");
+  push("translate with params", [de("stat.fuelBurned", { unit: "kg" }), makeTranslator("en")("stat.avgBurn", { unit: "L" }), de("stat.fobStart")], ["Verbrauch kg", "Avg burn L/hr", "FOB (Start) {unit}"]);
+  push("fallbacks", [makeTranslator("xx")("card.entries"), de("no.such.key")], ["Entries", "no.such.key"]);
+  push("detectLanguage", [detectLanguage(["de-CH", "en"]), detectLanguage(["fr-FR"]), detectLanguage(undefined)], ["de", "en", "en"]);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[i18n]", result, tests);
+}
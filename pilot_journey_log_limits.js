@@ -0,0 +1,209 @@
+// ========================
+// Pilot Journey Log — Flight & Duty Time Limitations
+// ========================
+// Standalone rule checker (no React, no storage). An operator rule set is plain JSON:
+//   {
+//     "name": "Operator X",
+//     "maxDuty": "13:00",          // max single duty period
+//     "maxFlightPerDay": "08:00",  // max FLT/T in one day
+//     "minRest": "10:00",          // min rest from previous DUTY END to today's DUTY START
+//     "maxFlight7d": "30:00",      // rolling caps (today + previous days)
+//     "maxFlight28d": "100:00",
+//     "maxDuty7d": "60:00",
+//     "maxDuty28d": "190:00",
+//     "warnPercent": 90            // warn once a max reaches this % (a min rest within the same margin)
+//   }
+// Durations are H:MM / HH:MM / HHH:MM strings; an empty string switches that limit off.
+
+export const FTL_RULE_KEYS = ["maxDuty", "maxFlightPerDay", "minRest", "maxFlight7d", "maxFlight28d", "maxDuty7d", "maxDuty28d"];
+
+export const FTL_RULE_LABELS = {
+  maxDuty: "Max duty period",
+  maxFlightPerDay: "Max flight time / day",
+  minRest: "Min rest before duty",
+  maxFlight7d: "Flight time, 7 days",
+  maxFlight28d: "Flight time, 28 days",
+  maxDuty7d: "Duty time, 7 days",
+  maxDuty28d: "Duty time, 28 days",
+};
+
+export const DEFAULT_FTL_RULES = {
+  name: "Default",
+  maxDuty: "13:00",
+  maxFlightPerDay: "08:00",
+  minRest: "10:00",
+  maxFlight7d: "30:00",
+  maxFlight28d: "100:00",
+  maxDuty7d: "60:00",
+  maxDuty28d: "190:00",
+  warnPercent: 90,
+};
+
+/** @typedef {Object} FtlDay
+ *  @property {string} date       YYYY-MM-DD
+ *  @property {string} dutyStart  HH:MM
+ *  @property {string} dutyEnd    HH:MM (may be before dutyStart when crossing midnight)
+ *  @property {number} flightMins total FLT/T for the day
+ *  @property {number} [dutyMins] exact duty length (e.g. across a DST change); otherwise from the clock times
+ */
+
+/** @typedef {Object} FtlFinding
+ *  @property {string} key        one of FTL_RULE_KEYS
+ *  @property {string} label
+ *  @property {"warn"|"exceeded"} level
+ *  @property {number} valueMins
+ *  @property {number} limitMins
+ *  @property {string} message
+ */
+
+// "HH:MM" (hours may exceed 24) → minutes; null when blank or invalid
+function durationToMinutes(v) {
+  const m = String(v ?? "").trim().match(/^(\d{1,3}):([0-5]\d)$/);
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function clockToMinutes(v) {
+  const m = String(v ?? "").trim().match(/^(\d{1,2}):([0-5]\d)$/);
+  if (!m || Number(m[1]) > 23) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function fmt(mins) {
+  const a = Math.max(0, Math.round(mins));
+  return String(Math.floor(a / 60)).padStart(2, "0") + ":" + String(a % 60).padStart(2, "0");
+}
+
+function dayNumber(ymd) {
+  const m = String(ymd || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return NaN;
+  return Math.round(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 86400000);
+}
+
+// Duty start/end as absolute minutes since epoch-day 0 (end rolls past midnight when needed)
+/** @param {FtlDay} d */
+function dutySpan(d) {
+  const day = dayNumber(d.date);
+  const s = clockToMinutes(d.dutyStart);
+  const e = clockToMinutes(d.dutyEnd);
+  if (!Number.isFinite(day) || s === null) return null;
+  const start = day * 1440 + s;
+  if (e === null) return { start, end: null };
+  return { start, end: day * 1440 + e + (e < s ? 1440 : 0) };
+}
+
+function dutyMinutes(d) {
+  if (Number.isFinite(d.dutyMins)) return d.dutyMins;
+  const span = dutySpan(d);
+  return span && span.end !== null ? span.end - span.start : 0;
+}
+
+/**
+ * Validate an operator rule set (object or JSON string) and fill gaps from DEFAULT_FTL_RULES.
+ * Throws an Error naming the first bad field.
+ */
+export function parseFtlRuleSet(input) {
+  const obj = typeof input === "string" ? JSON.parse(input) : input;
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("Rule set must be a JSON object");
+  const out = { ...DEFAULT_FTL_RULES };
+  if (obj.name != null) out.name = String(obj.name);
+  FTL_RULE_KEYS.forEach((k) => {
+    if (obj[k] === undefined) return;
+    const v = String(obj[k] ?? "").trim();
+    if (v !== "" && durationToMinutes(v) === null) throw new Error("Rule \"" + k + "\" must be HH:MM or empty, got " + JSON.stringify(obj[k]));
+    out[k] = v;
+  });
+  if (obj.warnPercent !== undefined) {
+    const p = Number(obj.warnPercent);
+    if (!Number.isFinite(p) || p <= 0 || p > 100) throw new Error("Rule \"warnPercent\" must be between 1 and 100");
+    out.warnPercent = p;
+  }
+  return out;
+}
+
+/**
+ * Check one day against the rules.
+ * @param {object} rules            parsed rule set
+ * @param {FtlDay} today            dutyEnd may be the current time while the sheet is open
+ * @param {FtlDay[]} history        earlier days for the same pilot (any order; today's date is ignored)
+ * @returns {FtlFinding[]}          only limits that are close (warn) or exceeded
+ */
+export function checkFlightDutyLimits(rules, today, history) {
+  const r = parseFtlRuleSet(rules);
+  const warnFrac = r.warnPercent / 100;
+  const todayDay = dayNumber(today.date);
+  const past = (history || []).filter((d) => dayNumber(d.date) < todayDay);
+  /** @type {FtlFinding[]} */
+  const findings = [];
+
+  const checkMax = (key, valueMins) => {
+    const limit = durationToMinutes(r[key]);
+    if (limit === null || !valueMins) return;
+    const level = valueMins > limit ? "exceeded" : valueMins >= limit * warnFrac ? "warn" : null;
+    if (!level) return;
+    findings.push({ key, label: FTL_RULE_LABELS[key], level, valueMins, limitMins: limit, message: FTL_RULE_LABELS[key] + ": " + fmt(valueMins) + " of " + fmt(limit) + " max" });
+  };
+  const checkMin = (key, valueMins) => {
+    const limit = durationToMinutes(r[key]);
+    if (limit === null || valueMins === null) return;
+    const level = valueMins < limit ? "exceeded" : valueMins * warnFrac <= limit ? "warn" : null;
+    if (!level) return;
+    findings.push({ key, label: FTL_RULE_LABELS[key], level, valueMins, limitMins: limit, message: FTL_RULE_LABELS[key] + ": " + fmt(valueMins) + " (min " + fmt(limit) + ")" });
+  };
+
+  checkMax("maxDuty", dutyMinutes(today));
+  checkMax("maxFlightPerDay", today.flightMins || 0);
+
+  // Rest: from the latest earlier DUTY END to today's DUTY START
+  const todaySpan = dutySpan(today);
+  const prevEnds = past.map(dutySpan).filter((s) => s && s.end !== null).map((s) => s.end);
+  if (todaySpan && prevEnds.length) checkMin("minRest", todaySpan.start - Math.max(...prevEnds));
+
+  // Rolling windows include today
+  if (Number.isFinite(todayDay)) {
+    const within = (n) => past.filter((d) => dayNumber(d.date) > todayDay - n);
+    const sum = (list, f) => list.reduce((a, d) => a + f(d), 0);
+    [7, 28].forEach((n) => {
+      const list = within(n);
+      checkMax("maxFlight" + n + "d", sum(list, (d) => d.flightMins || 0) + (today.flightMins || 0));
+      checkMax("maxDuty" + n + "d", sum(list, dutyMinutes) + dutyMinutes(today));
+    });
+  }
+  return findings;
+}
+
+// --- Self-tests (console) ---
+export function runLimitSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const levels = function(f){ return f.map(function(x){ return x.key + ":" + x.level; }); };
+  push("parse defaults", parseFtlRuleSet({}).maxDuty, DEFAULT_FTL_RULES.maxDuty);
+  push("parse JSON string", parseFtlRuleSet('{"name":"Op","minRest":"12:00"}').minRest, "12:00");
+  push("parse empty disables", parseFtlRuleSet({ maxDuty: "" }).maxDuty, "");
+  let err = "";
+  try { parseFtlRuleSet({ maxDuty: "13h" }); } catch (e) { err = e.message; }
+  push("parse rejects bad duration", err.indexOf("maxDuty") >= 0, true);
+  err = "";
+  try { parseFtlRuleSet({ warnPercent: 0 }); } catch (e) { err = e.message; }
+  push("parse rejects warnPercent", err.indexOf("warnPercent") >= 0, true);
+
+  const rules = { ...DEFAULT_FTL_RULES, maxDuty: "10:00", maxFlightPerDay: "05:00", minRest: "10:00", warnPercent: 90 };
+  const day = function(date, s, e, f){ return { date, dutyStart: s, dutyEnd: e, flightMins: f }; };
+  push("within limits", checkFlightDutyLimits(rules, day("2025-01-02", "08:00", "14:00", 120), []), []);
+  push("duty warn at 90%", levels(checkFlightDutyLimits(rules, day("2025-01-02", "08:00", "17:00", 60), [])), ["maxDuty:warn"]);
+  push("duty exceeded", levels(checkFlightDutyLimits(rules, day("2025-01-02", "08:00", "18:30", 60), [])), ["maxDuty:exceeded"]);
+  push("duty across midnight", levels(checkFlightDutyLimits(rules, day("2025-01-02", "20:00", "07:00", 0), [])), ["maxDuty:exceeded"]);
+  push("flight per day exceeded", levels(checkFlightDutyLimits(rules, day("2025-01-02", "", "", 301), [])), ["maxFlightPerDay:exceeded"]);
+  push("rest exceeded", levels(checkFlightDutyLimits(rules, day("2025-01-02", "06:00", "", 0), [day("2025-01-01", "12:00", "22:00", 0)])), ["minRest:exceeded"]);
+  push("rest warn", levels(checkFlightDutyLimits(rules, day("2025-01-02", "09:00", "", 0), [day("2025-01-01", "12:00", "22:00", 0)])), ["minRest:warn"]);
+  push("rest ok", checkFlightDutyLimits(rules, day("2025-01-02", "12:00", "", 0), [day("2025-01-01", "12:00", "22:00", 0)]), []);
+  push("rest after midnight duty end", levels(checkFlightDutyLimits(rules, day("2025-01-02", "08:00", "", 0), [day("2025-01-01", "20:00", "01:00", 0)])), ["minRest:exceeded"]);
+  const week = [1, 2, 3, 4, 5, 6].map(function(i){ return day("2025-01-0" + i, "", "", 290); });
+  push("7-day flight cap", levels(checkFlightDutyLimits(rules, day("2025-01-07", "", "", 120), week)), ["maxFlight7d:exceeded"]);
+  push("7-day window drops old days", levels(checkFlightDutyLimits(rules, day("2025-01-13", "", "", 120), week)), []);
+  push("exact dutyMins wins", levels(checkFlightDutyLimits(rules, { ...day("2025-03-30", "00:00", "10:00", 0), dutyMins: 540 }, [])), ["maxDuty:warn"]);
+  push("ignores same-day history", checkFlightDutyLimits(rules, day("2025-01-02", "12:00", "", 0), [day("2025-01-02", "01:00", "11:00", 0)]), []);
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[FTL limits]", result, tests);
+}
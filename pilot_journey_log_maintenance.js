@@ -0,0 +1,224 @@
+// ========================
+// Pilot Journey Log — Maintenance tracking (airframe counters + inspection intervals)
+// ========================
+// Standalone (no React, no storage). Each aircraft carries a maintenance record:
+//   {
+//     "baselineDate": "2025-01-01",  // counters below are as at the start of this day; sheets dated on/after it add up
+//     "airframeHours": "4210.3",     // total time in service at the baseline
+//     "landings": "9120",
+//     "engineHours": "1480.0",       // engine time since overhaul at the baseline
+//     "hoursSource": "flt",          // what a day adds: "flt" FLT/T, "blk" BLK/T, "hobbs" or "tacho" meter difference
+//     "inspections": {               // per INSPECTIONS key; lastDone = counter reading (or date) when last done
+//       "50h":    { "interval": "50",   "warn": "5",   "lastDone": "4180.0" },
+//       "100h":   { "interval": "100",  "warn": "10",  "lastDone": "4150.0" },
+//       "annual": { "interval": "12",   "warn": "30",  "lastDone": "2024-11-15" },
+//       "tbo":    { "interval": "3600", "warn": "100", "lastDone": "0" }
+//     }
+//   }
+// Hours are decimal (Hobbs / tacho style); an empty interval switches that inspection off.
+
+export const INSPECTIONS = [
+  { key: "50h", label: "50 h inspection", unit: "hours", interval: "50", warn: "5" },
+  { key: "100h", label: "100 h inspection", unit: "hours", interval: "100", warn: "10" },
+  { key: "annual", label: "Annual inspection", unit: "months", interval: "12", warn: "30" },
+  { key: "tbo", label: "Engine TBO", unit: "engine", interval: "", warn: "100" },
+];
+
+export const HOURS_SOURCES = [
+  { key: "flt", label: "FLT/T" },
+  { key: "blk", label: "BLK/T" },
+  { key: "hobbs", label: "Hobbs" },
+  { key: "tacho", label: "Tacho" },
+];
+
+export const METER_TOLERANCE_HOURS = 0.2; // Hobbs vs BLK/T and tacho vs FLT/T may differ this much before a warning
+
+/** @typedef {Object} AirframeDay
+ *  @property {string} date          YYYY-MM-DD
+ *  @property {number} fltMins       summed FLT/T
+ *  @property {number} blkMins       summed BLK/T
+ *  @property {number} landings
+ *  @property {string} hobbsStart    meter readings as entered (decimal hours, may be blank)
+ *  @property {string} hobbsEnd
+ *  @property {string} tachoStart
+ *  @property {string} tachoEnd
+ */
+
+/** @typedef {Object} MaintenanceFinding
+ *  @property {string} key     one of INSPECTIONS
+ *  @property {string} label
+ *  @property {"warn"|"exceeded"} level   warn = due within the warn margin, exceeded = overdue
+ *  @property {number} remaining  hours (or days for calendar items); negative when overdue
+ *  @property {string} message
+ */
+
+function num(v) {
+  const s = String(v ?? "").trim();
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round1(n) { return Math.round(n * 10) / 10; }
+
+function dayNumber(ymd) {
+  const m = String(ymd || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return NaN;
+  return Math.round(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 86400000);
+}
+
+function addMonths(ymd, months) {
+  const m = String(ymd || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return "";
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1 + months, Number(m[3])));
+  return d.toISOString().slice(0, 10);
+}
+
+/** Fill a maintenance record's gaps with the defaults (every value a string). */
+export function normalizeMaintenance(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const str = (v) => (v == null ? "" : String(v));
+  const inspections = {};
+  INSPECTIONS.forEach((it) => {
+    const x = (r.inspections && r.inspections[it.key]) || {};
+    inspections[it.key] = { interval: x.interval == null ? it.interval : str(x.interval), warn: x.warn == null ? it.warn : str(x.warn), lastDone: str(x.lastDone) };
+  });
+  return {
+    baselineDate: str(r.baselineDate),
+    airframeHours: str(r.airframeHours),
+    landings: str(r.landings),
+    engineHours: str(r.engineHours),
+    hoursSource: HOURS_SOURCES.some((s) => s.key === r.hoursSource) ? r.hoursSource : "flt",
+    inspections,
+  };
+}
+
+/** Hours between two meter readings; null when either is missing or the end is before the start. */
+export function meterHours(start, end) {
+  const a = num(start);
+  const b = num(end);
+  if (a === null || b === null || b < a) return null;
+  return round1(b - a);
+}
+
+/**
+ * Compare the Hobbs against BLK/T (FLT/T when no block times) and the tacho against FLT/T.
+ * @param {AirframeDay} day
+ * @returns {{ meter: string, hours: number|null, against: string, expected: number, ok: boolean, message: string }[]}
+ */
+export function reconcileMeters(day, tolerance = METER_TOLERANCE_HOURS) {
+  const out = [];
+  const check = (meter, start, end, against, mins) => {
+    if (String(start ?? "").trim() === "" && String(end ?? "").trim() === "") return;
+    const hours = meterHours(start, end);
+    const expected = round1(mins / 60);
+    if (hours === null) {
+      out.push({ meter, hours, against, expected, ok: false, message: meter + ": " + (num(start) === null || num(end) === null ? "start and end readings needed" : "end reading is below the start") });
+      return;
+    }
+    const ok = Math.abs(hours - expected) <= tolerance + 1e-9;
+    out.push({ meter, hours, against, expected, ok, message: meter + " " + hours.toFixed(1) + " h vs " + against + " " + expected.toFixed(1) + " h" + (ok ? "" : " — differs by " + Math.abs(round1(hours - expected)).toFixed(1) + " h") });
+  };
+  const blk = day.blkMins > 0;
+  check("Hobbs", day.hobbsStart, day.hobbsEnd, blk ? "BLK/T" : "FLT/T", blk ? day.blkMins : day.fltMins);
+  check("Tacho", day.tachoStart, day.tachoEnd, "FLT/T", day.fltMins);
+  return out;
+}
+
+/** Hours one day adds to the counters, by the record's source (meter sources fall back to FLT/T). */
+export function dayHours(day, source) {
+  if (source === "hobbs" || source === "tacho") {
+    const h = meterHours(day[source + "Start"], day[source + "End"]);
+    if (h !== null) return h;
+  }
+  if (source === "blk" && day.blkMins > 0) return day.blkMins / 60;
+  return day.fltMins / 60;
+}
+
+/**
+ * Current counters: the baseline plus every day dated on/after the baseline date (all days when it is blank).
+ * @param {object} record   maintenance record
+ * @param {AirframeDay[]} days
+ */
+export function aircraftCounters(record, days) {
+  const r = normalizeMaintenance(record);
+  const from = dayNumber(r.baselineDate);
+  const counted = (days || []).filter((d) => !Number.isFinite(from) || dayNumber(d.date) >= from);
+  const hours = counted.reduce((a, d) => a + dayHours(d, r.hoursSource), 0);
+  const landings = counted.reduce((a, d) => a + (d.landings || 0), 0);
+  return {
+    airframeHours: round1((num(r.airframeHours) ?? 0) + hours),
+    engineHours: round1((num(r.engineHours) ?? 0) + hours),
+    landings: (num(r.landings) ?? 0) + landings,
+    days: counted.length,
+  };
+}
+
+/**
+ * Inspections that are due soon (warn) or overdue (exceeded). Items never done (blank last done) are skipped.
+ * @param {object} record
+ * @param {{airframeHours: number, engineHours: number}} counters
+ * @param {string} asOf YYYY-MM-DD
+ * @returns {MaintenanceFinding[]}
+ */
+export function checkInspections(record, counters, asOf) {
+  const r = normalizeMaintenance(record);
+  /** @type {MaintenanceFinding[]} */
+  const findings = [];
+  INSPECTIONS.forEach((it) => {
+    const cfg = r.inspections[it.key];
+    const interval = num(cfg.interval);
+    const warn = num(cfg.warn) ?? 0;
+    if (interval === null || interval <= 0) return;
+    let remaining;
+    let dueText;
+    if (it.unit === "months") {
+      const due = addMonths(cfg.lastDone, interval);
+      if (!due || !Number.isFinite(dayNumber(asOf))) return;
+      remaining = dayNumber(due) - dayNumber(asOf);
+      dueText = remaining < 0 ? "overdue since " + due : "due " + due + " (" + remaining + " day" + (remaining === 1 ? "" : "s") + ")";
+    } else {
+      const last = num(cfg.lastDone);
+      if (last === null) return;
+      const current = it.unit === "engine" ? counters.engineHours : counters.airframeHours;
+      const due = round1(last + interval);
+      remaining = round1(due - current);
+      dueText = remaining < 0 ? "overdue by " + Math.abs(remaining).toFixed(1) + " h (due at " + due.toFixed(1) + " h)" : "due in " + remaining.toFixed(1) + " h (at " + due.toFixed(1) + " h)";
+    }
+    const level = remaining < 0 ? "exceeded" : remaining <= warn ? "warn" : null;
+    if (level) findings.push({ key: it.key, label: it.label, level, remaining, message: it.label + ": " + dueText });
+  });
+  return findings;
+}
+
+// --- Self-tests (console) ---
+export function runMaintenanceSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const day = function(date, flt, blk, ldg, extra){ return { date, fltMins: flt, blkMins: blk, landings: ldg, hobbsStart: "", hobbsEnd: "", tachoStart: "", tachoEnd: "", ...(extra || {}) }; };
+  push("normalize defaults", normalizeMaintenance({}).inspections["100h"], { interval: "100", warn: "10", lastDone: "" });
+  push("normalize keeps empty interval", normalizeMaintenance({ inspections: { "50h": { interval: "" } } }).inspections["50h"].interval, "");
+  push("meterHours", [meterHours("1200.3", "1201.8"), meterHours("5", ""), meterHours("5", "4")], [1.5, null, null]);
+  push("reconcile ok", reconcileMeters(day("2025-01-01", 80, 90, 3, { hobbsStart: "100.0", hobbsEnd: "101.5" })).map(function(x){ return x.ok; }), [true]);
+  const off = reconcileMeters(day("2025-01-01", 60, 0, 1, { hobbsStart: "100", hobbsEnd: "101.5", tachoStart: "50", tachoEnd: "51" }));
+  push("reconcile falls back to FLT/T and flags", off.map(function(x){ return [x.meter, x.against, x.ok]; }), [["Hobbs", "FLT/T", false], ["Tacho", "FLT/T", true]]);
+  push("reconcile half-entered", reconcileMeters(day("2025-01-01", 60, 0, 1, { hobbsStart: "100" }))[0].message, "Hobbs: start and end readings needed");
+
+  const rec = { baselineDate: "2025-01-02", airframeHours: "1000", landings: "500", engineHours: "1700", hoursSource: "flt" };
+  const days = [day("2025-01-01", 600, 0, 10), day("2025-01-02", 90, 100, 6), day("2025-01-03", 30, 0, 2)];
+  push("counters from baseline", aircraftCounters(rec, days), { airframeHours: 1002, engineHours: 1702, landings: 508, days: 2 });
+  push("counters by hobbs", aircraftCounters({ ...rec, hoursSource: "hobbs" }, [day("2025-01-02", 90, 100, 6, { hobbsStart: "10", hobbsEnd: "11.8" })]).airframeHours, 1001.8);
+  push("counters by blk", aircraftCounters({ ...rec, hoursSource: "blk" }, [day("2025-01-02", 90, 120, 6)]).airframeHours, 1002);
+
+  const insp = { inspections: { "50h": { lastDone: "960" }, "100h": { lastDone: "905" }, annual: { lastDone: "2024-02-10" }, tbo: { interval: "1800", lastDone: "0" } } };
+  const found = checkInspections(insp, { airframeHours: 1006, engineHours: 1750 }, "2025-01-20");
+  push("inspection levels", found.map(function(f){ return f.key + ":" + f.level; }), ["50h:warn", "100h:exceeded", "annual:warn", "tbo:warn"]);
+  push("inspection messages", [found[0].message, found[1].message], ["50 h inspection: due in 4.0 h (at 1010.0 h)", "100 h inspection: overdue by 1.0 h (due at 1005.0 h)"]);
+  push("annual overdue", checkInspections({ inspections: { "50h": { interval: "" }, "100h": { interval: "" }, annual: { lastDone: "2024-01-10" } } }, { airframeHours: 0, engineHours: 0 }, "2025-01-20").map(function(f){ return f.message; }), ["Annual inspection: overdue since 2025-01-10"]);
+  push("blank last done skipped", checkInspections({ inspections: { "50h": { lastDone: "" }, "100h": { lastDone: "990" }, tbo: { interval: "1800", lastDone: "" } } }, { airframeHours: 1000, engineHours: 1750 }, "2025-01-20"), []);
+  push("nothing due", checkInspections({ inspections: { "50h": { lastDone: "990" }, "100h": { lastDone: "990" } } }, { airframeHours: 1000, engineHours: 0 }, "2025-01-20"), []);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Maintenance]", result, tests);
+}
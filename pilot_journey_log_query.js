@@ -0,0 +1,295 @@
+// ========================
+// Pilot Journey Log — search & filter queries
+// ========================
+// Standalone: no React, no storage. A query is a list of terms that must all match a row:
+//   wind "gust front"        text anywhere in the row (case-insensitive)
+//   PAX>=10  FOB<300         numbers:  =  !=  >  >=  <  <=   and ranges  PAX=5..10
+//   FLT/T>00:20  BLK/T<=45   durations (HH:MM, or plain minutes)
+//   T/O>=09:00  time=09:00-12:00   clock times; a range may wrap midnight (22:00-02:00); "time" is T/O, else OFF-BLK
+//   REMARKS:wind  PIC=ann    text fields:  ":" contains,  "=" / "!=" whole value
+//   DATE>=2025-06-01  REG=ZS-ABC  DZ:skydive  PILOT:ann   header fields, for searching across saved sheets
+//   has:remarks  has:fup  has:manifest  is:fuel  is:reserve  is:flown  is:ferry
+// A leading "-" negates a term (-has:remarks). Field names are case-insensitive; TO, LD, OFF, ON, FLT, BLK, FB
+// and FUP are short for T/O, L/D, OFF-BLK, ON-BLK, FLT/T, BLK/T, F/B and F/UP.
+//
+// matchRow(query, row, ctx) needs the sheet header and the checks worked out by the app:
+//   ctx = { meta: { date, reg, dz, pilot }, fuel: { discrepancy, belowReserve }, followUps: <items raised on the row>,
+//           fuelShown: <stored lbs → the sheet's display unit> }
+// With fuelShown, FOB / F/B / UPLIFT (terms and plain text) match the figures the pilot sees (FOB<300 in kg on a kg sheet).
+
+/** @typedef {Object} QueryTerm
+ *  @property {"text"|"flag"|"field"} kind
+ *  @property {boolean} negate
+ *  @property {string} [value]  text terms: lower-case needle
+ *  @property {string} [flag]   flag terms: key of QUERY_FLAGS
+ *  @property {string} [field]  field terms: key of QUERY_FIELDS
+ *  @property {string} [op]     "=", "!=", ">", ">=", "<", "<=", ":" or "range"
+ *  @property {number|string} [target]  comparison value (minutes for times)
+ *  @property {number|string} [low]     range bounds (inclusive)
+ *  @property {number|string} [high]
+ */
+
+/** @typedef {Object} ParsedQuery
+ *  @property {string} text
+ *  @property {QueryTerm[]} terms
+ *  @property {string[]} errors  one per term that could not be read (the term is left out)
+ */
+
+// Query name → where the value lives and how it compares
+export const QUERY_FIELDS = {
+  LOAD: { col: "Load", type: "number" },
+  PIC: { col: "PIC", type: "text" },
+  "OFF-BLK": { col: "OFF-BLK", type: "clock" },
+  "T/O": { col: "T/O", type: "clock" },
+  "L/D": { col: "L/D", type: "clock" },
+  "ON-BLK": { col: "ON-BLK", type: "clock" },
+  TIME: { type: "clock" }, // T/O, or OFF-BLK when there is no T/O
+  "FLT/T": { col: "FLT/T", type: "duration" },
+  "BLK/T": { col: "BLK/T", type: "duration" },
+  FOB: { col: "FOB", type: "number", fuel: true },
+  "F/B": { col: "F/B", type: "number", fuel: true },
+  UPLIFT: { col: "UPLIFT", type: "number", fuel: true },
+  PAX: { col: "PAX", type: "number" },
+  LDG: { col: "LDG", type: "number" },
+  "F/UP": { col: "F/UP", type: "text" },
+  REMARKS: { col: "REMARKS", type: "text" },
+  DATE: { meta: "date", type: "date" },
+  REG: { meta: "reg", type: "text" },
+  DZ: { meta: "dz", type: "text" },
+  PILOT: { meta: "pilot", type: "text" },
+};
+const FIELD_ALIASES = { TO: "T/O", LD: "L/D", OFF: "OFF-BLK", ON: "ON-BLK", FLT: "FLT/T", BLK: "BLK/T", FB: "F/B", FUP: "F/UP" };
+
+export const QUERY_FLAGS = {
+  remarks: "REMARKS filled in",
+  fup: "F/UP filled in or a follow-up raised",
+  manifest: "jumper manifest entered",
+  fuel: "FOB discrepancy",
+  reserve: "below min reserve",
+  flown: "load has a time",
+  ferry: "ferry row",
+};
+
+// Columns searched by plain text terms
+const TEXT_COLS = ["Load", "PIC", "OFF-BLK", "T/O", "L/D", "ON-BLK", "FLT/T", "BLK/T", "FOB", "F/B", "UPLIFT", "PAX", "LDG", "F/UP", "REMARKS"];
+const FERRY_ID = "ferry-row-fixed";
+const OPERATORS = [">=", "<=", "!=", "=", ">", "<", ":"];
+
+// Whitespace-separated terms; double quotes keep spaces (anywhere in the term: REMARKS:"gust front")
+function splitTerms(text) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  let started = false;
+  for (const ch of String(text || "")) {
+    if (ch === '"') { quoted = !quoted; started = true; continue; }
+    if (!quoted && /\s/.test(ch)) {
+      if (started) out.push(cur);
+      cur = ""; started = false;
+      continue;
+    }
+    cur += ch; started = true;
+  }
+  if (started) out.push(cur);
+  return out;
+}
+
+// "9:05", "09:05", "0905", "9.05" → minutes; durations also take plain minutes ("20"). null when unreadable.
+function parseMinutes(v, type) {
+  const s = String(v ?? "").trim();
+  if (type === "duration" && /^\d+$/.test(s)) return Number(s);
+  const m = s.match(/^(\d{1,2})[:.]?(\d{2})$/);
+  if (!m || Number(m[2]) > 59 || (type === "clock" && Number(m[1]) > 23)) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function parseNumber(v) {
+  const s = String(v ?? "").trim();
+  if (s === "" || !Number.isFinite(Number(s))) return null;
+  return Number(s);
+}
+
+// Query value → comparable value for a field type (null when unreadable)
+function readValue(v, type) {
+  if (type === "number") return parseNumber(v);
+  if (type === "clock" || type === "duration") return parseMinutes(v, type);
+  if (type === "date") return /^\d{4}-\d{2}-\d{2}$/.test(String(v).trim()) ? String(v).trim() : null;
+  return String(v).trim().toLowerCase();
+}
+
+function fieldTerm(name, op, raw, negate) {
+  const key = QUERY_FIELDS[name] ? name : FIELD_ALIASES[name];
+  if (!key) throw new Error("Unknown field " + name);
+  const { type } = QUERY_FIELDS[key];
+  const label = key === "TIME" ? "time" : key;
+  if (raw === "") throw new Error(label + " needs a value");
+  if (type === "text") {
+    if (op !== "=" && op !== "!=" && op !== ":") throw new Error(label + " only takes :, = or !=");
+    return { kind: "field", negate, field: key, op, target: raw.toLowerCase() };
+  }
+  const range = op === "=" && (raw.match(/^(.+)\.\.(.+)$/) || ((type === "clock" || type === "duration") && raw.match(/^([\d:.]+)-([\d:.]+)$/)));
+  if (range) {
+    const low = readValue(range[1], type);
+    const high = readValue(range[2], type);
+    if (low === null || high === null) throw new Error(label + " range needs two " + typeName(type));
+    return { kind: "field", negate, field: key, op: "range", low, high };
+  }
+  if (op === ":") throw new Error(label + " compares with =, !=, <, <=, >, >= or a range");
+  const target = readValue(raw, type);
+  if (target === null) throw new Error(label + " needs " + typeName(type));
+  return { kind: "field", negate, field: key, op, target };
+}
+
+function typeName(type) {
+  return type === "number" ? "a number" : type === "date" ? "a date (YYYY-MM-DD)" : type === "duration" ? "a duration (HH:MM or minutes)" : "a time (HH:MM)";
+}
+
+/** @returns {ParsedQuery} */
+export function parseQuery(text) {
+  const terms = [];
+  const errors = [];
+  splitTerms(text).forEach(token => {
+    const negate = token.length > 1 && token[0] === "-" && !/^-\d/.test(token);
+    const body = negate ? token.slice(1) : token;
+    const flag = body.match(/^(has|is):(.*)$/i);
+    try {
+      if (flag) {
+        const name = flag[2].toLowerCase();
+        if (!QUERY_FLAGS[name]) throw new Error("Unknown flag " + flag[1].toLowerCase() + ":" + flag[2]);
+        terms.push({ kind: "flag", negate, flag: name });
+        return;
+      }
+      let at = -1;
+      let op = "";
+      OPERATORS.forEach(o => {
+        const i = body.indexOf(o);
+        if (i > 0 && (at < 0 || i < at || (i === at && o.length > op.length))) { at = i; op = o; }
+      });
+      const name = at > 0 ? body.slice(0, at).toUpperCase() : "";
+      if (at > 0 && /^[A-Z/-]+$/.test(name)) {
+        terms.push(fieldTerm(name, op, body.slice(at + op.length).trim(), negate));
+        return;
+      }
+      if (body) terms.push({ kind: "text", negate, value: body.toLowerCase() });
+    } catch (err) {
+      errors.push(String((err && err.message) || err) + " (" + token + ")");
+    }
+  });
+  return { text: String(text || ""), terms, errors };
+}
+
+const FUEL_COLS = ["FOB", "F/B", "UPLIFT"];
+
+// A row cell as shown: fuel in the sheet's display unit when ctx.fuelShown is given
+function cellValue(row, col, ctx) {
+  return FUEL_COLS.includes(col) && ctx && ctx.fuelShown ? ctx.fuelShown(row[col]) : row[col];
+}
+
+// Row / header value for a field, as the comparable type (null / "" when blank or unreadable)
+function fieldValue(key, row, ctx) {
+  const f = QUERY_FIELDS[key];
+  if (f.meta) {
+    const v = String((ctx && ctx.meta && ctx.meta[f.meta]) ?? "").trim();
+    return f.type === "date" ? (v || null) : v.toLowerCase();
+  }
+  const raw = key === "TIME" ? (String(row["T/O"] ?? "").trim() || row["OFF-BLK"]) : cellValue(row, f.col, ctx);
+  if (f.type === "text") return String(raw ?? "").trim().toLowerCase();
+  return String(raw ?? "").trim() === "" ? null : readValue(raw, f.type);
+}
+
+function compare(term, v) {
+  const { type } = QUERY_FIELDS[term.field];
+  if (type === "text") {
+    if (term.op === ":") return v.includes(term.target);
+    return term.op === "=" ? v === term.target : v !== term.target;
+  }
+  if (v === null) return term.op === "!=";
+  if (term.op === "range") {
+    // a clock range ending before it starts runs over midnight
+    if (type === "clock" && term.low > term.high) return v >= term.low || v <= term.high;
+    return v >= term.low && v <= term.high;
+  }
+  switch (term.op) {
+    case "=": return v === term.target;
+    case "!=": return v !== term.target;
+    case ">": return v > term.target;
+    case ">=": return v >= term.target;
+    case "<": return v < term.target;
+    default: return v <= term.target;
+  }
+}
+
+function hasFlag(flag, row, ctx) {
+  const filled = (c) => String(row[c] ?? "").trim() !== "";
+  switch (flag) {
+    case "remarks": return filled("REMARKS");
+    case "fup": return filled("F/UP") || ((ctx && ctx.followUps) || []).length > 0;
+    case "manifest": return Array.isArray(row.manifest) && row.manifest.length > 0;
+    case "fuel": return !!(ctx && ctx.fuel && ctx.fuel.discrepancy);
+    case "reserve": return !!(ctx && ctx.fuel && ctx.fuel.belowReserve);
+    case "flown": return ["OFF-BLK", "T/O", "L/D", "ON-BLK", "FLT/T", "BLK/T"].some(filled);
+    default: return row.id === FERRY_ID;
+  }
+}
+
+/** @param {ParsedQuery} query @returns {boolean} every term matches (an empty query matches everything) */
+export function matchRow(query, row, ctx) {
+  return query.terms.every(term => {
+    let hit;
+    if (term.kind === "text") hit = TEXT_COLS.some(c => String(cellValue(row, c, ctx) ?? "").toLowerCase().includes(term.value));
+    else if (term.kind === "flag") hit = hasFlag(term.flag, row, ctx);
+    else hit = compare(term, fieldValue(term.field, row, ctx));
+    return term.negate ? !hit : hit;
+  });
+}
+
+// Shareable URL fragment: #q=<query>&scope=days ("sheet" scope is left out)
+export function queryToHash(text, scope) {
+  const params = new URLSearchParams();
+  if (String(text || "").trim()) params.set("q", text);
+  if (scope && scope !== "sheet") params.set("scope", scope);
+  const s = params.toString();
+  return s ? "#" + s : "";
+}
+
+/** @returns {{text: string, scope: string}|null} null when the fragment holds no query */
+export function queryFromHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!params.has("q")) return null;
+  return { text: params.get("q") || "", scope: params.get("scope") === "days" ? "days" : "sheet" };
+}
+
+// ---- Self-tests ----
+export function runQuerySelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const rows = [
+    { id: FERRY_ID, Load: "FERRY", "T/O": "07:40", "FLT/T": "00:15", FOB: "1000", PAX: "", REMARKS: "" },
+    { id: "a", Load: "1", PIC: "Ann", "T/O": "09:05", "L/D": "09:30", "FLT/T": "00:25", FOB: "900", PAX: 14, REMARKS: "Gust front west", "F/UP": "" },
+    { id: "b", Load: "2", PIC: "Bob", "OFF-BLK": "23:10", "FLT/T": "00:18", FOB: "250", PAX: 8, REMARKS: "", "F/UP": "Door seal", manifest: [{ id: "j" }] },
+    { id: "c", Load: "3", FOB: "700", PAX: 17 },
+  ];
+  const meta = { date: "2025-06-01", reg: "ZS-ABC", dz: "Skydive Town", pilot: "Ann" };
+  const ctx = { b: { fuel: { discrepancy: true, belowReserve: true } }, c: { followUps: [{ id: "f" }] } };
+  const ids = function(text){ const q = parseQuery(text); return rows.filter(function(r){ return matchRow(q, r, { meta, ...(ctx[r.id] || {}) }); }).map(function(r){ return r.id; }); };
+
+  push("empty query matches all", ids("").length, 4);
+  push("text terms", [ids("gust"), ids('"front west"'), ids("gust -ann"), ids("GUST bob")], [["a"], ["a"], [], []]);
+  push("number comparisons", [ids("PAX>=10"), ids("pax<10"), ids("PAX=5..14"), ids("LOAD>1"), ids("FOB!=900")], [["a", "c"], ["b"], ["a", "b"], ["b", "c"], [FERRY_ID, "b", "c"]]);
+  push("durations", [ids("FLT/T>00:20"), ids("flt<=18"), ids("BLK/T>0")], [["a"], [FERRY_ID, "b"], []]);
+  push("clock and time ranges", [ids("T/O>=09:00"), ids("time=09:00-12:00"), ids("time=22:00-08:00"), ids("TO=0700..0800")], [["a"], ["a"], [FERRY_ID, "b"], [FERRY_ID]]);
+  push("text fields", [ids("REMARKS:gust"), ids("PIC=bob"), ids("PIC!=bob"), ids('REMARKS:"front west"')], [["a"], ["b"], [FERRY_ID, "a", "c"], ["a"]]);
+  push("header fields", [ids("DATE>=2025-06-01").length, ids("DATE=2025-05-01..2025-05-31").length, ids("REG=zs-abc").length, ids("dz:town").length], [4, 0, 4, 4]);
+  push("flags", [ids("has:remarks"), ids("has:fup"), ids("-has:fup"), ids("has:manifest"), ids("is:fuel"), ids("is:reserve"), ids("is:ferry"), ids("-is:flown")], [["a"], ["b", "c"], [FERRY_ID, "a"], ["b"], ["b"], ["b"], [FERRY_ID], ["c"]]);
+  const inKg = function(text){ const q = parseQuery(text); return rows.filter(function(r){ return matchRow(q, r, { meta, fuelShown: function(v){ return String(v ?? "") === "" ? "" : String(Math.round(Number(v) / 2.2)); } }); }).map(function(r){ return r.id; }); };
+  push("fuel in the display unit", [inKg("FOB<400"), ids("FOB<400"), inKg("FOB=409"), inKg("FOB=318..455"), inKg("409")], [["b", "c"], ["b"], ["a"], [FERRY_ID, "a", "c"], ["a"]]);
+  push("terms combine", ids("PAX>=10 -has:fup"), ["a"]);
+  const bad = parseQuery("PAX>=ten SPEED>3 has:nothing REMARKS>2 T/O>25:00 DATE=2025-06 ok");
+  push("errors leave the term out", [bad.terms.length, bad.errors], [1, ["PAX needs a number (PAX>=ten)", "Unknown field SPEED (SPEED>3)", "Unknown flag has:nothing (has:nothing)", "REMARKS only takes :, = or != (REMARKS>2)", "T/O needs a time (HH:MM) (T/O>25:00)", "DATE needs a date (YYYY-MM-DD) (DATE=2025-06)"]]);
+  push("negative numbers are text", parseQuery("-5").terms, [{ kind: "text", negate: false, value: "-5" }]);
+  push("hash round trip", [queryToHash('PAX>=10 REMARKS:"a b"', "days"), queryFromHash(queryToHash('PAX>=10 REMARKS:"a b"', "days")), queryToHash("", "sheet"), queryFromHash("#other=1")], ["#q=PAX%3E%3D10+REMARKS%3A%22a+b%22&scope=days", { text: 'PAX>=10 REMARKS:"a b"', scope: "days" }, "", null]);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Query]", result, tests);
+}
@@ -0,0 +1,316 @@
+// ========================
+// Pilot Journey Log — Sync (closed sheets → office server, reference lists ← server)
+// ========================
+// Standalone: no React, no storage. The app keeps the outbox in IndexedDB and hands it to these functions.
+//
+// REST contract (JSON bodies; "Authorization: Bearer <token>" when a token is configured):
+//   GET  {base}/sheets              → 200 [{ id, version, date, reg, pilot, receivedAt }]
+//   GET  {base}/sheets/{id}         → 200 { id, version, sheet } | 404
+//   PUT  {base}/sheets/{id}         body { sheet, version, baseVersion }
+//                                   → 200 { id, version }                 stored (or the same version was already stored)
+//                                   → 409 { id, version, sheet }          server copy is not baseVersion: conflict
+//   GET  {base}/aircraft            → 200 AircraftProfile[]
+//   GET  {base}/pilots              → 200 PilotRef[]
+// A sheet's version counts its seals (1 at Close Flight, +1 per amendment that changed it) and only goes up;
+// baseVersion is the version this device last got acknowledged (0 = never pushed). The server accepts a push when
+// its copy is still at baseVersion and version is newer. server/pilot_journey_log_sync_server.mjs implements it.
+//
+// Adapters are pluggable: anything with pushSheet / pullAircraft / pullPilots returning Promises works
+// (the REST adapter below, a test double, another transport).
+
+export const SYNC_API_VERSION = 1;
+export const SYNC_RETRY_BASE_MS = 15000;
+export const SYNC_RETRY_MAX_MS = 30 * 60000;
+
+/** @typedef {Object} PilotRef
+ *  @property {string} name
+ *  @property {string} [licence]
+ */
+
+/** @typedef {Object} SyncAdapter
+ *  @property {(sheet: object, version: number, baseVersion: number) => Promise<PushResult>} pushSheet
+ *  @property {() => Promise<object[]>} pullAircraft
+ *  @property {() => Promise<PilotRef[]>} pullPilots
+ */
+
+/** @typedef {Object} PushResult
+ *  @property {"ok"|"conflict"} status
+ *  @property {number} version      server version after the push (ok) or the server's current version (conflict)
+ *  @property {object} [sheet]      server copy on conflict
+ */
+
+/** @typedef {Object} OutboxItem
+ *  @property {string} id           sheet id
+ *  @property {object} sheet        snapshot to push
+ *  @property {number} version
+ *  @property {number} baseVersion
+ *  @property {"pending"|"conflict"} status
+ *  @property {number} attempts     failed attempts since the last change
+ *  @property {number} nextAt       epoch ms of the next attempt
+ *  @property {string} lastError
+ *  @property {number} [serverVersion] conflict only
+ *  @property {object} [serverSheet]   conflict only
+ */
+
+/** @typedef {Object} SyncOutbox
+ *  @property {OutboxItem[]} items
+ *  @property {Object<string, number>} synced  sheet id → version acknowledged by the server
+ */
+
+export const EMPTY_OUTBOX = { items: [], synced: {} };
+
+// Transport / HTTP failure; the item stays queued and is retried with backoff
+export class SyncError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SyncError";
+    this.status = status || 0;
+  }
+}
+
+/** @returns {SyncOutbox} */
+export function normalizeOutbox(raw) {
+  const items = raw && Array.isArray(raw.items) ? raw.items.filter((x) => x && x.id && x.sheet) : [];
+  const synced = raw && raw.synced && typeof raw.synced === "object" ? { ...raw.synced } : {};
+  return { items, synced };
+}
+
+export function retryDelayMs(attempts) {
+  return Math.min(SYNC_RETRY_MAX_MS, SYNC_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Queue a closed sheet whose content changed. A sheet already queued is replaced by the newer snapshot but keeps
+ * its baseVersion, so several offline amendments go out as one push. The version never falls back to or below
+ * what the server acknowledged (a conflict resolved in this device's favour moves it past the server's).
+ * @param {SyncOutbox} outbox
+ * @returns {SyncOutbox}
+ */
+export function enqueueSheet(outbox, sheet, version, nowMs) {
+  const ob = normalizeOutbox(outbox);
+  const existing = ob.items.find((x) => x.id === sheet.id);
+  const baseVersion = existing ? existing.baseVersion : ob.synced[sheet.id] || 0;
+  const item = {
+    id: sheet.id,
+    sheet,
+    version: Math.max(version, baseVersion + 1, existing ? existing.version : 0),
+    baseVersion,
+    status: "pending",
+    attempts: 0,
+    nextAt: nowMs,
+    lastError: "",
+  };
+  return { ...ob, items: existing ? ob.items.map((x) => (x.id === sheet.id ? item : x)) : [...ob.items, item] };
+}
+
+/** @param {SyncOutbox} outbox @returns {OutboxItem[]} pending items whose retry time has come */
+export function dueItems(outbox, nowMs) {
+  return normalizeOutbox(outbox).items.filter((x) => x.status === "pending" && x.nextAt <= nowMs);
+}
+
+/**
+ * Fold one push outcome into the outbox. When the sheet was queued again while the push was in flight
+ * (pushedVersion is older than the queued item), a success only moves the item's baseVersion on.
+ * @param {SyncOutbox} outbox
+ * @param {string} id
+ * @param {PushResult|{ error: string }} result
+ * @param {number} [pushedVersion]
+ * @returns {SyncOutbox}
+ */
+export function recordPushResult(outbox, id, result, nowMs, pushedVersion) {
+  const ob = normalizeOutbox(outbox);
+  const item = ob.items.find((x) => x.id === id);
+  if (!item) return ob;
+  const stale = pushedVersion !== undefined && pushedVersion !== item.version;
+  if (result.status === "ok") {
+    const synced = { ...ob.synced, [id]: result.version };
+    if (stale) return { synced, items: ob.items.map((x) => (x.id === id ? { ...x, baseVersion: result.version } : x)) };
+    return { items: ob.items.filter((x) => x.id !== id), synced };
+  }
+  if (stale) return ob;
+  const next = result.status === "conflict"
+    ? { ...item, status: "conflict", serverVersion: result.version, serverSheet: result.sheet || null, lastError: "Server has version " + result.version + ", expected " + item.baseVersion }
+    : { ...item, attempts: item.attempts + 1, nextAt: nowMs + retryDelayMs(item.attempts + 1), lastError: String(result.error || "Sync failed") };
+  return { ...ob, items: ob.items.map((x) => (x.id === id ? next : x)) };
+}
+
+/**
+ * Settle a conflict: "mine" pushes this device's copy over the server version, "theirs" drops it
+ * (the caller stores item.serverSheet locally).
+ * @param {SyncOutbox} outbox
+ * @param {"mine"|"theirs"} choice
+ * @returns {SyncOutbox}
+ */
+export function resolveConflict(outbox, id, choice, nowMs) {
+  const ob = normalizeOutbox(outbox);
+  const item = ob.items.find((x) => x.id === id && x.status === "conflict");
+  if (!item) return ob;
+  if (choice === "theirs") {
+    return { items: ob.items.filter((x) => x.id !== id), synced: { ...ob.synced, [id]: item.serverVersion } };
+  }
+  const retry = { ...item, status: "pending", baseVersion: item.serverVersion, version: Math.max(item.version, item.serverVersion + 1), attempts: 0, nextAt: nowMs, lastError: "" };
+  delete retry.serverVersion;
+  delete retry.serverSheet;
+  return { ...ob, items: ob.items.map((x) => (x.id === id ? retry : x)) };
+}
+
+/**
+ * Push every due item once, oldest first. `results` can be replayed with recordPushResult onto an outbox
+ * that changed meanwhile.
+ * @param {SyncOutbox} outbox
+ * @param {SyncAdapter} adapter
+ * @returns {Promise<{ outbox: SyncOutbox, results: { id: string, version: number, result: object }[], pushed: string[], conflicts: string[], failed: string[] }>}
+ */
+export async function flushOutbox(outbox, adapter, nowMs) {
+  let ob = normalizeOutbox(outbox);
+  const results = [];
+  const pushed = [];
+  const conflicts = [];
+  const failed = [];
+  for (const item of dueItems(ob, nowMs)) {
+    let result;
+    try {
+      result = await adapter.pushSheet(item.sheet, item.version, item.baseVersion);
+    } catch (err) {
+      result = { error: (err && err.message) || String(err) };
+    }
+    ob = recordPushResult(ob, item.id, result, nowMs, item.version);
+    results.push({ id: item.id, version: item.version, result });
+    (result.status === "ok" ? pushed : result.status === "conflict" ? conflicts : failed).push(item.id);
+  }
+  return { outbox: ob, results, pushed, conflicts, failed };
+}
+
+/**
+ * Merge a pulled reference list into the local one: server entries win per key, local-only entries are kept.
+ * @template T
+ * @param {T[]} local
+ * @param {T[]} remote
+ * @param {(x: T) => string} keyOf  normalised key ("" = skip)
+ * @returns {T[]}
+ */
+export function mergeReferenceList(local, remote, keyOf) {
+  const out = [];
+  const seen = new Set();
+  (remote || []).forEach((x) => {
+    const k = keyOf(x);
+    if (!k || seen.has(k)) return;
+    seen.add(k);
+    out.push(x);
+  });
+  (local || []).forEach((x) => {
+    const k = keyOf(x);
+    if (k && seen.has(k)) return;
+    if (k) seen.add(k);
+    out.push(x);
+  });
+  return out;
+}
+
+/**
+ * REST adapter for the contract above.
+ * @param {{ baseUrl: string, token?: string, fetchImpl?: Function }} options
+ * @returns {SyncAdapter}
+ */
+export function createRestSyncAdapter({ baseUrl, token, fetchImpl }) {
+  const base = String(baseUrl || "").trim().replace(/\/+$/, "");
+  if (!/^https?:\/\//i.test(base)) throw new SyncError("Sync server URL must start with http:// or https://");
+  const doFetch = fetchImpl || ((...a) => fetch(...a));
+  const request = async (method, path, body) => {
+    const headers = { Accept: "application/json", "X-Sync-Api": String(SYNC_API_VERSION) };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = "Bearer " + token;
+    let res;
+    try {
+      res = await doFetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    } catch (err) {
+      throw new SyncError("Server unreachable: " + ((err && err.message) || err));
+    }
+    let data = null;
+    try { data = await res.json(); } catch {}
+    return { status: res.status, data };
+  };
+  const expect = (r, what) => {
+    if (r.status >= 200 && r.status < 300) return r.data;
+    throw new SyncError(what + " failed: HTTP " + r.status + (r.data && r.data.error ? " — " + r.data.error : ""), r.status);
+  };
+  return {
+    async pushSheet(sheet, version, baseVersion) {
+      const r = await request("PUT", "/sheets/" + encodeURIComponent(sheet.id), { sheet, version, baseVersion });
+      if (r.status === 409 && r.data) return { status: "conflict", version: Number(r.data.version) || 0, sheet: r.data.sheet };
+      const data = expect(r, "Push");
+      return { status: "ok", version: Number(data && data.version) || version };
+    },
+    async pullAircraft() {
+      const data = expect(await request("GET", "/aircraft"), "Aircraft pull");
+      if (!Array.isArray(data)) throw new SyncError("Aircraft pull: expected a JSON array");
+      return data;
+    },
+    async pullPilots() {
+      const data = expect(await request("GET", "/pilots"), "Pilot pull");
+      if (!Array.isArray(data)) throw new SyncError("Pilot pull: expected a JSON array");
+      return data;
+    },
+  };
+}
+
+// --- Self-tests (console) ---
+export async function runSyncSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const s1 = { id: "a", meta: {}, rows: [] };
+  let ob = enqueueSheet(EMPTY_OUTBOX, s1, 1, 1000);
+  push("enqueue new sheet", ob.items.map(function(x){ return [x.id, x.version, x.baseVersion, x.status]; }), [["a", 1, 0, "pending"]]);
+  ob = enqueueSheet(ob, { ...s1, rows: [{ id: "r" }] }, 2, 2000);
+  push("enqueue coalesces, keeps base", ob.items.map(function(x){ return [x.version, x.baseVersion, x.sheet.rows.length]; }), [[2, 0, 1]]);
+  push("due now", dueItems(ob, 2000).length, 1);
+
+  let failedOb = recordPushResult(ob, "a", { error: "offline" }, 5000);
+  push("failure backs off", [failedOb.items[0].attempts, failedOb.items[0].nextAt, failedOb.items[0].lastError], [1, 5000 + SYNC_RETRY_BASE_MS, "offline"]);
+  push("not due during backoff", dueItems(failedOb, 6000).length, 0);
+  push("retry delay doubles and caps", [retryDelayMs(1), retryDelayMs(2), retryDelayMs(3), retryDelayMs(30)], [SYNC_RETRY_BASE_MS, 2 * SYNC_RETRY_BASE_MS, 4 * SYNC_RETRY_BASE_MS, SYNC_RETRY_MAX_MS]);
+
+  const okOb = recordPushResult(ob, "a", { status: "ok", version: 2 }, 5000);
+  push("ok clears item, records version", [okOb.items.length, okOb.synced.a], [0, 2]);
+  push("amendment after sync uses synced base", enqueueSheet(okOb, s1, 3, 6000).items.map(function(x){ return [x.version, x.baseVersion]; }), [[3, 2]]);
+  push("version stays ahead of synced", enqueueSheet({ items: [], synced: { a: 4 } }, s1, 2, 6000).items[0].version, 5);
+
+  const requeued = enqueueSheet(ob, { ...s1, rows: [] }, 3, 2500);
+  push("ok for an older push keeps the newer snapshot", recordPushResult(requeued, "a", { status: "ok", version: 2 }, 5000, 2).items.map(function(x){ return [x.version, x.baseVersion]; }), [[3, 2]]);
+  const conflictOb = recordPushResult(ob, "a", { status: "conflict", version: 3, sheet: { id: "a", rows: [1] } }, 5000);
+  push("conflict parks item", [conflictOb.items[0].status, conflictOb.items[0].serverVersion, dueItems(conflictOb, 9e12).length], ["conflict", 3, 0]);
+  const mine = resolveConflict(conflictOb, "a", "mine", 7000);
+  push("resolve mine rebases", [mine.items[0].status, mine.items[0].baseVersion, mine.items[0].version, "serverSheet" in mine.items[0]], ["pending", 3, 4, false]);
+  const theirs = resolveConflict(conflictOb, "a", "theirs", 7000);
+  push("resolve theirs drops", [theirs.items.length, theirs.synced.a], [0, 3]);
+
+  const calls = [];
+  const fake = {
+    pushSheet: function(sheet, version, base){ calls.push([sheet.id, version, base]); return sheet.id === "b" ? Promise.reject(new SyncError("down")) : Promise.resolve({ status: "ok", version }); },
+    pullAircraft: function(){ return Promise.resolve([]); },
+    pullPilots: function(){ return Promise.resolve([]); },
+  };
+  const two = enqueueSheet(enqueueSheet(EMPTY_OUTBOX, s1, 1, 0), { id: "b" }, 1, 0);
+  const flushed = await flushOutbox(two, fake, 100);
+  push("flush pushes due items", [calls, flushed.pushed, flushed.failed, flushed.outbox.items.map(function(x){ return x.id; })], [[["a", 1, 0], ["b", 1, 0]], ["a"], ["b"], ["b"]]);
+
+  push("merge reference list", mergeReferenceList([{ reg: "A", t: "local" }, { reg: "C" }], [{ reg: "A", t: "server" }, { reg: "B" }], function(x){ return x.reg; }), [{ reg: "A", t: "server" }, { reg: "B" }, { reg: "C" }]);
+
+  const sent = [];
+  const fakeFetch = function(url, init){
+    sent.push([init.method, url, init.headers.Authorization || ""]);
+    if (init.method === "PUT") return Promise.resolve({ status: 409, json: function(){ return Promise.resolve({ id: "a", version: 5, sheet: { id: "a" } }); } });
+    return Promise.resolve({ status: 200, json: function(){ return Promise.resolve([{ name: "Ann" }]); } });
+  };
+  const rest = createRestSyncAdapter({ baseUrl: "http://localhost:8787/api/", token: "t0k", fetchImpl: fakeFetch });
+  const pr = await rest.pushSheet({ id: "a b" }, 2, 1);
+  const pilots = await rest.pullPilots();
+  push("rest adapter conflict + pull", [pr.status, pr.version, pilots.length, sent], ["conflict", 5, 1, [["PUT", "http://localhost:8787/api/sheets/a%20b", "Bearer t0k"], ["GET", "http://localhost:8787/api/pilots", "Bearer t0k"]]]);
+  let err = "";
+  try { createRestSyncAdapter({ baseUrl: "localhost" }); } catch (e) { err = e.name; }
+  push("rest adapter rejects bad URL", err, "SyncError");
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Sync]", result, tests);
+}
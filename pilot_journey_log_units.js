@@ -0,0 +1,117 @@
+// ========================
+// Pilot Journey Log — fuel units
+// ========================
+// Standalone: no React, no storage. Fuel is always stored in lbs (CANONICAL_FUEL_UNIT), so sheets, seals,
+// sync and exports never depend on how it was entered. A sheet (or, by default, its aircraft) only picks the
+// unit fuel is shown and typed in:
+//   lbs, kg           mass
+//   L, USG            volume, converted through the fuel density in kg/L (refueller's ticket, else the aircraft's)
+// Converted values are stored to 0.01 lbs and shown to 0.1 of the display unit.
+
+export const CANONICAL_FUEL_UNIT = "lbs";
+export const FUEL_UNITS = [
+  { key: "lbs", label: "lbs", volume: false },
+  { key: "kg", label: "kg", volume: false },
+  { key: "L", label: "L", volume: true },
+  { key: "USG", label: "US gal", volume: true },
+];
+export const LBS_PER_KG = 2.20462262185;
+export const LITRES_PER_USG = 3.785411784;
+export const DEFAULT_FUEL_DENSITY = 0.8; // kg/L, Jet A-1 at 15 °C
+
+/** @typedef {Object} FuelUnit
+ *  @property {string} unit     key of FUEL_UNITS
+ *  @property {number} density  kg/L, used by the volume units
+ */
+
+export function isFuelUnit(unit) {
+  return FUEL_UNITS.some(u => u.key === unit);
+}
+
+export function fuelUnitLabel(unit) {
+  const u = FUEL_UNITS.find(x => x.key === unit);
+  return u ? u.label : CANONICAL_FUEL_UNIT;
+}
+
+// Density in kg/L; blank, zero or not a number → DEFAULT_FUEL_DENSITY
+export function fuelDensity(value) {
+  const n = Number(String(value ?? "").trim());
+  return String(value ?? "").trim() !== "" && Number.isFinite(n) && n > 0 ? n : DEFAULT_FUEL_DENSITY;
+}
+
+// Display unit for a sheet: its own FUEL UNIT, else the aircraft's, else lbs. Density the same way.
+/** @param {{fuelUnit?: string, fuelDensity?: string}|null} meta @param {{fuelUnit?: string, fuelDensity?: string}|null} aircraft @returns {FuelUnit} */
+export function resolveFuelUnit(meta, aircraft) {
+  const pick = (k) => [meta, aircraft].map(x => (x && x[k] != null ? String(x[k]).trim() : "")).find(Boolean) || "";
+  const unit = pick("fuelUnit");
+  return { unit: isFuelUnit(unit) ? unit : CANONICAL_FUEL_UNIT, density: fuelDensity(pick("fuelDensity")) };
+}
+
+// lbs per one display unit
+function lbsPer(unit, density) {
+  if (unit === "kg") return LBS_PER_KG;
+  if (unit === "L") return density * LBS_PER_KG;
+  if (unit === "USG") return LITRES_PER_USG * density * LBS_PER_KG;
+  return 1;
+}
+
+function round(n, places) {
+  const f = Math.pow(10, places);
+  return Math.round(n * f) / f;
+}
+
+/** @param {number|null} value @param {FuelUnit} fu @returns {number|null} lbs */
+export function toCanonicalFuel(value, fu) {
+  return value === null || !Number.isFinite(value) ? null : round(value * lbsPer(fu.unit, fu.density), 2);
+}
+
+/** @param {number|null} lbs @param {FuelUnit} fu @returns {number|null} */
+export function fromCanonicalFuel(lbs, fu) {
+  return lbs === null || !Number.isFinite(lbs) ? null : round(lbs / lbsPer(fu.unit, fu.density), 1);
+}
+
+// Stored value (lbs, as entered) → text in the display unit. lbs is shown untouched; blank and
+// non-numbers pass through so validation can still point at them.
+/** @param {FuelUnit} fu */
+export function fuelToDisplay(stored, fu) {
+  const s = String(stored ?? "").trim();
+  if (fu.unit === CANONICAL_FUEL_UNIT || s === "" || !Number.isFinite(Number(s))) return String(stored ?? "");
+  return String(fromCanonicalFuel(Number(s), fu));
+}
+
+// Typed text in the display unit → stored value (lbs). The inverse of fuelToDisplay.
+/** @param {FuelUnit} fu */
+export function fuelFromDisplay(text, fu) {
+  const s = String(text ?? "").trim();
+  if (fu.unit === CANONICAL_FUEL_UNIT || s === "" || !Number.isFinite(Number(s))) return String(text ?? "");
+  return String(toCanonicalFuel(Number(s), fu));
+}
+
+// A computed figure (totals, expected FOB) in the display unit; "" stays "" and other units round to 0.1
+/** @param {number|string} lbs @param {FuelUnit} fu */
+export function formatFuel(lbs, fu) {
+  if (lbs === "" || lbs === null || lbs === undefined) return "";
+  return fu.unit === CANONICAL_FUEL_UNIT ? String(lbs) : String(fromCanonicalFuel(Number(lbs), fu));
+}
+
+export function runUnitsSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const kg = { unit: "kg", density: DEFAULT_FUEL_DENSITY };
+  const litres = { unit: "L", density: 0.8 };
+  const gallons = { unit: "USG", density: 0.8 };
+  const lbs = { unit: "lbs", density: DEFAULT_FUEL_DENSITY };
+
+  push("resolveFuelUnit sheet over aircraft", [resolveFuelUnit({ fuelUnit: "kg" }, { fuelUnit: "L", fuelDensity: "0.72" }), resolveFuelUnit({ fuelUnit: "" }, { fuelUnit: "L", fuelDensity: "0.72" }), resolveFuelUnit(null, null), resolveFuelUnit({ fuelUnit: "stone", fuelDensity: "-1" }, null)], [{ unit: "kg", density: 0.72 }, { unit: "L", density: 0.72 }, lbs, lbs]);
+  push("mass conversion", [toCanonicalFuel(1000, kg), fromCanonicalFuel(2204.62, kg), toCanonicalFuel(500, lbs)], [2204.62, 1000, 500]);
+  push("volume conversion", [toCanonicalFuel(100, litres), toCanonicalFuel(100, gallons), fromCanonicalFuel(176.37, litres)], [176.37, 667.63, 100]);
+  push("display round trip", ["1000", "12.5", "480", "0"].map(t => fuelToDisplay(fuelFromDisplay(t, kg), kg)), ["1000", "12.5", "480", "0"]);
+  push("lbs passes through", [fuelFromDisplay("0500", lbs), fuelToDisplay("0500", lbs)], ["0500", "0500"]);
+  push("blank and bad values pass through", [fuelFromDisplay("", kg), fuelFromDisplay("abc", kg), fuelToDisplay("abc", litres)], ["", "abc", "abc"]);
+  push("formatFuel", [formatFuel(2204.62, kg), formatFuel("", kg), formatFuel(350, lbs)], ["1000", "", "350"]);
+  push("labels", [fuelUnitLabel("USG"), fuelUnitLabel("nope"), fuelDensity("0.72"), fuelDensity("")], ["US gal", "lbs", 0.72, DEFAULT_FUEL_DENSITY]);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Units]", result, tests);
+}
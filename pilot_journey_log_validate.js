@@ -0,0 +1,136 @@
+// ========================
+// Pilot Journey Log — record validation
+// ========================
+// Standalone: no React, no storage. A small JSON Schema (draft 2020-12) checker for what the app reads back:
+// the working sheet and archived sheets from IndexedDB, sheets from the sync server and imported files.
+// It understands the keywords the app's schemas use and ignores any other:
+//   type (string, number, integer, boolean, object, array, null — or a list of them), enum, const,
+//   pattern, minLength / maxLength, minimum / maximum, required, properties, additionalProperties,
+//   items, maxItems and local $ref ("#/$defs/name").
+// Like JSON Schema, string keywords only apply to strings, number keywords to numbers, and so on.
+// validate() never throws, whatever the value: corrupt records come back as a list of errors.
+
+/** @typedef {Object} ValidationError
+ *  @property {string} path     where in the record, e.g. "rows[2].PAX" ("" = the record itself)
+ *  @property {string} message  e.g. "must be at least 0"
+ */
+
+export const MAX_VALIDATION_ERRORS = 20; // a record that is wrong everywhere stops being interesting quickly
+
+const TYPE_NAMES = {
+  string: "text", number: "a number", integer: "a whole number", boolean: "true or false",
+  object: "an object", array: "a list", null: "empty",
+};
+
+function typeOf(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array": return Array.isArray(value);
+    case "null": return value === null;
+    default: return true;
+  }
+}
+
+function resolveRef(ref, root) {
+  const m = /^#\/\$defs\/(.+)$/.exec(String(ref));
+  return m && root.$defs ? root.$defs[m[1]] : undefined;
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return path + "[" + key + "]";
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? (path ? path + "." + key : key) : path + "[" + JSON.stringify(key) + "]";
+}
+
+function shown(value) {
+  const s = typeof value === "string" ? value : JSON.stringify(value);
+  return JSON.stringify(s.length > 40 ? s.slice(0, 40) + "…" : s);
+}
+
+function check(schema, value, path, root, out) {
+  if (out.length >= MAX_VALIDATION_ERRORS || !schema || typeof schema !== "object") return;
+  const fail = (message, at = path) => { if (out.length < MAX_VALIDATION_ERRORS) out.push({ path: at, message }); };
+  if (schema.$ref !== undefined) {
+    const target = resolveRef(schema.$ref, root);
+    if (!target) { fail("schema reference " + schema.$ref + " not found"); return; }
+    check(target, value, path, root, out);
+  }
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeOf(value, t))) { fail("must be " + types.map(t => TYPE_NAMES[t] || t).join(" or ")); return; }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) fail("must be " + JSON.stringify(schema.const));
+  if (Array.isArray(schema.enum) && !schema.enum.some(x => JSON.stringify(x) === JSON.stringify(value))) {
+    fail("must be one of " + schema.enum.map(x => (x === "" ? "(blank)" : String(x))).join(", "));
+  }
+  if (typeof value === "string") {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail("is longer than " + schema.maxLength + " characters");
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail("is shorter than " + schema.minLength + " characters");
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail(shown(value) + " has the wrong format");
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail("must be at least " + schema.minimum);
+    if (schema.maximum !== undefined && value > schema.maximum) fail("must be at most " + schema.maximum);
+  }
+  if (typeOf(value, "object")) {
+    (schema.required || []).forEach(k => { if (!(k in value)) fail(k + " is missing"); });
+    const props = schema.properties || {};
+    Object.keys(value).forEach(k => {
+      if (Object.prototype.hasOwnProperty.call(props, k)) check(props[k], value[k], childPath(path, k), root, out);
+      else if (schema.additionalProperties === false) fail("unknown field " + JSON.stringify(k));
+      else if (schema.additionalProperties && typeof schema.additionalProperties === "object") check(schema.additionalProperties, value[k], childPath(path, k), root, out);
+    });
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail("has more than " + schema.maxItems + " entries");
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, childPath(path, i), root, out));
+  }
+}
+
+// Errors for value against schema (empty when it is valid); $ref resolves against root's $defs
+/** @returns {ValidationError[]} */
+export function validate(schema, value, root = schema) {
+  const out = [];
+  check(schema, value, "", root, out);
+  return out;
+}
+
+// "rows[2].PAX: must be at least 0"
+/** @param {ValidationError} e */
+export function formatValidationError(e) {
+  return e.path ? e.path + ": " + e.message : e.message;
+}
+
+export function runValidateSelfTests() {
+  const tests = []; // { name, got, expected, pass }
+  const push = function(name, got, expected){ tests.push({ name, got, expected, pass: JSON.stringify(got) === JSON.stringify(expected) }); };
+  const errs = function(schema, value){ return validate(schema, value).map(formatValidationError); };
+  const schema = {
+    type: "object", required: ["id"], additionalProperties: false,
+    properties: {
+      id: { type: "string", maxLength: 4 },
+      pax: { type: ["integer", "string"], minimum: 0, maximum: 99, maxLength: 2 },
+      mode: { enum: ["local", "utc"] },
+      rows: { type: "array", maxItems: 2, items: { $ref: "#/$defs/row" } },
+    },
+    $defs: { row: { type: "object", properties: { "T/O": { type: "string", pattern: "^([0-9]{2}:[0-9]{2})?$" } } } },
+  };
+
+  push("valid record", errs(schema, { id: "a", pax: 3, mode: "utc", rows: [{ "T/O": "09:00" }, {}] }), []);
+  push("types", [errs(schema, null), errs(schema, { id: 5 }), errs(schema, { id: "a", pax: 1.5 }), errs(schema, { id: "a", rows: "x" })], [["must be an object"], ["id: must be text"], ["pax: must be a whole number or text"], ["rows: must be a list"]]);
+  push("required and unknown keys", errs(schema, { pax: "", extra: 1, "odd key": 2 }), ["id is missing", "unknown field \"extra\"", "unknown field \"odd key\""]);
+  push("lengths and ranges", errs(schema, { id: "toolong", pax: -1 }).concat(errs(schema, { id: "a", pax: 100 }), errs(schema, { id: "a", pax: "123" })), ["id: is longer than 4 characters", "pax: must be at least 0", "pax: must be at most 99", "pax: is longer than 2 characters"]);
+  push("enum, pattern, $ref and items", errs(schema, { id: "a", mode: "zulu", rows: [{}, { "T/O": "<b>9</b>" }, {}] }), ["mode: must be one of local, utc", "rows: has more than 2 entries", "rows[1][\"T/O\"]: \"<b>9</b>\" has the wrong format"]);
+  push("const and missing $ref", [errs({ const: 1 }, 2), errs({ $ref: "#/$defs/none" }, 1)], [["must be 1"], ["schema reference #/$defs/none not found"]]);
+  const many = {};
+  for (let i = 0; i < 50; i++) many["k" + i] = i;
+  push("error list is capped", validate({ type: "object", additionalProperties: false }, many).length, MAX_VALIDATION_ERRORS);
+  push("non-finite numbers are not numbers", errs({ type: "number" }, NaN), ["must be a number"]);
+
+  const result = tests.filter(function(t){return t.pass;}).length + "/" + tests.length + " tests passed";
+  // eslint-disable-next-line no-console
+  console.log("[Validate]", result, tests);
+}
@@ -0,0 +1,167 @@
+// ========================
+// Pilot Journey Log — reference sync server (Node ≥ 18, no dependencies)
+// ========================
+// Implements the REST contract documented in pilot_journey_log_sync.js, backed by plain JSON files:
+//   <data>/sheets/<id>.json   { id, version, sheet, receivedAt }
+//   <data>/aircraft.json      AircraftProfile[]   (edit by hand or PUT /api/aircraft)
+//   <data>/pilots.json        [{ name, licence }] (edit by hand or PUT /api/pilots)
+//
+//   node server/pilot_journey_log_sync_server.mjs
+//   PORT=8787  SYNC_DATA_DIR=./sync-data  SYNC_TOKEN=secret  SYNC_ORIGIN=*   (all optional)
+//
+// In the app, set the sync server URL to http://localhost:8787/api. This is a reference for local testing and
+// small offices: one process, no TLS (put it behind a reverse proxy), one bearer token for everyone.
+
+import http from "node:http";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || "./sync-data");
+const TOKEN = process.env.SYNC_TOKEN || "";
+const ORIGIN = process.env.SYNC_ORIGIN || "*";
+const MAX_BODY = 5 * 1024 * 1024; // drawn signatures make sheets a few hundred KB at most
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a sheet behind
+async function writeJSON(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = file + "." + process.pid + ".tmp";
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// One write at a time per key, so two pushes of the same sheet cannot both pass the version check
+const locks = new Map();
+function withLock(key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+function sheetFile(id) { return path.join(DATA_DIR, "sheets", id + ".json"); }
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(new HttpError(413, "Body too large")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try { resolve(text ? JSON.parse(text) : null); } catch { reject(new HttpError(400, "Body is not valid JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function listSheets() {
+  let names = [];
+  try { names = await fs.readdir(path.join(DATA_DIR, "sheets")); } catch (err) { if (err.code !== "ENOENT") throw err; }
+  const out = [];
+  for (const n of names.filter((x) => x.endsWith(".json"))) {
+    const rec = await readJSON(path.join(DATA_DIR, "sheets", n), null);
+    if (!rec) continue;
+    const meta = (rec.sheet && rec.sheet.meta) || {};
+    out.push({ id: rec.id, version: rec.version, date: meta.date || "", reg: meta.reg || "", pilot: meta.pilot || "", receivedAt: rec.receivedAt });
+  }
+  return out.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+// Accept when the stored copy is still at baseVersion and the new version is newer; a retry of a push that
+// already landed (same version, same content) is acknowledged again
+async function putSheet(id, body) {
+  if (!body || typeof body !== "object" || !body.sheet || typeof body.sheet !== "object") throw new HttpError(400, "Expected { sheet, version, baseVersion }");
+  const version = Number(body.version);
+  const baseVersion = Number(body.baseVersion);
+  if (!Number.isInteger(version) || !Number.isInteger(baseVersion) || version <= baseVersion || baseVersion < 0) throw new HttpError(400, "version must be an integer greater than baseVersion");
+  if (body.sheet.id !== id) throw new HttpError(400, "Sheet id does not match the URL");
+  if (!body.sheet.isClosed) throw new HttpError(422, "Only closed sheets are accepted");
+  return withLock(id, async () => {
+    const stored = await readJSON(sheetFile(id), null);
+    const current = stored ? stored.version : 0;
+    if (stored && current === version && JSON.stringify(stored.sheet) === JSON.stringify(body.sheet)) return { status: 200, body: { id, version } };
+    if (current !== baseVersion) return { status: 409, body: { id, version: current, sheet: stored ? stored.sheet : null } };
+    await writeJSON(sheetFile(id), { id, version, sheet: body.sheet, receivedAt: new Date().toISOString() });
+    return { status: 200, body: { id, version } };
+  });
+}
+
+async function putList(name, body) {
+  if (!Array.isArray(body)) throw new HttpError(400, "Expected a JSON array");
+  await withLock(name, () => writeJSON(path.join(DATA_DIR, name + ".json"), body));
+  return { status: 200, body };
+}
+
+async function route(req) {
+  const url = new URL(req.url, "http://localhost");
+  let parts;
+  try {
+    parts = url.pathname.replace(/\/+$/, "").split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, "Bad path"); // malformed %-escape
+  }
+  if (parts[0] !== "api") throw new HttpError(404, "Not found");
+  const [, resource, id] = parts;
+  if (TOKEN && req.headers.authorization !== "Bearer " + TOKEN) throw new HttpError(401, "Missing or wrong bearer token");
+
+  if (resource === "sheets" && !id) {
+    if (req.method === "GET") return { status: 200, body: await listSheets() };
+  } else if (resource === "sheets" && parts.length === 3) {
+    if (!ID_RE.test(id)) throw new HttpError(400, "Bad sheet id");
+    if (req.method === "GET") {
+      const stored = await readJSON(sheetFile(id), null);
+      if (!stored) throw new HttpError(404, "No such sheet");
+      return { status: 200, body: { id, version: stored.version, sheet: stored.sheet } };
+    }
+    if (req.method === "PUT") return putSheet(id, await readBody(req));
+  } else if ((resource === "aircraft" || resource === "pilots") && parts.length === 2) {
+    if (req.method === "GET") return { status: 200, body: await readJSON(path.join(DATA_DIR, resource + ".json"), []) };
+    if (req.method === "PUT") return putList(resource, await readBody(req));
+  } else {
+    throw new HttpError(404, "Not found");
+  }
+  throw new HttpError(405, "Method not allowed");
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "GET, PUT, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, Accept, X-Sync-Api");
+  if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+  let out;
+  try {
+    out = await route(req);
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error("[sync]", req.method, req.url, err);
+    out = { status: err instanceof HttpError ? err.status : 500, body: { error: err instanceof HttpError ? err.message : "Internal error" } };
+  }
+  res.writeHead(out.status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(out.body));
+});
+
+server.listen(PORT, () => {
+  console.log("[sync] Pilot Journey Log sync server on http://localhost:" + PORT + "/api, data in " + DATA_DIR + (TOKEN ? ", token required" : ""));
+});
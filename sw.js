@@ -0,0 +1,78 @@
+// ========================
+// Pilot Journey Log — service worker (offline app shell)
+// ========================
+// Install pre-caches the app shell plus the scripts and styles the page links (the app bundle, including
+// jsPDF), so Print and Download PDF work offline from the first visit. Once active, the page also posts the
+// URLs it actually loaded (chunks fetched later).
+// Pages, scripts and styles go to the network first and fall back to the cache, so a deploy is picked up on
+// the next load without a cache version to bump; icons and fonts are served cache-first.
+// A new worker installs alongside and waits: the page decides when to take it over (SKIP_WAITING).
+
+const CACHE_PREFIX = "pilot-journey-log-";
+const CACHE = CACHE_PREFIX + "shell";
+const APP_SHELL = ["./", "./manifest.webmanifest", "./icon.svg", "./icon-maskable.svg"];
+const NETWORK_FIRST = ["script", "style", "worker", "manifest"]; // request destinations fetched fresh when online
+
+function sameOrigin(url) {
+  try { return new URL(url, self.location.href).origin === self.location.origin; } catch { return false; }
+}
+
+// Cache what is reachable; a missing optional file must not fail the install
+function cacheAll(urls) {
+  return caches.open(CACHE).then((cache) => Promise.all(urls.filter(sameOrigin).map((u) => cache.add(u).catch(() => {}))));
+}
+
+// <script src> / <link href> URLs of the cached page (cacheAll keeps the same-origin ones)
+function linkedAssets(html) {
+  const urls = [];
+  const re = /<(?:script|link)\b[^>]*?\b(?:src|href)\s*=\s*["']([^"']+)["']/gi;
+  let m;
+  while ((m = re.exec(html))) urls.push(new URL(m[1], self.location.href).href);
+  return urls;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    cacheAll(APP_SHELL)
+      .then(() => caches.match("./"))
+      .then((page) => (page ? page.text() : ""))
+      .then((html) => cacheAll(linkedAssets(html)))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "SKIP_WAITING") self.skipWaiting();
+  if (msg.type === "CACHE_URLS" && Array.isArray(msg.urls)) event.waitUntil(cacheAll(msg.urls));
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || !sameOrigin(req.url)) return;
+  const store = (res) => {
+    if (res && res.ok) {
+      const copy = res.clone();
+      caches.open(CACHE).then((cache) => cache.put(req, copy));
+    }
+    return res;
+  };
+  if (req.mode === "navigate") {
+    event.respondWith(
+      fetch(req).then(store).catch(() => caches.match(req).then((hit) => hit || caches.match("./")))
+    );
+    return;
+  }
+  if (NETWORK_FIRST.includes(req.destination)) {
+    event.respondWith(fetch(req).then(store).catch(() => caches.match(req)));
+    return;
+  }
+  event.respondWith(caches.match(req).then((hit) => hit || fetch(req).then(store)));
+});